@@ -0,0 +1,679 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+
+const COMMANDS = require('./commands')
+
+const InMemoryRedisError = require('./InMemoryRedisError')
+const InMemoryRedisKeyspace = require('./InMemoryRedisKeyspace')
+const InMemoryRedisMulti = require('./InMemoryRedisMulti')
+const InMemoryRedisStore = require('./InMemoryRedisStore')
+
+const addAsyncMethods = require('./asyncMethods')
+
+const { toInteger, toFloat } = require('./commands/commandArguments')
+
+const BLOCKING_INTERVAL = 10
+
+const NON_ASCII_REGEX = /[\u0080-\uffff]/
+
+/**
+ * Returns the command argument as a binary string (one char per byte, as `redis` saves it), so the `Buffers`
+ * are kept as they are and the `strings` are saved as `utf8`
+ *
+ * @param {*} arg The command argument
+ *
+ * @return {string} The binary string
+*/
+function toBinaryString(arg) {
+  let string = null
+
+  if (Buffer.isBuffer(arg))
+    string = arg.toString('latin1')
+  else {
+    string = String(arg)
+
+    if (NON_ASCII_REGEX.test(string))
+      string = Buffer.from(string).toString('latin1')
+  }
+
+  return string
+}
+
+/**
+ * Returns the `reply` with its binary strings (@see {@link toBinaryString}) as `Buffers` (as `node_redis` replies
+ * with `return_buffers`) or as `utf8` strings
+ *
+ * @param {*} reply The command reply
+ * @param {Boolean} [isBuffers = false] Whether to reply `Buffers` or not
+ *
+ * @return {*} The reply
+*/
+function fromBinaryReply(reply, isBuffers = false) {
+  let replyTemp = reply
+
+  if (typeof(reply) == 'string') {
+    if (isBuffers)
+      replyTemp = Buffer.from(reply, 'latin1')
+    else if (NON_ASCII_REGEX.test(reply))
+      replyTemp = Buffer.from(reply, 'latin1').toString()
+  }
+  else if (reply instanceof Array)
+    replyTemp = reply.map(item => fromBinaryReply(item, isBuffers))
+  else if (reply && reply.constructor == Object) {
+    // As `node_redis`, the hash fields are kept as binary strings when replying `Buffers`
+    replyTemp = Object
+      .keys(reply)
+      .reduce((object, key) => {
+        object[isBuffers ? key : fromBinaryReply(key)] = fromBinaryReply(reply[key], isBuffers)
+
+        return object
+      }, {})
+  }
+
+  return replyTemp
+}
+
+/**
+ * Returns the command arguments flattened and as binary strings (as `node_redis` sends them, @see {@link toBinaryString})
+ *
+ * @param {Array} args The command arguments
+ *
+ * @return {Array<string>} The command arguments
+*/
+function getCommandArgs(args) {
+  return args
+    .reduce((argsTemp, arg) => argsTemp.concat(arg instanceof Array ? arg : [ arg ]), [])
+    .map(arg => toBinaryString(arg))
+}
+
+/**
+ * Returns the timeout (in ms) of the `BLPOP`/`BRPOP` arguments (the last one, in seconds)
+ *
+ * @param {Array<string>} commandArgs The command arguments
+ *
+ * @return {Number} The timeout
+*/
+function getPopTimeout(commandArgs) {
+  return toFloat(commandArgs[commandArgs.length - 1]) * 1000
+}
+
+/**
+ * Returns the `BLOCK` timeout (in ms) of the `XREADGROUP` arguments
+ *
+ * @param {Array<string>} commandArgs The command arguments
+ *
+ * @return {Number} The timeout (`null` when it does not block)
+*/
+function getReadGroupTimeout(commandArgs) {
+  const options = commandArgs
+    .slice(3)
+
+  const streamsIndex = options
+    .findIndex(arg => arg.toUpperCase() == 'STREAMS')
+
+  const blockIndex = options
+    .slice(0, streamsIndex > -1 ? streamsIndex : undefined)
+    .findIndex(arg => arg.toUpperCase() == 'BLOCK')
+
+  return blockIndex > -1 ?
+    toInteger(options[blockIndex + 1]) :
+    null
+}
+
+/**
+ * In-memory `redis` client with the same (promisified) surface of the `node_redis` client
+ * used by the caches (`json_getAsync`, `hmgetAsync`, `saddAsync`, `multi().execAsync()`...)
+ *
+ * Useful to run the caches on tests and local development without a `redis` server
+ *
+ * @class InMemoryRedisClient
+ * @extends {EventEmitter}
+ *
+ * @example
+ *  const InMemoryRedisClient = require('@contartec-team/generic-redis-cache/lib/adapters/InMemoryRedisClient')
+ *
+ *  require('@contartec-team/generic-redis-cache/lib/configs/redisInstanceService')(InMemoryRedisClient.createClient())
+*/
+class InMemoryRedisClient extends EventEmitter {
+  /**
+   * @param {Object} [options = {}] The client options
+   * @param {Number} [options.db = 0] The database index
+   * @param {InMemoryRedisStore} [options.store] The store to share (a new one is created by default)
+   * @param {Boolean} [options.jsonModule = true] Whether to support the `ReJSON` commands or not (`false` to mimic a server without the module)
+   * @param {Boolean} [options.return_buffers = false] Whether to reply the strings as `Buffers` or not (as `node_redis`)
+  */
+  constructor(options = {}) {
+    super()
+
+    const { store, ...clientOptions } = options
+
+    this.options = clientOptions
+    this.store = store || new InMemoryRedisStore()
+    this.selected_db = options.db ? toInteger(options.db) : 0
+    this.connected = true
+    this.ready = true
+    this.command_queue = {
+      _length : 0,
+      get length() { return this._length }
+    }
+    this.subscriptions = {
+      channels : new Set(),
+      patterns : new Set()
+    }
+    this.watching = null
+
+    setImmediate(() => {
+      if (this.connected) {
+        this.emit('connect')
+        this.emit('ready')
+      }
+    })
+  }
+
+  /**
+   * Returns a new client (as `redis.createClient`)
+   *
+   * @param {Object} [options = {}] The client options (@see {@link InMemoryRedisClient})
+   *
+   * @return {InMemoryRedisClient} The client
+  */
+  static createClient(options = {}) {
+    return new InMemoryRedisClient(options)
+  }
+
+  /**
+   * The keyspace of the selected database
+   *
+   * @type {InMemoryRedisKeyspace}
+  */
+  get keyspace() {
+    return this.store.getKeyspace(this.selected_db)
+  }
+
+  /**
+   * Returns a new client sharing the same store
+   *
+   * @param {Object} [options = {}] The client options (@see {@link InMemoryRedisClient})
+   * @param {Function} [callback] The `callback(error, client)`
+   *
+   * @return {InMemoryRedisClient} The client
+  */
+  duplicate(options = {}, callback) {
+    if (options instanceof Function) {
+      callback = options
+      options = {}
+    }
+
+    const client = new InMemoryRedisClient({
+      ...this.options,
+      db    : this.selected_db,
+      ...options,
+      store : this.store
+    })
+
+    if (callback)
+      setImmediate(() => callback(null, client))
+
+    return client
+  }
+
+  /**
+   * Returns a new `MULTI`
+   *
+   * @param {Array<Array>} [commands] The commands to queue
+   *
+   * @return {InMemoryRedisMulti} The multi
+  */
+  multi(commands) {
+    return new InMemoryRedisMulti(this, commands)
+  }
+
+  /**
+   * Same as [`multi`]{@link InMemoryRedisClient.multi}
+   *
+   * @param {Array<Array>} [commands] The commands to queue
+   *
+   * @return {InMemoryRedisMulti} The multi
+  */
+  batch(commands) {
+    return this.multi(commands)
+  }
+
+  /**
+   * Watches the keys (the next `exec` of a multi of this client is aborted when any of them is changed meanwhile)
+   *
+   * @param {...string} keys The key names (and optional `callback`)
+   *
+   * @return {Boolean} Always `true`
+  */
+  watch(...keys) {
+    const callback = typeof(keys[keys.length - 1]) == 'function' ?
+      keys.pop() :
+      null
+
+    if (!this.watching)
+      this.watching = { keys: new Set(), isChanged: false }
+
+    getCommandArgs(keys)
+      .forEach(key => this.watching.keys.add(`${this.selected_db}:${key}`))
+
+    this.store.watchers.add(this)
+
+    return this._reply(null, 'OK', callback)
+  }
+
+  /**
+   * Stops watching the keys (@see {@link InMemoryRedisClient.watch})
+   *
+   * @param {Function} [callback] The `callback(error, reply)`
+   *
+   * @return {Boolean} Always `true`
+  */
+  unwatch(callback) {
+    this._unwatch()
+
+    return this._reply(null, 'OK', callback)
+  }
+
+  /**
+   * Selects the database
+   *
+   * @param {Number} index The database index
+   * @param {Function} [callback] The `callback(error, reply)`
+   *
+   * @return {Boolean} Always `true`
+  */
+  select(index, callback) {
+    let error = null
+
+    try {
+      this.selected_db = toInteger(index)
+    }
+    catch (e) {
+      error = e
+    }
+
+    return this._reply(error, error ? null : 'OK', callback)
+  }
+
+  /**
+   * Closes the client
+   *
+   * @param {Function} [callback] The `callback(error, reply)`
+   *
+   * @return {Boolean} Always `true`
+  */
+  quit(callback) {
+    this.end()
+
+    return this._reply(null, 'OK', callback)
+  }
+
+  /**
+   * Subscribes to the `channels` (emitting `message` events on each published message)
+   *
+   * @param {...string} channels The channels (and optional `callback`)
+   *
+   * @return {Boolean} Always `true`
+  */
+  subscribe(...channels) {
+    return this._setSubscriptions('subscribe', channels)
+  }
+
+  /**
+   * Subscribes to the channels matching the `patterns` (emitting `pmessage` events on each published message)
+   *
+   * @param {...string} patterns The glob-style patterns (and optional `callback`)
+   *
+   * @return {Boolean} Always `true`
+  */
+  psubscribe(...patterns) {
+    return this._setSubscriptions('psubscribe', patterns)
+  }
+
+  /**
+   * Unsubscribes from the `channels` (from all channels when none is passed)
+   *
+   * @param {...string} channels The channels (and optional `callback`)
+   *
+   * @return {Boolean} Always `true`
+  */
+  unsubscribe(...channels) {
+    return this._setSubscriptions('unsubscribe', channels)
+  }
+
+  /**
+   * Unsubscribes from the `patterns` (from all patterns when none is passed)
+   *
+   * @param {...string} patterns The glob-style patterns (and optional `callback`)
+   *
+   * @return {Boolean} Always `true`
+  */
+  punsubscribe(...patterns) {
+    return this._setSubscriptions('punsubscribe', patterns)
+  }
+
+  /**
+   * Pops the first value of the first non-empty list (blocking the client until a value is pushed or `timeout`)
+   *
+   * @param {...*} args The key names, the `timeout` (in seconds, `0` to block indefinitely) and optional `callback`
+   *
+   * @return {Boolean} Always `true`
+  */
+  blpop(...args) {
+    return this._blockingCommand('blpop', args, getPopTimeout)
+  }
+
+  /**
+   * Pops the last value of the first non-empty list (blocking the client until a value is pushed or `timeout`)
+   *
+   * @param {...*} args The key names, the `timeout` (in seconds, `0` to block indefinitely) and optional `callback`
+   *
+   * @return {Boolean} Always `true`
+  */
+  brpop(...args) {
+    return this._blockingCommand('brpop', args, getPopTimeout)
+  }
+
+  /**
+   * Reads the entries of the streams as a consumer group member (blocking the client until an entry is added or
+   * the `BLOCK` timeout, when passed)
+   *
+   * @param {...*} args The command arguments (`GROUP group consumer [COUNT n] [BLOCK ms] [NOACK] STREAMS key... id...`) and optional `callback`
+   *
+   * @return {Boolean} Always `true`
+  */
+  xreadgroup(...args) {
+    return this._blockingCommand('xreadgroup', args, getReadGroupTimeout)
+  }
+
+  /**
+   * Closes the client (without reply)
+   *
+   * @return {undefined}
+  */
+  end() {
+    if (this.connected) {
+      this.connected = false
+      this.ready = false
+      this.store.subscribers.delete(this)
+      this._unwatch()
+
+      setImmediate(() => this.emit('end'))
+    }
+  }
+
+  /**
+   * Does nothing (there is no connection to `unref`)
+   *
+   * @return {undefined}
+  */
+  unref() {}
+
+  /**
+   * Sends the `command` (as `node_redis` `send_command`)
+   *
+   * @param {string} command The command name (the module ones as `JSON.GET`)
+   * @param {Array} [args = []] The command arguments
+   * @param {Function} [callback] The `callback(error, reply)`
+   *
+   * @return {Boolean} Always `true`
+  */
+  send_command(command, args = [], callback) {
+    return this._sendCommand(command.toLowerCase().replace(/\./g, '_'), callback ? [ ...args, callback ] : [ ...args ])
+  }
+
+  /**
+   * Executes the command and replies (asynchronously) to its `callback`
+   *
+   * @param {string} name The command name
+   * @param {Array} args The command arguments (and optional `callback`)
+   *
+   * @return {Boolean} Always `true`
+  */
+  _sendCommand(name, args) {
+    const argsTemp = [ ...args ]
+
+    const callback = typeof(argsTemp[argsTemp.length - 1]) == 'function' ?
+      argsTemp.pop() :
+      null
+
+    let error = null
+    let reply = null
+
+    try {
+      reply = this._execute(name, argsTemp)
+    }
+    catch (e) {
+      error = e
+    }
+
+    return this._reply(error, reply, callback)
+  }
+
+  /**
+   * Executes the command
+   *
+   * @param {string} name The command name
+   * @param {Array} args The command arguments
+   *
+   * @return {*} The command reply
+   *
+   * @throws {InMemoryRedisError} Any command error
+  */
+  _execute(name, args) {
+    if (!this.connected)
+      throw new InMemoryRedisError('ERR The connection is already closed')
+
+    if (!COMMANDS[name] || (this.options.jsonModule === false && name.startsWith('json_')))
+      throw new InMemoryRedisError(`ERR unknown command '${name}'`)
+
+    return fromBinaryReply(COMMANDS[name](this.keyspace, ...getCommandArgs(args)), Boolean(this.options.return_buffers))
+  }
+
+  /**
+   * Executes the blocking command until it replies or its timeout ends (checking the keys on each `BLOCKING_INTERVAL` ms)
+   *
+   * @param {string} name The command name (i.e. `blpop`, `xreadgroup`)
+   * @param {Array} args The command arguments (and optional `callback`)
+   * @param {Function} getTimeout The `function(commandArgs)` returning the timeout in ms (`0` to block indefinitely or `null` to not block)
+   *
+   * @return {Boolean} Always `true`
+  */
+  _blockingCommand(name, args, getTimeout) {
+    const argsTemp = [ ...args ]
+
+    const callback = typeof(argsTemp[argsTemp.length - 1]) == 'function' ?
+      argsTemp.pop() :
+      null
+
+    const commandArgs = getCommandArgs(argsTemp)
+
+    let deadline = null
+
+    const execute = () => {
+      let error = null
+      let reply = null
+
+      try {
+        if (deadline == null) {
+          const timeout = getTimeout(commandArgs)
+
+          deadline = timeout == null || timeout > 0 ?
+            Date.now() + (timeout || 0) :
+            Infinity
+        }
+
+        reply = this._execute(name, argsTemp)
+      }
+      catch (e) {
+        error = e
+      }
+
+      if (error || reply || Date.now() >= deadline) {
+        this.command_queue._length--
+        this._reply(error, reply, callback)
+      }
+      else
+        setTimeout(execute, BLOCKING_INTERVAL)
+    }
+
+    this.command_queue._length++
+
+    execute()
+
+    return true
+  }
+
+  /**
+   * Marks the watched keys as changed in case the `key` is one of them (@see {@link InMemoryRedisClient.watch})
+   *
+   * @param {Number} index The database index
+   * @param {string} key The key name
+   *
+   * @return {undefined}
+  */
+  _touchWatched(index, key) {
+    if (this.watching && this.watching.keys.has(`${index}:${key}`))
+      this.watching.isChanged = true
+  }
+
+  /**
+   * Stops watching the keys
+   *
+   * @return {Boolean} Whether any watched key was changed or not
+  */
+  _unwatch() {
+    const isChanged = Boolean(this.watching && this.watching.isChanged)
+
+    this.watching = null
+    this.store.watchers.delete(this)
+
+    return isChanged
+  }
+
+  /**
+   * Adds/removes the subscriptions of `type` and emits its events (as `node_redis` `subscribe` events)
+   *
+   * @param {string} type The subscription command (`subscribe`, `psubscribe`, `unsubscribe` or `punsubscribe`)
+   * @param {Array} args The channels/patterns (and optional `callback`)
+   *
+   * @return {Boolean} Always `true`
+  */
+  _setSubscriptions(type, args) {
+    const argsTemp = [ ...args ]
+
+    const callback = typeof(argsTemp[argsTemp.length - 1]) == 'function' ?
+      argsTemp.pop() :
+      null
+
+    const isSubscribe = !type.includes('unsubscribe')
+    const subscriptions = type.startsWith('p') ?
+      this.subscriptions.patterns :
+      this.subscriptions.channels
+
+    let channels = getCommandArgs(argsTemp)
+    let error = null
+
+    if (!isSubscribe && !channels.length)
+      channels = [ ...subscriptions ]
+
+    if (!this.connected)
+      error = new InMemoryRedisError('ERR The connection is already closed')
+    else {
+      channels
+        .forEach(channel => isSubscribe ? subscriptions.add(channel) : subscriptions.delete(channel))
+
+      const count = this.subscriptions.channels.size + this.subscriptions.patterns.size
+
+      if (count)
+        this.store.subscribers.add(this)
+      else
+        this.store.subscribers.delete(this)
+
+      setImmediate(() => channels.forEach(channel => this.emit(type, fromBinaryReply(channel), count)))
+    }
+
+    return this._reply(error, channels.length ? fromBinaryReply(channels[0]) : null, callback)
+  }
+
+  /**
+   * Emits (asynchronously) the `message` published on the `channel` when subscribed to it
+   *
+   * @param {string} channel The channel
+   * @param {string} message The message
+   *
+   * @return {Boolean} Whether the client is subscribed to the `channel`
+  */
+  _receive(channel, message) {
+    let isReceived = false
+
+    if (this.subscriptions.channels.has(channel)) {
+      isReceived = true
+
+      setImmediate(() => this.emit('message', fromBinaryReply(channel), fromBinaryReply(message)))
+    }
+
+    this.subscriptions.patterns
+      .forEach(pattern => {
+        if (InMemoryRedisKeyspace.getPatternRegex(pattern).test(channel)) {
+          isReceived = true
+
+          setImmediate(() => this.emit('pmessage', fromBinaryReply(pattern), fromBinaryReply(channel), fromBinaryReply(message)))
+        }
+      })
+
+    return isReceived
+  }
+
+  /**
+   * Replies to the `callback` on the next loop iteration (keeping the command on `command_queue` meanwhile)
+   *
+   * @param {Error} error The command error
+   * @param {*} reply The command reply
+   * @param {Function} [callback] The `callback(error, reply)`
+   *
+   * @return {Boolean} Always `true`
+  */
+  _reply(error, reply, callback) {
+    this.command_queue._length++
+
+    setImmediate(() => {
+      this.command_queue._length--
+
+      if (callback)
+        callback(error, reply)
+      else if (error && this.listenerCount('error'))
+        this.emit('error', error)
+    })
+
+    return true
+  }
+}
+
+// The commands with their own client method (i.e. the blocking ones) are kept
+Object
+  .keys(COMMANDS)
+  .filter(name => !Object.prototype.hasOwnProperty.call(InMemoryRedisClient.prototype, name))
+  .forEach(name => {
+    InMemoryRedisClient.prototype[name] = function(...args) {
+      return this._sendCommand(name, args)
+    }
+  })
+
+addAsyncMethods(InMemoryRedisClient.prototype, [
+  ...Object.keys(COMMANDS),
+  'select',
+  'watch',
+  'unwatch',
+  'quit',
+  'duplicate',
+  'send_command',
+  'subscribe',
+  'psubscribe',
+  'unsubscribe',
+  'punsubscribe'
+])
+
+module.exports = InMemoryRedisClient
\ No newline at end of file
@@ -0,0 +1,22 @@
+'use strict'
+
+/**
+ * Error replied by the [`InMemoryRedisClient`]{@link InMemoryRedisClient} commands
+ * (mimics the `ReplyError` of `node_redis`)
+ *
+ * @class InMemoryRedisError
+ * @extends {Error}
+*/
+class InMemoryRedisError extends Error {
+  /**
+   * @param {string} message The error message (i.e. `WRONGTYPE Operation against...`)
+  */
+  constructor(message) {
+    super(message)
+
+    this.name = 'ReplyError'
+    this.code = message.split(' ')[0]
+  }
+}
+
+module.exports = InMemoryRedisError
\ No newline at end of file
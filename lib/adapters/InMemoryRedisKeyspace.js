@@ -0,0 +1,312 @@
+'use strict'
+
+const InMemoryRedisError = require('./InMemoryRedisError')
+
+const WRONG_TYPE_MESSAGE = 'WRONGTYPE Operation against a key holding the wrong kind of value'
+
+const MAX_TIMEOUT = 2147483647
+
+/**
+ * A `redis` database (i.e. `SELECT <index>`) kept in memory
+ *
+ * @class InMemoryRedisKeyspace
+*/
+class InMemoryRedisKeyspace {
+  /**
+   * @param {InMemoryRedisStore} store The store that holds the keyspace
+   * @param {Number} index The database index
+  */
+  constructor(store, index) {
+    this.store = store
+    this.index = index
+    this.entries = new Map()
+    this.sequence = 0
+  }
+
+  /**
+   * Publishes the keyspace notification of the `event` on the `key` (@see {@link InMemoryRedisStore.notify})
+   *
+   * @param {string} type The event class (i.e. `g` for generic, `$` for string, `h` for hash...)
+   * @param {string} event The event name
+   * @param {string} key The key name
+   *
+   * @return {undefined}
+  */
+  notify(type, event, key) {
+    this.store.notify(this.index, type, event, key)
+  }
+
+  /**
+   * Returns the `entry` of the `key` (removing it when expired)
+   *
+   * @param {string} key The key name
+   *
+   * @return {Object} The `entry` (`{ type, value, expiresAt }`) or `undefined`
+  */
+  getEntry(key) {
+    let entry = this.entries.get(key)
+
+    if (entry && entry.expiresAt != null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key)
+      this.notify('x', 'expired', key)
+
+      entry = undefined
+    }
+
+    return entry
+  }
+
+  /**
+   * Returns the value of the `key`
+   *
+   * @param {string} key The key name
+   * @param {string} [type] The expected type (i.e. `hash`, `set`, `ReJSON-RL`)
+   *
+   * @return {*} The value or `undefined`
+   *
+   * @throws {InMemoryRedisError} When the `key` holds another `type`
+  */
+  get(key, type) {
+    const entry = this.getEntry(key)
+
+    if (entry && type && entry.type != type)
+      throw new InMemoryRedisError(WRONG_TYPE_MESSAGE)
+
+    return entry ?
+      entry.value :
+      undefined
+  }
+
+  /**
+   * Sets the value of the `key`
+   *
+   * @param {string} key The key name
+   * @param {string} type The value type
+   * @param {*} value The value
+   * @param {Boolean} [keepTTL = true] Whether to keep the current expiration or not
+   *
+   * @return {*} The value
+  */
+  set(key, type, value, keepTTL = true) {
+    const entry = this.getEntry(key)
+
+    this.entries.set(key, {
+      type,
+      value,
+      expiresAt: keepTTL && entry ?
+        entry.expiresAt :
+        null,
+      sequence: entry ?
+        entry.sequence :
+        ++this.sequence
+    })
+
+    return value
+  }
+
+  /**
+   * Deletes the `key`
+   *
+   * @param {string} key The key name
+   *
+   * @return {Boolean} Whether the `key` existed or not
+  */
+  delete(key) {
+    const exists = this.has(key)
+
+    this.entries.delete(key)
+
+    return exists
+  }
+
+  /**
+   * Returns whether the `key` exists or not
+   *
+   * @param {string} key The key name
+   *
+   * @return {Boolean} Whether the `key` exists or not
+  */
+  has(key) {
+    return this.getEntry(key) !== undefined
+  }
+
+  /**
+   * Returns the key type (as in `TYPE <key>`)
+   *
+   * @param {string} key The key name
+   *
+   * @return {string} The `type` or `none`
+  */
+  type(key) {
+    const entry = this.getEntry(key)
+
+    return entry ?
+      entry.type :
+      'none'
+  }
+
+  /**
+   * Returns the key names matching the `pattern`
+   *
+   * @param {string} [pattern = '*'] The glob-style pattern
+   *
+   * @return {Array<string>} The key names
+  */
+  keys(pattern = '*') {
+    const regex = InMemoryRedisKeyspace
+      .getPatternRegex(pattern)
+
+    return [ ...this.entries.keys() ]
+      .filter(key => this.has(key) && regex.test(key))
+  }
+
+  /**
+   * Returns a page of the key names matching the `pattern` (as in `SCAN <cursor>`)
+   *
+   * The cursor is the insertion sequence of the last key returned, so the keys that exist
+   * during the whole iteration are always returned (even when other keys are deleted)
+   *
+   * @param {Number} cursor The cursor (`0` to start the iteration)
+   * @param {string} [pattern = '*'] The glob-style pattern
+   * @param {Number} [count = 10] The max count of keys to check
+   * @param {string} [type] The key type
+   *
+   * @return {Object} The page (`{ cursor, keys }`, with `cursor` `0` when the iteration is over)
+  */
+  scan(cursor, pattern = '*', count = 10, type) {
+    const regex = InMemoryRedisKeyspace
+      .getPatternRegex(pattern)
+
+    const keys = []
+
+    let cursorTemp = 0
+    let checked = 0
+
+    for (const [ key, entry ] of this.entries) {
+      if (checked == count)
+        break
+
+      if (entry.sequence > cursor && this.has(key)) {
+        checked++
+        cursorTemp = entry.sequence
+
+        if (regex.test(key) && (!type || entry.type == type))
+          keys.push(key)
+      }
+    }
+
+    if (checked < count)
+      cursorTemp = 0
+
+    return { cursor: cursorTemp, keys }
+  }
+
+  /**
+   * Returns the expiration timestamp (ms) of the `key`
+   *
+   * @param {string} key The key name
+   *
+   * @return {Number} The timestamp (`null` when it does not expire or `undefined` when the `key` does not exist)
+  */
+  getExpiration(key) {
+    const entry = this.getEntry(key)
+
+    return entry ?
+      entry.expiresAt :
+      undefined
+  }
+
+  /**
+   * Sets the expiration timestamp (ms) of the `key` (the `key` is removed on this time, as `redis` active expiration)
+   *
+   * @param {string} key The key name
+   * @param {Number} expiresAt The timestamp (or `null` to persist the `key`)
+   *
+   * @return {Boolean} Whether the `key` exists or not
+  */
+  setExpiration(key, expiresAt) {
+    const entry = this.getEntry(key)
+
+    if (entry) {
+      if (expiresAt != null && expiresAt <= Date.now()) {
+        this.entries.delete(key)
+        this.notify('g', 'del', key)
+      }
+      else {
+        entry.expiresAt = expiresAt
+
+        if (expiresAt != null && expiresAt - Date.now() < MAX_TIMEOUT) {
+          setTimeout(() => this.getEntry(key), expiresAt - Date.now())
+            .unref()
+        }
+      }
+    }
+
+    return entry !== undefined
+  }
+
+  /**
+   * Removes all the keys
+   *
+   * @return {Number} The count of removed keys
+  */
+  flush() {
+    const size = this.entries.size
+
+    this.entries.clear()
+
+    return size
+  }
+
+  /**
+   * Returns the count of keys
+   *
+   * @return {Number} The count of keys
+  */
+  size() {
+    return this.keys().length
+  }
+
+  /**
+   * Returns the `RegExp` of a glob-style `pattern` (as in `KEYS <pattern>`)
+   *
+   * @param {string} pattern The glob-style pattern
+   *
+   * @return {RegExp} The `pattern` regex
+  */
+  static getPatternRegex(pattern) {
+    let regex = ''
+
+    for (let index = 0; index < pattern.length; index++) {
+      const char = pattern[index]
+
+      if (char == '\\' && index + 1 < pattern.length)
+        regex += `\\${pattern[++index]}`
+      else if (char == '*')
+        regex += '.*'
+      else if (char == '?')
+        regex += '.'
+      else if (char == '[') {
+        const end = pattern.indexOf(']', index + 1)
+
+        if (end > index + 1) {
+          const chars = pattern.substring(index + 1, end)
+
+          regex += chars[0] == '^' ?
+            `[^${chars.substring(1).replace(/\\/g, '\\\\')}]` :
+            `[${chars.replace(/\\/g, '\\\\')}]`
+
+          index = end
+        }
+        else
+          regex += '\\['
+      }
+      else
+        regex += char.replace(/[.+^${}()|\]\\/]/g, '\\$&')
+    }
+
+    return new RegExp(`^${regex}$`, 's')
+  }
+}
+
+module.exports = InMemoryRedisKeyspace
\ No newline at end of file
@@ -0,0 +1,112 @@
+'use strict'
+
+const COMMANDS = require('./commands')
+
+const addAsyncMethods = require('./asyncMethods')
+
+/**
+ * The `MULTI` commands of an [`InMemoryRedisClient`]{@link InMemoryRedisClient}
+ * (mimics `node_redis` `Multi`: the commands are queued and executed atomically on `exec`)
+ *
+ * @class InMemoryRedisMulti
+*/
+class InMemoryRedisMulti {
+  /**
+   * @param {InMemoryRedisClient} client The client
+   * @param {Array<Array>} [commands = []] The commands to queue (i.e. `[ [ 'set', 'key', 'value' ] ]`)
+  */
+  constructor(client, commands = []) {
+    this._client = client
+    this.queue = []
+
+    commands
+      .forEach(([ name, ...args ]) => this._queueCommand(name.toLowerCase(), args))
+  }
+
+  /**
+   * Executes the queued commands (or none, replying `null`, when a key watched by the client was changed)
+   *
+   * @param {Function} [callback] The `callback(error, replies)`
+   *
+   * @return {Boolean} Always `true`
+  */
+  exec(callback) {
+    const queue = this.queue
+
+    this.queue = []
+
+    const replies = this._client._unwatch() ?
+      null :
+      queue
+        .map(({ name, args }) => {
+          try {
+            return this._client._execute(name, args)
+          }
+          catch (error) {
+            return error
+          }
+        })
+
+    this._client
+      ._reply(null, replies, () => {
+        (replies ? queue : [])
+          .forEach((command, index) => {
+            if (command.callback) {
+              if (replies[index] instanceof Error)
+                command.callback(replies[index])
+              else
+                command.callback(null, replies[index])
+            }
+          })
+
+        if (callback)
+          callback(null, replies)
+      })
+
+    return true
+  }
+
+  /**
+   * Same as [`exec`]{@link InMemoryRedisMulti.exec}
+   *
+   * @param {Function} [callback] The `callback(error, replies)`
+   *
+   * @return {Boolean} Always `true`
+  */
+  exec_atomic(callback) {
+    return this.exec(callback)
+  }
+
+  /**
+   * Queues the command
+   *
+   * @param {string} name The command name
+   * @param {Array} args The command arguments (and optional `callback`)
+   *
+   * @return {InMemoryRedisMulti} The multi
+  */
+  _queueCommand(name, args) {
+    const argsTemp = [ ...args ]
+
+    const callback = typeof(argsTemp[argsTemp.length - 1]) == 'function' ?
+      argsTemp.pop() :
+      null
+
+    this.queue
+      .push({ name, args: argsTemp, callback })
+
+    return this
+  }
+}
+
+Object
+  .keys(COMMANDS)
+  .forEach(name => {
+    InMemoryRedisMulti.prototype[name] = function(...args) {
+      return this._queueCommand(name, args)
+    }
+  })
+
+addAsyncMethods(InMemoryRedisMulti.prototype, [ ...Object.keys(COMMANDS), 'exec', 'exec_atomic' ])
+
+module.exports = InMemoryRedisMulti
\ No newline at end of file
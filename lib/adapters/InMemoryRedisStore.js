@@ -0,0 +1,105 @@
+'use strict'
+
+const InMemoryRedisKeyspace = require('./InMemoryRedisKeyspace')
+
+const NOTIFY_ALL_TYPES = 'g$lshzxetd'
+
+/**
+ * The data of an in-memory `redis` server (shared by the clients duplicated from each other)
+ *
+ * @class InMemoryRedisStore
+*/
+class InMemoryRedisStore {
+  constructor() {
+    this.keyspaces = new Map()
+    this.subscribers = new Set()
+    this.watchers = new Set()
+    this.scripts = new Map()
+    this.config = {
+      'notify-keyspace-events': ''
+    }
+  }
+
+  /**
+   * Returns the keyspace of the database `index`
+   *
+   * @param {Number} [index = 0] The database index
+   *
+   * @return {InMemoryRedisKeyspace} The keyspace
+  */
+  getKeyspace(index = 0) {
+    let keyspace = this.keyspaces.get(index)
+
+    if (!keyspace) {
+      keyspace = new InMemoryRedisKeyspace(this, index)
+
+      this.keyspaces.set(index, keyspace)
+    }
+
+    return keyspace
+  }
+
+  /**
+   * Removes all the keys of all the databases
+   *
+   * @return {Number} The count of removed keys
+  */
+  flush() {
+    let size = 0
+
+    this.keyspaces
+      .forEach(keyspace => {
+        size += keyspace.flush()
+      })
+
+    return size
+  }
+
+  /**
+   * Publishes the `message` to the clients subscribed to the `channel` (as in `PUBLISH`)
+   *
+   * @param {string} channel The channel
+   * @param {string} message The message
+   *
+   * @return {Number} The count of clients that received the `message`
+  */
+  publish(channel, message) {
+    let count = 0
+
+    this.subscribers
+      .forEach(client => {
+        if (client._receive(channel, message))
+          count++
+      })
+
+    return count
+  }
+
+  /**
+   * Publishes the keyspace/keyevent notification of the `event` (according to the `notify-keyspace-events` config)
+   * and marks the `key` as changed for the clients watching it (see `WATCH`)
+   *
+   * @param {Number} index The database index
+   * @param {string} type The event class (i.e. `g` for generic, `$` for string, `h` for hash, `x` for expired...)
+   * @param {string} event The event name (i.e. `set`, `del`, `expired`, `json.set`)
+   * @param {string} key The key name
+   *
+   * @return {undefined}
+  */
+  notify(index, type, event, key) {
+    const flags = this.config['notify-keyspace-events']
+
+    this.watchers
+      .forEach(client => client._touchWatched(index, key))
+
+    if (flags.includes(type) || (flags.includes('A') && NOTIFY_ALL_TYPES.includes(type))) {
+      if (flags.includes('K'))
+        this.publish(`__keyspace@${index}__:${key}`, event)
+
+      if (flags.includes('E'))
+        this.publish(`__keyevent@${index}__:${event}`, key)
+    }
+  }
+}
+
+module.exports = InMemoryRedisStore
\ No newline at end of file
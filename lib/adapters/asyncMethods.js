@@ -0,0 +1,30 @@
+'use strict'
+
+/**
+ * Adds the promisified version of the callback-style `methods` to the `prototype`
+ * (i.e. `getAsync` for `get`), as `bluebird.promisifyAll` does for `node_redis`
+ *
+ * @param {Object} prototype The prototype
+ * @param {Array<string>} methods The method names
+ *
+ * @return {Object} The prototype
+*/
+function addAsyncMethods(prototype, methods) {
+  methods
+    .forEach(method => {
+      prototype[`${method}Async`] = function(...args) {
+        return new Promise((resolve, reject) => {
+          this[method](...args, (error, reply) => {
+            if (error)
+              reject(error)
+            else
+              resolve(reply)
+          })
+        })
+      }
+    })
+
+  return prototype
+}
+
+module.exports = addAsyncMethods
\ No newline at end of file
@@ -0,0 +1,54 @@
+'use strict'
+
+const InMemoryRedisError = require('../InMemoryRedisError')
+
+/**
+ * Returns the command `argument` as integer
+ *
+ * @param {string} argument The command argument
+ *
+ * @return {Number} The integer value
+ *
+ * @throws {InMemoryRedisError} When `argument` is not an integer
+*/
+function toInteger(argument) {
+  const number = Number(argument)
+
+  if (argument === '' || !Number.isInteger(number))
+    throw new InMemoryRedisError('ERR value is not an integer or out of range')
+
+  return number
+}
+
+/**
+ * Returns the command `argument` as float (accepting `inf`, `+inf` and `-inf`)
+ *
+ * @param {string} argument The command argument
+ *
+ * @return {Number} The float value
+ *
+ * @throws {InMemoryRedisError} When `argument` is not a number
+*/
+function toFloat(argument) {
+  const infinities = {
+    'inf'   : Infinity,
+    '+inf'  : Infinity,
+    '-inf'  : -Infinity
+  }
+
+  const lowerArgument = String(argument).toLowerCase()
+
+  const number = lowerArgument in infinities ?
+    infinities[lowerArgument] :
+    Number(argument)
+
+  if (argument === '' || Number.isNaN(number))
+    throw new InMemoryRedisError('ERR value is not a valid float')
+
+  return number
+}
+
+module.exports = {
+  toInteger,
+  toFloat
+}
\ No newline at end of file
@@ -0,0 +1,199 @@
+'use strict'
+
+const InMemoryRedisError = require('../InMemoryRedisError')
+
+const { toInteger, toFloat } = require('./commandArguments')
+
+const TYPE = 'hash'
+
+/**
+ * Returns the hash `Map` of the `key` (creating it when `create` is `true`)
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {Boolean} [create = false] Whether to create the hash or not
+ *
+ * @return {Map} The hash
+*/
+function getHash(keyspace, key, create = false) {
+  let hash = keyspace.get(key, TYPE)
+
+  if (!hash && create)
+    hash = keyspace.set(key, TYPE, new Map())
+
+  return hash
+}
+
+/**
+ * Increments the `field` of the `key` hash by the `increment` (the missing fields are considered `0`)
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {string} field The field
+ * @param {Number} increment The increment
+ * @param {Function} parse The `function(value)` parsing the field value (`toInteger` or `toFloat`)
+ * @param {string} command The command name (notified)
+ *
+ * @return {Number} The incremented value
+ *
+ * @throws {InMemoryRedisError} When the field value is not a number
+*/
+function incrementField(keyspace, key, field, increment, parse, command) {
+  const hash = getHash(keyspace, key, true)
+
+  let value = 0
+
+  if (hash.has(field)) {
+    try {
+      value = parse(hash.get(field))
+    }
+    catch (e) {
+      throw new InMemoryRedisError(parse == toInteger ? 'ERR hash value is not an integer' : 'ERR hash value is not a float')
+    }
+  }
+
+  value += increment
+
+  hash.set(field, String(value))
+
+  keyspace.notify('h', command, key)
+
+  return value
+}
+
+/**
+ * Hash commands (`HGET`, `HSET`, `HMGET`, `HGETALL`...)
+ * Each command receives the [`InMemoryRedisKeyspace`]{@link InMemoryRedisKeyspace} and the command arguments
+*/
+const hashCommands = {
+  hget(keyspace, key, field) {
+    const hash = getHash(keyspace, key)
+
+    return hash && hash.has(field) ?
+      hash.get(field) :
+      null
+  },
+
+  hmget(keyspace, key, ...fields) {
+    return fields
+      .map(field => hashCommands.hget(keyspace, key, field))
+  },
+
+  hset(keyspace, key, ...fieldValues) {
+    if (!fieldValues.length || fieldValues.length % 2 != 0)
+      throw new InMemoryRedisError('ERR wrong number of arguments for \'hset\' command')
+
+    const hash = getHash(keyspace, key, true)
+
+    let count = 0
+
+    for (let index = 0; index < fieldValues.length; index += 2) {
+      if (!hash.has(fieldValues[index]))
+        count++
+
+      hash.set(fieldValues[index], fieldValues[index + 1])
+    }
+
+    keyspace.notify('h', 'hset', key)
+
+    return count
+  },
+
+  hsetnx(keyspace, key, field, value) {
+    const hash = getHash(keyspace, key)
+
+    let reply = 0
+
+    if (!hash || !hash.has(field))
+      reply = hashCommands.hset(keyspace, key, field, value)
+
+    return reply
+  },
+
+  hincrby(keyspace, key, field, increment) {
+    return incrementField(keyspace, key, field, toInteger(increment), toInteger, 'hincrby')
+  },
+
+  hincrbyfloat(keyspace, key, field, increment) {
+    const value = incrementField(keyspace, key, field, toFloat(increment), toFloat, 'hincrbyfloat')
+
+    return String(value)
+  },
+
+  hmset(keyspace, key, ...fieldValues) {
+    hashCommands.hset(keyspace, key, ...fieldValues)
+
+    return 'OK'
+  },
+
+  hdel(keyspace, key, ...fields) {
+    const hash = getHash(keyspace, key)
+
+    let count = 0
+
+    if (hash) {
+      count = fields
+        .filter(field => hash.delete(field))
+        .length
+
+      if (count)
+        keyspace.notify('h', 'hdel', key)
+
+      if (!hash.size) {
+        keyspace.delete(key)
+        keyspace.notify('g', 'del', key)
+      }
+    }
+
+    return count
+  },
+
+  hexists(keyspace, key, field) {
+    const hash = getHash(keyspace, key)
+
+    return hash && hash.has(field) ? 1 : 0
+  },
+
+  hkeys(keyspace, key) {
+    const hash = getHash(keyspace, key)
+
+    return hash ?
+      [ ...hash.keys() ] :
+      []
+  },
+
+  hvals(keyspace, key) {
+    const hash = getHash(keyspace, key)
+
+    return hash ?
+      [ ...hash.values() ] :
+      []
+  },
+
+  hlen(keyspace, key) {
+    const hash = getHash(keyspace, key)
+
+    return hash ?
+      hash.size :
+      0
+  },
+
+  hgetall(keyspace, key) {
+    const hash = getHash(keyspace, key)
+
+    let object = null
+
+    if (hash) {
+      object = {}
+
+      hash
+        .forEach((value, field) => {
+          object[field] = value
+        })
+    }
+
+    return object
+  }
+}
+
+module.exports = hashCommands
\ No newline at end of file
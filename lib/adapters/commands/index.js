@@ -0,0 +1,26 @@
+'use strict'
+
+const keyCommands = require('./keyCommands')
+const stringCommands = require('./stringCommands')
+const hashCommands = require('./hashCommands')
+const setCommands = require('./setCommands')
+const listCommands = require('./listCommands')
+const zsetCommands = require('./zsetCommands')
+const streamCommands = require('./streamCommands')
+const jsonCommands = require('./jsonCommands')
+const scriptCommands = require('./scriptCommands')
+
+/**
+ * The commands supported by the [`InMemoryRedisClient`]{@link InMemoryRedisClient} (by lower case name)
+*/
+module.exports = {
+  ...keyCommands,
+  ...stringCommands,
+  ...hashCommands,
+  ...setCommands,
+  ...listCommands,
+  ...zsetCommands,
+  ...streamCommands,
+  ...jsonCommands,
+  ...scriptCommands
+}
\ No newline at end of file
@@ -0,0 +1,843 @@
+'use strict'
+
+const InMemoryRedisError = require('../InMemoryRedisError')
+
+const { toInteger } = require('./commandArguments')
+
+const TYPE = 'ReJSON-RL'
+
+const JSON_GET_OPTIONS = [ 'INDENT', 'NEWLINE', 'SPACE' ]
+
+const PATH_TOKEN_REGEX = /\.?([^.[\]"']+)|\[(-?\d+)\]|\[["']([^"']*)["']\]/y
+
+const JSON_PATH_TOKEN_REGEX = /(\.\.?)(?:([^.[\]"'*]+)|\*)|(\.\.)?\[(?:(-?\d+)|\*|["']([^"']*)["'])\]/y
+
+/**
+ * Returns the list of tokens (object keys / array indexes) of a legacy `path` (i.e. `.a.b[0]`)
+ *
+ * @param {string} [path = '.'] The `path`
+ *
+ * @return {Array<(string | Number)>} The path tokens
+ *
+ * @throws {InMemoryRedisError} When the `path` is invalid
+*/
+function getPathTokens(path = '.') {
+  const tokens = []
+
+  let pathTemp = path
+
+  if (pathTemp == '.' || pathTemp == '$')
+    pathTemp = ''
+  else if (pathTemp.startsWith('$'))
+    pathTemp = pathTemp.substring(1)
+
+  PATH_TOKEN_REGEX.lastIndex = 0
+
+  while (PATH_TOKEN_REGEX.lastIndex < pathTemp.length) {
+    const result = PATH_TOKEN_REGEX.exec(pathTemp)
+
+    if (!result)
+      throw new InMemoryRedisError(`ERR Search path error at offset ${PATH_TOKEN_REGEX.lastIndex}: syntax error`)
+
+    if (result[2] !== undefined)
+      tokens.push(Number(result[2]))
+    else
+      tokens.push(result[1] !== undefined ? result[1] : result[3])
+  }
+
+  return tokens
+}
+
+/**
+ * Returns whether the `path` is a `JSONPath` (i.e. `$.a.b[0]`, replied as an array of matches) or a legacy one
+ *
+ * @param {string} [path] The `path`
+ *
+ * @return {Boolean} Whether the `path` is a `JSONPath` or not
+*/
+function isJSONPath(path) {
+  return typeof(path) == 'string' && path.startsWith('$')
+}
+
+/**
+ * Returns the `JSONPath` of the legacy `path` (i.e. `$.a.b` for `.a.b`)
+ *
+ * @param {string} [path = '.'] The `path`
+ *
+ * @return {string} The `JSONPath`
+*/
+function toJSONPath(path = '.') {
+  let jsonPath = path
+
+  if (path == '.')
+    jsonPath = '$'
+  else if (!isJSONPath(path))
+    jsonPath = path.startsWith('.') || path.startsWith('[') ? `$${path}` : `$.${path}`
+
+  return jsonPath
+}
+
+/**
+ * Returns the list of tokens of a `JSONPath` (keys, indexes and `*` wildcards, optionally preceded by `..` for recursive descent)
+ *
+ * @param {string} path The `JSONPath`
+ *
+ * @return {Array<Object>} The path tokens (`{ type, value, recursive }`, `type` as `key`, `index` or `wildcard`)
+ *
+ * @throws {InMemoryRedisError} When the `path` is invalid (i.e. filter expressions)
+*/
+function getJSONPathTokens(path) {
+  const tokens = []
+
+  const pathTemp = path.substring(1)
+
+  JSON_PATH_TOKEN_REGEX.lastIndex = 0
+
+  while (JSON_PATH_TOKEN_REGEX.lastIndex < pathTemp.length) {
+    const offset = JSON_PATH_TOKEN_REGEX.lastIndex
+    const result = JSON_PATH_TOKEN_REGEX.exec(pathTemp)
+
+    if (!result)
+      throw new InMemoryRedisError(`ERR Search path error at offset ${offset + 1}: syntax error`)
+
+    const [ , dots, key, bracketDots, index, bracketKey ] = result
+
+    const token = {
+      type      : 'wildcard',
+      value     : null,
+      recursive : (dots || bracketDots) == '..'
+    }
+
+    if (index !== undefined) {
+      token.type = 'index'
+      token.value = Number(index)
+    }
+    else if (key !== undefined || bracketKey !== undefined) {
+      token.type = 'key'
+      token.value = key !== undefined ? key : bracketKey
+    }
+
+    tokens.push(token)
+  }
+
+  return tokens
+}
+
+/**
+ * Returns the children of the `value` (`{ parent, key, value }`)
+ *
+ * @param {*} value The value
+ *
+ * @return {Array<Object>} The children (empty when `value` is not an object/array)
+*/
+function getChildren(value) {
+  let children = []
+
+  if (value instanceof Array)
+    children = value.map((item, index) => ({ parent: value, key: index, value: item }))
+  else if (value instanceof Object)
+    children = Object.keys(value).map(key => ({ parent: value, key, value: value[key] }))
+
+  return children
+}
+
+/**
+ * Returns the `value` and all its descendants (`{ parent, key, value }`)
+ *
+ * @param {Object} match The match (`{ parent, key, value }`)
+ *
+ * @return {Array<Object>} The matches
+*/
+function getDescendants(match) {
+  return getChildren(match.value)
+    .reduce((matches, child) => matches.concat(getDescendants(child)), [ match ])
+}
+
+/**
+ * Returns the values matched by the `JSONPath` `tokens` on the `document`
+ *
+ * @param {*} document The `JSON` document
+ * @param {Array<Object>} tokens The `JSONPath` tokens (@see {@link getJSONPathTokens})
+ *
+ * @return {Array<Object>} The matches (`{ parent, key, value }`, `parent` is `null` for the root)
+*/
+function getJSONPathMatches(document, tokens) {
+  return tokens
+    .reduce((matches, token) => {
+      const candidates = token.recursive ?
+        matches.reduce((candidatesTemp, match) => candidatesTemp.concat(getDescendants(match)), []) :
+        matches
+
+      return candidates
+        .reduce((matchesTemp, { value }) => {
+          if (token.type == 'wildcard')
+            return matchesTemp.concat(getChildren(value))
+
+          const child = getAtPath(value, [ token.value ])
+
+          if (child.found) {
+            const key = token.type == 'index' && token.value < 0 ?
+              value.length + token.value :
+              token.value
+
+            matchesTemp.push({ parent: value, key, value: child.value })
+          }
+
+          return matchesTemp
+        }, [])
+    }, [ { parent: null, key: null, value: document } ])
+}
+
+/**
+ * Returns the `value` at `tokens` of the `document`
+ *
+ * @param {*} document The `JSON` document
+ * @param {Array<(string | Number)>} tokens The path tokens
+ *
+ * @return {Object} The result (`{ found, value }`)
+*/
+function getAtPath(document, tokens) {
+  let value = document
+  let found = true
+
+  for (const token of tokens) {
+    if (typeof(token) == 'number' && value instanceof Array) {
+      const index = token < 0 ?
+        value.length + token :
+        token
+
+      found = index >= 0 && index < value.length
+      value = value[index]
+    }
+    else if (typeof(token) == 'string' && value instanceof Object && !(value instanceof Array)) {
+      found = Object.prototype.hasOwnProperty.call(value, token)
+      value = value[token]
+    }
+    else
+      found = false
+
+    if (!found) {
+      value = undefined
+      break
+    }
+  }
+
+  return { found, value }
+}
+
+/**
+ * Returns the `value` at `path` of the `document`
+ *
+ * @param {*} document The `JSON` document
+ * @param {string} path The `path`
+ *
+ * @return {*} The value
+ *
+ * @throws {InMemoryRedisError} When the `path` does not exist
+*/
+function getPathValue(document, path) {
+  const { found, value } = getAtPath(document, getPathTokens(path))
+
+  if (!found)
+    throw new InMemoryRedisError(`ERR Path '${path}' does not exist`)
+
+  return value
+}
+
+/**
+ * Returns the value at `path` of the `document` checking its type
+ *
+ * @param {*} document The `JSON` document
+ * @param {string} path The `path`
+ * @param {string} type The expected type (`array` or `object`)
+ *
+ * @return {*} The value
+ *
+ * @throws {InMemoryRedisError} When the value is not of `type`
+*/
+function getTypedPathValue(document, path, type) {
+  const value = getPathValue(document, path)
+  const valueType = getType(value)
+
+  if (valueType != type)
+    throw new InMemoryRedisError(`ERR wrong type of path value - expected ${type} but found ${valueType}`)
+
+  return value
+}
+
+/**
+ * Returns the `JSON` type of the `value` (as in `JSON.TYPE`)
+ *
+ * @param {*} value The value
+ *
+ * @return {string} The type
+*/
+function getType(value) {
+  let type = typeof(value)
+
+  if (value === null)
+    type = 'null'
+  else if (value instanceof Array)
+    type = 'array'
+  else if (type == 'number')
+    type = Number.isInteger(value) ? 'integer' : 'number'
+
+  return type
+}
+
+/**
+ * Parses the `json` string argument
+ *
+ * @param {string} json The `JSON` string
+ *
+ * @return {*} The parsed value
+ *
+ * @throws {InMemoryRedisError} When `json` is invalid
+*/
+function parseJSON(json) {
+  try {
+    return JSON.parse(json)
+  }
+  catch (error) {
+    throw new InMemoryRedisError(`ERR ${error.message}`)
+  }
+}
+
+/**
+ * Returns the `document` of the `key`
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ *
+ * @return {*} The `JSON` document (`undefined` when the `key` does not exist)
+*/
+function getDocument(keyspace, key) {
+  return keyspace.get(key, TYPE)
+}
+
+/**
+ * Sets the `json` value on the values matched by the `JSONPath` (`JSON.SET key $.a.b json`)
+ *
+ * When there is no match, the last key is created on the (object) values matched by the parent path
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {string} path The `JSONPath`
+ * @param {string} json The `JSON` string of the value
+ * @param {string} [option] The condition (`NX` or `XX`)
+ *
+ * @return {string} `OK` (`null` when nothing was set)
+*/
+function setJSONPath(keyspace, key, path, json, option) {
+  const document = getDocument(keyspace, key)
+  const tokens = getJSONPathTokens(path)
+
+  parseJSON(json)
+
+  if (document === undefined)
+    throw new InMemoryRedisError('ERR new objects must be created at the root')
+
+  const condition = option ?
+    option.toUpperCase() :
+    null
+
+  let matches = getJSONPathMatches(document, tokens)
+
+  if (matches.length) {
+    if (condition == 'NX')
+      matches = []
+  }
+  else {
+    const token = tokens[tokens.length - 1]
+
+    if (condition != 'XX' && token.type == 'key' && !token.recursive) {
+      matches = getJSONPathMatches(document, tokens.slice(0, -1))
+        .filter(({ value }) => getType(value) == 'object')
+        .map(({ value }) => ({ parent: value, key: token.value }))
+    }
+  }
+
+  matches
+    .forEach(({ parent, key: childKey }) => {
+      parent[childKey] = JSON.parse(json)
+    })
+
+  if (matches.length)
+    keyspace.notify('d', 'json.set', key)
+
+  return matches.length ?
+    'OK' :
+    null
+}
+
+/**
+ * Deletes the values matched by the `JSONPath` (`JSON.DEL key $.a.b`)
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {string} path The `JSONPath`
+ *
+ * @return {Number} The count of deleted values
+*/
+function deleteJSONPath(keyspace, key, path) {
+  const document = getDocument(keyspace, key)
+
+  const matches = document !== undefined ?
+    getJSONPathMatches(document, getJSONPathTokens(path)) :
+    []
+
+  matches
+    .sort((match, otherMatch) => otherMatch.key - match.key)
+    .forEach(({ parent, key: childKey }) => {
+      if (parent instanceof Array)
+        parent.splice(childKey, 1)
+      else
+        delete parent[childKey]
+    })
+
+  if (matches.length)
+    keyspace.notify('d', 'json.del', key)
+
+  return matches.length
+}
+
+/**
+ * Replaces the values at `path` of the `key` document by the `update` ones
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {string} path The `path` (all the matches are updated in case of `JSONPath`)
+ * @param {string} type The expected type of the values (`number`, `string`, `array` or `boolean`)
+ * @param {Function} update The `function(value)` returning the `{ value, reply }` of each value
+ *
+ * @return {Array} The replies of each value
+ *
+ * @throws {InMemoryRedisError} When the `key` or the `path` does not exist or a value is not of `type`
+*/
+function updatePathValues(keyspace, key, path, type, update) {
+  const document = getDocument(keyspace, key)
+
+  if (document === undefined)
+    throw new InMemoryRedisError('ERR could not perform this operation on a key that doesn\'t exist')
+
+  const matches = getJSONPathMatches(document, getJSONPathTokens(toJSONPath(path)))
+
+  if (!matches.length && !isJSONPath(path))
+    throw new InMemoryRedisError(`ERR Path '${path}' does not exist`)
+
+  return matches
+    .map(match => {
+      const valueType = getType(match.value)
+
+      if (valueType != type && !(type == 'number' && valueType == 'integer'))
+        throw new InMemoryRedisError(`ERR wrong type of path value - expected ${type} but found ${valueType}`)
+
+      const { value, reply } = update(match.value)
+
+      if (match.parent)
+        match.parent[match.key] = value
+      else
+        keyspace.set(key, TYPE, value)
+
+      return reply
+    })
+}
+
+/**
+ * Returns the `value` merged with the `patch` (`JSON` merge patch: the `null` attrs are removed and the objects are merged recursively)
+ *
+ * @param {*} value The value
+ * @param {*} patch The patch
+ *
+ * @return {*} The merged value
+*/
+function mergeJSON(value, patch) {
+  let merged = patch
+
+  if (getType(patch) == 'object') {
+    merged = getType(value) == 'object' ?
+      value :
+      {}
+
+    Object
+      .keys(patch)
+      .forEach(attr => {
+        if (patch[attr] === null)
+          delete merged[attr]
+        else
+          merged[attr] = mergeJSON(merged[attr], patch[attr])
+      })
+  }
+
+  return merged
+}
+
+/**
+ * ReJSON module commands (`JSON.GET` as `json_get`, `JSON.SET` as `json_set`...)
+ * Each command receives the [`InMemoryRedisKeyspace`]{@link InMemoryRedisKeyspace} and the command arguments
+*/
+const jsonCommands = {
+  json_get(keyspace, key, ...params) {
+    const document = getDocument(keyspace, key)
+    const paths = []
+
+    for (let index = 0; index < params.length; index++) {
+      const param = params[index]
+
+      if (JSON_GET_OPTIONS.includes(param.toUpperCase()))
+        index++
+      else if (param.toUpperCase() != 'NOESCAPE')
+        paths.push(param)
+    }
+
+    let reply = null
+
+    if (document !== undefined) {
+      const getValue = paths.some(isJSONPath) ?
+        path => getJSONPathMatches(document, getJSONPathTokens(toJSONPath(path))).map(({ value }) => value) :
+        path => getPathValue(document, path)
+
+      if (paths.length > 1) {
+        const values = {}
+
+        paths
+          .forEach(path => {
+            values[path] = getValue(path)
+          })
+
+        reply = JSON.stringify(values)
+      }
+      else
+        reply = JSON.stringify(getValue(paths[0]))
+    }
+
+    return reply
+  },
+
+  json_mget(keyspace, ...keysPath) {
+    const path = keysPath[keysPath.length - 1]
+
+    if (keysPath.length < 2)
+      throw new InMemoryRedisError('ERR wrong number of arguments for \'json.mget\' command')
+
+    return keysPath
+      .slice(0, -1)
+      .map(key => {
+        try {
+          return jsonCommands.json_get(keyspace, key, path)
+        }
+        catch (e) {
+          return null
+        }
+      })
+  },
+
+  json_set(keyspace, key, path, json, option) {
+    if (isJSONPath(path) && path != '$')
+      return setJSONPath(keyspace, key, path, json, option)
+
+    const document = getDocument(keyspace, key)
+    const tokens = getPathTokens(path)
+    const value = parseJSON(json)
+
+    const condition = option ?
+      option.toUpperCase() :
+      null
+
+    let reply = null
+
+    if (document === undefined && tokens.length)
+      throw new InMemoryRedisError('ERR new objects must be created at the root')
+
+    const exists = document !== undefined
+      && getAtPath(document, tokens).found
+
+    if (!(condition == 'NX' && exists) && !(condition == 'XX' && !exists)) {
+      if (!tokens.length)
+        keyspace.set(key, TYPE, value)
+      else {
+        const parent = getAtPath(document, tokens.slice(0, -1))
+        const token = tokens[tokens.length - 1]
+
+        if (!parent.found || !(parent.value instanceof Object))
+          throw new InMemoryRedisError('ERR missing key at non-terminal path level')
+
+        if (parent.value instanceof Array) {
+          const index = token < 0 ?
+            parent.value.length + token :
+            token
+
+          if (typeof(token) != 'number' || index < 0 || index >= parent.value.length)
+            throw new InMemoryRedisError('ERR array index out of range')
+
+          parent.value[index] = value
+        }
+        else
+          parent.value[token] = value
+      }
+
+      keyspace.notify('d', 'json.set', key)
+
+      reply = 'OK'
+    }
+
+    return reply
+  },
+
+  json_del(keyspace, key, path = '.') {
+    if (isJSONPath(path) && path != '$')
+      return deleteJSONPath(keyspace, key, path)
+
+    const document = getDocument(keyspace, key)
+    const tokens = getPathTokens(path)
+
+    let count = 0
+
+    if (document !== undefined) {
+      if (!tokens.length)
+        count = keyspace.delete(key) ? 1 : 0
+      else {
+        const parent = getAtPath(document, tokens.slice(0, -1))
+        const token = tokens[tokens.length - 1]
+
+        if (parent.found && getAtPath(parent.value, [ token ]).found) {
+          if (parent.value instanceof Array)
+            parent.value.splice(token < 0 ? parent.value.length + token : token, 1)
+          else
+            delete parent.value[token]
+
+          count = 1
+        }
+      }
+
+      if (count)
+        keyspace.notify('d', 'json.del', key)
+    }
+
+    return count
+  },
+
+  json_forget(keyspace, key, path) {
+    return jsonCommands.json_del(keyspace, key, path)
+  },
+
+  json_type(keyspace, key, path = '.') {
+    const document = getDocument(keyspace, key)
+
+    let type = null
+
+    if (document !== undefined) {
+      const { found, value } = getAtPath(document, getPathTokens(path))
+
+      if (found)
+        type = getType(value)
+    }
+
+    return type
+  },
+
+  json_objlen(keyspace, key, path = '.') {
+    const document = getDocument(keyspace, key)
+
+    return document !== undefined ?
+      Object.keys(getTypedPathValue(document, path, 'object')).length :
+      null
+  },
+
+  json_objkeys(keyspace, key, path = '.') {
+    const document = getDocument(keyspace, key)
+
+    return document !== undefined ?
+      Object.keys(getTypedPathValue(document, path, 'object')) :
+      null
+  },
+
+  json_arrlen(keyspace, key, path = '.') {
+    const document = getDocument(keyspace, key)
+
+    return document !== undefined ?
+      getTypedPathValue(document, path, 'array').length :
+      null
+  },
+
+  json_arrappend(keyspace, key, path, ...jsons) {
+    const document = getDocument(keyspace, key)
+
+    if (document === undefined)
+      throw new InMemoryRedisError('ERR could not perform this operation on a key that doesn\'t exist')
+
+    const array = getTypedPathValue(document, path, 'array')
+
+    array
+      .push(...jsons.map(parseJSON))
+
+    keyspace.notify('d', 'json.arrappend', key)
+
+    return array.length
+  },
+
+  json_arrpop(keyspace, key, path = '.', index = '-1') {
+    const replies = updatePathValues(keyspace, key, path, 'array', array => {
+      let position = toInteger(index)
+
+      if (position < 0)
+        position = Math.max(array.length + position, 0)
+
+      position = Math.min(position, array.length - 1)
+
+      const [ item ] = array.length ?
+        array.splice(position, 1) :
+        []
+
+      return {
+        value : array,
+        reply : item !== undefined ? JSON.stringify(item) : null
+      }
+    })
+
+    keyspace.notify('d', 'json.arrpop', key)
+
+    return isJSONPath(path) ?
+      replies :
+      replies[0]
+  },
+
+  json_numincrby(keyspace, key, path, number) {
+    const replies = updatePathValues(keyspace, key, path, 'number', value => {
+      const result = value + parseJSON(number)
+
+      return { value: result, reply: result }
+    })
+
+    keyspace.notify('d', 'json.numincrby', key)
+
+    return JSON.stringify(isJSONPath(path) ? replies : replies[0])
+  },
+
+  json_nummultby(keyspace, key, path, number) {
+    const replies = updatePathValues(keyspace, key, path, 'number', value => {
+      const result = value * parseJSON(number)
+
+      return { value: result, reply: result }
+    })
+
+    keyspace.notify('d', 'json.nummultby', key)
+
+    return JSON.stringify(isJSONPath(path) ? replies : replies[0])
+  },
+
+  json_strappend(keyspace, key, path, json) {
+    const string = parseJSON(json)
+
+    if (typeof(string) != 'string')
+      throw new InMemoryRedisError('ERR wrong type of value - expected a string')
+
+    const replies = updatePathValues(keyspace, key, path, 'string', value => ({ value: value + string, reply: (value + string).length }))
+
+    keyspace.notify('d', 'json.strappend', key)
+
+    return isJSONPath(path) ?
+      replies :
+      replies[0]
+  },
+
+  json_toggle(keyspace, key, path) {
+    const replies = updatePathValues(keyspace, key, path, 'boolean', value => ({ value: !value, reply: !value }))
+
+    keyspace.notify('d', 'json.toggle', key)
+
+    return isJSONPath(path) ?
+      replies.map(reply => reply ? 1 : 0) :
+      String(replies[0])
+  },
+
+  json_merge(keyspace, key, path, json) {
+    const patch = parseJSON(json)
+    const document = getDocument(keyspace, key)
+
+    if (document === undefined && path != '.' && path != '$')
+      throw new InMemoryRedisError('ERR new objects must be created at the root')
+
+    if (document === undefined)
+      keyspace.set(key, TYPE, mergeJSON(undefined, patch))
+    else {
+      const matches = getJSONPathMatches(document, getJSONPathTokens(toJSONPath(path)))
+
+      if (!matches.length && !isJSONPath(path))
+        throw new InMemoryRedisError(`ERR Path '${path}' does not exist`)
+
+      matches
+        .forEach(match => {
+          const value = mergeJSON(match.value, patch)
+
+          if (match.parent)
+            match.parent[match.key] = value
+          else
+            keyspace.set(key, TYPE, value)
+        })
+    }
+
+    keyspace.notify('d', 'json.merge', key)
+
+    return 'OK'
+  },
+
+  json_arrinsert(keyspace, key, path, index, ...jsons) {
+    const document = getDocument(keyspace, key)
+
+    if (document === undefined)
+      throw new InMemoryRedisError('ERR could not perform this operation on a key that doesn\'t exist')
+
+    const array = getTypedPathValue(document, path, 'array')
+
+    let position = toInteger(index)
+
+    if (position < 0)
+      position += array.length
+
+    if (position < 0 || position > array.length)
+      throw new InMemoryRedisError('ERR index out of range')
+
+    array
+      .splice(position, 0, ...jsons.map(parseJSON))
+
+    keyspace.notify('d', 'json.arrinsert', key)
+
+    return array.length
+  },
+
+  json_arrtrim(keyspace, key, path, start, stop) {
+    const document = getDocument(keyspace, key)
+
+    if (document === undefined)
+      throw new InMemoryRedisError('ERR could not perform this operation on a key that doesn\'t exist')
+
+    const array = getTypedPathValue(document, path, 'array')
+    const length = array.length
+
+    let startIndex = toInteger(start)
+    let stopIndex = toInteger(stop)
+
+    if (startIndex < 0)
+      startIndex = Math.max(length + startIndex, 0)
+
+    if (stopIndex < 0)
+      stopIndex = length + stopIndex
+
+    if (stopIndex >= length)
+      stopIndex = length - 1
+
+    const items = startIndex >= length || startIndex > stopIndex ?
+      [] :
+      array.slice(startIndex, stopIndex + 1)
+
+    array
+      .splice(0, length, ...items)
+
+    keyspace.notify('d', 'json.arrtrim', key)
+
+    return array.length
+  }
+}
+
+module.exports = jsonCommands
\ No newline at end of file
@@ -0,0 +1,167 @@
+'use strict'
+
+const InMemoryRedisError = require('../InMemoryRedisError')
+const InMemoryRedisKeyspace = require('../InMemoryRedisKeyspace')
+
+const { toInteger } = require('./commandArguments')
+
+/**
+ * Generic keyspace commands (`DEL`, `EXISTS`, `EXPIRE`, `TTL`, `KEYS`, `SCAN`...)
+ * Each command receives the [`InMemoryRedisKeyspace`]{@link InMemoryRedisKeyspace} and the command arguments
+*/
+const keyCommands = {
+  del(keyspace, ...keys) {
+    return keys
+      .filter(key => {
+        const isDeleted = keyspace.delete(key)
+
+        if (isDeleted)
+          keyspace.notify('g', 'del', key)
+
+        return isDeleted
+      })
+      .length
+  },
+
+  exists(keyspace, ...keys) {
+    return keys
+      .filter(key => keyspace.has(key))
+      .length
+  },
+
+  touch(keyspace, ...keys) {
+    return keyCommands.exists(keyspace, ...keys)
+  },
+
+  type(keyspace, key) {
+    return keyspace.type(key)
+  },
+
+  keys(keyspace, pattern) {
+    return keyspace.keys(pattern)
+  },
+
+  scan(keyspace, cursor, ...options) {
+    const params = {}
+
+    for (let index = 0; index < options.length; index += 2) {
+      const option = options[index].toUpperCase()
+
+      if (![ 'MATCH', 'COUNT', 'TYPE' ].includes(option) || options[index + 1] === undefined)
+        throw new InMemoryRedisError('ERR syntax error')
+
+      params[option] = options[index + 1]
+    }
+
+    const { cursor: cursorTemp, keys } = keyspace
+      .scan(toInteger(cursor), params.MATCH, params.COUNT ? toInteger(params.COUNT) : undefined, params.TYPE)
+
+    return [ String(cursorTemp), keys ]
+  },
+
+  expire(keyspace, key, seconds) {
+    return keyCommands.pexpire(keyspace, key, toInteger(seconds) * 1000)
+  },
+
+  pexpire(keyspace, key, milliseconds) {
+    const ttl = toInteger(milliseconds)
+
+    let isExpired = 0
+
+    if (keyspace.has(key)) {
+      if (ttl > 0)
+        keyspace.notify('g', 'expire', key)
+
+      keyspace.setExpiration(key, Date.now() + ttl)
+
+      isExpired = 1
+    }
+
+    return isExpired
+  },
+
+  persist(keyspace, key) {
+    let isPersisted = 0
+
+    if (keyspace.getExpiration(key)) {
+      keyspace.setExpiration(key, null)
+      keyspace.notify('g', 'persist', key)
+
+      isPersisted = 1
+    }
+
+    return isPersisted
+  },
+
+  pttl(keyspace, key) {
+    const expiresAt = keyspace.getExpiration(key)
+
+    let ttl = -2
+
+    if (expiresAt === null)
+      ttl = -1
+    else if (expiresAt !== undefined)
+      ttl = Math.max(expiresAt - Date.now(), 0)
+
+    return ttl
+  },
+
+  ttl(keyspace, key) {
+    const ttl = keyCommands.pttl(keyspace, key)
+
+    return ttl < 0 ?
+      ttl :
+      Math.floor((ttl + 500) / 1000)
+  },
+
+  dbsize(keyspace) {
+    return keyspace.size()
+  },
+
+  flushdb(keyspace) {
+    keyspace.flush()
+
+    return 'OK'
+  },
+
+  flushall(keyspace) {
+    keyspace.store.flush()
+
+    return 'OK'
+  },
+
+  config(keyspace, subcommand, parameter, value) {
+    const config = keyspace.store.config
+    const subcommandTemp = String(subcommand).toUpperCase()
+
+    let reply = null
+
+    if (subcommandTemp == 'GET') {
+      reply = Object
+        .keys(config)
+        .filter(name => InMemoryRedisKeyspace.getPatternRegex(parameter).test(name))
+        .reduce((values, name) => values.concat([ name, config[name] ]), [])
+    }
+    else if (subcommandTemp == 'SET' && parameter in config && value !== undefined) {
+      config[parameter] = value
+
+      reply = 'OK'
+    }
+    else
+      throw new InMemoryRedisError(`ERR Unsupported CONFIG parameter: ${parameter}`)
+
+    return reply
+  },
+
+  publish(keyspace, channel, message) {
+    return keyspace.store.publish(channel, message)
+  },
+
+  ping(keyspace, message) {
+    return message !== undefined ?
+      message :
+      'PONG'
+  }
+}
+
+module.exports = keyCommands
\ No newline at end of file
@@ -0,0 +1,212 @@
+'use strict'
+
+const { toInteger, toFloat } = require('./commandArguments')
+
+const TYPE = 'list'
+
+/**
+ * Returns the `Array` of the `key` (creating it when `create` is `true`)
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {Boolean} [create = false] Whether to create the list or not
+ *
+ * @return {Array} The list
+*/
+function getList(keyspace, key, create = false) {
+  let list = keyspace.get(key, TYPE)
+
+  if (!list && create)
+    list = keyspace.set(key, TYPE, [])
+
+  return list
+}
+
+/**
+ * Returns the `start` - `stop` indexes of the `list` (as `redis` handles negative and out of range indexes)
+ *
+ * @param {Array} list The list
+ * @param {string} start The start index
+ * @param {string} stop The stop index
+ *
+ * @return {Array<Number>} The `[ start, stop ]` indexes
+*/
+function getRangeIndexes(list, start, stop) {
+  let startIndex = toInteger(start)
+  let stopIndex = toInteger(stop)
+
+  if (startIndex < 0)
+    startIndex = Math.max(list.length + startIndex, 0)
+
+  if (stopIndex < 0)
+    stopIndex = list.length + stopIndex
+
+  return [ startIndex, Math.min(stopIndex, list.length - 1) ]
+}
+
+/**
+ * Pushes the `values` to the head (`left`) or tail of the list of `key`
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {Array<string>} values The values
+ * @param {Boolean} left Whether to push to the head or not
+ *
+ * @return {Number} The new list length
+*/
+function push(keyspace, key, values, left) {
+  const list = getList(keyspace, key, true)
+
+  values
+    .forEach(value => left ? list.unshift(value) : list.push(value))
+
+  keyspace.notify('l', left ? 'lpush' : 'rpush', key)
+
+  return list.length
+}
+
+/**
+ * Pops the first (`left`) or last value of the list of `key`
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {Boolean} left Whether to pop from the head or not
+ *
+ * @return {string} The value (`null` when the list does not exist)
+*/
+function pop(keyspace, key, left) {
+  const list = getList(keyspace, key)
+
+  let value = null
+
+  if (list) {
+    value = left ?
+      list.shift() :
+      list.pop()
+
+    keyspace.notify('l', left ? 'lpop' : 'rpop', key)
+
+    if (!list.length) {
+      keyspace.delete(key)
+      keyspace.notify('g', 'del', key)
+    }
+  }
+
+  return value
+}
+
+/**
+ * Pops the value of the first non-empty list of `keys` (as `BLPOP`/`BRPOP` without blocking)
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {Array<string>} keysTimeout The key names and the timeout
+ * @param {Boolean} left Whether to pop from the head or not
+ *
+ * @return {Array<string>} The `[ key, value ]` popped (`null` when all the lists are empty)
+*/
+function popFirst(keyspace, keysTimeout, left) {
+  const keys = keysTimeout.slice(0, -1)
+
+  toFloat(keysTimeout[keysTimeout.length - 1])
+
+  const key = keys
+    .find(keyTemp => getList(keyspace, keyTemp))
+
+  return key !== undefined ?
+    [ key, pop(keyspace, key, left) ] :
+    null
+}
+
+/**
+ * List commands (`LPUSH`, `RPUSH`, `LRANGE`, `LTRIM`...)
+ * Each command receives the [`InMemoryRedisKeyspace`]{@link InMemoryRedisKeyspace} and the command arguments
+ *
+ * `BLPOP`/`BRPOP` do not block here (as inside a `MULTI`), the [`InMemoryRedisClient`]{@link InMemoryRedisClient} blocks them
+*/
+const listCommands = {
+  lpush(keyspace, key, ...values) {
+    return push(keyspace, key, values, true)
+  },
+
+  rpush(keyspace, key, ...values) {
+    return push(keyspace, key, values, false)
+  },
+
+  lpop(keyspace, key) {
+    return pop(keyspace, key, true)
+  },
+
+  rpop(keyspace, key) {
+    return pop(keyspace, key, false)
+  },
+
+  blpop(keyspace, ...keysTimeout) {
+    return popFirst(keyspace, keysTimeout, true)
+  },
+
+  brpop(keyspace, ...keysTimeout) {
+    return popFirst(keyspace, keysTimeout, false)
+  },
+
+  llen(keyspace, key) {
+    const list = getList(keyspace, key)
+
+    return list ?
+      list.length :
+      0
+  },
+
+  lindex(keyspace, key, index) {
+    const list = getList(keyspace, key)
+
+    let value = null
+
+    if (list) {
+      let position = toInteger(index)
+
+      if (position < 0)
+        position += list.length
+
+      if (position >= 0 && position < list.length)
+        value = list[position]
+    }
+
+    return value
+  },
+
+  lrange(keyspace, key, start, stop) {
+    const list = getList(keyspace, key)
+
+    let values = []
+
+    if (list) {
+      const [ startIndex, stopIndex ] = getRangeIndexes(list, start, stop)
+
+      values = list.slice(startIndex, stopIndex + 1)
+    }
+
+    return values
+  },
+
+  ltrim(keyspace, key, start, stop) {
+    const list = getList(keyspace, key)
+
+    if (list) {
+      const [ startIndex, stopIndex ] = getRangeIndexes(list, start, stop)
+
+      list
+        .splice(0, list.length, ...list.slice(startIndex, stopIndex + 1))
+
+      keyspace.notify('l', 'ltrim', key)
+
+      if (!list.length) {
+        keyspace.delete(key)
+        keyspace.notify('g', 'del', key)
+      }
+    }
+
+    return 'OK'
+  }
+}
+
+module.exports = listCommands
\ No newline at end of file
@@ -0,0 +1,519 @@
+'use strict'
+
+const crypto = require('crypto')
+
+const InMemoryRedisError = require('../InMemoryRedisError')
+const InMemoryRedisStore = require('../InMemoryRedisStore')
+
+const keyCommands = require('./keyCommands')
+const stringCommands = require('./stringCommands')
+const hashCommands = require('./hashCommands')
+const setCommands = require('./setCommands')
+const jsonCommands = require('./jsonCommands')
+
+const jsonScripts = require('../../services/types/jsonScripts')
+const hashObjectScripts = require('../../services/types/hashObjectScripts')
+const stringScripts = require('../../services/types/stringScripts')
+const lockScripts = require('../../services/lockScripts')
+const tagScripts = require('../../services/tagScripts')
+const setModeScripts = require('../../services/setModeScripts')
+
+const { toInteger } = require('./commandArguments')
+
+const JSON_TYPE = 'ReJSON-RL'
+
+/**
+ * The `JSON` command of each `update` script operation
+ * @type {Object}
+*/
+const UPDATE_COMMANDS = {
+  incr      : 'json_numincrby',
+  multiply  : 'json_nummultby',
+  strAppend : 'json_strappend',
+  arrAppend : 'json_arrappend',
+  arrPop    : 'json_arrpop',
+  toggle    : 'json_toggle',
+  merge     : 'json_merge'
+}
+
+/**
+ * The `JSON` command name of each `Lua` script (see `services/types/jsonScripts`)
+ * @type {Map<string, string>}
+*/
+const JSON_SCRIPTS = new Map(
+  Object
+    .keys(jsonScripts)
+    .map(command => [ jsonScripts[command], command ])
+)
+
+/**
+ * The lock `Lua` scripts (see `services/lockScripts`)
+ * @type {Array<string>}
+*/
+const LOCK_SCRIPTS = Object
+  .values(lockScripts)
+
+/**
+ * The tag `Lua` scripts (see `services/tagScripts`)
+ * @type {Array<string>}
+*/
+const TAG_SCRIPTS = Object
+  .values(tagScripts)
+
+/**
+ * The `setMode` `Lua` scripts (see `services/setModeScripts`)
+ * @type {Array<string>}
+*/
+const SET_MODE_SCRIPTS = Object
+  .values(setModeScripts)
+
+/**
+ * The `SET/STRING` `Lua` scripts (see `services/types/stringScripts`)
+ * @type {Array<string>}
+*/
+const STRING_SCRIPTS = Object
+  .values(stringScripts)
+
+/**
+ * The `HASH_OBJECT` `Lua` scripts (see `services/types/hashObjectScripts`)
+ * @type {Array<string>}
+*/
+const HASH_OBJECT_SCRIPTS = Object
+  .values(hashObjectScripts)
+
+/**
+ * Runs the `run` function over the document saved as string on the `key` (loaded on a scratch keyspace as a `JSON` one),
+ * saving the changed document back (as the `Lua` scripts do)
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {Function} run The `function(documents)` running the `JSON` commands on the scratch keyspace
+ * @param {Boolean} [isDryRun = false] Whether to discard the changes or not
+ *
+ * @return {*} The `run` reply
+ *
+ * @throws {InMemoryRedisError} Any command error
+*/
+function runOnStringDocument(keyspace, key, run, isDryRun = false) {
+  const json = stringCommands.get(keyspace, key)
+  const documents = new InMemoryRedisStore().getKeyspace()
+
+  if (json !== null) {
+    try {
+      documents.set(key, JSON_TYPE, JSON.parse(json))
+    }
+    catch (error) {
+      throw new InMemoryRedisError(`ERR ${error.message}`)
+    }
+  }
+
+  const reply = run(documents)
+  const document = documents.get(key)
+
+  if (isDryRun)
+    return reply
+
+  if (document === undefined) {
+    if (json !== null)
+      keyCommands.del(keyspace, key)
+  }
+  else if (JSON.stringify(document) != json)
+    stringCommands.set(keyspace, key, JSON.stringify(document), 'KEEPTTL')
+
+  return reply
+}
+
+/**
+ * Runs the `JSON.<command>` over the document saved as string on the `key` (as its `Lua` script does)
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} command The `JSON` command name (i.e. `get`, `arrinsert`)
+ * @param {string} key The key name
+ * @param {Array<string>} args The command arguments (after the key name)
+ *
+ * @return {*} The command reply
+ *
+ * @throws {InMemoryRedisError} Any command error
+*/
+function runJSONScript(keyspace, command, key, args) {
+  return runOnStringDocument(keyspace, key, documents => jsonCommands[`json_${command}`](documents, key, ...args))
+}
+
+/**
+ * Runs the `update` script operations on the `key` document (a `JSON` or a string one, according to the `storage` argument)
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {Array<string>} args The script arguments (`storage`, `dryRun` and the `op path count ...args` operations)
+ *
+ * @return {string} The `JSON` string of the resulting document (`null` when the `key` does not exist)
+ *
+ * @throws {InMemoryRedisError} Any command error
+*/
+function runJSONUpdateScript(keyspace, key, args) {
+  const [ storage, dryRun, ...operationArgs ] = args
+  const operations = []
+
+  for (let index = 0; index < operationArgs.length; index += 3 + toInteger(operationArgs[index + 2])) {
+    const count = toInteger(operationArgs[index + 2])
+
+    operations.push({
+      op   : operationArgs[index],
+      path : operationArgs[index + 1],
+      args : operationArgs.slice(index + 3, index + 3 + count)
+    })
+  }
+
+  const run = documents => {
+    operations
+      .forEach(({ op, path, args: commandArgs }) => {
+        if (!UPDATE_COMMANDS[op])
+          throw new InMemoryRedisError(`ERR unknown update operation ${op}`)
+
+        jsonCommands[UPDATE_COMMANDS[op]](documents, key, path, ...commandArgs)
+      })
+
+    return jsonCommands.json_get(documents, key)
+  }
+
+  let reply = null
+
+  if (keyspace.has(key)) {
+    if (storage != 'json')
+      reply = runOnStringDocument(keyspace, key, run, dryRun == '1')
+    else if (dryRun != '1')
+      reply = run(keyspace)
+    else {
+      const documents = new InMemoryRedisStore().getKeyspace()
+
+      documents.set(key, JSON_TYPE, JSON.parse(JSON.stringify(keyspace.get(key, JSON_TYPE))))
+
+      reply = run(documents)
+    }
+  }
+
+  return reply
+}
+
+/**
+ * Runs the `push` script on the `key` array (a `JSON` or a string document, according to the `storage` argument):
+ * removes the items with the same dedupe attrs of the new ones, inserts them and trims the array to the max length
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {Array<string>} args The script arguments (`storage`, `path`, `position`, `maxLength`, the dedupe attrs count,
+ * the dedupe attrs and the items `JSON`)
+ *
+ * @return {Number} The new array length
+ *
+ * @throws {InMemoryRedisError} Any command error (i.e. the `path` value is not an array)
+*/
+function runJSONPushScript(keyspace, key, args) {
+  const [ storage, path, position, maxLength, dedupeCount, ...itemArgs ] = args
+  const dedupeAttrs = itemArgs.splice(0, toInteger(dedupeCount))
+  const maxLengthTemp = toInteger(maxLength)
+
+  let items = null
+
+  try {
+    items = itemArgs.map(json => JSON.parse(json))
+  }
+  catch (error) {
+    throw new InMemoryRedisError(`ERR ${error.message}`)
+  }
+
+  const getDedupeKey = item => dedupeAttrs.length && item instanceof Object && !(item instanceof Array) ?
+    JSON.stringify(dedupeAttrs.map(attr => item[attr] === undefined ? null : item[attr])) :
+    null
+
+  const dedupeKeys = new Set(items.map(getDedupeKey).filter(dedupeKey => dedupeKey !== null))
+
+  const run = documents => {
+    const isCached = documents.has(key)
+    const isJSONPath = String(path).startsWith('$')
+
+    let array = []
+
+    if (isCached) {
+      array = JSON.parse(jsonCommands.json_get(documents, key, path))
+
+      if (isJSONPath)
+        array = array[0]
+
+      if (!(array instanceof Array))
+        throw new InMemoryRedisError(`ERR wrong type of path value - expected array but found ${array === null ? 'null' : typeof(array)}`)
+    }
+    else if (path != '.' && path != '$')
+      throw new InMemoryRedisError('ERR new objects must be created at the root')
+
+    array = array.filter(item => !dedupeKeys.has(getDedupeKey(item)))
+
+    let index = position === '' ? array.length : toInteger(position)
+
+    if (index > array.length)
+      index = array.length
+    else if (index < 0)
+      index = Math.max(array.length + index, 0)
+
+    array.splice(index, 0, ...items)
+
+    if (maxLengthTemp > 0 && array.length > maxLengthTemp) {
+      if (index === 0)
+        array.splice(maxLengthTemp)
+      else
+        array.splice(0, array.length - maxLengthTemp)
+    }
+
+    jsonCommands.json_set(documents, key, isCached ? path : '.', JSON.stringify(array))
+
+    return array.length
+  }
+
+  return storage == 'json' ?
+    run(keyspace) :
+    runOnStringDocument(keyspace, key, run)
+}
+
+/**
+ * Returns the `JSON.GET` reply of the `key` for the `mget` script (`null` when the `key` is missing or it is not a document)
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {Array<string>} args The command arguments (the `path`)
+ *
+ * @return {string} The `JSON.GET` reply
+*/
+function runJSONMGetScript(keyspace, key, args) {
+  try {
+    return runJSONScript(keyspace, 'get', key, args)
+  }
+  catch (e) {
+    return null
+  }
+}
+
+/**
+ * Runs the lock `script` (@see {@link lockScripts}): removes (`unlock`) or extends (`extend`)
+ * the lock `key` in case it holds the `token`
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} script The lock script
+ * @param {string} key The lock key name
+ * @param {string} token The lock token
+ * @param {string} [ttl] The new expiration time (in milliseconds, for `extend`)
+ *
+ * @return {Number} `1` when the lock key was changed (`0` otherwise)
+*/
+function runLockScript(keyspace, script, key, token, ttl) {
+  let reply = 0
+
+  if (stringCommands.get(keyspace, key) == token) {
+    reply = script == lockScripts.unlock ?
+      keyCommands.del(keyspace, key) :
+      keyCommands.pexpire(keyspace, key, ttl)
+  }
+
+  return reply
+}
+
+/**
+ * Runs the `tag` script (@see {@link tagScripts}): saves the `keyName` (and its `keyName` template) on the tag `key`,
+ * extending the tag `key` expiration up to the `ttl`
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The tag key name
+ * @param {string} keyName The tagged key name
+ * @param {string} cacheId The `keyName` template of the cache class
+ * @param {string} ttl The expiration time (in seconds, `0` for none) of the tagged key
+ *
+ * @return {Number} Always `1`
+*/
+function runTagScript(keyspace, key, keyName, cacheId, ttl) {
+  const isNew = !keyCommands.exists(keyspace, key)
+  const ttlTemp = toInteger(ttl)
+
+  hashCommands.hset(keyspace, key, keyName, cacheId)
+
+  if (ttlTemp <= 0)
+    keyCommands.persist(keyspace, key)
+  else {
+    const currentTTL = keyCommands.ttl(keyspace, key)
+
+    if (isNew || (currentTTL >= 0 && currentTTL < ttlTemp))
+      keyCommands.expire(keyspace, key, ttlTemp)
+  }
+
+  return 1
+}
+
+/**
+ * Runs the `set` script (@see {@link setModeScripts}): sets the `key` by `SET NX/XX` and, only when it is set,
+ * marks it as fresh, deletes its miss and tags it
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {Array<string>} keys The key name, its fresh and miss key names and its tag key names
+ * @param {string} value The value
+ * @param {string} mode The `SET` mode (`NX` or `XX`)
+ * @param {string} ttl The expiration time (in seconds, `0` for none)
+ * @param {string} staleTTL The `staleTTL` (in seconds, `0` for none)
+ * @param {string} isMissDeleted Whether to delete the miss (`1`) or not
+ * @param {string} cacheId The `keyName` template of the cache class
+ *
+ * @return {string} The `SET` reply (`null` when not set)
+*/
+function runSetModeScript(keyspace, keys, value, mode, ttl, staleTTL, isMissDeleted, cacheId) {
+  const [ key, freshKey, missKey, ...tagKeys ] = keys
+  const ttlTemp = toInteger(ttl)
+  const staleTTLTemp = toInteger(staleTTL)
+
+  const reply = ttlTemp > 0 ?
+    stringCommands.set(keyspace, key, value, 'EX', ttlTemp, mode) :
+    stringCommands.set(keyspace, key, value, mode)
+
+  if (reply !== null) {
+    if (staleTTLTemp > 0)
+      stringCommands.set(keyspace, freshKey, '1', 'EX', staleTTLTemp)
+
+    if (isMissDeleted == '1')
+      keyCommands.del(keyspace, missKey)
+
+    tagKeys
+      .forEach(tagKey => runTagScript(keyspace, tagKey, key, cacheId, ttl))
+  }
+
+  return reply
+}
+
+/**
+ * Runs the `popHex` script (@see {@link stringScripts}): removes `count` random members of the `key` set, replying them hex encoded
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {string} count The count of members
+ *
+ * @return {Array<string>} The removed members (hex encoded)
+*/
+function runStringPopScript(keyspace, key, count) {
+  return setCommands
+    .spop(keyspace, key, count)
+    .map(member => Buffer.from(member, 'latin1').toString('hex'))
+}
+
+/**
+ * Runs the `ifExists` script (@see {@link hashObjectScripts}): runs the hash `command` only when the `key` exists
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {string} command The hash command (i.e. `HINCRBY`)
+ * @param {...string} args The command arguments
+ *
+ * @return {*} The command reply (`null` when the `key` does not exist)
+ *
+ * @throws {InMemoryRedisError} When the command is not a hash one
+*/
+function runHashObjectScript(keyspace, key, command, ...args) {
+  const name = String(command).toLowerCase()
+
+  if (!name.startsWith('h') || !hashCommands[name])
+    throw new InMemoryRedisError(`ERR unknown command '${command}'`)
+
+  return keyCommands.exists(keyspace, key) ?
+    hashCommands[name](keyspace, key, ...args) :
+    null
+}
+
+/**
+ * Returns the `SHA1` digest of the `script` (as `SCRIPT LOAD` replies it)
+ *
+ * @param {string} script The script
+ *
+ * @return {string} The `SHA1` digest (hex)
+*/
+function getScriptSHA(script) {
+  return crypto
+    .createHash('sha1')
+    .update(script)
+    .digest('hex')
+}
+
+/**
+ * Scripting commands (`EVAL`, `EVALSHA` and `SCRIPT`), limited to the `JSON`, `HASH_OBJECT`, `SET/STRING`, `setMode`, lock and tag scripts (emulated in `JavaScript`)
+ * Each command receives the [`InMemoryRedisKeyspace`]{@link InMemoryRedisKeyspace} and the command arguments
+*/
+const scriptCommands = {
+  eval(keyspace, script, numKeys, ...keysArgs) {
+    keyspace.store.scripts
+      .set(getScriptSHA(script), script)
+
+    const command = JSON_SCRIPTS.get(script)
+    const keysCount = toInteger(numKeys)
+
+    const isSupported = command || [ LOCK_SCRIPTS, TAG_SCRIPTS, SET_MODE_SCRIPTS, STRING_SCRIPTS, HASH_OBJECT_SCRIPTS ]
+      .some(scripts => scripts.includes(script))
+
+    if (!isSupported)
+      throw new InMemoryRedisError('ERR only the JSON, HASH_OBJECT, SET/STRING, setMode, lock and tag scripts are supported by the in-memory client')
+
+    const keys = keysArgs.slice(0, keysCount)
+    const args = keysArgs.slice(keysCount)
+
+    let reply = null
+
+    if (TAG_SCRIPTS.includes(script))
+      reply = runTagScript(keyspace, keys[0], ...args)
+    else if (SET_MODE_SCRIPTS.includes(script))
+      reply = runSetModeScript(keyspace, keys, ...args)
+    else if (STRING_SCRIPTS.includes(script))
+      reply = runStringPopScript(keyspace, keys[0], ...args)
+    else if (HASH_OBJECT_SCRIPTS.includes(script))
+      reply = runHashObjectScript(keyspace, keys[0], ...args)
+    else if (!command)
+      reply = runLockScript(keyspace, script, keys[0], ...args)
+    else if (command == 'mget')
+      reply = keys.map(key => runJSONMGetScript(keyspace, key, args))
+    else if (command == 'update')
+      reply = runJSONUpdateScript(keyspace, keys[0], args)
+    else if (command == 'push')
+      reply = runJSONPushScript(keyspace, keys[0], args)
+    else
+      reply = runJSONScript(keyspace, command, keys[0], args)
+
+    return reply
+  },
+
+  evalsha(keyspace, sha, numKeys, ...keysArgs) {
+    const script = keyspace.store.scripts
+      .get(String(sha).toLowerCase())
+
+    if (script === undefined)
+      throw new InMemoryRedisError('NOSCRIPT No matching script. Please use EVAL.')
+
+    return scriptCommands.eval(keyspace, script, numKeys, ...keysArgs)
+  },
+
+  script(keyspace, subcommand, ...args) {
+    const scripts = keyspace.store.scripts
+    const subcommandTemp = String(subcommand).toUpperCase()
+
+    let reply = null
+
+    if (subcommandTemp == 'LOAD' && args.length == 1) {
+      reply = getScriptSHA(args[0])
+
+      scripts.set(reply, args[0])
+    }
+    else if (subcommandTemp == 'EXISTS')
+      reply = args.map(sha => scripts.has(String(sha).toLowerCase()) ? 1 : 0)
+    else if (subcommandTemp == 'FLUSH') {
+      scripts.clear()
+
+      reply = 'OK'
+    }
+    else
+      throw new InMemoryRedisError(`ERR Unknown subcommand or wrong number of arguments for '${subcommand}'`)
+
+    return reply
+  }
+}
+
+module.exports = scriptCommands
\ No newline at end of file
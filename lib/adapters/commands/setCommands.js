@@ -0,0 +1,229 @@
+'use strict'
+
+const { toInteger } = require('./commandArguments')
+
+const TYPE = 'set'
+
+/**
+ * Returns the `Set` of the `key` (creating it when `create` is `true`)
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {Boolean} [create = false] Whether to create the set or not
+ *
+ * @return {Set} The set
+*/
+function getSet(keyspace, key, create = false) {
+  let set = keyspace.get(key, TYPE)
+
+  if (!set && create)
+    set = keyspace.set(key, TYPE, new Set())
+
+  return set
+}
+
+/**
+ * Returns `count` random members of the `set` (distinct ones when `count` is positive, repeatable ones when negative)
+ *
+ * @param {Set} set The set
+ * @param {Number} count The count of members
+ *
+ * @return {Array<string>} The members
+*/
+function getRandomMembers(set, count) {
+  const members = set ?
+    [ ...set ] :
+    []
+
+  const randomMembers = []
+
+  if (count < 0 && members.length) {
+    for (let index = 0; index < -count; index++)
+      randomMembers.push(members[Math.floor(Math.random() * members.length)])
+  }
+  else {
+    while (randomMembers.length < count && members.length)
+      randomMembers.push(members.splice(Math.floor(Math.random() * members.length), 1)[0])
+  }
+
+  return randomMembers
+}
+
+/**
+ * Saves the `members` on the `destination` set (replacing it, or deleting it when there are no `members`)
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} destination The destination key name
+ * @param {Array<string>} members The members
+ * @param {string} command The command name (notified)
+ *
+ * @return {Number} The count of members
+*/
+function storeMembers(keyspace, destination, members, command) {
+  const exists = keyspace.delete(destination)
+
+  if (members.length) {
+    keyspace.set(destination, TYPE, new Set(members), false)
+    keyspace.notify('s', command, destination)
+  }
+  else if (exists)
+    keyspace.notify('g', 'del', destination)
+
+  return members.length
+}
+
+/**
+ * Set commands (`SADD`, `SREM`, `SMEMBERS`, `SUNION`...)
+ * Each command receives the [`InMemoryRedisKeyspace`]{@link InMemoryRedisKeyspace} and the command arguments
+*/
+const setCommands = {
+  sadd(keyspace, key, ...members) {
+    const set = getSet(keyspace, key, true)
+    const size = set.size
+
+    members
+      .forEach(member => set.add(member))
+
+    if (set.size > size)
+      keyspace.notify('s', 'sadd', key)
+
+    return set.size - size
+  },
+
+  srem(keyspace, key, ...members) {
+    const set = getSet(keyspace, key)
+
+    let count = 0
+
+    if (set) {
+      count = members
+        .filter(member => set.delete(member))
+        .length
+
+      if (count)
+        keyspace.notify('s', 'srem', key)
+
+      if (!set.size) {
+        keyspace.delete(key)
+        keyspace.notify('g', 'del', key)
+      }
+    }
+
+    return count
+  },
+
+  smembers(keyspace, key) {
+    const set = getSet(keyspace, key)
+
+    return set ?
+      [ ...set ] :
+      []
+  },
+
+  sismember(keyspace, key, member) {
+    const set = getSet(keyspace, key)
+
+    return set && set.has(member) ? 1 : 0
+  },
+
+  scard(keyspace, key) {
+    const set = getSet(keyspace, key)
+
+    return set ?
+      set.size :
+      0
+  },
+
+  sunion(keyspace, ...keys) {
+    const union = new Set()
+
+    keys
+      .forEach(key => {
+        setCommands
+          .smembers(keyspace, key)
+          .forEach(member => union.add(member))
+      })
+
+    return [ ...union ]
+  },
+
+  sinter(keyspace, key, ...keys) {
+    const sets = keys
+      .map(keyTemp => getSet(keyspace, keyTemp) || new Set())
+
+    return setCommands
+      .smembers(keyspace, key)
+      .filter(member => sets.every(set => set.has(member)))
+  },
+
+  sdiff(keyspace, key, ...keys) {
+    const sets = keys
+      .map(keyTemp => getSet(keyspace, keyTemp) || new Set())
+
+    return setCommands
+      .smembers(keyspace, key)
+      .filter(member => sets.every(set => !set.has(member)))
+  },
+
+  sunionstore(keyspace, destination, ...keys) {
+    return storeMembers(keyspace, destination, setCommands.sunion(keyspace, ...keys), 'sunionstore')
+  },
+
+  sinterstore(keyspace, destination, ...keys) {
+    return storeMembers(keyspace, destination, setCommands.sinter(keyspace, ...keys), 'sinterstore')
+  },
+
+  sdiffstore(keyspace, destination, ...keys) {
+    return storeMembers(keyspace, destination, setCommands.sdiff(keyspace, ...keys), 'sdiffstore')
+  },
+
+  srandmember(keyspace, key, count) {
+    const members = getRandomMembers(getSet(keyspace, key), count === undefined ? 1 : toInteger(count))
+
+    let reply = members
+
+    if (count === undefined)
+      reply = members.length ? members[0] : null
+
+    return reply
+  },
+
+  spop(keyspace, key, count) {
+    const countTemp = count === undefined ?
+      1 :
+      Math.abs(toInteger(count))
+
+    const members = getRandomMembers(getSet(keyspace, key), countTemp)
+
+    if (members.length) {
+      setCommands.srem(keyspace, key, ...members)
+      keyspace.notify('s', 'spop', key)
+    }
+
+    let reply = members
+
+    if (count === undefined)
+      reply = members.length ? members[0] : null
+
+    return reply
+  },
+
+  smove(keyspace, source, destination, member) {
+    const sourceSet = getSet(keyspace, source)
+
+    getSet(keyspace, destination)
+
+    let reply = 0
+
+    if (sourceSet && sourceSet.has(member)) {
+      setCommands.srem(keyspace, source, member)
+      setCommands.sadd(keyspace, destination, member)
+
+      reply = 1
+    }
+
+    return reply
+  }
+}
+
+module.exports = setCommands
\ No newline at end of file
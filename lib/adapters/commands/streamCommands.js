@@ -0,0 +1,497 @@
+'use strict'
+
+const InMemoryRedisError = require('../InMemoryRedisError')
+
+const { toInteger } = require('./commandArguments')
+
+const TYPE = 'stream'
+
+const MIN_ID = [ 0, 0 ]
+const MAX_ID = [ Number.MAX_SAFE_INTEGER, Number.MAX_SAFE_INTEGER ]
+
+const INVALID_ID_MESSAGE = 'ERR Invalid stream ID specified as stream command argument'
+
+/**
+ * Returns the stream (`{ entries, lastId, groups }`) of the `key` (creating it when `create` is `true`)
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {Boolean} [create = false] Whether to create the stream or not
+ *
+ * @return {Object} The stream
+*/
+function getStream(keyspace, key, create = false) {
+  let stream = keyspace.get(key, TYPE)
+
+  if (!stream && create)
+    stream = keyspace.set(key, TYPE, { entries: [], lastId: MIN_ID, groups: new Map() })
+
+  return stream
+}
+
+/**
+ * Returns the `[ ms, seq ]` of the entry `id` (`-` and `+` are the min and max ids)
+ *
+ * @param {string} id The entry id (i.e. `1526919030474-55` or `1526919030474`)
+ * @param {Number} [defaultSequence = 0] The sequence when `id` has only the `ms` part
+ *
+ * @return {Array<Number>} The `[ ms, seq ]`
+ *
+ * @throws {InMemoryRedisError} When `id` is invalid
+*/
+function parseId(id, defaultSequence = 0) {
+  let parsedId = null
+
+  if (id == '-')
+    parsedId = MIN_ID
+  else if (id == '+')
+    parsedId = MAX_ID
+  else {
+    const [ ms, seq, ...rest ] = id.split('-')
+
+    try {
+      parsedId = [ toInteger(ms), seq === undefined ? defaultSequence : toInteger(seq) ]
+    }
+    catch (e) {
+      throw new InMemoryRedisError(INVALID_ID_MESSAGE)
+    }
+
+    if (rest.length || parsedId.some(part => part < 0))
+      throw new InMemoryRedisError(INVALID_ID_MESSAGE)
+  }
+
+  return parsedId
+}
+
+/**
+ * Returns the entry id string of the `[ ms, seq ]`
+ *
+ * @param {Array<Number>} id The `[ ms, seq ]`
+ *
+ * @return {string} The id (i.e. `1526919030474-55`)
+*/
+function formatId(id) {
+  return `${id[0]}-${id[1]}`
+}
+
+/**
+ * Compares the `[ ms, seq ]` ids (as a `sort` function)
+ *
+ * @param {Array<Number>} idA The first id
+ * @param {Array<Number>} idB The second id
+ *
+ * @return {Number} The order (negative when `idA` is smaller)
+*/
+function compareIds(idA, idB) {
+  return idA[0] - idB[0] || idA[1] - idB[1]
+}
+
+/**
+ * Returns the reply of the `entries` (`[ [ id, [ field, value, ... ] ], ... ]`)
+ *
+ * @param {Array<Object>} entries The entries
+ *
+ * @return {Array} The reply
+*/
+function getEntriesReply(entries) {
+  return entries
+    .map(entry => [ formatId(entry.id), [ ...entry.fields ] ])
+}
+
+/**
+ * Returns the `COUNT` option (`undefined` when not passed)
+ *
+ * @param {Array<string>} options The options
+ *
+ * @return {Number} The count
+ *
+ * @throws {InMemoryRedisError} When an option is invalid
+*/
+function getCount(options) {
+  let count = undefined
+
+  if (options.length) {
+    if (options.length != 2 || options[0].toUpperCase() != 'COUNT')
+      throw new InMemoryRedisError('ERR syntax error')
+
+    count = toInteger(options[1])
+  }
+
+  return count
+}
+
+/**
+ * Returns the `XRANGE` / `XREVRANGE` reply
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {string} start The start id (`(` prefix for exclusive)
+ * @param {string} end The end id (`(` prefix for exclusive)
+ * @param {Array<string>} options The options (`COUNT`)
+ * @param {Boolean} reverse Whether to order from the newest entry or not
+ *
+ * @return {Array} The reply
+*/
+function getRange(keyspace, key, start, end, options, reverse) {
+  const count = getCount(options)
+  const stream = getStream(keyspace, key)
+
+  const [ startId, endId ] = [ [ start, 0 ], [ end, Number.MAX_SAFE_INTEGER ] ]
+    .map(([ id, defaultSequence ]) => {
+      const isExclusive = id.startsWith('(')
+
+      return {
+        id : parseId(isExclusive ? id.substring(1) : id, defaultSequence),
+        isExclusive
+      }
+    })
+
+  let entries = (stream ? stream.entries : [])
+    .filter(entry => {
+      const startOrder = compareIds(entry.id, startId.id)
+      const endOrder = compareIds(entry.id, endId.id)
+
+      return (startId.isExclusive ? startOrder > 0 : startOrder >= 0)
+        && (endId.isExclusive ? endOrder < 0 : endOrder <= 0)
+    })
+
+  if (reverse)
+    entries = entries.reverse()
+
+  if (count !== undefined)
+    entries = entries.slice(0, Math.max(count, 0))
+
+  return getEntriesReply(entries)
+}
+
+/**
+ * Parses the `MAXLEN [=|~] <count>` trim option (starting on `index`)
+ *
+ * @param {Array<string>} args The command arguments
+ * @param {Number} index The index of `MAXLEN`
+ *
+ * @return {Object} The `{ maxLength, nextIndex }`
+ *
+ * @throws {InMemoryRedisError} When the option is invalid
+*/
+function parseMaxLength(args, index) {
+  let nextIndex = index + 1
+
+  if ([ '=', '~' ].includes(args[nextIndex]))
+    nextIndex++
+
+  if (nextIndex >= args.length)
+    throw new InMemoryRedisError('ERR syntax error')
+
+  const maxLength = toInteger(args[nextIndex])
+
+  if (maxLength < 0)
+    throw new InMemoryRedisError('ERR The MAXLEN argument must be >= 0.')
+
+  return { maxLength, nextIndex: nextIndex + 1 }
+}
+
+/**
+ * Removes the oldest entries of the `stream` over `maxLength` (the `~` approximate trimming is exact here)
+ *
+ * @param {Object} stream The stream
+ * @param {Number} maxLength The max length
+ *
+ * @return {Number} The count of removed entries
+*/
+function trim(stream, maxLength) {
+  const count = Math.max(stream.entries.length - maxLength, 0)
+
+  stream.entries
+    .splice(0, count)
+
+  return count
+}
+
+/**
+ * Returns the consumer `group` of the stream of `key`
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {string} groupName The group name
+ *
+ * @return {Object} The group (`{ lastId, pending }`)
+ *
+ * @throws {InMemoryRedisError} When the stream or the group does not exist
+*/
+function getGroup(keyspace, key, groupName) {
+  const stream = getStream(keyspace, key)
+  const group = stream && stream.groups.get(groupName)
+
+  if (!group)
+    throw new InMemoryRedisError(`NOGROUP No such key '${key}' or consumer group '${groupName}'`)
+
+  return group
+}
+
+/**
+ * Returns the entries of the stream of `key` read by the `consumer` of the `group` (as in `XREADGROUP ... STREAMS key id`)
+ *
+ * With `>` the entries never delivered to the group are returned (and added to the `consumer` pending entries, unless `noAck`),
+ * otherwise the `consumer` pending entries after `id`
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {string} id The id (`>` for new entries)
+ * @param {Object} params The params (`{ groupName, consumer, count, noAck }`)
+ *
+ * @return {Array} The reply entries
+*/
+function readGroup(keyspace, key, id, params) {
+  const { groupName, consumer, count, noAck } = params
+
+  const group = getGroup(keyspace, key, groupName)
+  const stream = getStream(keyspace, key)
+
+  let entries = []
+
+  if (id == '>') {
+    entries = stream.entries
+      .filter(entry => compareIds(entry.id, group.lastId) > 0)
+      .slice(0, count)
+
+    if (entries.length)
+      group.lastId = entries[entries.length - 1].id
+
+    if (!noAck) {
+      entries
+        .forEach(entry => group.pending.set(formatId(entry.id), consumer))
+    }
+  }
+  else {
+    const startId = parseId(id)
+
+    entries = stream.entries
+      .filter(entry => compareIds(entry.id, startId) > 0 && group.pending.get(formatId(entry.id)) == consumer)
+      .slice(0, count)
+  }
+
+  return getEntriesReply(entries)
+}
+
+/**
+ * Stream commands (`XADD`, `XRANGE`, `XTRIM`, `XREADGROUP`...)
+ * Each command receives the [`InMemoryRedisKeyspace`]{@link InMemoryRedisKeyspace} and the command arguments
+ *
+ * `XREADGROUP` does not block here (as inside a `MULTI`), the [`InMemoryRedisClient`]{@link InMemoryRedisClient} blocks it
+*/
+const streamCommands = {
+  xadd(keyspace, key, ...args) {
+    let index = 0
+    let maxLength = undefined
+    let create = true
+
+    while (index < args.length && [ 'NOMKSTREAM', 'MAXLEN' ].includes(args[index].toUpperCase())) {
+      if (args[index].toUpperCase() == 'NOMKSTREAM') {
+        create = false
+        index++
+      }
+      else {
+        const trimOption = parseMaxLength(args, index)
+
+        maxLength = trimOption.maxLength
+        index = trimOption.nextIndex
+      }
+    }
+
+    const [ id, ...fields ] = args.slice(index)
+
+    if (id === undefined || !fields.length || fields.length % 2)
+      throw new InMemoryRedisError('ERR wrong number of arguments for \'xadd\' command')
+
+    const stream = getStream(keyspace, key, create)
+
+    let reply = null
+
+    if (stream) {
+      let entryId = null
+
+      if (id == '*') {
+        const ms = Date.now()
+
+        entryId = ms > stream.lastId[0] ?
+          [ ms, 0 ] :
+          [ stream.lastId[0], stream.lastId[1] + 1 ]
+      }
+      else {
+        entryId = parseId(id)
+
+        if (compareIds(entryId, stream.lastId) <= 0)
+          throw new InMemoryRedisError('ERR The ID specified in XADD is equal or smaller than the target stream top item')
+      }
+
+      stream.entries
+        .push({ id: entryId, fields })
+
+      stream.lastId = entryId
+
+      keyspace.notify('t', 'xadd', key)
+
+      if (maxLength !== undefined && trim(stream, maxLength))
+        keyspace.notify('t', 'xtrim', key)
+
+      reply = formatId(entryId)
+    }
+
+    return reply
+  },
+
+  xlen(keyspace, key) {
+    const stream = getStream(keyspace, key)
+
+    return stream ?
+      stream.entries.length :
+      0
+  },
+
+  xrange(keyspace, key, start, end, ...options) {
+    return getRange(keyspace, key, start, end, options, false)
+  },
+
+  xrevrange(keyspace, key, end, start, ...options) {
+    return getRange(keyspace, key, start, end, options, true)
+  },
+
+  xtrim(keyspace, key, strategy, ...args) {
+    if (strategy.toUpperCase() != 'MAXLEN')
+      throw new InMemoryRedisError('ERR syntax error')
+
+    const { maxLength, nextIndex } = parseMaxLength([ strategy, ...args ], 0)
+
+    if (nextIndex != args.length + 1)
+      throw new InMemoryRedisError('ERR syntax error')
+
+    const stream = getStream(keyspace, key)
+
+    let count = 0
+
+    if (stream) {
+      count = trim(stream, maxLength)
+
+      if (count)
+        keyspace.notify('t', 'xtrim', key)
+    }
+
+    return count
+  },
+
+  xdel(keyspace, key, ...ids) {
+    const stream = getStream(keyspace, key)
+    const parsedIds = ids.map(id => parseId(id))
+
+    let count = 0
+
+    if (stream) {
+      const size = stream.entries.length
+
+      stream.entries = stream.entries
+        .filter(entry => !parsedIds.some(id => compareIds(entry.id, id) == 0))
+
+      count = size - stream.entries.length
+
+      if (count)
+        keyspace.notify('t', 'xdel', key)
+    }
+
+    return count
+  },
+
+  xgroup(keyspace, subcommand, key, groupName, ...args) {
+    const subcommandTemp = String(subcommand).toUpperCase()
+
+    let reply = null
+
+    if (subcommandTemp == 'CREATE') {
+      const [ id, ...options ] = args
+
+      if (id === undefined || options.some(option => option.toUpperCase() != 'MKSTREAM'))
+        throw new InMemoryRedisError('ERR syntax error')
+
+      const stream = getStream(keyspace, key, options.length > 0)
+
+      if (!stream)
+        throw new InMemoryRedisError('ERR The XGROUP subcommand requires the key to exist. Note that for CREATE you may want to use the MKSTREAM option to create an empty stream automatically.')
+
+      if (stream.groups.has(groupName))
+        throw new InMemoryRedisError('BUSYGROUP Consumer Group name already exists')
+
+      stream.groups
+        .set(groupName, {
+          lastId  : id == '$' ? stream.lastId : parseId(id),
+          pending : new Map()
+        })
+
+      keyspace.notify('t', 'xgroup-create', key)
+
+      reply = 'OK'
+    }
+    else if (subcommandTemp == 'DESTROY') {
+      const stream = getStream(keyspace, key)
+
+      reply = stream && stream.groups.delete(groupName) ? 1 : 0
+
+      if (reply)
+        keyspace.notify('t', 'xgroup-destroy', key)
+    }
+    else
+      throw new InMemoryRedisError(`ERR unknown subcommand '${subcommand}'`)
+
+    return reply
+  },
+
+  xreadgroup(keyspace, group, groupName, consumer, ...args) {
+    if (String(group).toUpperCase() != 'GROUP' || consumer === undefined)
+      throw new InMemoryRedisError('ERR syntax error')
+
+    const params = { groupName, consumer, count: undefined, noAck: false }
+
+    let index = 0
+
+    while (index < args.length && args[index].toUpperCase() != 'STREAMS') {
+      const option = args[index].toUpperCase()
+
+      if (option == 'COUNT' && index + 1 < args.length)
+        params.count = toInteger(args[++index])
+      else if (option == 'BLOCK' && index + 1 < args.length)
+        toInteger(args[++index])
+      else if (option == 'NOACK')
+        params.noAck = true
+      else
+        throw new InMemoryRedisError('ERR syntax error')
+
+      index++
+    }
+
+    const keysIds = args.slice(index + 1)
+
+    if (index == args.length || !keysIds.length || keysIds.length % 2)
+      throw new InMemoryRedisError('ERR Unbalanced \'xreadgroup\' list of streams: for each stream key an ID or \'>\' must be specified.')
+
+    const keys = keysIds.slice(0, keysIds.length / 2)
+    const ids = keysIds.slice(keysIds.length / 2)
+
+    const reply = keys
+      .map((key, keyIndex) => [ key, readGroup(keyspace, key, ids[keyIndex], params) ])
+      .filter(([ , entries ], keyIndex) => entries.length || ids[keyIndex] != '>')
+
+    return reply.length ?
+      reply :
+      null
+  },
+
+  xack(keyspace, key, groupName, ...ids) {
+    const stream = getStream(keyspace, key)
+    const group = stream && stream.groups.get(groupName)
+
+    return group ?
+      ids.filter(id => group.pending.delete(formatId(parseId(id)))).length :
+      0
+  }
+}
+
+module.exports = streamCommands
\ No newline at end of file
@@ -0,0 +1,95 @@
+'use strict'
+
+const InMemoryRedisError = require('../InMemoryRedisError')
+
+const { toInteger } = require('./commandArguments')
+
+const TYPE = 'string'
+
+/**
+ * String commands (`GET`, `SET`, `MGET`, `INCR`)
+ * Each command receives the [`InMemoryRedisKeyspace`]{@link InMemoryRedisKeyspace} and the command arguments
+*/
+const stringCommands = {
+  get(keyspace, key) {
+    const value = keyspace.get(key, TYPE)
+
+    return value !== undefined ?
+      value :
+      null
+  },
+
+  mget(keyspace, ...keys) {
+    return keys
+      .map(key => {
+        return keyspace.type(key) == TYPE ?
+          keyspace.get(key) :
+          null
+      })
+  },
+
+  incr(keyspace, key) {
+    return stringCommands.incrby(keyspace, key, '1')
+  },
+
+  incrby(keyspace, key, increment) {
+    const value = stringCommands.get(keyspace, key)
+
+    if (value !== null && !/^-?\d+$/.test(value))
+      throw new InMemoryRedisError('ERR value is not an integer or out of range')
+
+    const valueTemp = toInteger(value === null ? '0' : value) + toInteger(increment)
+
+    keyspace.set(key, TYPE, String(valueTemp))
+    keyspace.notify('$', 'incrby', key)
+
+    return valueTemp
+  },
+
+  set(keyspace, key, value, ...options) {
+    const params = {}
+
+    for (let index = 0; index < options.length; index++) {
+      const option = options[index].toUpperCase()
+
+      if (option == 'EX' || option == 'PX') {
+        const ttl = toInteger(options[++index])
+
+        if (ttl <= 0)
+          throw new InMemoryRedisError('ERR invalid expire time in set')
+
+        params.expiresAt = Date.now() + (option == 'EX' ? ttl * 1000 : ttl)
+      }
+      else if ([ 'NX', 'XX', 'KEEPTTL', 'GET' ].includes(option))
+        params[option] = true
+      else
+        throw new InMemoryRedisError('ERR syntax error')
+    }
+
+    const oldValue = params.GET ?
+      stringCommands.get(keyspace, key) :
+      undefined
+
+    const exists = keyspace.has(key)
+
+    let reply = null
+
+    if (!(params.NX && exists) && !(params.XX && !exists)) {
+      keyspace.set(key, TYPE, value, Boolean(params.KEEPTTL))
+      keyspace.notify('$', 'set', key)
+
+      if (params.expiresAt) {
+        keyspace.setExpiration(key, params.expiresAt)
+        keyspace.notify('g', 'expire', key)
+      }
+
+      reply = 'OK'
+    }
+
+    return params.GET ?
+      oldValue :
+      reply
+  }
+}
+
+module.exports = stringCommands
\ No newline at end of file
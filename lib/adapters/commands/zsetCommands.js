@@ -0,0 +1,355 @@
+'use strict'
+
+const InMemoryRedisError = require('../InMemoryRedisError')
+
+const { toInteger, toFloat } = require('./commandArguments')
+
+const TYPE = 'zset'
+
+/**
+ * Returns the sorted set `Map` (member => score) of the `key` (creating it when `create` is `true`)
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {Boolean} [create = false] Whether to create the sorted set or not
+ *
+ * @return {Map} The sorted set
+*/
+function getZSet(keyspace, key, create = false) {
+  let zset = keyspace.get(key, TYPE)
+
+  if (!zset && create)
+    zset = keyspace.set(key, TYPE, new Map())
+
+  return zset
+}
+
+/**
+ * Returns the members of the sorted set ordered by score (and by member, on equal scores)
+ *
+ * @param {Map} [zset] The sorted set
+ * @param {Boolean} [reverse = false] Whether to order from the highest score or not
+ *
+ * @return {Array<Array>} The `[ member, score ]` list
+*/
+function getSortedEntries(zset, reverse = false) {
+  const entries = zset ?
+    [ ...zset ] :
+    []
+
+  entries
+    .sort(([ memberA, scoreA ], [ memberB, scoreB ]) => {
+      let order = scoreA - scoreB
+
+      if (!order)
+        order = memberA < memberB ? -1 : (memberA > memberB ? 1 : 0)
+
+      return order
+    })
+
+  return reverse ?
+    entries.reverse() :
+    entries
+}
+
+/**
+ * Returns the score as replied by `redis` (i.e. `1.5`, `inf`)
+ *
+ * @param {Number} score The score
+ *
+ * @return {string} The score string
+*/
+function formatScore(score) {
+  let scoreString = String(score)
+
+  if (score == Infinity)
+    scoreString = 'inf'
+  else if (score == -Infinity)
+    scoreString = '-inf'
+
+  return scoreString
+}
+
+/**
+ * Returns the reply of the `entries` (with their scores when `WITHSCORES` is passed)
+ *
+ * @param {Array<Array>} entries The `[ member, score ]` list
+ * @param {Boolean} withScores Whether to reply the scores or not
+ *
+ * @return {Array<string>} The reply
+*/
+function getEntriesReply(entries, withScores) {
+  return entries
+    .reduce((reply, [ member, score ]) => reply.concat(withScores ? [ member, formatScore(score) ] : [ member ]), [])
+}
+
+/**
+ * Returns the function testing whether a score is within the `min` - `max` interval (as in `ZRANGEBYSCORE`)
+ *
+ * @param {string} min The min score (`(` prefix for exclusive)
+ * @param {string} max The max score (`(` prefix for exclusive)
+ *
+ * @return {Function} The `function(score)`
+ *
+ * @throws {InMemoryRedisError} When `min` or `max` is not a number
+*/
+function getScoreFilter(min, max) {
+  const [ minScore, maxScore ] = [ min, max ]
+    .map(limit => {
+      const isExclusive = limit.startsWith('(')
+
+      let score = null
+
+      try {
+        score = toFloat(isExclusive ? limit.substring(1) : limit)
+      }
+      catch (e) {
+        throw new InMemoryRedisError('ERR min or max is not a float')
+      }
+
+      return { score, isExclusive }
+    })
+
+  return score => (minScore.isExclusive ? score > minScore.score : score >= minScore.score)
+    && (maxScore.isExclusive ? score < maxScore.score : score <= maxScore.score)
+}
+
+/**
+ * Returns the `ZRANGE` / `ZREVRANGE` reply
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {string} start The start rank
+ * @param {string} stop The stop rank
+ * @param {Array<string>} options The options (`WITHSCORES`)
+ * @param {Boolean} reverse Whether to order from the highest score or not
+ *
+ * @return {Array<string>} The reply
+*/
+function getRange(keyspace, key, start, stop, options, reverse) {
+  const entries = getSortedEntries(getZSet(keyspace, key), reverse)
+  const length = entries.length
+
+  let startIndex = toInteger(start)
+  let stopIndex = toInteger(stop)
+
+  if (startIndex < 0)
+    startIndex = Math.max(length + startIndex, 0)
+
+  if (stopIndex < 0)
+    stopIndex = length + stopIndex
+
+  return getEntriesReply(entries.slice(startIndex, stopIndex + 1), isWithScores(options))
+}
+
+/**
+ * Returns the `ZRANGEBYSCORE` / `ZREVRANGEBYSCORE` reply
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {string} min The min score
+ * @param {string} max The max score
+ * @param {Array<string>} options The options (`WITHSCORES`, `LIMIT offset count`)
+ * @param {Boolean} reverse Whether to order from the highest score or not
+ *
+ * @return {Array<string>} The reply
+ *
+ * @throws {InMemoryRedisError} When an option is invalid
+*/
+function getRangeByScore(keyspace, key, min, max, options, reverse) {
+  const isInRange = getScoreFilter(min, max)
+
+  let entries = getSortedEntries(getZSet(keyspace, key), reverse)
+    .filter(([ , score ]) => isInRange(score))
+
+  let withScores = false
+
+  for (let index = 0; index < options.length; index++) {
+    const option = options[index].toUpperCase()
+
+    if (option == 'WITHSCORES')
+      withScores = true
+    else if (option == 'LIMIT' && index + 2 < options.length) {
+      const offset = toInteger(options[++index])
+      const count = toInteger(options[++index])
+
+      entries = offset < 0 ?
+        [] :
+        entries.slice(offset, count < 0 ? undefined : offset + count)
+    }
+    else
+      throw new InMemoryRedisError('ERR syntax error')
+  }
+
+  return getEntriesReply(entries, withScores)
+}
+
+/**
+ * Returns whether the options have `WITHSCORES`
+ *
+ * @param {Array<string>} options The options
+ *
+ * @return {Boolean} Whether the options have `WITHSCORES` or not
+ *
+ * @throws {InMemoryRedisError} When an option is invalid
+*/
+function isWithScores(options) {
+  if (options.some(option => option.toUpperCase() != 'WITHSCORES'))
+    throw new InMemoryRedisError('ERR syntax error')
+
+  return options.length > 0
+}
+
+/**
+ * Returns the rank of the `member` (`null` when it does not exist)
+ *
+ * @param {InMemoryRedisKeyspace} keyspace The keyspace
+ * @param {string} key The key name
+ * @param {string} member The member
+ * @param {Boolean} reverse Whether to rank from the highest score or not
+ *
+ * @return {Number} The rank
+*/
+function getRank(keyspace, key, member, reverse) {
+  const index = getSortedEntries(getZSet(keyspace, key), reverse)
+    .findIndex(([ memberTemp ]) => memberTemp == member)
+
+  return index > -1 ?
+    index :
+    null
+}
+
+/**
+ * Sorted set commands (`ZADD`, `ZRANGE`, `ZRANGEBYSCORE`, `ZRANK`...)
+ * Each command receives the [`InMemoryRedisKeyspace`]{@link InMemoryRedisKeyspace} and the command arguments
+*/
+const zsetCommands = {
+  zadd(keyspace, key, ...args) {
+    const flags = []
+
+    while (args.length && [ 'NX', 'XX', 'CH', 'INCR' ].includes(args[0].toUpperCase()))
+      flags.push(args.shift().toUpperCase())
+
+    if (!args.length || args.length % 2 || (flags.includes('NX') && flags.includes('XX')))
+      throw new InMemoryRedisError('ERR syntax error')
+
+    if (flags.includes('INCR') && args.length > 2)
+      throw new InMemoryRedisError('ERR INCR option supports a single increment-element pair')
+
+    const scores = args
+      .filter((arg, index) => index % 2 == 0)
+      .map(toFloat)
+
+    const zset = getZSet(keyspace, key, !flags.includes('XX'))
+
+    let count = 0
+    let reply = null
+
+    if (zset) {
+      scores
+        .forEach((score, index) => {
+          const member = args[index * 2 + 1]
+          const exists = zset.has(member)
+
+          if (!(flags.includes('NX') && exists) && !(flags.includes('XX') && !exists)) {
+            const newScore = flags.includes('INCR') ?
+              (exists ? zset.get(member) : 0) + score :
+              score
+
+            if (!exists || (flags.includes('CH') && zset.get(member) != newScore))
+              count++
+
+            zset.set(member, newScore)
+
+            reply = formatScore(newScore)
+          }
+        })
+
+      if (!zset.size)
+        keyspace.delete(key)
+      else
+        keyspace.notify('z', flags.includes('INCR') ? 'zincr' : 'zadd', key)
+    }
+
+    return flags.includes('INCR') ?
+      reply :
+      count
+  },
+
+  zincrby(keyspace, key, increment, member) {
+    return zsetCommands.zadd(keyspace, key, 'INCR', increment, member)
+  },
+
+  zrem(keyspace, key, ...members) {
+    const zset = getZSet(keyspace, key)
+
+    let count = 0
+
+    if (zset) {
+      count = members
+        .filter(member => zset.delete(member))
+        .length
+
+      if (count)
+        keyspace.notify('z', 'zrem', key)
+
+      if (!zset.size) {
+        keyspace.delete(key)
+        keyspace.notify('g', 'del', key)
+      }
+    }
+
+    return count
+  },
+
+  zscore(keyspace, key, member) {
+    const zset = getZSet(keyspace, key)
+
+    return zset && zset.has(member) ?
+      formatScore(zset.get(member)) :
+      null
+  },
+
+  zcard(keyspace, key) {
+    const zset = getZSet(keyspace, key)
+
+    return zset ?
+      zset.size :
+      0
+  },
+
+  zcount(keyspace, key, min, max) {
+    const isInRange = getScoreFilter(min, max)
+    const zset = getZSet(keyspace, key)
+
+    return zset ?
+      [ ...zset.values() ].filter(isInRange).length :
+      0
+  },
+
+  zrank(keyspace, key, member) {
+    return getRank(keyspace, key, member, false)
+  },
+
+  zrevrank(keyspace, key, member) {
+    return getRank(keyspace, key, member, true)
+  },
+
+  zrange(keyspace, key, start, stop, ...options) {
+    return getRange(keyspace, key, start, stop, options, false)
+  },
+
+  zrevrange(keyspace, key, start, stop, ...options) {
+    return getRange(keyspace, key, start, stop, options, true)
+  },
+
+  zrangebyscore(keyspace, key, min, max, ...options) {
+    return getRangeByScore(keyspace, key, min, max, options, false)
+  },
+
+  zrevrangebyscore(keyspace, key, max, min, ...options) {
+    return getRangeByScore(keyspace, key, min, max, options, true)
+  }
+}
+
+module.exports = zsetCommands
\ No newline at end of file
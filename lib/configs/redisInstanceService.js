@@ -1,5 +1,14 @@
 'use strict'
 
-module.exports = (redis) => {
+const redisInstanceService = (redis) => {
   global.redisInstance = redis
-}
\ No newline at end of file
+}
+
+/**
+ * Returns the default `redis` instance (the one passed to `redisInstanceService`)
+ *
+ * @return {redis.RedisClient} The `redis` client
+*/
+redisInstanceService.getRedisInstance = () => global.redisInstance
+
+module.exports = redisInstanceService
\ No newline at end of file
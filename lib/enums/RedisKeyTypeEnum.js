@@ -9,6 +9,11 @@ const RedisKeyTypeEnum = {
   STRING      : 2,
   HASH        : 3,
   JSON_ARRAY  : 4,
+  ZSET        : 5,
+  LIST        : 6,
+  VALUE       : 7,
+  STREAM      : 8,
+  HASH_OBJECT : 9,
 
   toArray     : function() {
     const values = []
@@ -1,13 +1,28 @@
 'use strict'
 
-const redis = global.redisInstance
+const crypto = require('crypto')
+
+const { EventEmitter } = require('events')
+
+const { getRedisInstance } = require('../configs/redisInstanceService')
 
 const RedisKeyTypeEnum = require('../enums/RedisKeyTypeEnum')
 
 const GenericJSONCache = require('../services/types/GenericJSONCache')
 const GenericSTRINGCache = require('../services/types/GenericSTRINGCache')
 const GenericHASHCache = require('../services/types/GenericHASHCache')
+const GenericHASHObjectCache = require('../services/types/GenericHASHObjectCache')
 const GenericJSONArrayCache = require('../services/types/GenericJSONArrayCache')
+const GenericZSETCache = require('../services/types/GenericZSETCache')
+const GenericLISTCache = require('../services/types/GenericLISTCache')
+const GenericVALUECache = require('../services/types/GenericVALUECache')
+const GenericSTREAMCache = require('../services/types/GenericSTREAMCache')
+const LRUCache = require('../services/LRUCache')
+const LockSignal = require('../services/LockSignal')
+
+const lockScripts = require('../services/lockScripts')
+const tagScripts = require('../services/tagScripts')
+const setModeScripts = require('../services/setModeScripts')
 
 /**
  * @typedef KeyId
@@ -31,15 +46,258 @@ const GenericJSONArrayCache = require('../services/types/GenericJSONArrayCache')
  * @property {Array<KeyId>} ids The list of [`KeyIds`]{@link KeyId}
  * @property {string} idNull The string value to use when `id` is `null`
  * @property {string} idUndefined The string value to use when `id` is `undefined`
+ * @property {(Number | Function)} [ttl] The expiration time (in seconds) of the keys or a `function(key, value)` returning it
+ * @property {(Number | Function)} [staleTTL] The soft expiration time (in seconds) of the keys or a `function(key, value)` returning it
+ * (after it, [`get`]{@link GenericRedisCache.get} returns the cached value and refreshes it from `db` on background)
+ * @property {redis.RedisClient} [client] The `redis` client used by the cache (instead of the default one)
+ * @property {Function} [clientFactory] A `function` returning the `redis` client (called on the first operation)
+ * @property {Boolean} [jsonModule] Whether the client has the `ReJSON` module or not (see [`detectJSONModule`]{@link GenericRedisCache.detectJSONModule})
+ * @property {(Boolean | SingleFlightConfig)} [singleFlight] Whether concurrent cache misses of a key share the same `getDB` call or not
+ * @property {(Boolean | Number)} [cacheMisses] Whether to cache the keys not found on `db` or not (or the expiration time, in seconds, of these misses)
+ * @property {(Boolean | L1Config)} [l1] Whether to keep the values read through [`getCache`]{@link GenericRedisCache.getCache}
+ * on an in-process LRU cache (in front of `redis`) or not
+ * @property {Function} [tags] A `function(key, value)` returning the tags (`Array<string>`) of the key
+ * (see [`invalidateTags`]{@link GenericRedisCache.invalidateTags})
+ * @property {(Number | Function)} [score] The score of the `ZSET` members or a `function(key, member)` returning it (the current time by default)
+ * @property {Number} [maxLength] The max length of the `LIST`, `STREAM` and `JSON_ARRAY` keys (they are trimmed on each write,
+ * approximately in case of `STREAM`)
+ * @property {(Array<string> | string)} [dedupeBy] The attr(s) identifying the `JSON_ARRAY` items (on each `add`, the older items
+ * with the same attrs are removed)
+ * @property {string} [setMode] The `SET` mode of the `VALUE` keys (`'NX'` to only create or `'XX'` to only replace them)
+ * @property {GenericHASHObjectCache.HashObjectSchema} [schema] The types of the `HASH_OBJECT` fields (i.e. `{ id: 'number', active: 'boolean' }`)
+ * @property {Serializer} [serializer] The [`Serializer`]{@link Serializer} of the values (`JSON` by default)
+*/
+
+/**
+ * Serializer of the values of the `HASH`, `STRING`, `LIST` and `VALUE` keys (and of the `l1` entries), replacing the
+ * default `JSON` strings (see [`TaggedJSONSerializer`]{@link TaggedJSONSerializer} and [`MessagePackSerializer`]{@link MessagePackSerializer})
+ *
+ * @typedef Serializer
+ * @type {Object}
+ * @memberof GenericRedisCache
+ *
+ * @property {Function} serialize A `function(value)` returning the string (or the `Buffer`, when `binary`) to save
+ * @property {Function} deserialize A `function(string)` returning the value saved
+ * @property {Boolean} [binary] Whether `serialize` returns `Buffers` or not (the values are read back through
+ * a `return_buffers` duplicate of the client)
+ * @property {Function} [toJSONValue] A `function(value)` returning the `JSON` value to save on the `JSON` keys, on any `path`
+ * (without it, the values are saved on the `JSON` keys as they are)
+ * @property {Function} [fromJSONValue] A `function(value)` returning the value of the `JSON` value read from the `JSON` keys
+*/
+
+/**
+ * Config for the in-process cache (`l1`)
+ *
+ * @typedef L1Config
+ * @type {Object}
+ * @memberof GenericRedisCache
+ *
+ * @property {Number} [maxEntries = 1000] The max count of entries (the least recently used ones are evicted)
+ * @property {Number} [ttl = 60] The expiration time (in seconds) of the entries
+*/
+
+/**
+ * Config for the cache stampede protection (`singleFlight`)
+ *
+ * @typedef SingleFlightConfig
+ * @type {Object}
+ * @memberof GenericRedisCache
+ *
+ * @property {Number} [lockTTL = 10000] The expiration time (in milliseconds) of the lock key while fetching from `db`
+ * @property {Number} [retryDelay = 50] The interval (in milliseconds) to check whether the lock was released
+ * @property {Number} [timeout = 10000] The max time (in milliseconds) to wait for the lock before fetching from `db` anyway
+*/
+
+/**
+ * Config of the [`withLock`]{@link GenericRedisCache.withLock} locks
+ *
+ * @typedef LockConfig
+ * @type {Object}
+ * @memberof GenericRedisCache
+ *
+ * @property {Number} [ttl = 10000] The expiration time (in milliseconds) of the lock key (extended while the lock is held)
+ * @property {Number} [retry = 50] The interval (in milliseconds) between the attempts to take the lock
+ * @property {Number} [timeout = 10000] The max time (in milliseconds) to wait for the lock (`0` to try only once)
 */
 const GENERIC_REDIS_ATTRS = {
-  keyName     : '',
-  type        : RedisKeyTypeEnum.JSON,
-  ids         : [],
-  idNull      : 'null',
-  idUndefined : 'undefined'
+  keyName       : '',
+  type          : RedisKeyTypeEnum.JSON,
+  ids           : [],
+  idNull        : 'null',
+  idUndefined   : 'undefined',
+  ttl           : null,
+  staleTTL      : null,
+  client        : null,
+  clientFactory : null,
+  jsonModule    : null,
+  singleFlight  : false,
+  cacheMisses   : false,
+  l1            : false,
+  tags          : null,
+  score         : null,
+  maxLength     : null,
+  dedupeBy      : null,
+  setMode       : null,
+  schema        : null,
+  serializer    : null
+}
+
+const SINGLE_FLIGHT_CONFIG = {
+  lockTTL     : 10000,
+  retryDelay  : 50,
+  timeout     : 10000
+}
+
+const LOCK_CONFIG = {
+  ttl         : 10000,
+  retry       : 50,
+  timeout     : 10000
+}
+
+const TRANSFORM_RETRIES = 5
+
+const CACHE_MISSES_TTL = 60
+
+const L1_CONFIG = {
+  maxEntries  : 1000,
+  ttl         : 60
+}
+
+const SCAN_COUNT = 100
+const SCAN_BATCH_SIZE = 100
+const SCAN_DEDUPE_SIZE = 10000
+
+const LOCK_KEY_PREFIX = '__lock:'
+const MUTEX_KEY_PREFIX = '__mutex:'
+const FRESH_KEY_PREFIX = '__fresh:'
+const MISS_KEY_PREFIX = '__miss:'
+const L1_CHANNEL_PREFIX = '__l1:'
+const TAG_KEY_PREFIX = '__tag:'
+const VERSION_KEY_PREFIX = '__version:'
+
+/**
+ * The key types with a version (see [`getVersion`]{@link GenericRedisCache.getVersion})
+ * @type {Array<RedisKeyTypeEnum>}
+*/
+const VERSIONED_TYPES = [ RedisKeyTypeEnum.JSON, RedisKeyTypeEnum.HASH, RedisKeyTypeEnum.JSON_ARRAY ]
+
+/**
+ * The time (in seconds) the version key outlives its key (after the key expires or is deleted),
+ * so the versions keep increasing when the key is saved again
+ * @type {Number}
+*/
+const VERSION_TTL_MARGIN = 86400
+
+/**
+ * The key types whose values are saved by the `serializer`
+ * @type {Array<RedisKeyTypeEnum>}
+*/
+const SERIALIZED_TYPES = [ RedisKeyTypeEnum.STRING, RedisKeyTypeEnum.HASH, RedisKeyTypeEnum.LIST, RedisKeyTypeEnum.VALUE ]
+
+const KEYSPACE_CHANNEL_REGEX = /^__keyspace@\d+__:/
+
+/**
+ * The cache events (emitted by [`on`]{@link GenericRedisCache.on}) of each keyspace event
+ * (the keyspace events not listed here are emitted under their own name, i.e. `hdel`, and the ones mapped to `null` are ignored)
+ * @type {Object}
+*/
+const KEYSPACE_EVENTS = {
+  'set'             : 'set',
+  'setrange'        : 'set',
+  'incrby'          : 'set',
+  'incrbyfloat'     : 'set',
+  'append'          : 'set',
+  'hset'            : 'set',
+  'hincrby'         : 'set',
+  'hincrbyfloat'    : 'set',
+  'sadd'            : 'set',
+  'sinterstore'     : 'set',
+  'sunionstore'     : 'set',
+  'sdiffstore'      : 'set',
+  'zadd'            : 'set',
+  'zincr'           : 'set',
+  'zinterstore'     : 'set',
+  'zunionstore'     : 'set',
+  'zdiffstore'      : 'set',
+  'lpush'           : 'set',
+  'rpush'           : 'set',
+  'linsert'         : 'set',
+  'lset'            : 'set',
+  'xadd'            : 'set',
+  'rename_to'       : 'set',
+  'copy_to'         : 'set',
+  'restore'         : 'set',
+  'json.set'        : 'set',
+  'json.merge'      : 'set',
+  'json.arrappend'  : 'set',
+  'json.arrinsert'  : 'set',
+  'json.numincrby'  : 'set',
+  'json.nummultby'  : 'set',
+  'json.strappend'  : 'set',
+  'json.toggle'     : 'set',
+  'del'             : 'del',
+  'evicted'         : 'del',
+  'rename_from'     : 'del',
+  'expired'         : 'expired',
+  'expire'          : null,
+  'persist'         : null,
+  'new'             : null
 }
 
+/**
+ * The keyspace events that delete the key or only a part of it (emitted as `del` only when the key no longer exists)
+ * @type {Array<string>}
+*/
+const KEYSPACE_PARTIAL_DELETE_EVENTS = [ 'json.del' ]
+
+/**
+ * The `redis` clients configured by cache class
+ * @type {Map<GenericRedisCache, Object>}
+*/
+const CLIENTS = new Map()
+
+/**
+ * The pending `db` fetches by key name (see `singleFlight`)
+ * @type {Map<string, Promise>}
+*/
+const FLIGHTS = new Map()
+
+/**
+ * The keyspace notifications subscriptions by cache class (see `on`)
+ * @type {Map<GenericRedisCache, Object>}
+*/
+const SUBSCRIPTIONS = new Map()
+
+/**
+ * The in-process caches by cache class (see `l1`)
+ * @type {Map<GenericRedisCache, Object>}
+*/
+const L1_CACHES = new Map()
+
+/**
+ * The `return_buffers` duplicates of the `redis` clients, reading the values of the `binary` serializers
+ * @type {WeakMap<redis.RedisClient, redis.RedisClient>}
+*/
+const BUFFER_CLIENTS = new WeakMap()
+
+/**
+ * The idle connections of the `redis` clients to watch keys (see `_watch`)
+ * @type {WeakMap<redis.RedisClient, Array<redis.RedisClient>>}
+*/
+const WATCH_CLIENTS = new WeakMap()
+
+/**
+ * The max count of idle connections kept by client to watch keys (the others quit once released)
+ * @type {Number}
+*/
+const WATCH_CLIENTS_MAX = 10
+
+/**
+ * The cache classes that saved tagged keys or were registered (see `tags` and `registerTags`)
+ * @type {Set<GenericRedisCache>}
+*/
+const TAGGED_CACHES = new Set()
+
 /**
  * Contains a set of methods to handle `redis` operations
  * @class GenericRedisCache
@@ -72,6 +330,92 @@ class GenericRedisCache {
     }
   }
 
+  /**
+   * Configures the `redis` client for this cache class (and its subclasses)
+   *
+   * @param {Object} [params = {}] The config params
+   * @param {redis.RedisClient} [params.client] The `redis` client
+   * @param {Function} [params.clientFactory] A `function` returning the `redis` client (called on the first operation)
+   * @param {Boolean} [params.jsonModule] Whether the client has the `ReJSON` module or not (detected before resolving
+   * when a `client` is passed and on the first `JSON`/`JSON_ARRAY` operation of the other clients, see [`detectJSONModule`]{@link GenericRedisCache.detectJSONModule})
+   * @async
+   *
+   * @return {GenericRedisCache} The cache class
+   *
+   * @example
+   *  await GenericRedisCache.configure({ client: redis })
+   *  // All caches use `redis`
+   *
+   *  await DogCache.configure({ clientFactory: () => redis.duplicate({ db: 2 }) })
+   *  // `DogCache` (and its subclasses) use a connection to the `db 2`
+   *
+   *  await GenericRedisCache.configure({ client: redis, jsonModule: false })
+   *  // The `JSON`/`JSON_ARRAY` keys are saved as plain strings (changed by `Lua` scripts)
+  */
+  static async configure(params = {}) {
+    const { client = null, clientFactory = null, jsonModule = null } = params
+
+    if (client || clientFactory)
+      CLIENTS.set(this, { client, clientFactory, jsonModule })
+    else
+      CLIENTS.delete(this)
+
+    if (jsonModule != null && (client || !clientFactory))
+      GenericJSONCache.setJSONModule(jsonModule, this.getClient())
+    else if (jsonModule == null && client) {
+      await this
+        .detectJSONModule()
+        .catch(() => null)
+    }
+
+    return this
+  }
+
+  /**
+   * Detects whether the `redis` client of this cache class has the `ReJSON` module or not
+   *
+   * When it has not, the `JSON` and `JSON_ARRAY` keys are emulated over plain string keys (with `Lua` scripts,
+   * keeping each operation atomic), so await it before the first operation on servers that may not have the module
+   * @async
+   *
+   * @return {Boolean} Whether the client has the `ReJSON` module or not
+   *
+   * @example
+   *  await DogCache.detectJSONModule()
+   *  // false (i.e. on a managed `redis` without `ReJSON`)
+  */
+  static detectJSONModule() {
+    return GenericJSONCache
+      .detectJSONModule(this.getClient())
+  }
+
+  /**
+   * Returns the `redis` client of this cache class
+   *
+   * The client is resolved on each call, in the following order: the one configured
+   * through [`configure`]{@link GenericRedisCache.configure} or `GENERIC_REDIS_ATTRS` (`client`/`clientFactory`),
+   * the one of the parent classes and the default one (see `configs/redisInstanceService`)
+   *
+   * @return {redis.RedisClient} The `redis` client
+  */
+  static getClient() {
+    const clientConfig = this._getClientConfig()
+
+    let client = null
+
+    if (clientConfig) {
+      if (!clientConfig.client && clientConfig.clientFactory)
+        clientConfig.client = clientConfig.clientFactory()
+
+      client = clientConfig.client
+
+      if (client && clientConfig.jsonModule != null)
+        GenericJSONCache.setJSONModule(clientConfig.jsonModule, client)
+    }
+
+    return client || getRedisInstance()
+  }
+
   /**
    * Returns the list of ids from `db`
    * @async
@@ -113,10 +457,11 @@ class GenericRedisCache {
    * @param {*} object The cache object
    * @param {string} key The cache key
    * @param {Object} params Additional params
+   * @param {Boolean} isStale Whether the cache object is past its `staleTTL` or not
    *
    * @return {*} The cache value
   */
-  static async onGetCache(object, key, params) { return object }        // eslint-disable-line no-unused-vars
+  static async onGetCache(object, key, params, isStale) { return object } // eslint-disable-line no-unused-vars
 
   /**
    * Post-Hook for [`getCache`]{@link GenericRedisCache.getCache} operation
@@ -170,6 +515,7 @@ class GenericRedisCache {
   static async onDelete(key, value) { return null }                     // eslint-disable-line no-unused-vars
 
   static async onGetError(e, key, value)  { throw e }                   // eslint-disable-line no-unused-vars
+  static async onRevalidateError(e, key)  { return null }               // eslint-disable-line no-unused-vars
   static async onGetListError(e)          { throw e }
   static async onSetError(e)              { throw e }
   static async onSetListError(e)          { throw e }
@@ -323,6 +669,51 @@ class GenericRedisCache {
     return keyName
   }
 
+  /**
+   * Returns the id object of the `keyName` (the inverse of [`getKeyName`]{@link GenericRedisCache.getKeyName})
+   *
+   * The `idNull`/`idUndefined` values (of each [`KeyId`]{@link GenericRedisCache.KeyId} or of the cache)
+   * are parsed as `null`/`undefined` and the integer ids as `Number`
+   *
+   * @param {string} keyName The `key` name
+   *
+   * @return {Object} The id object (or `null` when `keyName` does not match the `keyName` template)
+   *
+   * @example
+   *  // keyName: 'people:{?}:dogs:{?}', ids: [ { id: 'peopleId' }, { id: 'name' } ]
+   *
+   *  DogCache.parseKeyName('people:10:dogs:Kora')
+   * // { peopleId: 10, name: 'Kora' }
+   *
+   *  DogCache.parseKeyName('people:10:cats:Kora')
+   * // null
+  */
+  static parseKeyName(keyName) {
+    const regex = new RegExp(`^${
+      this.ATTRS.keyName
+        .split('{?}')
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('([^:]*)')
+    }$`)
+
+    const result = typeof(keyName) == 'string' ?
+      regex.exec(keyName) :
+      null
+
+    let key = null
+
+    if (result) {
+      key = {}
+
+      this.ATTRS.ids
+        .forEach((idAttr, index) => {
+          key[idAttr.id] = this._parseKeyAttrId(result[index + 1], idAttr)
+        })
+    }
+
+    return key
+  }
+
   // TODO: Refactor
   /**
     * Return the list of key names
@@ -370,7 +761,7 @@ class GenericRedisCache {
       }
     }
     else if (keys === undefined && this.ATTRS.ids.length == 1 && this.ATTRS.ids[0].idUndefined) {
-      keyNames = await GenericRedisCache
+      keyNames = await this
         ._getKeyNamesCache(this.getKeyName())
     }
 
@@ -517,7 +908,7 @@ class GenericRedisCache {
   }
 
   /**
-   * Gets the object from cache
+   * Gets the object from cache (from the in-process cache first, when `l1` is enabled and no `params` are passed)
    * @async
    *
    * @param {(string | Number | Object)} key The key or `object` to get from the `cache`
@@ -526,34 +917,114 @@ class GenericRedisCache {
    * @return {Object} The `object` from `cache`.
   */
   static async getCache(key, params) {
-    let objectCache = null
-
     const keyName = this
       .getKeyName(key)
 
+    return this
+      ._getCacheByKeyName(keyName, key, params)
+  }
+
+  /**
+   * Same as [`getCache`]{@link GenericRedisCache.getCache}, but for the `keyName` already composed
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {(string | Number | Object)} key The key or `object` to get from the `cache`
+   * @param {Object} [params = {}] An `object` with a set of params to fetch the object
+   *
+   * @return {Object} The `object` from `cache`.
+  */
+  static async _getCacheByKeyName(keyName, key, params) {
+    const l1 = this._getL1ByParams(params)
+
+    let objectCache = null
+    let isStale = false
+
+    if (l1 && l1.has(keyName))
+      objectCache = l1.get(keyName)
+    else {
+      // The invalidations received during the read increment the generation, so the value read is not kept
+      const generation = l1 ?
+        l1.startRead(keyName) : null
+
+      try {
+        await this._checkJSONModule()
+
+        objectCache = await this
+          ._getCacheRedis(keyName, key, params)
+
+        if (l1 && !this._isCacheEmpty(objectCache))
+          l1.set(keyName, objectCache, generation)
+      }
+      finally {
+        if (l1)
+          l1.endRead(keyName)
+      }
+
+      isStale = await this
+        ._isStale(keyName, objectCache)
+    }
+
+    objectCache = await this.onGetCache(objectCache, key, params, isStale)
+
+    return objectCache
+  }
+
+  /**
+   * Returns the value of the `keyName` from `redis`
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {(string | Number | Object)} key The key or `object` to get from the `cache`
+   * @param {Object} [params = {}] An `object` with a set of params to fetch the object
+   * @param {(redis.RedisClient | redis.Multi)} [commands = redis] The `redis` client (or a multi, to queue the read on it)
+   *
+   * @return {Object} The `object` from `redis`
+  */
+  static async _getCacheRedis(keyName, key, params, commands = this._getReadClient()) {
+    let objectCache = null
+
     switch (this.ATTRS.type) {
       case RedisKeyTypeEnum.JSON:
-        objectCache = await GenericJSONCache
-          .getCache(keyName, params)
+        objectCache = this._fromJSONValue(await GenericJSONCache
+          .getCache(keyName, params, commands))
         break
       case RedisKeyTypeEnum.STRING:
         objectCache = await GenericSTRINGCache
-          .getCache(keyName)
+          .getCache(keyName, this.ATTRS.serializer, commands)
         break
       case RedisKeyTypeEnum.HASH:
         objectCache = await GenericHASHCache
-          .getCache(keyName, key)
+          .getCache(keyName, key, this.ATTRS.serializer, commands)
         break
       case RedisKeyTypeEnum.JSON_ARRAY:
         objectCache = await GenericJSONArrayCache
-          .getCache(keyName, params)
+          .getCache(keyName, params, commands)
+        break
+      case RedisKeyTypeEnum.ZSET:
+        objectCache = await GenericZSETCache
+          .getCache(keyName, params, commands)
+        break
+      case RedisKeyTypeEnum.LIST:
+        objectCache = await GenericLISTCache
+          .getCache(keyName, { ...params, serializer: this.ATTRS.serializer }, commands)
+        break
+      case RedisKeyTypeEnum.VALUE:
+        objectCache = await GenericVALUECache
+          .getCache(keyName, this.ATTRS.serializer, commands)
+        break
+      case RedisKeyTypeEnum.STREAM:
+        objectCache = await GenericSTREAMCache
+          .getCache(keyName, params, commands)
+        break
+      case RedisKeyTypeEnum.HASH_OBJECT:
+        objectCache = await GenericHASHObjectCache
+          .getCache(keyName, (params || {}).fields, this.ATTRS.schema, commands)
         break
       default:
         break
     }
 
-    objectCache = await this.onGetCache(objectCache, key, params)
-
     return objectCache
   }
 
@@ -568,7 +1039,16 @@ class GenericRedisCache {
   static async getLast(key) {
     let lastObject = null
 
-    if (this.ATTRS.type == RedisKeyTypeEnum.JSON_ARRAY) {
+    if (this.ATTRS.type == RedisKeyTypeEnum.LIST) {
+      lastObject = await GenericLISTCache
+        .getLast(this.getKeyName(key), this.ATTRS.serializer, this._getReadClient())
+    }
+    else if (this.ATTRS.type == RedisKeyTypeEnum.STREAM) {
+      lastObject = await GenericSTREAMCache
+        .getLast(this.getKeyName(key), this.getClient())
+    }
+
+    if (lastObject == null && [ RedisKeyTypeEnum.JSON_ARRAY, RedisKeyTypeEnum.LIST, RedisKeyTypeEnum.STREAM ].includes(this.ATTRS.type)) {
       const objectCache = await this
         .get(key)
 
@@ -590,20 +1070,28 @@ class GenericRedisCache {
   */
   static async get(key, params) {
     try {
+      // The `l1` hits are not checked for staleness (they are, once they expire from `l1`)
+      const l1 = this._getL1ByParams(params)
+      const isL1Cached = Boolean(l1 && l1.has(this.getKeyName(key)))
+
       let cacheObject = await this
         .getCache(key, params)
 
-      if (cacheObject == null || cacheObject == {} || cacheObject.length == 0) {
-        const dbObject = await this.getDB(key)
-
-        if (this.ATTRS.type == RedisKeyTypeEnum.JSON_ARRAY && (cacheObject == null || dbObject)) {
-          await this.add(key, dbObject)
-
-          if (dbObject)
-            cacheObject = dbObject
+      if (this._isCacheEmpty(cacheObject) && !(await this._isMissCached(this.getKeyName(key)))) {
+        if (this._getSingleFlightConfig()) {
+          cacheObject = await this
+            ._getDBSingleFlight(key, params, cacheObject)
+        }
+        else {
+          cacheObject = await this
+            ._getDB(key, cacheObject)
         }
-        else if (dbObject)
-          cacheObject = await this.set(key, dbObject)
+      }
+      else if (this.ATTRS.staleTTL != null && !isL1Cached) {
+        this
+          ._revalidate(key, cacheObject)
+          .catch(e => this.onRevalidateError(e, key))
+          .catch(() => null) // Nobody awaits the revalidation, the errors rethrown by `onRevalidateError` are dropped
       }
 
       return cacheObject
@@ -633,18 +1121,35 @@ class GenericRedisCache {
     const keyNames = await this
       .getKeyNames(keys)
 
+    await this._checkJSONModule()
+
     switch (this.ATTRS.type) {
       case RedisKeyTypeEnum.JSON:
-        cacheObjects = await GenericJSONCache.getListCache(keyNames, params.attrs)
+        cacheObjects = this._fromJSONValue(await GenericJSONCache.getListCache(keyNames, params.attrs, this.getClient().multi()))
         break
       case RedisKeyTypeEnum.STRING:
-        cacheObjects = await GenericSTRINGCache.getListCache(keyNames)
+        cacheObjects = await GenericSTRINGCache.getListCache(keyNames, this.ATTRS.serializer, this._getReadClient())
         break
       case RedisKeyTypeEnum.HASH:
-        cacheObjects = await GenericHASHCache.getListCache(keyNames, params.fields)
+        cacheObjects = await GenericHASHCache.getListCache(keyNames, params.fields, this.ATTRS.serializer, this._getReadClient())
         break
       case RedisKeyTypeEnum.JSON_ARRAY:
-        cacheObjects = await GenericJSONArrayCache.getListCache(keyNames, params.attrs)
+        cacheObjects = await GenericJSONArrayCache.getListCache(keyNames, params.attrs, this.getClient().multi())
+        break
+      case RedisKeyTypeEnum.ZSET:
+        cacheObjects = await GenericZSETCache.getListCache(keyNames, params, this.getClient())
+        break
+      case RedisKeyTypeEnum.LIST:
+        cacheObjects = await GenericLISTCache.getListCache(keyNames, { ...params, serializer: this.ATTRS.serializer }, this._getReadClient())
+        break
+      case RedisKeyTypeEnum.VALUE:
+        cacheObjects = await GenericVALUECache.getListCache(keyNames, this.ATTRS.serializer, this._getReadClient())
+        break
+      case RedisKeyTypeEnum.STREAM:
+        cacheObjects = await GenericSTREAMCache.getListCache(keyNames, params, this.getClient())
+        break
+      case RedisKeyTypeEnum.HASH_OBJECT:
+        cacheObjects = await GenericHASHObjectCache.getListCache(keyNames, params.fields, this.ATTRS.schema, this.getClient())
         break
       default:
         break
@@ -675,20 +1180,17 @@ class GenericRedisCache {
 
       objectsCache = await this.getListCache(keys, params)
 
-      const keysNotCached = await this._getKeysNotCached(keys, objectsCache)
+      const keysNotCached = await this
+        ._removeMissesCached(await this._getKeysNotCached(keys, objectsCache))
 
       if (keysNotCached.length > 0) {
-        const dbObjects = await this.getListDB(keysNotCached)
-
-        if (dbObjects && dbObjects.length) {
-          await this.setList(dbObjects)
-
-          const newObjects = await this.getListCache(keysNotCached, params)
+        const newObjects = this._getSingleFlightConfig() ?
+          await this._getListDBSingleFlight(keysNotCached, params) :
+          await this._getListDB(keysNotCached, params)
 
-          if (newObjects && newObjects.length > 0) {
-            objectsCache
-              .push.apply(objectsCache, newObjects)
-          }
+        if (newObjects && newObjects.length > 0) {
+          objectsCache
+            .push.apply(objectsCache, newObjects)
         }
       }
 
@@ -701,86 +1203,326 @@ class GenericRedisCache {
   }
 
   /**
-   * Sets the commands to save the value on cache
+   * Iterates over the keys of this cache (using `SCAN`, so `redis` is not blocked as with `KEYS`)
    *
-   * @param {(string | Number | Object)} key The key or object to save on cache
-   * @param {*} [value] The value to save on cache
-   * @param {string} jsonPath The `path` to object (in case of `JSON`)
-   * @param {redis.Multi} [commands] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   * The values are fetched in batches (by a single `MULTI` each one) and the keys that
+   * do not match the `keyName` template are skipped
    *
-   * @return {redis.Multi} The commands to be executed including the `set` command
+   * @param {Object} [params = {}] The scan params
+   * @param {string} [params.match] The glob-style pattern of the key names (all the keys of the cache by default)
+   * @param {Number} [params.count = 100] The `COUNT` hint of each `SCAN` call
+   * @param {Number} [params.batchSize = 100] The count of values fetched at once
+   *
+   * @return {AsyncIterator<Object>} The entries (`{ key, keyName, value }`, where `key` is the id object)
+   *
+   * @example
+   *  for await (const { key, keyName, value } of DogCache.scan({ match: 'people:10:dogs:*' })) {
+   *    // key = { peopleId: 10, name: 'Kora' }, keyName = 'people:10:dogs:Kora', value = { id: 1, ... }
+   *  }
   */
-  static setCache(key, value, jsonPath = GenericJSONCache.DEFAULT_PATH, commands = redis.multi()) {
-    const keyName = this
-      .getKeyName(key)
+  static async *scan(params = {}) {
+    const {
+      match = this._getKeyNamePattern(),
+      count = SCAN_COUNT,
+      batchSize = SCAN_BATCH_SIZE
+    } = params
+
+    const entries = []
+
+    for await (const keyNames of this._scanKeyNames(match, count)) {
+      keyNames
+        .forEach(keyName => {
+          const key = this.parseKeyName(keyName)
+
+          if (key)
+            entries.push({ key, keyName })
+        })
 
-    switch (this.ATTRS.type) {
-      case RedisKeyTypeEnum.JSON:
-        GenericJSONCache
-          .setCache(keyName, value, jsonPath, commands)
-        break
-      case RedisKeyTypeEnum.STRING:
-        GenericSTRINGCache
-          .setCache(keyName, value, commands)
-        break
-      case RedisKeyTypeEnum.HASH:
-        GenericHASHCache
-          .setCache(keyName, key, value, commands)
-        break
-      case RedisKeyTypeEnum.JSON_ARRAY:
-        GenericJSONArrayCache
-          .setCache(keyName, value, jsonPath, commands)
-        break
-      default:
-        break
+      while (entries.length >= batchSize)
+        yield* await this._getScanValues(entries.splice(0, batchSize))
     }
 
-    return commands
+    if (entries.length)
+      yield* await this._getScanValues(entries)
   }
 
   /**
-   * Sets the commands to save the value on cache
+   * Adds the `listener` to the changes of the cache keys (made by any client), through `redis` keyspace notifications
    *
-   * @param {(string | Number | Object)} key The key or object to save on cache
-   * @param {*} [value] The value to save on cache
-   * @param {Number} [position] The index position to insert the item
-   * @param {string} jsonPath The `path` to object (in case of `JSON`)
-   * @param {redis.Multi} [commands] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   * The `redis` server must have the keyspace notifications enabled (i.e. `CONFIG SET notify-keyspace-events KEA`)
+   * and the subscription uses a duplicate of the cache client
+   *
+   * The listeners may miss the changes made before the subscription is active (see [`subscribed`]{@link GenericRedisCache.subscribed})
+   *
+   * @param {string} event The event (`set`, `del`, `expired`, `error` or the name of any other keyspace event, i.e. `hdel` or `lpop`)
+   * @param {Function} listener The `listener({ event, key, keyName, redisEvent, value })`, where `key` is the id object
+   * @param {Object} [params = {}] The listener params
+   * @param {Boolean} [params.withValue = false] Whether to get the current value of the key (on `set` events) or not
+   *
+   * @return {GenericRedisCache} The cache class
+   *
+   * @example
+   *  DogCache.on('set', ({ key, value }) => {
+   *    // key = { peopleId: 10, name: 'Kora' }, value = { id: 1, ... }
+   *  }, { withValue: true })
+   *
+   *  DogCache.on('expired', ({ keyName }) => {
+   *    // keyName = 'people:10:dogs:Kora'
+   *  })
    *
-   * @return {Number} The new list size
+   *  await DogCache.subscribed()
   */
-  static async addCache(key, value, position = undefined, jsonPath = GenericJSONCache.DEFAULT_PATH, commands = redis) {
-    const keyName = this
-      .getKeyName(key)
+  static on(event, listener, params = {}) {
+    const { withValue = false } = params
+    const subscription = this._subscribe()
 
-    let size = null
+    let wrapper = listener
 
-    if (this.ATTRS.type == RedisKeyTypeEnum.JSON_ARRAY) {
-      size = GenericJSONArrayCache
-        .addCache(keyName, value, position, jsonPath, commands)
+    if (withValue) {
+      wrapper = async entry => {
+        try {
+          const value = entry.event == 'set' ?
+            await this._getCacheByKeyName(entry.keyName, entry.key) :
+            null
 
-      if (commands.constructor.name == 'RedisClient' && commands.command_queue) {
-        const multi = commands.multi()
-        await multi.exec()
+          await listener({ ...entry, value })
+        }
+        catch (e) {
+          this._emitError(subscription, e)
+        }
       }
     }
 
-    return size
+    subscription.listeners
+      .push({ event, listener, wrapper })
+
+    subscription.emitter
+      .on(event, wrapper)
+
+    return this
   }
 
   /**
-    * Saves the `object` in cache
-    * @async
-    *
-    * @param {string} object The object to save on cache
-    * @param {string} jsonPath The `path` to object (in case of `JSON`)
-    * @param {redis.Multi} [commands] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
-    *
-    * @return {redis.Multi} The `commands.Multi` to execute
-    *
-    * @throws {Error} Any sort or error
+   * Removes the `listener` added through [`on`]{@link GenericRedisCache.on}
+   * (the subscription is closed after removing the last listener)
+   *
+   * @param {string} event The event
+   * @param {Function} listener The `listener`
+   *
+   * @return {GenericRedisCache} The cache class
   */
-  static async setObject(object, jsonPath = GenericJSONCache.DEFAULT_PATH, commands = redis) {
+  static off(event, listener) {
+    const subscription = SUBSCRIPTIONS.get(this)
+
+    if (subscription) {
+      const index = subscription.listeners
+        .findIndex(listenerTemp => listenerTemp.event == event && listenerTemp.listener == listener)
+
+      if (index > -1) {
+        const [ { wrapper } ] = subscription.listeners
+          .splice(index, 1)
+
+        subscription.emitter
+          .removeListener(event, wrapper)
+      }
+
+      if (!subscription.listeners.length)
+        this._unsubscribe()
+    }
+
+    return this
+  }
+  /**
+   * Returns whether the keyspace notifications subscription of the [`on`]{@link GenericRedisCache.on} listeners
+   * is active or not, once `redis` replies to it (so the changes made after awaiting it are notified)
+   * @async
+   *
+   * @return {Boolean} Whether the subscription is active or not (`false` when there are no listeners or it failed)
+  */
+  static async subscribed() {
+    const subscription = SUBSCRIPTIONS.get(this)
+
+    return subscription ?
+      subscription.ready :
+      false
+  }
+
+
+  /**
+   * Removes all the entries of the in-process cache (`l1`) of this cache class and closes its invalidation subscription
+   * (both are created again on the next read)
+   *
+   * @return {GenericRedisCache} The cache class
+  */
+  static clearL1() {
+    const l1 = L1_CACHES.get(this)
+
+    if (l1) {
+      L1_CACHES.delete(this)
+
+      l1.cache
+        .clear()
+
+      l1.subscriber
+        .unsubscribe(l1.channel)
+
+      l1.subscriber
+        .quit()
+    }
+
+    return this
+  }
+
+  /**
+   * Sets the commands to save the value on cache
+   *
+   * @param {(string | Number | Object)} key The key or object to save on cache
+   * @param {*} [value] The value to save on cache
+   * @param {string} jsonPath The `path` to object (in case of `JSON`)
+   * @param {redis.Multi} [commands] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {redis.Multi} The commands to be executed including the `set` command
+  */
+  static setCache(key, value, jsonPath = GenericJSONCache.DEFAULT_PATH, commands = this.getClient().multi()) {
+    const keyName = this
+      .getKeyName(key)
+
+    let command = null
+
+    if (this._hasSetMode()) {
+      this._setCacheMode(key, value, commands)
+
+      return commands
+    }
+
+    switch (this.ATTRS.type) {
+      case RedisKeyTypeEnum.JSON:
+        command = GenericJSONCache
+          .setCache(keyName, this._toJSONValue(value), jsonPath, commands)
+        break
+      case RedisKeyTypeEnum.STRING:
+        command = GenericSTRINGCache
+          .setCache(keyName, value, this.ATTRS.serializer, commands)
+        break
+      case RedisKeyTypeEnum.HASH:
+        command = GenericHASHCache
+          .setCache(keyName, key, value, this.ATTRS.serializer, commands)
+        break
+      case RedisKeyTypeEnum.JSON_ARRAY:
+        command = GenericJSONArrayCache
+          .setCache(keyName, value, jsonPath, commands)
+        break
+      case RedisKeyTypeEnum.ZSET:
+        command = GenericZSETCache
+          .setCache(keyName, value, member => this._getScore(key, member), commands)
+        break
+      case RedisKeyTypeEnum.LIST:
+        command = GenericLISTCache
+          .setCache(keyName, value, this.ATTRS.maxLength, this.ATTRS.serializer, commands)
+        break
+      case RedisKeyTypeEnum.VALUE:
+        command = GenericVALUECache
+          .setCache(keyName, value, { ttl: this._getTTL(key, value), serializer: this.ATTRS.serializer }, commands)
+        break
+      case RedisKeyTypeEnum.STREAM:
+        command = GenericSTREAMCache
+          .setCache(keyName, value, this.ATTRS.maxLength, commands)
+        break
+      case RedisKeyTypeEnum.HASH_OBJECT:
+        command = GenericHASHObjectCache
+          .setCache(keyName, value, commands)
+        break
+      default:
+        break
+    }
+
+    if (command) {
+      if (this.ATTRS.type != RedisKeyTypeEnum.VALUE)
+        this._expireCache(keyName, key, value, commands)
+
+      this._freshCache(keyName, key, value, commands)
+      this._deleteMissCache(keyName, commands)
+      this._tagCache(keyName, key, value, commands)
+      this._versionCache(keyName, key, value, commands)
+    }
+
+    return commands
+  }
+
+  /**
+   * Sets the commands to save the value on cache
+   * (the `JSON_ARRAY` keys with `maxLength`/`dedupeBy` are capped and deduplicated atomically, see [`push`]{@link GenericJSONArrayCache.push})
+   *
+   * @param {(string | Number | Object)} key The key or object to save on cache
+   * @param {*} [value] The value to save on cache
+   * @param {Number} [position] The index position to insert the item
+   * @param {string} jsonPath The `path` to object (in case of `JSON`)
+   * @param {redis.Multi} [commands] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Number} The new list size (or the id(s) of the added entries, in case of `STREAM`)
+  */
+  static async addCache(key, value, position = undefined, jsonPath = GenericJSONCache.DEFAULT_PATH, commands = this.getClient()) {
+    const keyName = this
+      .getKeyName(key)
+
+    let size = null
+
+    await this._checkJSONModule()
+
+    if ([ RedisKeyTypeEnum.JSON_ARRAY, RedisKeyTypeEnum.LIST, RedisKeyTypeEnum.STREAM ].includes(this.ATTRS.type)) {
+      switch (this.ATTRS.type) {
+        case RedisKeyTypeEnum.LIST:
+          size = await GenericLISTCache
+            .addCache(keyName, value, position, this.ATTRS.maxLength, this.ATTRS.serializer, commands)
+          break
+        case RedisKeyTypeEnum.STREAM:
+          size = await GenericSTREAMCache
+            .addCache(keyName, value, this.ATTRS.maxLength, commands)
+          break
+        default:
+          if (this.ATTRS.maxLength > 0 || this.ATTRS.dedupeBy) {
+            const { maxLength, dedupeBy } = this.ATTRS
+
+            size = await GenericJSONArrayCache
+              .push(keyName, value, { position, maxLength, dedupeBy, path: jsonPath }, commands)
+          }
+          else {
+            size = await GenericJSONArrayCache
+              .addCache(keyName, value, position, jsonPath, commands)
+          }
+          break
+      }
+
+      if (size) {
+        this._expireCache(keyName, key, value, commands)
+        this._freshCache(keyName, key, value, commands)
+        this._deleteMissCache(keyName, commands)
+        this._tagCache(keyName, key, value, commands)
+        this._versionCache(keyName, key, value, commands)
+      }
+
+      if (this._isClient(commands)) {
+        const multi = commands.multi()
+        await multi.exec()
+      }
+    }
+
+    return size
+  }
+
+  /**
+    * Saves the `object` in cache
+    * @async
+    *
+    * @param {string} object The object to save on cache
+    * @param {string} jsonPath The `path` to object (in case of `JSON`)
+    * @param {redis.Multi} [commands] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+    *
+    * @return {redis.Multi} The `commands.Multi` to execute
+    *
+    * @throws {Error} Any sort or error
+  */
+  static async setObject(object, jsonPath = GenericJSONCache.DEFAULT_PATH, commands = this.getClient()) {
     const idAttrs = await this._getIdAttr(object)
 
     let redisResponse = null
@@ -791,19 +1533,31 @@ class GenericRedisCache {
 
       const objectTemp = await this.onSaving(idAttrs, object)
 
-      if (objectTemp) {
-        const cacheObject = await this
-          .setCache(idAttrs, objectTemp, jsonPath, commands)
+      if (objectTemp && this._hasSetMode()) {
+        const isSaved = this
+          ._setCacheMode(idAttrs, objectTemp, commands)
 
-        if (
-          commands.constructor.name != 'RedisClient'
-          || (
-            commands.constructor.name == 'RedisClient'
-            && commands.command_queue
-            && commands.command_queue._length > 0
-          )
-        ) {
-          redisResponse = cacheObject
+        if (!this._isClient(commands)) {
+          redisResponse = commands
+
+          isSaved
+            .then(reply => reply != null && this.onSave(idAttrs, objectTemp, oldCache, commands), () => null)
+        }
+        else if (await isSaved != null) {
+          redisResponse = commands
+
+          this.onSave(idAttrs, objectTemp, oldCache, commands)
+        }
+      }
+      else if (objectTemp) {
+        const isClient = this._isClient(commands)
+        const multi = isClient ?
+          commands.multi() : commands
+
+        this.setCache(idAttrs, objectTemp, jsonPath, multi)
+
+        if (!isClient || (await this._execCache(multi)).length > 0) {
+          redisResponse = commands
 
           this.onSave(idAttrs, objectTemp, oldCache, commands)
         }
@@ -826,7 +1580,7 @@ class GenericRedisCache {
     *
     * @throws {Error} Any sort or error
   */
-  static async setValue(key, value, jsonPath = GenericJSONCache.DEFAULT_PATH, commands = redis) {
+  static async setValue(key, value, jsonPath = GenericJSONCache.DEFAULT_PATH, commands = this.getClient()) {
     let redisResponse = null
 
     if (this.isKeyValid(key)) {
@@ -835,16 +1589,35 @@ class GenericRedisCache {
 
       const valueTemp = await this.onSaving(key, value)
 
-      if (valueTemp !== undefined) {
-        const setCommand = await this
-          .setCache(key, valueTemp, jsonPath, commands)
+      if (valueTemp !== undefined && this._hasSetMode()) {
+        const isSaved = this
+          ._setCacheMode(key, valueTemp, commands)
+
+        if (!this._isClient(commands)) {
+          redisResponse = commands
+
+          isSaved
+            .then(reply => reply != null && this.onSave(key, valueTemp, oldCache, commands), () => null)
+        }
+        else if (await isSaved != null) {
+          redisResponse = commands
+
+          this.onSave(key, valueTemp, oldCache, commands)
+        }
+      }
+      else if (valueTemp !== undefined && this._isClient(commands)) {
+        const multi = this
+          .setCache(key, valueTemp, jsonPath, commands.multi())
 
-        if (commands.command_queue && commands.command_queue._length > 0) {
-          redisResponse = setCommand
+        if ((await this._execCache(multi)).length > 0) {
+          redisResponse = commands
 
           this.onSave(key, valueTemp, oldCache, commands)
         }
       }
+      else if (valueTemp !== undefined) {
+        this.setCache(key, valueTemp, jsonPath, commands)
+      }
     }
 
     return redisResponse
@@ -864,7 +1637,7 @@ class GenericRedisCache {
     *
     * @throws {Error} Any sort or error
   */
-  static async addObject(key, value, position, jsonPath = GenericJSONCache.DEFAULT_PATH, commands = redis) {
+  static async addObject(key, value, position, jsonPath = GenericJSONCache.DEFAULT_PATH, commands = this.getClient()) {
     let redisResponse = null
 
     if (this.isKeyValid(key)) {
@@ -878,7 +1651,7 @@ class GenericRedisCache {
         redisResponse = await this
           .addCache(key, valueTemp, position, jsonPath, commands)
 
-        if (commands.constructor.name == 'RedisClient' && redisResponse)
+        if (this._isClient(commands) && redisResponse)
           this.onSave(key, valueTemp, oldCache, commands)
       }
       else
@@ -901,7 +1674,7 @@ class GenericRedisCache {
     *
     * @throws {Error} Any sort or error
   */
-  static async set(key, value = undefined, jsonPath = GenericJSONCache.DEFAULT_PATH, commands = redis) {
+  static async set(key, value = undefined, jsonPath = GenericJSONCache.DEFAULT_PATH, commands = this.getClient()) {
     try {
       let redisResponse = null
 
@@ -920,7 +1693,7 @@ class GenericRedisCache {
             .setValue(keyTemp, value, jsonPath, commands)
         }
 
-        if (commands.constructor.name == 'RedisClient' && redisResponse) {
+        if (this._isClient(commands) && redisResponse) {
           const multi = commands.multi()
           const response = await multi.exec()
 
@@ -929,12 +1702,15 @@ class GenericRedisCache {
               value : key
           }
         }
+
+        if (redisResponse || !this._isClient(commands))
+          await this._invalidateL1([ this.getKeyName(keyTemp) ], commands)
       }
 
       return redisResponse
     }
     catch (e) {
-      this.onSetError(e, key, value, jsonPath)
+      await this.onSetError(e, key, value, jsonPath)
     }
   }
 
@@ -948,11 +1724,11 @@ class GenericRedisCache {
     * @param {string} [jsonPath = GenericJSONCache.DEFAULT_PATH] The `path` to object (in case of `JSON`)
     * @param {redis.Multi} [commands = redis] The `redis` multi command object to chain (See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
     *
-    * @return {Number} The new list size
+    * @return {Number} The new list size (or the id(s) of the added entries, in case of `STREAM`)
     *
     * @throws {Error} Any sort or error
   */
-  static async add(key, value = undefined, position = undefined, jsonPath = GenericJSONCache.DEFAULT_PATH, commands = redis) {
+  static async add(key, value = undefined, position = undefined, jsonPath = GenericJSONCache.DEFAULT_PATH, commands = this.getClient()) {
     try {
       let redisResponse = null
 
@@ -970,6 +1746,8 @@ class GenericRedisCache {
 
         redisResponse = await this
           .addObject(keyTemp, value, position, jsonPath, commands)
+
+        await this._invalidateL1([ this.getKeyName(keyTemp) ], commands)
       }
 
       return redisResponse
@@ -979,6 +1757,200 @@ class GenericRedisCache {
     }
   }
 
+  /**
+    * Applies the `operations` to the cached document of the `key` (only for the `JSON` and `JSON_ARRAY` types),
+    * retrying while the key is changed by other calls between the read and the save (`WATCH` and `MULTI/EXEC`, as [`transform`]{@link GenericRedisCache.transform})
+    *
+    * `onSaving` receives the resulting document before it is saved (its return is the saved document and `undefined` cancels the update)
+    * and `onSave` receives the saved one
+    * @async
+    *
+    * @param {(Object | string | Number)} key The cache key or its `object`
+    * @param {(Array<GenericJSONCache.JSONUpdateOperation> | GenericJSONCache.JSONUpdateOperation)} operations The operations (@see {@link GenericJSONCache.JSONUpdateOperation})
+    * @param {Object} [options = {}] The options
+    * @param {Number} [options.retries = 5] The max count of retries
+    *
+    * @return {Object} The saved document (`null` when the `key` is not cached or the update is cancelled)
+    *
+    * @throws {Error} Any sort or error (i.e. an operation over a wrong type path or the key changed by other calls on every attempt)
+    *
+    * @example
+    * await Cache.update(10, [
+    *   { op: 'incr', path: '.views' },
+    *   { op: 'arrAppend', path: '.tags', value: [ 'new' ] },
+    *   { op: 'merge', path: '.owner', value: { name: 'New name' } }
+    * ])
+  */
+  static async update(key, operations, { retries = TRANSFORM_RETRIES } = {}) {
+    try {
+      let saved = null
+
+      this._checkType([ RedisKeyTypeEnum.JSON, RedisKeyTypeEnum.JSON_ARRAY ], 'update')
+
+      if (this.isKeyValid(key)) {
+        const keyName = this
+          .getKeyName(key)
+
+        for (let attempt = 0; !saved && attempt <= retries; attempt++) {
+          saved = await this._watch(key, async (client, version) => {
+            const document = this._fromJSONValue(await GenericJSONCache
+              .update(keyName, operations, true, client))
+
+            if (document == null)
+              return { value: null, version }
+
+            const oldCache = this._fromJSONValue(await GenericJSONCache
+              .getCache(keyName, undefined, client))
+
+            return this._setWatched(key, document, oldCache, version, client)
+          })
+        }
+
+        if (!saved)
+          throw new Error(`\`${keyName}\` was changed by other calls on all the ${retries + 1} attempts to update it`)
+      }
+
+      return saved ?
+        saved.value :
+        null
+    }
+    catch (e) {
+      await this.onSetError(e, key, operations)
+    }
+  }
+
+  /**
+   * Returns the version of the `key` (incremented on each write and delete, only for the `JSON`, `HASH` and `JSON_ARRAY` types)
+   *
+   * The version is kept for a day after the `key` expires or is deleted, so a `key` saved again does not repeat its versions
+   * @async
+   *
+   * @param {(Object | string | Number)} key The cache key or its `object`
+   *
+   * @return {Number} The version (`0` when the `key` was not saved for a day)
+  */
+  static async getVersion(key) {
+    let version = 0
+
+    if (this.isKeyValid(key)) {
+      const keyName = this
+        .getKeyName(key)
+
+      version = Number(await this.getClient().getAsync(this._getVersionKeyName(keyName)))
+    }
+
+    return version
+  }
+
+  /**
+   * Saves the `value` of the `key` only in case its version is the `expectedVersion` (and it is not changed meanwhile,
+   * as the save is a `MULTI/EXEC` watching the key)
+   *
+   * `onSaving` receives the `value` before it is saved (returning `undefined` cancels the save)
+   * @async
+   *
+   * @example
+   *  const version = await DogCache.getVersion(10)
+   *  const dog = await DogCache.getCache(10)
+   *
+   *  await DogCache.compareAndSet(10, version, { ...dog, views: dog.views + 1 })
+   *  // 8 (or `null` when the dog was saved by another call meanwhile)
+   *
+   * @param {(Object | string | Number)} key The cache key or its `object`
+   * @param {Number} expectedVersion The version (@see {@link GenericRedisCache.getVersion}, `0` to save only a `key` never saved for a day)
+   * @param {*} value The `value` to save
+   *
+   * @return {Number} The new version (`null` when the `value` was not saved)
+  */
+  static async compareAndSet(key, expectedVersion, value) {
+    try {
+      let version = null
+
+      this._checkType(VERSIONED_TYPES, 'compareAndSet')
+
+      if (this.isKeyValid(key)) {
+        const saved = await this._watch(key, async (client, currentVersion) => {
+          let savedTemp = null
+
+          if (currentVersion == expectedVersion)
+            savedTemp = await this._setWatched(key, value, await this.getCache(key), currentVersion, client)
+
+          return savedTemp
+        })
+
+        if (saved)
+          version = saved.version
+      }
+
+      return version
+    }
+    catch (e) {
+      await this.onSetError(e, key, value)
+    }
+  }
+
+  /**
+   * Saves the `fn` result over the cached value of the `key`, retrying (with the new cached value)
+   * while the key is changed by other calls between the read and the save (`WATCH` and `MULTI/EXEC`)
+   *
+   * `fn` returning `undefined` cancels the save, as well as `onSaving` (that receives the `fn` result)
+   * @async
+   *
+   * @example
+   *  await DogCache.transform(10, dog => ({ ...dog, views: dog.views + 1 }))
+   *  // { id: 10, views: 8, ... }
+   *
+   * @param {(Object | string | Number)} key The cache key or its `object`
+   * @param {Function} fn The `function(value, version)` returning the new value (may return a `Promise`)
+   * @param {Object} [options = {}] The options
+   * @param {Number} [options.retries = 5] The max count of retries
+   *
+   * @return {*} The saved value (`null` when the save is cancelled)
+   *
+   * @throws {Error} When the key is changed by other calls on every attempt
+  */
+  static async transform(key, fn, { retries = TRANSFORM_RETRIES } = {}) {
+    try {
+      let saved = null
+
+      this._checkType(VERSIONED_TYPES, 'transform')
+
+      if (this.isKeyValid(key)) {
+        const keyName = this
+          .getKeyName(key)
+
+        const l1 = this._getL1()
+
+        for (let attempt = 0; !saved && attempt <= retries; attempt++) {
+          saved = await this._watch(key, async (client, version) => {
+            // The in-process copy may be outdated, and the transform must start from the watched value
+            if (l1)
+              l1.delete(keyName)
+
+            const oldCache = await this
+              .getCache(key)
+
+            const value = await fn(oldCache, version)
+
+            return value === undefined ?
+              { value: null, version } :
+              this._setWatched(key, value, oldCache, version, client)
+          })
+        }
+
+        if (!saved)
+          throw new Error(`\`${keyName}\` was changed by other calls on all the ${retries + 1} attempts to transform it`)
+      }
+
+      return saved ?
+        saved.value :
+        null
+    }
+    catch (e) {
+      await this.onSetError(e, key)
+    }
+  }
+
   // TODO: Refactor
   /**
    * Sets the list of objects to save on cache
@@ -1002,7 +1974,9 @@ class GenericRedisCache {
         objects = [ objects ]
 
       if (objects.length) {
-        const commands = redis.multi()
+        await this._checkJSONModule()
+
+        const commands = this.getClient().multi()
         const promises = []
 
         for (const objectIndex in objects) {
@@ -1060,6 +2034,8 @@ class GenericRedisCache {
         for (const index in keys) {
           const key = keys[index]
 
+          await this._deleteMarkersCache(this.getKeyName(key))
+
           const isCached = await this.isCached(key)
 
           if (isCached) {
@@ -1067,26 +2043,62 @@ class GenericRedisCache {
 
             let cachedValue = await this.getCache(key)
 
+            const isVersioned = VERSIONED_TYPES.includes(this.ATTRS.type)
+            const commands = isVersioned ?
+              this.getClient().multi() : this.getClient()
+
+            let deleted = null
             let redisResponse = null
 
             switch (this.ATTRS.type) {
               case RedisKeyTypeEnum.JSON:
-                redisResponse = await GenericJSONCache.delete(keyName)
+                deleted = GenericJSONCache.delete(keyName, commands)
                 break
               case RedisKeyTypeEnum.STRING:
-                redisResponse = await GenericSTRINGCache.delete(keyName)
+                deleted = GenericSTRINGCache.delete(keyName, commands)
                 break
               case RedisKeyTypeEnum.HASH:
-                redisResponse = await GenericHASHCache.delete(keyName)
+                deleted = GenericHASHCache.delete(keyName, undefined, commands)
                 break
               case RedisKeyTypeEnum.JSON_ARRAY:
-                redisResponse = await GenericJSONArrayCache.delete(keyName)
+                deleted = GenericJSONArrayCache.delete(keyName, commands)
+                break
+              case RedisKeyTypeEnum.ZSET:
+                deleted = GenericZSETCache.delete(keyName, commands)
+                break
+              case RedisKeyTypeEnum.LIST:
+                deleted = GenericLISTCache.delete(keyName, commands)
+                break
+              case RedisKeyTypeEnum.VALUE:
+                deleted = GenericVALUECache.delete(keyName, commands)
+                break
+              case RedisKeyTypeEnum.STREAM:
+                deleted = GenericSTREAMCache.delete(keyName, commands)
+                break
+              case RedisKeyTypeEnum.HASH_OBJECT:
+                deleted = GenericHASHObjectCache.delete(keyName, commands)
                 break
               default:
                 break
             }
 
+            // The version is incremented on the `MULTI` of the delete, so no read sees the key deleted with its old version
+            if (isVersioned) {
+              const versionKeyName = this._getVersionKeyName(keyName)
+
+              commands.incrAsync(versionKeyName)
+              commands.expireAsync(versionKeyName, VERSION_TTL_MARGIN)
+
+              const replies = await Promise.all([ deleted, this._execCache(commands) ])
+
+              redisResponse = replies[0]
+            }
+            else
+              redisResponse = await deleted
+
             if (redisResponse == 1) {
+              await this._invalidateL1([ keyName ])
+
               if (cachedValue instanceof Array)
                 cachedValue = cachedValue[0]
 
@@ -1111,29 +2123,137 @@ class GenericRedisCache {
   }
 
   /**
-   * Removes the item(s) from cache outside the `start` - `stop` params
+   * Deletes the keys tagged with any of the `tags` (of all the cache classes) and the `tags` themselves
    *
-   * @param {(string | Number | Object)} key The key or object to save on cache
-   * @param {Object} [params] The value to save on cache
-   * @param {string} [params.path = '.'] The `path` to object (in case of `JSON`)
-   * @param {Number} [params.start = 1] The start index to maintain
-   * @param {Number} [params.stop = undefined] The stop index to maintain
+   * Each key is deleted through [`delete`]{@link GenericRedisCache.delete} of the cache class that saved it
+   * (found by its `keyName` template, saved along with the key name). The cache classes must be registered on
+   * this process ([`registerTags`]{@link GenericRedisCache.registerTags}) or have saved tagged keys on it:
+   * the keys of other cache classes are kept on their tags and an error is thrown (after deleting the rest)
+   * @async
    *
-   * @return {Number} The new `array` size
+   * @param {Array<string>} tags The tags
+   *
+   * @return {Array<string>} The key names deleted
+   *
+   * @throws {Error} When there are tagged keys of cache classes not registered on this process
+   *
+   * @example
+   *  // DogCache: tags: (key, value) => [ `org:${value.orgId}` ]
+   *  // CatCache: tags: (key, value) => [ `org:${value.orgId}` ]
+   *
+   *  GenericRedisCache.invalidateTags([ 'org:10' ])
+   * // [ 'people:10:dogs:Kora', 'people:10:cats:Nina' ]
   */
-  static async slice(key, params = {}) {
-    let redisResponse = null
+  static async invalidateTags(tags) {
+    const tagKeyNames = tags
+      .map(tag => this._getTagKeyName(tag))
 
-    if (this.isKeyValid(key) && this.ATTRS.type == RedisKeyTypeEnum.JSON_ARRAY) {
+    const clients = new Set([ this, ...TAGGED_CACHES ].map(cache => cache.getClient()))
+    const deletedKeyNames = []
+    const unknownCacheIds = new Set()
+
+    if (tagKeyNames.length) {
+      for (const client of clients) {
+        const taggedKeyNames = new Map()
+
+        for (const tagKeyName of tagKeyNames) {
+          const tagged = await client
+            .hgetallAsync(tagKeyName)
+
+          Object
+            .keys(tagged || {})
+            .forEach(keyName => taggedKeyNames.set(keyName, tagged[keyName]))
+        }
+
+        const keptKeyNames = []
+
+        for (const [ keyName, cacheId ] of taggedKeyNames) {
+          const cache = this._getTaggedCache(cacheId, client)
+
+          if (cache) {
+            if (await cache.delete(cache.parseKeyName(keyName)))
+              deletedKeyNames.push(keyName)
+          }
+          else {
+            keptKeyNames.push(keyName)
+            unknownCacheIds.add(cacheId)
+          }
+        }
+
+        const removedKeyNames = [ ...taggedKeyNames.keys() ]
+          .filter(keyName => !keptKeyNames.includes(keyName))
+
+        if (!keptKeyNames.length) {
+          await client
+            .delAsync(tagKeyNames)
+        }
+        else if (removedKeyNames.length) {
+          const commands = client.multi()
+
+          tagKeyNames
+            .forEach(tagKeyName => commands.hdel(tagKeyName, removedKeyNames))
+
+          await commands.execAsync()
+        }
+      }
+    }
+
+    if (unknownCacheIds.size)
+      throw new Error(`The tagged keys of ${[ ...unknownCacheIds ].join(', ')} were kept (their cache classes are not registered, see registerTags)`)
+
+    return deletedKeyNames
+  }
+
+  /**
+   * Registers the cache classes, so [`invalidateTags`]{@link GenericRedisCache.invalidateTags} deletes their tagged keys
+   * on this process (through their [`delete`]{@link GenericRedisCache.delete}) before they save any tagged key on it
+   *
+   * @param {...GenericRedisCache} caches The cache classes (this one by default)
+   *
+   * @return {GenericRedisCache} The cache class
+   *
+   * @example
+   *  GenericRedisCache.registerTags(DogCache, CatCache)
+  */
+  static registerTags(...caches) {
+    (caches.length ? caches : [ this ])
+      .forEach(cache => TAGGED_CACHES.add(cache))
+
+    return this
+  }
+
+  /**
+   * Removes the item(s) from cache outside the `start` - `stop` params
+   *
+   * @param {(string | Number | Object)} key The key or object to save on cache
+   * @param {Object} [params] The value to save on cache
+   * @param {string} [params.path = '.'] The `path` to object (in case of `JSON`)
+   * @param {Number} [params.start = 1] The start index to maintain
+   * @param {Number} [params.stop = undefined] The stop index to maintain
+   *
+   * @return {Number} The new `array` size
+  */
+  static async slice(key, params = {}) {
+    let redisResponse = null
+
+    if (this.isKeyValid(key) && (this.ATTRS.type == RedisKeyTypeEnum.JSON_ARRAY || this.ATTRS.type == RedisKeyTypeEnum.LIST)) {
       const keyName = this
         .getKeyName(key)
 
-      const isCached = await GenericJSONArrayCache
-        .isCached(keyName)
+      const typeCache = this.ATTRS.type == RedisKeyTypeEnum.LIST ?
+        GenericLISTCache :
+        GenericJSONArrayCache
+
+      await this._checkJSONModule()
+
+      const isCached = await typeCache
+        .isCached(keyName, this.getClient())
 
       if (isCached) {
-        redisResponse = await GenericJSONArrayCache
-          .slice(keyName, params)
+        redisResponse = await typeCache
+          .slice(keyName, params, this.getClient())
+
+        await this._invalidateL1([ keyName ])
       }
     }
 
@@ -1141,181 +2261,2124 @@ class GenericRedisCache {
   }
 
   /**
-   * Return whether the key is cached or not
+   * Returns the first item of the `key` array matched by the `matcher` (only for the `JSON_ARRAY` type)
    * @async
    *
-   * @param {(Object | string | Number)} key
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {GenericJSONArrayCache.ItemMatcher} matcher The predicate or the attrs to match (i.e. `{ id: 1 }`)
+   * @param {string} [jsonPath = GenericJSONCache.DEFAULT_PATH] The array `path`
    *
-   * @return {Boolean} Wether the key is cached or not
+   * @return {*} The item (`null` when no item matches)
   */
-  static async isCached(key) {
-    const keyName = this
-      .getKeyName(key)
+  static async findItem(key, matcher, jsonPath = GenericJSONCache.DEFAULT_PATH) {
+    try {
+      this._checkType(RedisKeyTypeEnum.JSON_ARRAY, 'findItem')
 
-    let isCached = false
+      await this._checkJSONModule()
 
-    switch (this.ATTRS.type) {
-      case RedisKeyTypeEnum.JSON:
-        isCached = await GenericJSONCache
-          .isCached(keyName)
-        break
-      case RedisKeyTypeEnum.STRING:
-        isCached = await GenericSTRINGCache
-          .isCached(keyName)
-        break
-      case RedisKeyTypeEnum.HASH:
-        isCached = await GenericHASHCache
-          .isCached(keyName, key)
-        break
-      case RedisKeyTypeEnum.JSON_ARRAY:
-        isCached = await GenericJSONArrayCache
-          .isCached(keyName)
-        break
-      default:
-        break
+      return await GenericJSONArrayCache
+        .findItem(this.getKeyName(key), matcher, jsonPath, this.getClient())
+    }
+    catch (e) {
+      await this.onGetError(e, key, matcher)
     }
+  }
 
-    return isCached
+  /**
+   * Returns the index of the first item of the `key` array matched by the `matcher` (only for the `JSON_ARRAY` type)
+   * @async
+   *
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {GenericJSONArrayCache.ItemMatcher} matcher The predicate or the attrs to match (i.e. `{ id: 1 }`)
+   * @param {string} [jsonPath = GenericJSONCache.DEFAULT_PATH] The array `path`
+   *
+   * @return {Number} The index (`-1` when no item matches)
+  */
+  static async indexOf(key, matcher, jsonPath = GenericJSONCache.DEFAULT_PATH) {
+    try {
+      this._checkType(RedisKeyTypeEnum.JSON_ARRAY, 'indexOf')
+
+      await this._checkJSONModule()
+
+      return await GenericJSONArrayCache
+        .indexOf(this.getKeyName(key), matcher, jsonPath, this.getClient())
+    }
+    catch (e) {
+      await this.onGetError(e, key, matcher)
+    }
   }
 
   /**
-   * Returns whether `key` has the id attrs for this `cache`
+   * Updates the first item of the `key` array matched by the `matcher` (the objects are merged with the `value` attrs),
+   * calling `onSaving`/`onSave` with the updated item (only for the `JSON_ARRAY` type)
    * @async
    *
-   * @param {*} key The cache `key` value
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {GenericJSONArrayCache.ItemMatcher} matcher The predicate or the attrs to match (i.e. `{ id: 1 }`)
+   * @param {*} value The item value (or the attrs to update)
+   * @param {string} [jsonPath = GenericJSONCache.DEFAULT_PATH] The array `path`
    *
-   * @return {Boolean} Whether `key` is an `key` value or not
+   * @return {*} The updated item (`null` when no item matches)
   */
-  static async isKey(key) {
-    const idAttrs = await this
-      ._getIdAttr(key)
+  static async updateItem(key, matcher, value, jsonPath = GenericJSONCache.DEFAULT_PATH) {
+    return this
+      ._saveItem('updateItem', key, matcher, value, jsonPath)
+  }
 
-    const idKeys = this.ATTRS.ids
-      .map(id => id.id)
+  /**
+   * Updates the first item of the `key` array matched by the `matcher` or, when no item matches, appends the `value`,
+   * calling `onSaving`/`onSave` with the saved item (only for the `JSON_ARRAY` type)
+   * @async
+   *
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {GenericJSONArrayCache.ItemMatcher} matcher The predicate or the attrs to match (i.e. `{ id: 1 }`)
+   * @param {Object} value The item (or the attrs to update)
+   * @param {string} [jsonPath = GenericJSONCache.DEFAULT_PATH] The array `path`
+   *
+   * @return {*} The saved item
+  */
+  static async upsertItem(key, matcher, value, jsonPath = GenericJSONCache.DEFAULT_PATH) {
+    return this
+      ._saveItem('upsertItem', key, matcher, value, jsonPath)
+  }
 
-    const isKey = !(key instanceof Object)
-      || (idAttrs && Object.keys(idAttrs) == idKeys)
+  /**
+   * Removes the first item of the `key` array matched by the `matcher`, calling `onDelete` with the removed item
+   * (only for the `JSON_ARRAY` type)
+   * @async
+   *
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {GenericJSONArrayCache.ItemMatcher} matcher The predicate or the attrs to match (i.e. `{ id: 1 }`)
+   * @param {string} [jsonPath = GenericJSONCache.DEFAULT_PATH] The array `path`
+   *
+   * @return {*} The removed item (`null` when no item matches)
+  */
+  static async removeItem(key, matcher, jsonPath = GenericJSONCache.DEFAULT_PATH) {
+    try {
+      let item = null
 
-    return isKey
+      this._checkType(RedisKeyTypeEnum.JSON_ARRAY, 'removeItem')
+
+      if (this.isKeyValid(key)) {
+        await this._checkJSONModule()
+
+        const keyName = this
+          .getKeyName(key)
+
+        const response = await GenericJSONArrayCache
+          .removeItem(keyName, matcher, jsonPath, this.getClient(), multi => this._versionCache(keyName, key, undefined, multi))
+
+        if (response) {
+          item = response.item
+
+          await this._invalidateL1([ keyName ])
+
+          await this.onDelete(key, item)
+        }
+      }
+
+      return item
+    }
+    catch (e) {
+      await this.onDeleteError(e, key, matcher)
+    }
   }
 
   /**
-   * Returns whether the `attr` is `true` or `false`
+   * Increments the `field` of the cached `key` object atomically (only for the `HASH_OBJECT` type),
+   * without creating the object when it is not cached
    * @async
    *
-   * @param {(Number | Object)} key The cache key or its object
-   * @param {string} attrName The `attr` name
-   * @param {string} [defaultValue = true] The `attr` default value instead `cacheObject[attrName]`
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {string} field The field
+   * @param {Number} [increment = 1] The increment (`HINCRBYFLOAT` is used when it is not an integer)
    *
-   * @return {Boolean} Whether the `attr` is `true` or `false`
+   * @return {Number} The incremented value (`null` when the `key` is not cached)
   */
-  static async isAttrTrue(key, attrName, defaultValue = true) {
-    let isTrue = null
+  static async incrField(key, field, increment = 1) {
+    try {
+      this._checkType(RedisKeyTypeEnum.HASH_OBJECT, 'incrField')
 
-    if (key && attrName) {
-      let organization = { ...key }
+      const keyName = this
+        .getKeyName(key)
 
-      if (!(key instanceof Object))
-        organization = await this.get(key)
+      const value = await GenericHASHObjectCache
+        .incrField(keyName, field, increment, this.getClient())
+
+      if (value != null)
+        await this._invalidateL1([ keyName ])
+
+      return value
+    }
+    catch (e) {
+      await this.onSetError(e, key, { [field]: increment })
+    }
+  }
+
+  /**
+   * Sets the `field` of the cached `key` object only when it does not exist (only for the `HASH_OBJECT` type),
+   * without creating the object when it is not cached
+   * @async
+   *
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {string} field The field
+   * @param {*} value The value
+   *
+   * @return {Boolean} Whether the `field` was set or not
+  */
+  static async hsetnx(key, field, value) {
+    try {
+      this._checkType(RedisKeyTypeEnum.HASH_OBJECT, 'hsetnx')
+
+      const keyName = this
+        .getKeyName(key)
+
+      const isSet = await GenericHASHObjectCache
+        .hsetnx(keyName, field, value, this.getClient())
+
+      if (isSet)
+        await this._invalidateL1([ keyName ])
+
+      return isSet
+    }
+    catch (e) {
+      await this.onSetError(e, key, { [field]: value })
+    }
+  }
+
+  /**
+   * Deletes the `fields` of the `key` object (only for the `HASH_OBJECT` type)
+   * @async
+   *
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {(Array<string> | string)} fields The fields
+   *
+   * @return {Number} The count of deleted fields
+  */
+  static async deleteFields(key, fields) {
+    try {
+      this._checkType(RedisKeyTypeEnum.HASH_OBJECT, 'deleteFields')
+
+      const keyName = this
+        .getKeyName(key)
+
+      const count = await GenericHASHObjectCache
+        .deleteFields(keyName, fields, this.getClient())
+
+      if (count)
+        await this._invalidateL1([ keyName ])
+
+      return count
+    }
+    catch (e) {
+      await this.onDeleteError(e, key, fields)
+    }
+  }
+
+  /**
+   * Returns whether the `value` is a member of the `key` set or not (only for the `STRING` type)
+   * @async
+   *
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {*} value The value
+   *
+   * @return {Boolean} Whether the `value` is a member or not
+  */
+  static async isMember(key, value) {
+    try {
+      this._checkType(RedisKeyTypeEnum.STRING, 'isMember')
+
+      return await GenericSTRINGCache
+        .isMember(this.getKeyName(key), value, this.ATTRS.serializer, this.getClient())
+    }
+    catch (e) {
+      await this.onGetError(e, key, value)
+    }
+  }
+
+  /**
+   * Returns the count of members of the `key` set (only for the `STRING` and `ZSET` types)
+   * @async
+   *
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {(Number | string)} [min = '-inf'] The min score (only for `ZSET`, i.e. `10`, `'(10'` for exclusive)
+   * @param {(Number | string)} [max = '+inf'] The max score (only for `ZSET`, i.e. `20`, `'(20'` for exclusive)
+   *
+   * @return {Number} The count of members
+  */
+  static async count(key, min = '-inf', max = '+inf') {
+    try {
+      this._checkType([ RedisKeyTypeEnum.STRING, RedisKeyTypeEnum.ZSET ], 'count')
+
+      return this.ATTRS.type == RedisKeyTypeEnum.ZSET ?
+        await GenericZSETCache.count(this.getKeyName(key), min, max, this.getClient()) :
+        await GenericSTRINGCache.count(this.getKeyName(key), this.getClient())
+    }
+    catch (e) {
+      await this.onGetError(e, key)
+    }
+  }
+
+  /**
+   * Returns the members of all the `keys` sets (only for the `STRING` type)
+   * @async
+   *
+   * @param {(Array | Object)} keys The list of keys or object with the keys (@see {@link GenericRedisCache.getKeyNames})
+   *
+   * @return {Array} The members (parsed by the `serializer`, when there is one)
+  */
+  static async intersect(keys) {
+    try {
+      this._checkType(RedisKeyTypeEnum.STRING, 'intersect')
+
+      return await GenericSTRINGCache
+        .intersect(await this.getKeyNames(keys), this.ATTRS.serializer, this._getReadClient())
+    }
+    catch (e) {
+      await this.onGetError(e, keys)
+    }
+  }
+
+  /**
+   * Returns the members of the first `keys` set that are not members of the other ones (only for the `STRING` type)
+   * @async
+   *
+   * @param {(Array | Object)} keys The list of keys or object with the keys (@see {@link GenericRedisCache.getKeyNames})
+   *
+   * @return {Array} The members (parsed by the `serializer`, when there is one)
+  */
+  static async difference(keys) {
+    try {
+      this._checkType(RedisKeyTypeEnum.STRING, 'difference')
+
+      return await GenericSTRINGCache
+        .difference(await this.getKeyNames(keys), this.ATTRS.serializer, this._getReadClient())
+    }
+    catch (e) {
+      await this.onGetError(e, keys)
+    }
+  }
+
+  /**
+   * Returns `count` random members of the `key` set (only for the `STRING` type)
+   * @async
+   *
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {Number} [count = 1] The count of members (repeatable ones when negative)
+   *
+   * @return {Array} The members (parsed by the `serializer`, when there is one)
+  */
+  static async randomMembers(key, count = 1) {
+    try {
+      this._checkType(RedisKeyTypeEnum.STRING, 'randomMembers')
+
+      return await GenericSTRINGCache
+        .randomMembers(this.getKeyName(key), count, this.ATTRS.serializer, this._getReadClient())
+    }
+    catch (e) {
+      await this.onGetError(e, key, count)
+    }
+  }
+
+  /**
+   * Removes and returns `count` random members of the `key` set (only for the `STRING` type)
+   * @async
+   *
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {Number} [count = 1] The count of members
+   *
+   * @return {Array} The removed members (parsed by the `serializer`, when there is one)
+  */
+  static async pop(key, count = 1) {
+    try {
+      this._checkType(RedisKeyTypeEnum.STRING, 'pop')
+
+      const keyName = this
+        .getKeyName(key)
+
+      const members = await GenericSTRINGCache
+        .pop(keyName, count, this.ATTRS.serializer, this.getClient())
+
+      if (members.length)
+        await this._invalidateL1([ keyName ])
+
+      return members
+    }
+    catch (e) {
+      await this.onSetError(e, key, count)
+    }
+  }
+
+  /**
+   * Moves the `value` from the `sourceKey` set to the `destinationKey` set of the `destinationCache` (only for the `STRING` type,
+   * the `destinationCache` must share the `redis` client and the `serializer`)
+   * @async
+   *
+   * @param {(string | Number | Object)} sourceKey The source key or `object`
+   * @param {(string | Number | Object)} destinationKey The destination key or `object`
+   * @param {*} value The value
+   * @param {GenericRedisCache} [destinationCache = this] The cache class of the `destinationKey`
+   *
+   * @return {Boolean} Whether the `value` was moved or not
+  */
+  static async move(sourceKey, destinationKey, value, destinationCache = this) {
+    try {
+      this._checkType(RedisKeyTypeEnum.STRING, 'move')
+      destinationCache._checkType(RedisKeyTypeEnum.STRING, 'move')
+      this._checkDestinationCache(destinationCache, 'move')
+
+      const sourceKeyName = this.getKeyName(sourceKey)
+      const destinationKeyName = destinationCache.getKeyName(destinationKey)
+
+      const isMoved = await GenericSTRINGCache
+        .move(sourceKeyName, destinationKeyName, value, this.ATTRS.serializer, this.getClient())
+
+      if (isMoved) {
+        await this._invalidateL1([ sourceKeyName ])
+        await destinationCache._invalidateL1([ destinationKeyName ])
+      }
+
+      return isMoved
+    }
+    catch (e) {
+      await this.onSetError(e, sourceKey, value)
+    }
+  }
+
+  /**
+   * Saves the union of the `keys` sets on the `destinationKey` set of the `destinationCache` (`SUNIONSTORE`, only for the `STRING` type)
+   * @async
+   *
+   * @param {(Array | Object)} keys The list of keys or object with the keys (@see {@link GenericRedisCache.getKeyNames})
+   * @param {(string | Number | Object)} destinationKey The destination key or `object`
+   * @param {GenericRedisCache} [destinationCache = this] The cache class of the `destinationKey`
+   *
+   * @return {Number} The count of members of the destination set
+  */
+  static async unionStore(keys, destinationKey, destinationCache = this) {
+    return this
+      ._storeSetOperation('union', keys, destinationKey, destinationCache)
+  }
+
+  /**
+   * Saves the intersection of the `keys` sets on the `destinationKey` set of the `destinationCache` (`SINTERSTORE`, only for the `STRING` type)
+   * @async
+   *
+   * @param {(Array | Object)} keys The list of keys or object with the keys (@see {@link GenericRedisCache.getKeyNames})
+   * @param {(string | Number | Object)} destinationKey The destination key or `object`
+   * @param {GenericRedisCache} [destinationCache = this] The cache class of the `destinationKey`
+   *
+   * @return {Number} The count of members of the destination set
+  */
+  static async intersectStore(keys, destinationKey, destinationCache = this) {
+    return this
+      ._storeSetOperation('intersect', keys, destinationKey, destinationCache)
+  }
+
+  /**
+   * Saves the difference of the `keys` sets on the `destinationKey` set of the `destinationCache` (`SDIFFSTORE`, only for the `STRING` type)
+   * @async
+   *
+   * @param {(Array | Object)} keys The list of keys or object with the keys (@see {@link GenericRedisCache.getKeyNames})
+   * @param {(string | Number | Object)} destinationKey The destination key or `object`
+   * @param {GenericRedisCache} [destinationCache = this] The cache class of the `destinationKey`
+   *
+   * @return {Number} The count of members of the destination set
+  */
+  static async differenceStore(keys, destinationKey, destinationCache = this) {
+    return this
+      ._storeSetOperation('difference', keys, destinationKey, destinationCache)
+  }
+
+  /**
+   * Returns the rank of the `member` of the `key` sorted set (only for the `ZSET` type)
+   * @async
+   *
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {*} member The member
+   * @param {Boolean} [reverse = false] Whether to rank from the highest score or not
+   *
+   * @return {Number} The rank (`null` when the `member` is not on the set)
+  */
+  static async rank(key, member, reverse = false) {
+    try {
+      this._checkType(RedisKeyTypeEnum.ZSET, 'rank')
+
+      return await GenericZSETCache
+        .rank(this.getKeyName(key), member, reverse, this.getClient())
+    }
+    catch (e) {
+      await this.onGetError(e, key, member)
+    }
+  }
+
+  /**
+   * Increments the score of the `member` of the `key` sorted set, adding it when it is not on the set
+   * (refreshing the `ttl` of the `key` and calling `onSave` with the `member` and its new score, only for the `ZSET` type)
+   * @async
+   *
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {*} member The member
+   * @param {Number} [increment = 1] The increment
+   *
+   * @return {Number} The new score
+  */
+  static async increment(key, member, increment = 1) {
+    try {
+      this._checkType(RedisKeyTypeEnum.ZSET, 'increment')
+
+      const keyName = this
+        .getKeyName(key)
+
+      const multi = this.getClient().multi()
+      const command = GenericZSETCache
+        .increment(keyName, member, increment, multi)
+
+      this._expireCache(keyName, key, undefined, multi)
+
+      await multi.execAsync()
+
+      const score = await command
+
+      await this._invalidateL1([ keyName ])
+
+      this.onSave(key, { member, score }, undefined, this.getClient())
+
+      return score
+    }
+    catch (e) {
+      await this.onSetError(e, key, { member, increment })
+    }
+  }
+
+  /**
+   * Removes the `members` of the `key` sorted set, calling `onDelete` with the `members` (only for the `ZSET` type)
+   * @async
+   *
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {*} members The member (or list of members)
+   *
+   * @return {Number} The count of removed members
+  */
+  static async remove(key, members) {
+    try {
+      this._checkType(RedisKeyTypeEnum.ZSET, 'remove')
+
+      const keyName = this
+        .getKeyName(key)
+
+      const count = await GenericZSETCache
+        .remove(keyName, members, this.getClient())
+
+      if (count) {
+        await this._invalidateL1([ keyName ])
+
+        await this.onDelete(key, members)
+      }
+
+      return count
+    }
+    catch (e) {
+      await this.onDeleteError(e, key, members)
+    }
+  }
+
+  /**
+   * Runs the `fn` holding the lock of the `key` (`SET NX PX` of a lock key named after its `key` name),
+   * waiting for the lock while it is held by another call (of any process)
+   *
+   * The lock key expiration is extended while the `fn` runs, and the lock is released when it settles
+   * (only in case it is still held by this call). When the lock is lost (it expired or failed to be extended),
+   * the `signal` passed to the `fn` is aborted and the call throws, even when the `fn` resolves.
+   * The errors of the `fn` take precedence over the one of the lock release
+   * @async
+   *
+   * @example
+   *  await DogCache.withLock(10, async signal => {
+   *    const dog = await DogCache.get(10)
+   *
+   *    if (signal.aborted)
+   *      return
+   *
+   *    await DogCache.set(10, { ...dog, views: dog.views + 1 })
+   *  }, { ttl: 5000 })
+   *
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {Function} fn The `function` to run (may return a `Promise`), receiving the signal of the lock (@see {@link LockSignal})
+   * @param {LockConfig} [options = {}] The lock config (@see {@link GenericRedisCache.LockConfig})
+   *
+   * @return {*} The `fn` result
+   *
+   * @throws {Error} When the lock is not taken before the `timeout` or it is lost while the `fn` runs
+  */
+  static async withLock(key, fn, options = {}) {
+    const { ttl, retry, timeout } = { ...LOCK_CONFIG, ...options }
+    const keyName = this.getKeyName(key)
+    const lockKeyName = this._getMutexKeyName(keyName)
+    const deadline = Date.now() + timeout
+
+    let token = await this._acquireLock(lockKeyName, ttl)
+
+    while (!token) {
+      if (Date.now() >= deadline)
+        throw new Error(`Timeout waiting for the lock of \`${keyName}\``)
+
+      await new Promise(resolve => setTimeout(resolve, retry))
+
+      token = await this._acquireLock(lockKeyName, ttl)
+    }
+
+    const signal = new LockSignal()
+    const lose = () => {
+      clearInterval(timer)
+      signal.abort()
+    }
+    const timer = setInterval(() => {
+      this._extendLock(lockKeyName, token, ttl)
+        .then(isExtended => isExtended || lose())
+        .catch(lose)
+    }, Math.max(Math.floor(ttl / 3), 1))
+
+    let result = null
+    let fnError = null
+    let releaseError = null
+
+    try {
+      result = await fn(signal)
+    }
+    catch (e) {
+      fnError = e
+    }
+
+    clearInterval(timer)
+
+    try {
+      await this._releaseLock(lockKeyName, token)
+    }
+    catch (e) {
+      releaseError = e
+    }
+
+    if (fnError)
+      throw fnError
+
+    if (signal.aborted)
+      throw new Error(`The lock of \`${keyName}\` was lost while running the \`fn\``)
+
+    if (releaseError)
+      throw releaseError
+
+    return result
+  }
+
+  /**
+   * Return whether the key is cached or not
+   * @async
+   *
+   * @param {(Object | string | Number)} key
+   *
+   * @return {Boolean} Wether the key is cached or not
+  */
+  static async isCached(key) {
+    const keyName = this
+      .getKeyName(key)
+
+    let isCached = false
+
+    await this._checkJSONModule()
+
+    switch (this.ATTRS.type) {
+      case RedisKeyTypeEnum.JSON:
+        isCached = await GenericJSONCache
+          .isCached(keyName, this.getClient())
+        break
+      case RedisKeyTypeEnum.STRING:
+        isCached = await GenericSTRINGCache
+          .isCached(keyName, this.getClient())
+        break
+      case RedisKeyTypeEnum.HASH:
+        isCached = await GenericHASHCache
+          .isCached(keyName, key, this.getClient())
+        break
+      case RedisKeyTypeEnum.JSON_ARRAY:
+        isCached = await GenericJSONArrayCache
+          .isCached(keyName, this.getClient())
+        break
+      case RedisKeyTypeEnum.ZSET:
+        isCached = await GenericZSETCache
+          .isCached(keyName, this.getClient())
+        break
+      case RedisKeyTypeEnum.LIST:
+        isCached = await GenericLISTCache
+          .isCached(keyName, this.getClient())
+        break
+      case RedisKeyTypeEnum.VALUE:
+        isCached = await GenericVALUECache
+          .isCached(keyName, this.getClient())
+        break
+      case RedisKeyTypeEnum.STREAM:
+        isCached = await GenericSTREAMCache
+          .isCached(keyName, this.getClient())
+        break
+      case RedisKeyTypeEnum.HASH_OBJECT:
+        isCached = await GenericHASHObjectCache
+          .isCached(keyName, this.getClient())
+        break
+      default:
+        break
+    }
+
+    return isCached
+  }
+
+  /**
+   * Returns the remaining time to live (in seconds) of the `key`
+   * @async
+   *
+   * @param {(Object | string | Number)} key The cache key
+   *
+   * @return {Number} The `ttl` in seconds (`-1` when the key has no expiration and `-2` when it does not exist)
+  */
+  static async getTTL(key) {
+    let ttl = -2
+
+    if (this.isKeyValid(key)) {
+      const keyName = this
+        .getKeyName(key)
+
+      ttl = await this.getClient().ttlAsync(keyName)
+    }
+
+    return ttl
+  }
+
+  /**
+   * Resets the expiration of the `key` (to the `ttl` passed or the one defined on [`GenericRedisConfig`]{@link GenericRedisCache.GenericRedisConfig})
+   * @async
+   *
+   * @param {(Object | string | Number)} key The cache key
+   * @param {Number} [ttl] The time to live (in seconds)
+   *
+   * @return {Boolean} Whether the expiration was set or not
+  */
+  static async touch(key, ttl = this._getTTL(key)) {
+    let isTouched = false
+
+    if (this.isKeyValid(key) && ttl) {
+      const keyName = this
+        .getKeyName(key)
+
+      isTouched = (await this.getClient().expireAsync(keyName, ttl)) == 1
+
+      if (isTouched && VERSIONED_TYPES.includes(this.ATTRS.type))
+        await this.getClient().expireAsync(this._getVersionKeyName(keyName), ttl + VERSION_TTL_MARGIN)
+    }
+
+    return isTouched
+  }
+
+  /**
+   * Removes the expiration of the `key`
+   * @async
+   *
+   * @param {(Object | string | Number)} key The cache key
+   *
+   * @return {Boolean} Whether the expiration was removed or not
+  */
+  static async persist(key) {
+    let isPersisted = false
+
+    if (this.isKeyValid(key)) {
+      const keyName = this
+        .getKeyName(key)
+
+      isPersisted = (await this.getClient().persistAsync(keyName)) == 1
+
+      if (isPersisted && VERSIONED_TYPES.includes(this.ATTRS.type))
+        await this.getClient().persistAsync(this._getVersionKeyName(keyName))
+    }
+
+    return isPersisted
+  }
+
+  /**
+   * Returns whether `key` has the id attrs for this `cache`
+   * @async
+   *
+   * @param {*} key The cache `key` value
+   *
+   * @return {Boolean} Whether `key` is an `key` value or not
+  */
+  static async isKey(key) {
+    const idAttrs = await this
+      ._getIdAttr(key)
+
+    const idKeys = this.ATTRS.ids
+      .map(id => id.id)
+
+    const isKey = !(key instanceof Object)
+      || (idAttrs && Object.keys(idAttrs) == idKeys)
+
+    return isKey
+  }
+
+  /**
+   * Returns whether the `attr` is `true` or `false`
+   * @async
+   *
+   * @param {(Number | Object)} key The cache key or its object
+   * @param {string} attrName The `attr` name
+   * @param {string} [defaultValue = true] The `attr` default value instead `cacheObject[attrName]`
+   *
+   * @return {Boolean} Whether the `attr` is `true` or `false`
+  */
+  static async isAttrTrue(key, attrName, defaultValue = true) {
+    let isTrue = null
+
+    if (key && attrName) {
+      let organization = { ...key }
+
+      if (!(key instanceof Object))
+        organization = await this.get(key)
+
+      if (organization) {
+        isTrue = organization[attrName] != undefined ?
+          organization[attrName] :
+          defaultValue
+      }
+    }
+
+    return isTrue
+  }
+
+  /**
+   * Returns whether `key` is valid for this cache model
+   *
+   * @param {*} key The cache key
+   *
+   * @return {Boolean} Whether `key` is valid for this cache model
+  */
+  static isKeyValid(key) {
+    let isValid = key != null
+
+    if (!isValid && !this.hasKeyId())
+      isValid = true
+
+    return isValid
+  }
+
+  /**
+   * Returns whether this cache model has [`KeyId`]{@link GenericRedisCache.KeyId}
+   *
+   * @return {Boolean} Whether it has `KeyId` or not
+   *
+   * @example
+   *  class RandomRedis {
+   *    static get GENERIC_REDIS_ATTRS() {
+   *      return {
+   *        keyName : 'random',
+   *        type    : RedisKeyTypeEnum.STRING
+   *      }
+   *    }
+   *  }
+   *
+   *  RandomRedis.hasKeyId()
+   * // false
+   *
+   *  class AnotherRandomRedis {
+   *    static get GENERIC_REDIS_ATTRS() {
+   *      return {
+   *        keyName : 'random',
+   *        type    : RedisKeyTypeEnum.STRING,
+   *        ids     : [{
+   *          id
+   *        }]
+   *      }
+   *    }
+   *  }
+   *
+   *  AnotherRandomRedis.hasKeyId()
+   * // true
+  */
+  static hasKeyId() {
+    return this.ATTRS.ids
+      && this.ATTRS.ids.length > 0
+  }
+
+  /**
+   * Throws when the key type is not the `type` (for the type specific operations, i.e. `updateItem`)
+   *
+   * @param {(RedisKeyTypeEnum | Array<RedisKeyTypeEnum>)} type The type (or types) supporting the `method`
+   * @param {string} method The method name
+   *
+   * @return {undefined}
+   *
+   * @throws {Error} When the key type is not the `type`
+  */
+  static _checkType(type, method) {
+    const types = type instanceof Array ?
+      type :
+      [ type ]
+
+    if (!types.includes(this.ATTRS.type)) {
+      const typeNames = types
+        .map(typeTemp => Object.keys(RedisKeyTypeEnum).find(name => RedisKeyTypeEnum[name] === typeTemp))
+
+      const typeName = typeNames.length > 1 ?
+        `${typeNames.slice(0, -1).join(', ')} and ${typeNames[typeNames.length - 1]}` :
+        typeNames[0]
+
+      throw new Error(`\`${method}\` is only supported by the ${typeName} keys`)
+    }
+  }
+
+  /**
+   * Detects whether the `redis` client of the `JSON` and `JSON_ARRAY` keys has the `ReJSON` module or not
+   * (once per client, including the default one and the ones of `clientFactory`)
+   * @async
+   *
+   * @return {undefined}
+  */
+  static async _checkJSONModule() {
+    if ([ RedisKeyTypeEnum.JSON, RedisKeyTypeEnum.JSON_ARRAY ].includes(this.ATTRS.type)) {
+      await GenericJSONCache
+        .checkJSONModule(this.getClient())
+    }
+  }
+
+  /**
+   * Checks whether the `destinationCache` shares the `redis` client and the `serializer` of this cache class
+   * (the set commands run on a single server and copy the members as they are saved)
+   *
+   * @param {GenericRedisCache} destinationCache The cache class of the destination key
+   * @param {string} method The method name
+   *
+   * @return {undefined}
+   *
+   * @throws {Error} When the `destinationCache` has another client or `serializer`
+  */
+  static _checkDestinationCache(destinationCache, method) {
+    if (destinationCache.getClient() !== this.getClient())
+      throw new Error(`\`${method}\` requires the destination cache to share the \`redis\` client`)
+
+    if (destinationCache.ATTRS.serializer !== this.ATTRS.serializer)
+      throw new Error(`\`${method}\` requires the destination cache to share the \`serializer\``)
+  }
+
+  /**
+   * Saves the result of the set `operation` over the `keys` sets on the `destinationKey` set of the `destinationCache`
+   * (setting the `destinationCache` `ttl`)
+   * @async
+   *
+   * @param {string} operation The operation (`union`, `intersect` or `difference`)
+   * @param {(Array | Object)} keys The list of keys or object with the keys
+   * @param {(string | Number | Object)} destinationKey The destination key or `object`
+   * @param {GenericRedisCache} destinationCache The cache class of the `destinationKey`
+   *
+   * @return {Number} The count of members of the destination set
+  */
+  static async _storeSetOperation(operation, keys, destinationKey, destinationCache) {
+    try {
+      this._checkType(RedisKeyTypeEnum.STRING, `${operation}Store`)
+      destinationCache._checkType(RedisKeyTypeEnum.STRING, `${operation}Store`)
+      this._checkDestinationCache(destinationCache, `${operation}Store`)
+
+      const keyNames = await this
+        .getKeyNames(keys)
+
+      const destinationKeyName = destinationCache
+        .getKeyName(destinationKey)
+
+      const count = await GenericSTRINGCache
+        .store(operation, destinationKeyName, keyNames, this.getClient())
+
+      if (count)
+        await destinationCache._expireCache(destinationKeyName, destinationKey, undefined, destinationCache.getClient())
+
+      await destinationCache._invalidateL1([ destinationKeyName ])
+
+      return count
+    }
+    catch (e) {
+      await this.onSetError(e, destinationKey, keys)
+    }
+  }
+
+  /**
+   * Saves the `key` array item by the `GenericJSONArrayCache` `method` (`updateItem` or `upsertItem`),
+   * calling `onSaving` with the `value` and `onSave` with the saved item (and the old one)
+   * @async
+   *
+   * @param {string} method The `GenericJSONArrayCache` method name
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {GenericJSONArrayCache.ItemMatcher} matcher The matcher
+   * @param {*} value The item value (or the attrs to update)
+   * @param {string} jsonPath The array `path`
+   *
+   * @return {*} The saved item (`null` when no item matches)
+  */
+  static async _saveItem(method, key, matcher, value, jsonPath) {
+    try {
+      let item = null
+
+      this._checkType(RedisKeyTypeEnum.JSON_ARRAY, method)
+
+      if (this.isKeyValid(key)) {
+        await this._checkJSONModule()
+
+        const keyName = this
+          .getKeyName(key)
+
+        const valueTemp = await this.onSaving(key, value)
+
+        if (valueTemp !== undefined) {
+          const queue = multi => this._versionCache(keyName, key, undefined, multi)
+          const response = await GenericJSONArrayCache[method](keyName, matcher, valueTemp, jsonPath, this.getClient(), queue)
+
+          if (response) {
+            item = response.item
+
+            await this._invalidateL1([ keyName ])
+
+            this.onSave(key, item, response.oldItem, this.getClient())
+          }
+        }
+      }
+
+      return item
+    }
+    catch (e) {
+      await this.onSetError(e, key, value, jsonPath)
+    }
+  }
+
+  /**
+   * Runs the `run` function on a connection watching the `key` and its version key (`WATCH`),
+   * so the `MULTI/EXEC` of `run` on the connection is aborted when any of them is changed meanwhile
+   * (a pooled connection per call, as the watched keys are per connection, see [`_acquireWatchClient`]{@link GenericRedisCache._acquireWatchClient})
+   * @async
+   *
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {Function} run The `function(client, version)` (with the current version of the `key`)
+   *
+   * @return {*} The `run` result
+  */
+  static async _watch(key, run) {
+    const keyName = this
+      .getKeyName(key)
+
+    await this._checkJSONModule()
+
+    const client = this.getClient()
+    const watchClient = this._acquireWatchClient(client)
+
+    let result = null
+
+    try {
+      await watchClient.watchAsync(keyName, this._getVersionKeyName(keyName))
+
+      const version = Number(await watchClient.getAsync(this._getVersionKeyName(keyName)))
+
+      result = await run(watchClient, version)
+    }
+    finally {
+      await this._releaseWatchClient(client, watchClient)
+    }
+
+    return result
+  }
+
+  /**
+   * Returns an idle connection of the `client` to watch keys (or a new duplicate, when there is none),
+   * the idle connections quitting along with the `client`
+   *
+   * @param {redis.RedisClient} client The `redis` client
+   *
+   * @return {redis.RedisClient} The connection (@see {@link GenericRedisCache._releaseWatchClient})
+  */
+  static _acquireWatchClient(client) {
+    let watchClients = WATCH_CLIENTS.get(client)
+
+    if (!watchClients) {
+      watchClients = []
+
+      client
+        .once('end', () => {
+          WATCH_CLIENTS.delete(client)
+
+          watchClients
+            .splice(0)
+            .forEach(watchClient => watchClient.quit())
+        })
+
+      WATCH_CLIENTS.set(client, watchClients)
+    }
+
+    let watchClient = watchClients.pop()
+
+    if (!watchClient) {
+      watchClient = client.duplicate()
+
+      watchClient
+        .on('error', e => client.emit('error', e))
+    }
+
+    GenericJSONCache
+      .setJSONModule(GenericJSONCache.hasJSONModule(client), watchClient)
+
+    return watchClient
+  }
+
+  /**
+   * Releases the `watchClient` connection of the `client` (@see {@link GenericRedisCache._acquireWatchClient}),
+   * unwatching its keys (i.e. when `run` failed before the `EXEC`) and keeping it idle up to `WATCH_CLIENTS_MAX`
+   * (quitting it otherwise, or when the `client` ended meanwhile)
+   * @async
+   *
+   * @param {redis.RedisClient} client The `redis` client
+   * @param {redis.RedisClient} watchClient The connection to watch keys
+   *
+   * @return {Boolean} Whether the `watchClient` is kept idle or not
+  */
+  static async _releaseWatchClient(client, watchClient) {
+    const watchClients = WATCH_CLIENTS.get(client)
+
+    let isKept = false
+
+    if (watchClients && watchClients.length < WATCH_CLIENTS_MAX) {
+      isKept = await watchClient
+        .unwatchAsync()
+        .then(() => WATCH_CLIENTS.get(client) == watchClients && watchClients.length < WATCH_CLIENTS_MAX, () => false)
+    }
+
+    if (isKept)
+      watchClients.push(watchClient)
+    else
+      await watchClient.quitAsync()
+
+    return isKept
+  }
+
+  /**
+   * Saves the `value` of the `key` with a `MULTI/EXEC` on the watching `client` (@see {@link GenericRedisCache._watch}),
+   * calling `onSaving` and `onSave`
+   * @async
+   *
+   * @param {(string | Number | Object)} key The key or `object`
+   * @param {*} value The value
+   * @param {*} oldCache The cached value (for `onSave`)
+   * @param {Number} version The current version of the `key`
+   * @param {redis.RedisClient} client The watching client
+   *
+   * @return {Object} The saved `{ value, version }` (with `null` attrs when `onSaving` cancels the save)
+   * or `null` when the `key` was changed meanwhile
+  */
+  static async _setWatched(key, value, oldCache, version, client) {
+    const valueTemp = await this
+      .onSaving(key, value)
+
+    let saved = { value: null, version: null }
+
+    if (valueTemp !== undefined) {
+      const replies = await this
+        .setCache(key, valueTemp, GenericJSONCache.DEFAULT_PATH, client.multi())
+        .execAsync()
+
+      saved = null
+
+      if (replies) {
+        saved = { value: valueTemp, version: version + 1 }
+
+        await this._invalidateL1([ this.getKeyName(key) ])
+
+        this.onSave(key, valueTemp, oldCache, this.getClient())
+      }
+    }
+
+    return saved
+  }
+
+  /**
+   * Returns an object with the ID attributtes of the key based on an Object
+   *
+   * @param {Object} object The object to get the attrs from
+   *
+   * @return {Object} The object with the ids of the key
+  */
+  static _getIdAttr(object) {
+    let idAttr = null
+
+    if (object) {
+      const tempObject = {}
+
+      if (object instanceof Object) {
+        object = object.constructor.name == 'Object' ?
+          { ...object } :
+          JSON.parse(JSON.stringify(object))
+      }
+
+      this.ATTRS.ids.forEach(id => {
+        if (object[id.id])
+          tempObject[id.id] = object[id.id]
+        else {
+          tempObject[id.id] = id.idUndefined ?
+            id.idUndefined :
+            this.ATTRS.idUndefined
+        }
+      })
+
+      if (Object.keys(tempObject).length)
+        idAttr = tempObject
+    }
+
+    return idAttr
+  }
+
+  /**
+   * Returns the expiration time (in seconds) of the `key/value` (@see {@link GenericRedisCache.GenericRedisConfig})
+   *
+   * @param {(Object | string | Number)} key The cache key
+   * @param {*} [value] The cache value
+   * @param {string} [attrName = 'ttl'] The `ttl` attr name (`ttl` or `staleTTL`)
+   *
+   * @return {Number} The `ttl` in seconds (or `null` if the key does not expire)
+  */
+  static _getTTL(key, value, attrName = 'ttl') {
+    let ttl = this.ATTRS[attrName]
+
+    if (ttl instanceof Function)
+      ttl = ttl(key, value)
+
+    return Number.isInteger(ttl) && ttl > 0 ?
+      ttl :
+      null
+  }
+
+  /**
+   * Returns the score of the `ZSET` `member` (@see {@link GenericRedisConfig.score})
+   *
+   * @param {(Object | string | Number)} key The cache key
+   * @param {*} member The member
+   *
+   * @return {Number} The score
+  */
+  static _getScore(key, member) {
+    let score = this.ATTRS.score
+
+    if (score instanceof Function)
+      score = score(key, member)
+
+    return score == null ?
+      Date.now() :
+      score
+  }
+
+  /**
+   * Returns whether the keys are saved with a `SET` mode (`VALUE` keys with `setMode`) or not,
+   * in which case the saves may be refused by `redis`
+   *
+   * @return {Boolean} Whether the keys have a `SET` mode or not
+  */
+  static _hasSetMode() {
+    return this.ATTRS.type == RedisKeyTypeEnum.VALUE && Boolean(this.ATTRS.setMode)
+  }
+
+  /**
+   * Sets the `set` script (@see {@link setModeScripts.set}) to save the value of the `VALUE` keys with `setMode` by `SET NX/XX`
+   * (expiring it by the `SET EX`), marking it as fresh, deleting its miss and tagging it on the same script, only in case it is saved
+   *
+   * @param {(string | Number | Object)} key The key or object to save on cache
+   * @param {*} value The value to save on cache
+   * @param {redis.Multi} [commands = redis] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Promise<string>} The script command (`'OK'` or `null` when not saved, resolved on the `exec` in case of `redis.Multi`)
+  */
+  static _setCacheMode(key, value, commands = this.getClient()) {
+    const keyName = this
+      .getKeyName(key)
+
+    const tagKeyNames = this
+      ._getTags(key, value)
+      .map(tag => this._getTagKeyName(tag))
+
+    if (tagKeyNames.length)
+      TAGGED_CACHES.add(this)
+
+    return commands
+      .evalAsync(
+        setModeScripts.set,
+        3 + tagKeyNames.length,
+        keyName,
+        this._getFreshKeyName(keyName),
+        this._getMissKeyName(keyName),
+        ...tagKeyNames,
+        GenericVALUECache.getValue(value, this.ATTRS.serializer),
+        GenericVALUECache.getMode(this.ATTRS.setMode),
+        this._getTTL(key, value) || 0,
+        this._getTTL(key, value, 'staleTTL') || 0,
+        this._getCacheMissesTTL() ? 1 : 0,
+        this.ATTRS.keyName
+      )
+  }
+
+  /**
+   * Executes the `multi` with the write of a key and its follow-up commands (`expire`, fresh, miss, tags and version),
+   * so they are applied atomically
+   * @async
+   *
+   * @param {redis.Multi} multi The `redis` multi command object (See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Array<*>} The replies of the commands
+   *
+   * @throws {Error} The error of the first failed command
+  */
+  static async _execCache(multi) {
+    const replies = await multi.execAsync()
+    const error = (replies || [])
+      .find(reply => reply instanceof Error)
+
+    if (error)
+      throw error
+
+    return replies || []
+  }
+
+  /**
+   * Sets the command to expire the `keyName` (in case of `ttl`)
+   *
+   * @param {string} keyName The `key` name
+   * @param {(Object | string | Number)} key The cache key
+   * @param {*} [value] The cache value
+   * @param {redis.Multi} [commands = redis] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Promise<Number>} The `expire` command (or `null` if the key does not expire)
+  */
+  static _expireCache(keyName, key, value, commands = this.getClient()) {
+    const ttl = this._getTTL(key, value)
+
+    let command = null
+
+    if (keyName && ttl) {
+      command = commands
+        .expireAsync(keyName, ttl)
+    }
+
+    return command
+  }
+
+  /**
+   * Sets the command to increment the version of the `keyName` (in case of `JSON`, `HASH` or `JSON_ARRAY`),
+   * expiring the version a day after the `keyName`
+   *
+   * @param {string} keyName The `key` name
+   * @param {(Object | string | Number)} key The cache key
+   * @param {*} [value] The cache value
+   * @param {redis.Multi} [commands = redis] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Promise<Number>} The `incr` command (or `null` if the key has no version)
+  */
+  static _versionCache(keyName, key, value, commands = this.getClient()) {
+    let command = null
+
+    if (keyName && VERSIONED_TYPES.includes(this.ATTRS.type)) {
+      const versionKeyName = this._getVersionKeyName(keyName)
+      const ttl = this._getTTL(key, value)
+
+      command = commands
+        .incrAsync(versionKeyName)
+
+      if (ttl)
+        commands.expireAsync(versionKeyName, ttl + VERSION_TTL_MARGIN)
+    }
+
+    return command
+  }
+
+  /**
+   * Returns the version key name of the `keyName`
+   *
+   * @param {string} keyName The `key` name
+   *
+   * @return {string} The version key name
+  */
+  static _getVersionKeyName(keyName) {
+    return `${VERSION_KEY_PREFIX}${keyName}`
+  }
+
+  /**
+   * Sets the command to mark the `keyName` as fresh until its `staleTTL` (in case of `staleTTL`)
+   *
+   * @param {string} keyName The `key` name
+   * @param {(Object | string | Number)} key The cache key
+   * @param {*} [value] The cache value
+   * @param {redis.Multi} [commands = redis] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Promise<string>} The `set` command (or `null` if the key does not get stale)
+  */
+  static _freshCache(keyName, key, value, commands = this.getClient()) {
+    const staleTTL = this._getTTL(key, value, 'staleTTL')
+
+    let command = null
+
+    if (keyName && staleTTL) {
+      command = commands
+        .setAsync(this._getFreshKeyName(keyName), 1, 'EX', staleTTL)
+    }
+
+    return command
+  }
+
+  /**
+   * Returns the key name marking the `keyName` as fresh (@see {@link GenericRedisCache._freshCache})
+   *
+   * @param {string} keyName The `key` name
+   *
+   * @return {string} The fresh key name
+  */
+  static _getFreshKeyName(keyName) {
+    return `${FRESH_KEY_PREFIX}${keyName}`
+  }
+
+  /**
+   * Returns whether the cached `keyName` is past its `staleTTL` or not
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {*} objectCache The cached value
+   *
+   * @return {Boolean} Whether the cached value is stale or not (always `false` without `staleTTL`)
+  */
+  static async _isStale(keyName, objectCache) {
+    let isStale = false
+
+    if (this.ATTRS.staleTTL != null && keyName && !this._isCacheEmpty(objectCache)) {
+      isStale = (await this.getClient()
+        .existsAsync(this._getFreshKeyName(keyName))) == 0
+    }
+
+    return isStale
+  }
+
+  /**
+   * Refreshes the `key` from `db` (through [`set`]{@link GenericRedisCache.set}) in case it is stale
+   *
+   * Only one call (across processes) refreshes a stale key: the one marking it as fresh first
+   * @async
+   *
+   * @param {(string | Number | Object)} key The cache key
+   * @param {*} [cacheObject] The cached value
+   *
+   * @return {Boolean} Whether the key was refreshed or not
+  */
+  static async _revalidate(key, cacheObject) {
+    const keyName = this
+      .getKeyName(key)
+
+    const staleTTL = this._getTTL(key, cacheObject, 'staleTTL')
+    const freshKeyName = this._getFreshKeyName(keyName)
+
+    let isRevalidated = false
+
+    if (keyName && staleTTL) {
+      const isClaimed = (await this.getClient()
+        .setAsync(freshKeyName, 1, 'EX', staleTTL, 'NX')) == 'OK'
+
+      if (isClaimed) {
+        try {
+          const dbObject = await this.getDB(key)
+
+          if (dbObject)
+            isRevalidated = Boolean(await this.set(key, dbObject))
+        }
+        catch (e) {
+          await this.getClient().delAsync(freshKeyName)
+
+          throw e
+        }
+      }
+    }
+
+    return isRevalidated
+  }
+
+  /**
+   * Returns the expiration time (in seconds) of the cached misses (@see {@link GenericRedisCache.GenericRedisConfig})
+   *
+   * @return {Number} The `ttl` in seconds (or `null` when `cacheMisses` is disabled)
+  */
+  static _getCacheMissesTTL() {
+    const cacheMisses = this.ATTRS.cacheMisses
+
+    let ttl = null
+
+    if (Number.isInteger(cacheMisses) && cacheMisses > 0)
+      ttl = cacheMisses
+    else if (cacheMisses === true)
+      ttl = CACHE_MISSES_TTL
+
+    return ttl
+  }
+
+  /**
+   * Returns the key name marking the `keyName` as not found on `db`
+   *
+   * @param {string} keyName The `key` name
+   *
+   * @return {string} The miss key name
+  */
+  static _getMissKeyName(keyName) {
+    return `${MISS_KEY_PREFIX}${keyName}`
+  }
+
+  /**
+   * Returns whether the `keyName` is cached as not found on `db` or not
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   *
+   * @return {Boolean} Whether the `keyName` is a cached miss or not (always `false` without `cacheMisses`)
+  */
+  static async _isMissCached(keyName) {
+    let isMissCached = false
+
+    if (keyName && this._getCacheMissesTTL()) {
+      isMissCached = (await this.getClient()
+        .existsAsync(this._getMissKeyName(keyName))) == 1
+    }
+
+    return isMissCached
+  }
+
+  /**
+   * Returns the `keys` not cached as not found on `db`
+   * @async
+   *
+   * @param {Array} keys The cache keys
+   *
+   * @return {Array} The `keys` that are not cached misses
+  */
+  static async _removeMissesCached(keys) {
+    let keysTemp = keys
+
+    if (keys.length && this._getCacheMissesTTL()) {
+      const commands = this.getClient().multi()
+
+      keys
+        .forEach(key => commands.exists(this._getMissKeyName(this.getKeyName(key))))
+
+      const responses = await commands.execAsync()
+
+      keysTemp = keys
+        .filter((key, index) => responses[index] == 0)
+    }
+
+    return keysTemp
+  }
+
+  /**
+   * Caches the `keys` that are not on cache (after fetching them from `db`) as misses (in case of `cacheMisses`)
+   * @async
+   *
+   * @param {Array} keys The cache keys
+   *
+   * @return {Array} The `keys` cached as misses
+  */
+  static async _cacheMisses(keys) {
+    const ttl = this._getCacheMissesTTL()
+
+    let keysMissed = []
+
+    if (keys.length && ttl) {
+      const keyNames = keys
+        .map(key => this.getKeyName(key))
+
+      const existsCommands = this.getClient().multi()
+
+      keyNames
+        .forEach(keyName => existsCommands.exists(keyName))
+
+      const responses = await existsCommands.execAsync()
+
+      keysMissed = keys
+        .filter((key, index) => responses[index] == 0)
+
+      if (keysMissed.length) {
+        const commands = this.getClient().multi()
+
+        keyNames
+          .filter((keyName, index) => responses[index] == 0)
+          .forEach(keyName => commands.set(this._getMissKeyName(keyName), 1, 'EX', ttl))
+
+        await commands.execAsync()
+      }
+    }
+
+    return keysMissed
+  }
+
+  /**
+   * Sets the command to remove the miss of the `keyName` (in case of `cacheMisses`)
+   *
+   * @param {string} keyName The `key` name
+   * @param {redis.Multi} [commands = redis] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Promise<Number>} The `del` command (or `null` without `cacheMisses`)
+  */
+  static _deleteMissCache(keyName, commands = this.getClient()) {
+    let command = null
+
+    if (keyName && this._getCacheMissesTTL()) {
+      command = commands
+        .delAsync(this._getMissKeyName(keyName))
+    }
+
+    return command
+  }
+
+  /**
+   * Removes the fresh and miss markers of the `keyName` (in case of `staleTTL` or `cacheMisses`),
+   * so the next [`get`]{@link GenericRedisCache.get} fetches it from `db`
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   *
+   * @return {Number} The count of markers removed
+  */
+  static async _deleteMarkersCache(keyName) {
+    const markerKeyNames = []
+
+    if (keyName && this.ATTRS.staleTTL != null)
+      markerKeyNames.push(this._getFreshKeyName(keyName))
+
+    if (keyName && this._getCacheMissesTTL())
+      markerKeyNames.push(this._getMissKeyName(keyName))
+
+    let response = 0
+
+    if (markerKeyNames.length) {
+      response = await this.getClient()
+        .delAsync(...markerKeyNames)
+    }
+
+    return response
+  }
+
+  /**
+   * Returns the tags of the `key` (in case of `tags`)
+   *
+   * @param {(Object | string | Number)} key The cache key
+   * @param {*} [value] The cache value
+   *
+   * @return {Array<string>} The tags
+  */
+  static _getTags(key, value) {
+    const tags = this.ATTRS.tags instanceof Function ?
+      this.ATTRS.tags(key, value) :
+      null
+
+    return tags instanceof Array ?
+      tags.filter(tag => tag != null && tag !== '') :
+      []
+  }
+
+  /**
+   * Sets the commands to add the `keyName` to the hashes of its tags (in case of `tags`), extending their expiration up to its `ttl`
+   *
+   * @param {string} keyName The `key` name
+   * @param {(Object | string | Number)} key The cache key
+   * @param {*} [value] The cache value
+   * @param {redis.Multi} [commands = redis] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Array<Promise<Number>>} The `tag` script commands (@see {@link tagScripts.tag})
+  */
+  static _tagCache(keyName, key, value, commands = this.getClient()) {
+    const tags = keyName ?
+      this._getTags(key, value) :
+      []
+
+    const ttl = this._getTTL(key, value) || 0
+
+    if (tags.length)
+      TAGGED_CACHES.add(this)
+
+    return tags
+      .map(tag => commands.evalAsync(tagScripts.tag, 1, this._getTagKeyName(tag), keyName, this.ATTRS.keyName, ttl))
+  }
+
+  /**
+   * Returns the key name of the hash holding the key names tagged with `tag` (and the `keyName` templates of their cache classes)
+   *
+   * @param {string} tag The tag
+   *
+   * @return {string} The tag key name
+  */
+  static _getTagKeyName(tag) {
+    return `${TAG_KEY_PREFIX}${tag}`
+  }
+
+  /**
+   * Returns the registered cache class with the `cacheId` `keyName` template on the `client` (the first one registered)
+   *
+   * @param {string} cacheId The `keyName` template saved along with the tagged key name
+   * @param {redis.RedisClient} client The `redis` client
+   *
+   * @return {GenericRedisCache} The cache class (`undefined` when none matches)
+  */
+  static _getTaggedCache(cacheId, client) {
+    return [ ...TAGGED_CACHES ]
+      .find(cache => cache.getClient() === client && cache.ATTRS.keyName == cacheId)
+  }
+
+  /**
+   * Returns the id value of a `keyName` part (the inverse of [`getKeyAttrId`]{@link GenericRedisCache.getKeyAttrId})
+   *
+   * @param {string} value The `keyName` part
+   * @param {KeyId} idAttr The [`GenericRedisCache` key attr]{@link GenericRedisCache.KeyId}
+   *
+   * @return {*} The id value
+  */
+  static _parseKeyAttrId(value, idAttr) {
+    const idNull = idAttr.idNull || this.ATTRS.idNull
+    const idUndefined = idAttr.idUndefined || this.ATTRS.idUndefined
+
+    let id = value
+
+    if (value === undefined || value == idUndefined)
+      id = undefined
+    else if (value == idNull)
+      id = null
+    else if (String(Number(value)) === value && Number.isInteger(Number(value)))
+      id = Number(value)
+
+    return id
+  }
+
+  /**
+   * Returns whether the `cacheObject` is a cache miss (`null` or empty list)
+   *
+   * @param {*} cacheObject The value from [`getCache`]{@link GenericRedisCache.getCache}
+   *
+   * @return {Boolean} Whether it is a cache miss or not
+  */
+  static _isCacheEmpty(cacheObject) {
+    return cacheObject == null
+      || cacheObject.length == 0
+  }
+
+  /**
+   * Fetches the `key` from `db` and saves it on cache
+   * @async
+   *
+   * @param {(string | Number | Object)} key The cache key
+   * @param {*} cacheObject The value from [`getCache`]{@link GenericRedisCache.getCache} (`null` or empty list)
+   *
+   * @return {*} The object from `db` (or `cacheObject` when there is none)
+  */
+  static async _getDB(key, cacheObject) {
+    const dbObject = await this.getDB(key)
+
+    if (this.ATTRS.type == RedisKeyTypeEnum.JSON_ARRAY && (cacheObject == null || dbObject)) {
+      await this.add(key, dbObject)
+
+      if (dbObject)
+        cacheObject = dbObject
+    }
+    else if (dbObject)
+      cacheObject = await this.set(key, dbObject)
+
+    if (!dbObject)
+      await this._cacheMisses([ key ])
+
+    return cacheObject
+  }
+
+  /**
+   * Fetches the `keys` from `db`, saves them on cache and returns them from cache
+   * @async
+   *
+   * @param {Array} keys The cache keys
+   * @param {Object} [params = {}] An object with a set of params to fetch the objects
+   *
+   * @return {Array} The list of objects from cache
+  */
+  static async _getListDB(keys, params = {}) {
+    let objectsCache = []
+
+    const dbObjects = await this
+      ._setListDB(keys)
+
+    if (dbObjects && dbObjects.length)
+      objectsCache = await this.getListCache(keys, params)
+
+    return objectsCache
+  }
+
+  /**
+   * Fetches the `keys` from `db` and saves them on cache (caching the misses in case of `cacheMisses`)
+   * @async
+   *
+   * @param {Array} keys The cache keys
+   *
+   * @return {Array} The list of objects from `db`
+  */
+  static async _setListDB(keys) {
+    const dbObjects = await this.getListDB(keys)
+
+    if (dbObjects && dbObjects.length)
+      await this.setList(dbObjects)
+
+    await this._cacheMisses(keys)
+
+    return dbObjects
+  }
+
+  /**
+   * Same as [`_getDB`]{@link GenericRedisCache._getDB}, but sharing the `db` fetch between concurrent calls:
+   * the calls on this process wait for the same `Promise` and the ones on other processes
+   * wait for the lock key to be released (and then read the key from cache)
+   * @async
+   *
+   * @param {(string | Number | Object)} key The cache key
+   * @param {Object} params The params to read the key from cache
+   * @param {*} cacheObject The value from [`getCache`]{@link GenericRedisCache.getCache} (`null` or empty list)
+   *
+   * @return {*} The object from cache or `db`
+  */
+  static async _getDBSingleFlight(key, params, cacheObject) {
+    const keyName = this
+      .getKeyName(key)
+
+    let flight = FLIGHTS.get(keyName)
+    let objectTemp = null
+
+    if (flight) {
+      objectTemp = await flight
+
+      if (this._isCacheEmpty(objectTemp))
+        objectTemp = await this.getCache(key, params)
+    }
+    else {
+      flight = this
+        ._getDBLocked(keyName, () => this._getDB(key, cacheObject), () => this.getCache(key, params))
+
+      objectTemp = await this._addFlight([ keyName ], flight)
+    }
+
+    return objectTemp
+  }
+
+  /**
+   * Same as [`_getListDB`]{@link GenericRedisCache._getListDB}, but sharing the `db` fetch of each key
+   * between concurrent calls (@see {@link GenericRedisCache._getDBSingleFlight})
+   * @async
+   *
+   * @param {Array} keys The cache keys
+   * @param {Object} [params = {}] An object with a set of params to fetch the objects
+   *
+   * @return {Array} The list of objects from cache
+  */
+  static async _getListDBSingleFlight(keys, params = {}) {
+    const flights = []
+    const keysToFetch = []
+
+    keys
+      .forEach(key => {
+        const keyName = this.getKeyName(key)
+
+        if (FLIGHTS.has(keyName))
+          flights.push(FLIGHTS.get(keyName))
+        else
+          keysToFetch.push(key)
+      })
+
+    if (keysToFetch.length) {
+      const keyNames = keysToFetch
+        .map(key => this.getKeyName(key))
+
+      const flight = this
+        ._getListDBLocked(keysToFetch)
+
+      flights.push(this._addFlight(keyNames, flight))
+    }
+
+    await Promise.all(flights)
+
+    return this.getListCache(keys, params)
+  }
+
+  /**
+   * Fetches the `keyName` from `db` holding its lock key (or waits for the lock to be released
+   * and reads it from cache when another process is fetching it)
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {Function} getDB The `function` fetching the key from `db` (and saving it on cache)
+   * @param {Function} getCache The `function` reading the key from cache
+   *
+   * @return {*} The object from cache or `db`
+  */
+  static async _getDBLocked(keyName, getDB, getCache) {
+    const { timeout } = this._getSingleFlightConfig()
+    const deadline = Date.now() + timeout
+
+    let objectTemp = null
+    let isFetched = false
+
+    while (!isFetched) {
+      const token = await this._lock(keyName)
+
+      if (token) {
+        try {
+          objectTemp = await getDB()
+        }
+        finally {
+          await this._unlock(keyName, token)
+        }
+
+        isFetched = true
+      }
+      else if (await this._waitUnlock([ keyName ], deadline)) {
+        objectTemp = await getCache()
+
+        isFetched = !this._isCacheEmpty(objectTemp)
+          || await this._isMissCached(keyName)
+      }
+      else {
+        objectTemp = await getDB()
+
+        isFetched = true
+      }
+    }
+
+    return objectTemp
+  }
+
+  /**
+   * Same as [`_getDBLocked`]{@link GenericRedisCache._getDBLocked}, but for a list of keys
+   * (fetching the ones not locked by other processes with a single `getListDB` call)
+   * @async
+   *
+   * @param {Array} keys The cache keys
+   *
+   * @return {undefined}
+  */
+  static async _getListDBLocked(keys) {
+    const { timeout } = this._getSingleFlightConfig()
+    const deadline = Date.now() + timeout
+
+    let keysToFetch = keys
+
+    while (keysToFetch.length) {
+      const keyNames = keysToFetch
+        .map(key => this.getKeyName(key))
+
+      const tokens = await Promise.all(keyNames.map(keyName => this._lock(keyName)))
+
+      const keysLocked = keysToFetch.filter((key, index) => tokens[index])
+      const keysWaiting = keysToFetch.filter((key, index) => !tokens[index])
+
+      keysToFetch = []
+
+      if (keysLocked.length) {
+        try {
+          await this._setListDB(keysLocked)
+        }
+        finally {
+          await Promise.all(
+            keyNames
+              .map((keyName, index) => tokens[index] && this._unlock(keyName, tokens[index]))
+          )
+        }
+      }
+
+      if (keysWaiting.length) {
+        const keyNamesWaiting = keysWaiting
+          .map(key => this.getKeyName(key))
+
+        if (await this._waitUnlock(keyNamesWaiting, deadline)) {
+          const isCachedList = await Promise.all(keysWaiting.map(key => this.isCached(key)))
+
+          keysToFetch = await this._removeMissesCached(
+            keysWaiting
+              .filter((key, index) => !isCachedList[index])
+          )
+        }
+        else
+          await this._setListDB(keysWaiting)
+      }
+    }
+  }
+
+  /**
+   * Registers the `flight` as the pending `db` fetch of the `keyNames` (until it is settled)
+   *
+   * @param {Array<string>} keyNames The `key` names
+   * @param {Promise} flight The `db` fetch
+   *
+   * @return {Promise} The `flight`
+  */
+  static _addFlight(keyNames, flight) {
+    const flightTemp = flight
+      .finally(() => {
+        keyNames
+          .forEach(keyName => {
+            if (FLIGHTS.get(keyName) === flightTemp)
+              FLIGHTS.delete(keyName)
+          })
+      })
+
+    keyNames
+      .forEach(keyName => FLIGHTS.set(keyName, flightTemp))
+
+    return flightTemp
+  }
+
+  /**
+   * Returns the `singleFlight` config of this cache (@see {@link GenericRedisCache.SingleFlightConfig})
+   *
+   * @return {SingleFlightConfig} The config (or `null` when `singleFlight` is disabled)
+  */
+  static _getSingleFlightConfig() {
+    const singleFlight = this.ATTRS.singleFlight
+
+    let config = null
+
+    if (singleFlight) {
+      config = {
+        ...SINGLE_FLIGHT_CONFIG,
+        ...(singleFlight instanceof Object ? singleFlight : {})
+      }
+    }
+
+    return config
+  }
+
+  /**
+   * Returns the lock key name of the `keyName`
+   *
+   * @param {string} keyName The `key` name
+   *
+   * @return {string} The lock key name
+  */
+  static _getLockKeyName(keyName) {
+    return `${LOCK_KEY_PREFIX}${keyName}`
+  }
+
+  /**
+   * Returns the [`withLock`]{@link GenericRedisCache.withLock} lock key name of the `keyName`
+   * (apart from the `singleFlight` one, so reading a locked key from `db` does not wait for its lock)
+   *
+   * @param {string} keyName The `key` name
+   *
+   * @return {string} The lock key name
+  */
+  static _getMutexKeyName(keyName) {
+    return `${MUTEX_KEY_PREFIX}${keyName}`
+  }
+
+  /**
+   * Sets the lock key of the `keyName` (in case it is not locked yet)
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   *
+   * @return {string} The lock token (or `null` when the key is already locked)
+  */
+  static async _lock(keyName) {
+    const { lockTTL } = this._getSingleFlightConfig()
 
-      if (organization) {
-        isTrue = organization[attrName] != undefined ?
-          organization[attrName] :
-          defaultValue
-      }
-    }
+    return this._acquireLock(this._getLockKeyName(keyName), lockTTL)
+  }
 
-    return isTrue
+  /**
+   * Removes the lock key of the `keyName` (in case it still holds the `token`)
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {string} token The lock token returned by [`_lock`]{@link GenericRedisCache._lock}
+   *
+   * @return {Boolean} Whether the lock was removed or not
+  */
+  static async _unlock(keyName, token) {
+    return this._releaseLock(this._getLockKeyName(keyName), token)
   }
 
   /**
-   * Returns whether `key` is valid for this cache model
+   * Sets the `lockKeyName` with a new token (`SET NX PX`, in case it is not set yet)
+   * @async
    *
-   * @param {*} key The cache key
+   * @param {string} lockKeyName The lock key name
+   * @param {Number} ttl The expiration time (in milliseconds) of the lock key
    *
-   * @return {Boolean} Whether `key` is valid for this cache model
+   * @return {string} The lock token (or `null` when the lock key is already set)
   */
-  static isKeyValid(key) {
-    let isValid = key != null
+  static async _acquireLock(lockKeyName, ttl) {
+    const token = crypto.randomBytes(16).toString('hex')
 
-    if (!isValid && !this.hasKeyId())
-      isValid = true
+    const response = await this.getClient()
+      .setAsync(lockKeyName, token, 'PX', ttl, 'NX')
 
-    return isValid
+    return response == 'OK' ?
+      token :
+      null
   }
 
   /**
-   * Returns whether this cache model has [`KeyId`]{@link GenericRedisCache.KeyId}
-   *
-   * @return {Boolean} Whether it has `KeyId` or not
+   * Removes the `lockKeyName` in case it still holds the `token` (@see {@link lockScripts.unlock})
+   * @async
    *
-   * @example
-   *  class RandomRedis {
-   *    static get GENERIC_REDIS_ATTRS() {
-   *      return {
-   *        keyName : 'random',
-   *        type    : RedisKeyTypeEnum.STRING
-   *      }
-   *    }
-   *  }
+   * @param {string} lockKeyName The lock key name
+   * @param {string} token The lock token returned by [`_acquireLock`]{@link GenericRedisCache._acquireLock}
    *
-   *  RandomRedis.hasKeyId()
-   * // false
+   * @return {Boolean} Whether the lock was removed or not
+  */
+  static async _releaseLock(lockKeyName, token) {
+    const response = await this.getClient()
+      .evalAsync(lockScripts.unlock, 1, lockKeyName, token)
+
+    return response == 1
+  }
+
+  /**
+   * Sets the `lockKeyName` expiration to `ttl` in case it still holds the `token` (@see {@link lockScripts.extend})
+   * @async
    *
-   *  class AnotherRandomRedis {
-   *    static get GENERIC_REDIS_ATTRS() {
-   *      return {
-   *        keyName : 'random',
-   *        type    : RedisKeyTypeEnum.STRING,
-   *        ids     : [{
-   *          id
-   *        }]
-   *      }
-   *    }
-   *  }
+   * @param {string} lockKeyName The lock key name
+   * @param {string} token The lock token returned by [`_acquireLock`]{@link GenericRedisCache._acquireLock}
+   * @param {Number} ttl The expiration time (in milliseconds) of the lock key
    *
-   *  AnotherRandomRedis.hasKeyId()
-   * // true
+   * @return {Boolean} Whether the lock was extended or not (`false` when it is no longer held)
   */
-  static hasKeyId() {
-    return this.ATTRS.ids
-      && this.ATTRS.ids.length > 0
+  static async _extendLock(lockKeyName, token, ttl) {
+    const response = await this.getClient()
+      .evalAsync(lockScripts.extend, 1, lockKeyName, token, ttl)
+
+    return response == 1
   }
 
   /**
-   * Returns an object with the ID attributtes of the key based on an Object
+   * Waits for the lock keys of the `keyNames` to be released
+   * @async
    *
-   * @param {Object} object The object to get the attrs from
+   * @param {Array<string>} keyNames The `key` names
+   * @param {Number} deadline The max timestamp (in milliseconds) to wait
    *
-   * @return {Object} The object with the ids of the key
+   * @return {Boolean} Whether the locks were released or not (`false` on timeout)
   */
-  static _getIdAttr(object) {
-    let idAttr = null
-
-    if (object) {
-      const tempObject = {}
+  static async _waitUnlock(keyNames, deadline) {
+    const { retryDelay } = this._getSingleFlightConfig()
+    const lockKeyNames = keyNames
+      .map(keyName => this._getLockKeyName(keyName))
 
-      if (object instanceof Object) {
-        object = object.constructor.name == 'Object' ?
-          { ...object } :
-          JSON.parse(JSON.stringify(object))
-      }
+    let isUnlocked = false
 
-      this.ATTRS.ids.forEach(id => {
-        if (object[id.id])
-          tempObject[id.id] = object[id.id]
-        else {
-          tempObject[id.id] = id.idUndefined ?
-            id.idUndefined :
-            this.ATTRS.idUndefined
-        }
-      })
+    while (!isUnlocked && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, retryDelay))
 
-      if (Object.keys(tempObject).length)
-        idAttr = tempObject
+      isUnlocked = (await this.getClient().existsAsync(lockKeyNames)) == 0
     }
 
-    return idAttr
+    return isUnlocked
   }
 
   // TODO: Refactor
@@ -1368,7 +4431,7 @@ class GenericRedisCache {
           }
         }
         else {
-          const commands = redis.multi()
+          const commands = this.getClient().multi()
 
           keys
             .forEach(key => {
@@ -1399,16 +4462,422 @@ class GenericRedisCache {
   }
 
   /**
-    * Returns the `key` names in cache
+    * Returns the `key` names in cache (using `SCAN`)
+    * @async
     *
     * @param {string} searchKey The search string to fetch the key names
-    * @param {redis.Multi} [commands] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+    * @param {redis.RedisClient} [commands] The `redis` client
     *
-    * @return {Promise<Array<string>>} The `key` names in cache
+    * @return {Array<string>} The `key` names in cache
   */
-  static _getKeyNamesCache(searchKey, commands = redis) {
-    return commands
-      .keysAsync(searchKey)
+  static async _getKeyNamesCache(searchKey, commands = this.getClient()) {
+    const keyNames = []
+
+    for await (const keyNamesTemp of this._scanKeyNames(searchKey, SCAN_COUNT, commands))
+      keyNames.push(...keyNamesTemp)
+
+    return keyNames
+  }
+
+  /**
+   * Iterates over the `SCAN` pages of the key names matching the `match` pattern (without duplicates among the last 10000 key names)
+   *
+   * @param {string} match The glob-style pattern
+   * @param {Number} [count = 100] The `COUNT` hint of each `SCAN` call
+   * @param {redis.RedisClient} [commands] The `redis` client
+   *
+   * @return {AsyncIterator<Array<string>>} The key names of each page
+  */
+  static async *_scanKeyNames(match, count = SCAN_COUNT, commands = this.getClient()) {
+    // The duplicates are only returned while the keyspace is rehashed, so only the last key names are kept to skip them
+    const keyNamesScanned = new Set()
+
+    let cursor = '0'
+
+    do {
+      const [ cursorTemp, keyNames ] = await commands
+        .scanAsync(cursor, 'MATCH', match, 'COUNT', count)
+
+      const keyNamesTemp = keyNames
+        .filter(keyName => !keyNamesScanned.has(keyName))
+
+      keyNamesTemp
+        .forEach(keyName => keyNamesScanned.add(keyName))
+
+      while (keyNamesScanned.size > SCAN_DEDUPE_SIZE)
+        keyNamesScanned.delete(keyNamesScanned.values().next().value)
+
+      cursor = String(cursorTemp)
+
+      if (keyNamesTemp.length)
+        yield keyNamesTemp
+    } while (cursor != '0')
+  }
+
+  /**
+   * Returns the `entries` with their values from cache (read by a single `MULTI`, along with their fresh keys in case of `staleTTL`)
+   * @async
+   *
+   * @param {Array<Object>} entries The entries (`{ key, keyName }`)
+   *
+   * @return {Array<Object>} The entries with their value (`{ key, keyName, value }`)
+  */
+  static async _getScanValues(entries) {
+    await this._checkJSONModule()
+
+    const commands = this._getReadClient().multi()
+    const isStaleTTL = this.ATTRS.staleTTL != null
+
+    const [ replies ] = await Promise.all([
+      Promise.all(
+        entries
+          .map(({ key, keyName }) => Promise.all([
+            this._getCacheRedis(keyName, key, undefined, commands),
+            isStaleTTL ? commands.existsAsync(this._getFreshKeyName(keyName)) : 1
+          ]))
+      ),
+      commands.execAsync()
+    ])
+
+    const values = await Promise.all(
+      replies
+        .map(([ value, isFresh ], index) => this
+          .onGetCache(value, entries[index].key, undefined, !this._isCacheEmpty(value) && isFresh == 0))
+    )
+
+    return entries
+      .map((entry, index) => ({ ...entry, value: values[index] }))
+  }
+
+  /**
+   * Returns the glob-style pattern matching all the key names of this cache (i.e. `people:*:dogs:*`)
+   *
+   * @return {string} The pattern
+  */
+  static _getKeyNamePattern() {
+    return this.ATTRS.keyName
+      .split('{?}')
+      .map(part => part.replace(/[*?[\]\\]/g, '\\$&'))
+      .join('*')
+  }
+
+  /**
+   * Returns the keyspace notifications subscription of this cache class (subscribing when there is none)
+   *
+   * @return {Object} The subscription (`{ emitter, subscriber, pattern, listeners, ready }`, where `ready` is resolved on the `PSUBSCRIBE` reply)
+  */
+  static _subscribe() {
+    let subscription = SUBSCRIPTIONS.get(this)
+
+    if (!subscription) {
+      const client = this.getClient()
+      const subscriber = client.duplicate()
+      const db = client.selected_db || (client.options && client.options.db) || 0
+
+      subscription = {
+        emitter   : new EventEmitter(),
+        subscriber,
+        pattern   : `__keyspace@${db}__:${this._getKeyNamePattern()}`,
+        listeners : []
+      }
+
+      subscriber
+        .on('pmessage', (pattern, channel, message) => {
+          if (pattern == subscription.pattern) {
+            this._emitKeyspaceEvent(subscription, channel, message)
+              .catch(e => this._emitError(subscription, e))
+          }
+        })
+
+      subscriber
+        .on('error', e => this._emitError(subscription, e))
+
+      subscription.ready = new Promise(resolve => {
+        subscriber
+          .psubscribe(subscription.pattern, e => {
+            if (e)
+              this._emitError(subscription, e)
+
+            resolve(!e)
+          })
+      })
+
+      SUBSCRIPTIONS.set(this, subscription)
+    }
+
+    return subscription
+  }
+
+  /**
+   * Closes the keyspace notifications subscription of this cache class
+   *
+   * @return {undefined}
+  */
+  static _unsubscribe() {
+    const subscription = SUBSCRIPTIONS.get(this)
+
+    if (subscription) {
+      SUBSCRIPTIONS.delete(this)
+
+      subscription.subscriber
+        .punsubscribe(subscription.pattern)
+
+      subscription.subscriber
+        .quit()
+    }
+  }
+
+  /**
+   * Emits the cache event of the keyspace notification (ignoring the key names not matching the `keyName` template)
+   * @async
+   *
+   * @param {Object} subscription The subscription
+   * @param {string} channel The keyspace channel (i.e. `__keyspace@0__:people:10:dogs:Kora`)
+   * @param {string} redisEvent The keyspace event (i.e. `json.set`, `hset`, `del`, `expired`)
+   *
+   * @return {Boolean} Whether the event was emitted or not
+  */
+  static async _emitKeyspaceEvent(subscription, channel, redisEvent) {
+    const keyName = channel.replace(KEYSPACE_CHANNEL_REGEX, '')
+    const key = this.parseKeyName(keyName)
+
+    let event = Object.prototype.hasOwnProperty.call(KEYSPACE_EVENTS, redisEvent) ?
+      KEYSPACE_EVENTS[redisEvent] :
+      redisEvent
+
+    if (key && KEYSPACE_PARTIAL_DELETE_EVENTS.includes(redisEvent) && !(await this.getClient().existsAsync(keyName)))
+      event = 'del'
+
+    let isEmitted = false
+
+    if (key && event)
+      isEmitted = subscription.emitter.emit(event, { event, key, keyName, redisEvent })
+
+    return isEmitted
+  }
+
+  /**
+   * Emits the `error` event of the subscription (when it has `error` listeners)
+   *
+   * @param {Object} subscription The subscription
+   * @param {Error} e The error
+   *
+   * @return {Boolean} Whether the error was emitted or not
+  */
+  static _emitError(subscription, e) {
+    return subscription.emitter.listenerCount('error') > 0
+      && subscription.emitter.emit('error', e)
+  }
+
+  /**
+   * Returns the `value` to save on the `JSON` keys (mapped by the `serializer`, when it has `toJSONValue`)
+   *
+   * @param {*} value The value
+   *
+   * @return {*} The `JSON` value
+  */
+  static _toJSONValue(value) {
+    const { serializer } = this.ATTRS
+
+    return serializer && serializer.toJSONValue ?
+      serializer.toJSONValue(value) :
+      value
+  }
+
+  /**
+   * Returns the `value` read from the `JSON` keys (mapped back by the `serializer`, when it has `fromJSONValue`)
+   *
+   * @param {*} value The `JSON` value
+   *
+   * @return {*} The value
+  */
+  static _fromJSONValue(value) {
+    const { serializer } = this.ATTRS
+
+    return serializer && serializer.fromJSONValue && value != null ?
+      serializer.fromJSONValue(value) :
+      value
+  }
+
+  /**
+   * Returns the `l1` config (`null` when it is disabled)
+   *
+   * @return {L1Config} The config
+  */
+  static _getL1Config() {
+    const l1 = this.ATTRS.l1
+
+    let config = null
+
+    if (l1) {
+      config = {
+        ...L1_CONFIG,
+        ...(l1 instanceof Object ? l1 : {})
+      }
+    }
+
+    return config
+  }
+
+  /**
+   * Returns the in-process cache of this cache class (subscribing to its invalidation channel when there is none)
+   *
+   * @return {LRUCache} The in-process cache (`null` when `l1` is disabled)
+  */
+  static _getL1() {
+    const config = this._getL1Config()
+
+    let l1 = L1_CACHES.get(this)
+
+    if (config && !l1) {
+      l1 = {
+        cache       : new LRUCache({ ...config, serializer: this.ATTRS.serializer }),
+        channel     : this._getL1ChannelName(),
+        subscriber  : this.getClient().duplicate()
+      }
+
+      l1.subscriber
+        .on('message', (channel, message) => {
+          if (channel == l1.channel)
+            JSON.parse(message).forEach(keyName => l1.cache.delete(keyName))
+        })
+
+      // The invalidations may be lost while the subscriber is down
+      l1.subscriber
+        .on('error', () => l1.cache.clear())
+
+      // The entries cached before the subscription is active may miss their invalidations
+      l1.subscriber
+        .subscribe(l1.channel, () => l1.cache.clear())
+
+      L1_CACHES.set(this, l1)
+    }
+
+    return config ?
+      l1.cache :
+      null
+  }
+
+  /**
+   * Returns the in-process cache to read the objects fetched with `params` from (only the ones fetched without `params` are kept in it)
+   *
+   * @param {Object} [params] The params to fetch the objects
+   *
+   * @return {LRUCache} The in-process cache (`null` when `l1` is disabled or there are `params`)
+  */
+  static _getL1ByParams(params) {
+    return params == null || !Object.keys(params).length ?
+      this._getL1() :
+      null
+  }
+
+  /**
+   * Removes the `keyNames` from the in-process cache of this cache class and publishes
+   * the invalidation (so the other processes remove them too)
+   *
+   * When `commands` is a multi, the invalidation is made once it is executed (on the reply of a `PING` queued after the writes)
+   * @async
+   *
+   * @param {Array<string>} keyNames The key names
+   * @param {(redis.RedisClient | redis.Multi)} [commands = redis] The `redis` client or the multi the writes were queued on
+   *
+   * @return {undefined}
+  */
+  static async _invalidateL1(keyNames, commands = this.getClient()) {
+    if (this._getL1Config() && keyNames.length && !this._isClient(commands)) {
+      commands
+        .pingAsync()
+        .then(() => this._invalidateL1(keyNames))
+        .catch(() => null)
+    }
+    else if (this._getL1Config() && keyNames.length) {
+      const l1 = L1_CACHES.get(this)
+
+      if (l1)
+        keyNames.forEach(keyName => l1.cache.delete(keyName))
+
+      await this.getClient()
+        .publishAsync(this._getL1ChannelName(), JSON.stringify(keyNames))
+    }
+  }
+
+  /**
+   * Returns the channel of the `l1` invalidations of this cache class
+   *
+   * @return {string} The channel name
+  */
+  static _getL1ChannelName() {
+    return `${L1_CHANNEL_PREFIX}${this.ATTRS.keyName}`
+  }
+
+  /**
+   * Returns whether `commands` is a `redis` client (or a `redis.Multi`)
+   *
+   * @param {(redis.RedisClient | redis.Multi)} commands The `redis` client or multi command object
+   *
+   * @return {Boolean} Whether `commands` is a client or not
+  */
+  static _isClient(commands) {
+    return Boolean(commands && commands.command_queue)
+  }
+
+  /**
+   * Returns the client to read the values of this cache class: a `return_buffers` duplicate of the client
+   * in case of a `binary` serializer (@see {@link GenericRedisCache.Serializer}), quitting along with it
+   *
+   * @return {redis.RedisClient} The `redis` client
+  */
+  static _getReadClient() {
+    const { serializer, type } = this.ATTRS
+    const client = this.getClient()
+
+    let readClient = client
+
+    if (serializer && serializer.binary && SERIALIZED_TYPES.includes(type)) {
+      readClient = BUFFER_CLIENTS.get(client)
+
+      if (!readClient) {
+        readClient = client.duplicate({ return_buffers: true })
+
+        readClient
+          .on('error', e => client.emit('error', e))
+
+        client
+          .once('end', () => {
+            BUFFER_CLIENTS.delete(client)
+
+            readClient.quit()
+          })
+
+        BUFFER_CLIENTS.set(client, readClient)
+      }
+    }
+
+    return readClient
+  }
+
+  /**
+   * Returns the `redis` client config of this cache class (or of its parent classes)
+   *
+   * @return {Object} The client config (`{ client, clientFactory }`)
+  */
+  static _getClientConfig() {
+    let clientConfig = CLIENTS.get(this)
+
+    if (!clientConfig && (this.ATTRS.client || this.ATTRS.clientFactory)) {
+      clientConfig = {
+        client        : this.ATTRS.client,
+        clientFactory : this.ATTRS.clientFactory,
+        jsonModule    : this.ATTRS.jsonModule
+      }
+
+      CLIENTS.set(this, clientConfig)
+    }
+
+    if (!clientConfig && this !== GenericRedisCache)
+      clientConfig = Object.getPrototypeOf(this)._getClientConfig()
+
+    return clientConfig
   }
 
   getCacheObject() {
@@ -0,0 +1,198 @@
+'use strict'
+
+/**
+ * Size-bounded in-process cache, evicting the least recently used entries (used as the `l1` of the caches)
+ *
+ * The values are kept serialized (as `JSON` strings or by the `serializer` passed), so the callers can not change the cached copies
+ *
+ * The keys being read from outside (see [`startRead`]{@link LRUCache.startRead}) have a generation, incremented on each
+ * `delete`/`clear`, so a value read before an invalidation is not set after it
+ *
+ * @class LRUCache
+*/
+class LRUCache {
+  /**
+   * @param {Object} [params = {}] The cache params
+   * @param {Number} [params.maxEntries = 1000] The max count of entries
+   * @param {Number} [params.ttl = 60] The expiration time (in seconds) of the entries
+   * @param {GenericRedisCache.Serializer} [params.serializer] The serializer of the values (`JSON` by default)
+  */
+  constructor(params = {}) {
+    const { maxEntries = 1000, ttl = 60, serializer = null } = params
+
+    this.maxEntries = maxEntries
+    this.ttl = ttl
+    this.serializer = serializer
+    this.entries = new Map()
+    this.reads = new Map()
+  }
+
+  /**
+   * The count of entries
+   *
+   * @type {Number}
+  */
+  get size() {
+    return this.entries.size
+  }
+
+  /**
+   * Returns whether the `key` is cached (and not expired) or not
+   *
+   * @param {string} key The key
+   *
+   * @return {Boolean} Whether the `key` is cached or not
+  */
+  has(key) {
+    return Boolean(this._getEntry(key))
+  }
+
+  /**
+   * Returns the value of the `key` (marking it as the most recently used)
+   *
+   * @param {string} key The key
+   *
+   * @return {*} The value (`undefined` when the `key` is not cached)
+  */
+  get(key) {
+    const entry = this._getEntry(key)
+
+    let value = undefined
+
+    if (entry) {
+      this.entries.delete(key)
+      this.entries.set(key, entry)
+
+      value = this.serializer ?
+        this.serializer.deserialize(entry.data) :
+        JSON.parse(entry.data)
+    }
+
+    return value
+  }
+
+  /**
+   * Sets the `value` of the `key` (evicting the least recently used entry when full)
+   *
+   * @param {string} key The key
+   * @param {*} value The value (must be `JSON` serializable, or supported by the `serializer`)
+   * @param {Number} [generation] The generation of the `key` when its `value` was read (@see {@link LRUCache.startRead}),
+   *                              skipping the `value` when the `key` was invalidated since then
+   *
+   * @return {LRUCache} The cache
+  */
+  set(key, value, generation) {
+    const isCurrent = generation == null || generation === this._getGeneration(key)
+
+    if (isCurrent)
+      this.entries.delete(key)
+
+    if (isCurrent && this.maxEntries > 0) {
+      this.entries.set(key, {
+        data      : this.serializer ? this.serializer.serialize(value) : JSON.stringify(value),
+        expiresAt : Date.now() + this.ttl * 1000
+      })
+
+      if (this.entries.size > this.maxEntries)
+        this.entries.delete(this.entries.keys().next().value)
+    }
+
+    return this
+  }
+
+  /**
+   * Removes the `key`
+   *
+   * @param {string} key The key
+   *
+   * @return {Boolean} Whether the `key` was cached or not
+  */
+  delete(key) {
+    const read = this.reads.get(key)
+
+    if (read)
+      read.generation++
+
+    return this.entries.delete(key)
+  }
+
+  /**
+   * Removes all the entries
+   *
+   * @return {undefined}
+  */
+  clear() {
+    this.reads
+      .forEach(read => read.generation++)
+
+    this.entries.clear()
+  }
+
+  /**
+   * Starts a read of the `key` value from outside the cache, to be set along with the generation returned
+   * (@see {@link LRUCache.set}) before [`endRead`]{@link LRUCache.endRead}
+   *
+   * @param {string} key The key
+   *
+   * @return {Number} The current generation of the `key`
+  */
+  startRead(key) {
+    const read = this.reads.get(key) || { generation: 0, count: 0 }
+
+    read.count++
+
+    this.reads.set(key, read)
+
+    return read.generation
+  }
+
+  /**
+   * Ends a read of the `key` (@see {@link LRUCache.startRead}), forgetting its generation when there is no other one
+   *
+   * @param {string} key The key
+   *
+   * @return {undefined}
+  */
+  endRead(key) {
+    const read = this.reads.get(key)
+
+    if (read && --read.count <= 0)
+      this.reads.delete(key)
+  }
+
+  /**
+   * Returns the generation of the `key` (`0` when it is not being read)
+   *
+   * @param {string} key The key
+   *
+   * @return {Number} The generation
+  */
+  _getGeneration(key) {
+    const read = this.reads.get(key)
+
+    return read ?
+      read.generation :
+      0
+  }
+
+  /**
+   * Returns the `entry` of the `key` (removing it when expired)
+   *
+   * @param {string} key The key
+   *
+   * @return {Object} The entry (`{ data, expiresAt }`)
+  */
+  _getEntry(key) {
+    let entry = this.entries.get(key)
+
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key)
+
+      entry = undefined
+    }
+
+    return entry
+  }
+}
+
+module.exports = LRUCache
\ No newline at end of file
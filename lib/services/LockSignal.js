@@ -0,0 +1,65 @@
+'use strict'
+
+const { EventEmitter } = require('events')
+
+/**
+ * Signal of a lock held by [`withLock`]{@link GenericRedisCache.withLock}, aborted when the lock is lost
+ *
+ * Mimics the `AbortSignal` (`aborted`, `onabort` and the `abort` event listeners) over an `EventEmitter`,
+ * as the `AbortController` is not a global on Node 12
+ *
+ * @class LockSignal
+ * @extends {EventEmitter}
+*/
+class LockSignal extends EventEmitter {
+  constructor() {
+    super()
+
+    this.aborted = false
+    this.onabort = null
+  }
+
+  /**
+   * Adds the `listener` of the `type` event (as `AbortSignal.addEventListener`)
+   *
+   * @param {string} type The event type (`abort`)
+   * @param {Function} listener The `function(event)`
+   *
+   * @return {undefined}
+  */
+  addEventListener(type, listener) {
+    this.on(type, listener)
+  }
+
+  /**
+   * Removes the `listener` of the `type` event (as `AbortSignal.removeEventListener`)
+   *
+   * @param {string} type The event type (`abort`)
+   * @param {Function} listener The `function(event)`
+   *
+   * @return {undefined}
+  */
+  removeEventListener(type, listener) {
+    this.removeListener(type, listener)
+  }
+
+  /**
+   * Aborts the signal (only once), calling the `onabort` and the `abort` listeners
+   *
+   * @return {undefined}
+  */
+  abort() {
+    if (!this.aborted) {
+      const event = { type: 'abort', target: this }
+
+      this.aborted = true
+
+      if (this.onabort)
+        this.onabort(event)
+
+      this.emit('abort', event)
+    }
+  }
+}
+
+module.exports = LockSignal
\ No newline at end of file
@@ -0,0 +1,27 @@
+'use strict'
+
+/**
+ * `Lua` scripts of the lock keys (@see {@link GenericRedisCache.withLock}), changing the lock key only
+ * when it still holds the token of the caller (so an expired lock taken by another process is left untouched)
+ *
+ * Each script receives the lock key name as `KEYS[1]` and the token as `ARGV[1]`
+*/
+const lockScripts = {
+  unlock : `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+
+return 0
+`,
+
+  extend : `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+
+return 0
+`
+}
+
+module.exports = lockScripts
\ No newline at end of file
@@ -0,0 +1,127 @@
+'use strict'
+
+const { decode, encode, ExtensionCodec } = require('@msgpack/msgpack')
+
+/**
+ * The `MessagePack` extension type of the `BigInt` values (saved as their decimal string)
+ * @type {Number}
+*/
+const BIGINT_EXT_TYPE = 0
+
+const EXTENSION_CODEC = new ExtensionCodec()
+
+EXTENSION_CODEC.register({
+  type   : BIGINT_EXT_TYPE,
+  encode : value => typeof(value) == 'bigint' ? Buffer.from(value.toString()) : null,
+  decode : data => BigInt(Buffer.from(data).toString())
+})
+
+const ENCODE_OPTIONS = { extensionCodec: EXTENSION_CODEC, ignoreUndefined: true }
+const DECODE_OPTIONS = { extensionCodec: EXTENSION_CODEC }
+
+/**
+ * Serializes the values as `MessagePack` (by [`@msgpack/msgpack`](https://github.com/msgpack/msgpack-javascript)),
+ * saved as binary (the caches read them back through a `return_buffers` client, see [`binary`]{@link MessagePackSerializer.binary})
+ *
+ * Besides the `JSON` types, `Date` (as timestamp extension), `BigInt` (as extension type `0`) and `Buffer` (as binary)
+ * values are kept. As in `JSON`, the `undefined` attrs are skipped
+ *
+ * @class MessagePackSerializer
+ *
+ * @example
+ *  MessagePackSerializer.deserialize(MessagePackSerializer.serialize({ createdAt: new Date(0) }))
+ *  // { createdAt: 1970-01-01T00:00:00.000Z }
+*/
+class MessagePackSerializer {
+  /**
+   * Whether the serialized values are binary (`Buffers`) or not
+   *
+   * @type {Boolean}
+  */
+  static get binary() {
+    return true
+  }
+
+  /**
+   * Returns the `MessagePack` of the `value` (@see {@link MessagePackSerializer.pack})
+   *
+   * @param {*} value The value
+   *
+   * @return {Buffer} The `MessagePack` data
+  */
+  static serialize(value) {
+    return this.pack(value)
+  }
+
+  /**
+   * Returns the value of the `MessagePack` `data` (@see {@link MessagePackSerializer.unpack})
+   *
+   * @param {Buffer} data The `MessagePack` data
+   *
+   * @return {*} The value
+  */
+  static deserialize(data) {
+    return this.unpack(data)
+  }
+
+  /**
+   * Returns the `MessagePack` of the `value`
+   *
+   * @param {*} value The value
+   *
+   * @return {Buffer} The `MessagePack` data
+  */
+  static pack(value) {
+    const data = encode(value, ENCODE_OPTIONS)
+
+    return Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+  }
+
+  /**
+   * Returns the value of the `MessagePack` `buffer`
+   *
+   * @param {Buffer} buffer The `MessagePack` data
+   *
+   * @return {*} The value (with the binary values as `Buffers`)
+   *
+   * @throws {Error} When the `buffer` is not a (single) `MessagePack` value
+  */
+  static unpack(buffer) {
+    let value = null
+
+    try {
+      value = decode(buffer, DECODE_OPTIONS)
+    }
+    catch (e) {
+      throw new Error(`Invalid MessagePack data: ${e.message}`)
+    }
+
+    return this._toBuffers(value)
+  }
+
+  /**
+   * Returns the `value` with its binary values (`Uint8Arrays`, as decoded) as `Buffers`
+   *
+   * @param {*} value The decoded value
+   *
+   * @return {*} The value
+  */
+  static _toBuffers(value) {
+    let valueTemp = value
+
+    if (value instanceof Uint8Array)
+      valueTemp = Buffer.from(value.buffer, value.byteOffset, value.byteLength)
+    else if (value instanceof Array)
+      valueTemp = value.map(item => this._toBuffers(item))
+    else if (value && value.constructor == Object) {
+      Object.keys(value)
+        .forEach(key => {
+          value[key] = this._toBuffers(value[key])
+        })
+    }
+
+    return valueTemp
+  }
+}
+
+module.exports = MessagePackSerializer
\ No newline at end of file
@@ -0,0 +1,138 @@
+'use strict'
+
+/**
+ * The attr holding the type of the tagged values (i.e. `{ "$type": "Date", "value": "2020-01-01T00:00:00.000Z" }`)
+ * @type {string}
+*/
+const TYPE_ATTR = '$type'
+
+/**
+ * Serializes the values as `JSON` strings, tagging the types `JSON` can not represent (`Date`, `BigInt` and `Buffer`)
+ * so they are revived back on reading
+ *
+ * The plain objects having a `$type` attr are tagged as `Object` (so they are not mistaken by tagged values)
+ *
+ * @class TaggedJSONSerializer
+ *
+ * @example
+ *  TaggedJSONSerializer.serialize({ createdAt: new Date(0), views: BigInt(10) })
+ *  // '{"createdAt":{"$type":"Date","value":"1970-01-01T00:00:00.000Z"},"views":{"$type":"BigInt","value":"10"}}'
+*/
+class TaggedJSONSerializer {
+  /**
+   * Returns the `JSON` string of the `value`
+   *
+   * @param {*} value The value (`undefined` is saved as `null`)
+   *
+   * @return {string} The `JSON` string
+  */
+  static serialize(value) {
+    const escaped = new WeakSet()
+
+    return JSON.stringify(value === undefined ? null : value, function (key, item) {
+      return TaggedJSONSerializer._tag(this[key], item, escaped)
+    })
+  }
+
+  /**
+   * Returns the value of the `JSON` `string` (reviving the tagged values)
+   *
+   * @param {string} string The `JSON` string
+   *
+   * @return {*} The value
+  */
+  static deserialize(string) {
+    return this.fromJSONValue(JSON.parse(string))
+  }
+
+  /**
+   * Returns the `value` as a `JSON` value (tagging the `Date`, `BigInt` and `Buffer` values)
+   *
+   * @param {*} value The value
+   *
+   * @return {*} The `JSON` value
+  */
+  static toJSONValue(value) {
+    return JSON.parse(this.serialize(value))
+  }
+
+  /**
+   * Returns the `value` (a `JSON` value) reviving its tagged values
+   *
+   * @param {*} value The `JSON` value
+   *
+   * @return {*} The value
+  */
+  static fromJSONValue(value) {
+    let valueTemp = value
+
+    if (value instanceof Array)
+      valueTemp = value.map(item => this.fromJSONValue(item))
+    else if (value instanceof Object) {
+      switch (Object.prototype.hasOwnProperty.call(value, TYPE_ATTR) && value[TYPE_ATTR]) {
+        case 'Date':
+          valueTemp = new Date(value.value == null ? NaN : value.value)
+          break
+        case 'BigInt':
+          valueTemp = BigInt(value.value)
+          break
+        case 'Buffer':
+          valueTemp = Buffer.from(value.value, 'base64')
+          break
+        case 'Object':
+          valueTemp = this._reviveAttrs(value.value)
+          break
+        default:
+          valueTemp = this._reviveAttrs(value)
+          break
+      }
+    }
+
+    return valueTemp
+  }
+
+  /**
+   * Returns the tagged `item` (the `JSON.stringify` replacer)
+   *
+   * @param {*} value The original value (before its `toJSON`)
+   * @param {*} item The value to stringify
+   * @param {WeakSet} escaped The objects already tagged as `Object`
+   *
+   * @return {*} The value to stringify
+  */
+  static _tag(value, item, escaped) {
+    let itemTemp = item
+
+    if (value instanceof Date)
+      itemTemp = { [TYPE_ATTR]: 'Date', value: isNaN(value) ? null : value.toISOString() }
+    else if (typeof(value) == 'bigint')
+      itemTemp = { [TYPE_ATTR]: 'BigInt', value: value.toString() }
+    else if (Buffer.isBuffer(value))
+      itemTemp = { [TYPE_ATTR]: 'Buffer', value: value.toString('base64') }
+    else if (item instanceof Object && !(item instanceof Array) && Object.prototype.hasOwnProperty.call(item, TYPE_ATTR) && !escaped.has(item)) {
+      escaped.add(item)
+
+      itemTemp = { [TYPE_ATTR]: 'Object', value: item }
+    }
+
+    return itemTemp
+  }
+
+  /**
+   * Revives the attrs of the `object` (in place)
+   *
+   * @param {Object} object The `JSON` object
+   *
+   * @return {Object} The `object`
+  */
+  static _reviveAttrs(object) {
+    Object.keys(object)
+      .forEach(key => {
+        object[key] = this.fromJSONValue(object[key])
+      })
+
+    return object
+  }
+}
+
+module.exports = TaggedJSONSerializer
\ No newline at end of file
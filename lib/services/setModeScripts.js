@@ -0,0 +1,55 @@
+'use strict'
+
+/**
+ * `Lua` scripts of the `VALUE` keys with `setMode` (@see {@link GenericRedisCache._setCacheMode})
+ *
+ * The `set` script receives the key name, its fresh and miss key names and its tag key names as `KEYS`, and the value,
+ * the `SET` mode (`NX` or `XX`), the expiration time, the `staleTTL` (in seconds, `0` for none), whether to delete the miss (`1` or `0`)
+ * and the `keyName` template of the cache class as `ARGV`. Only when the `SET` succeeds, it marks the key as fresh,
+ * deletes its miss and tags it (as the `tag` script of `services/tagScripts`), so the key never has them without its value
+*/
+const setModeScripts = {
+  set : `
+local ttl = tonumber(ARGV[3])
+local staleTTL = tonumber(ARGV[4])
+local reply
+
+if ttl > 0 then
+  reply = redis.call('SET', KEYS[1], ARGV[1], 'EX', ttl, ARGV[2])
+else
+  reply = redis.call('SET', KEYS[1], ARGV[1], ARGV[2])
+end
+
+if not reply then
+  return false
+end
+
+if staleTTL > 0 then
+  redis.call('SET', KEYS[2], 1, 'EX', staleTTL)
+end
+
+if ARGV[5] == '1' then
+  redis.call('DEL', KEYS[3])
+end
+
+for index = 4, #KEYS do
+  local isNew = redis.call('EXISTS', KEYS[index]) == 0
+
+  redis.call('HSET', KEYS[index], KEYS[1], ARGV[6])
+
+  if ttl <= 0 then
+    redis.call('PERSIST', KEYS[index])
+  else
+    local currentTTL = redis.call('TTL', KEYS[index])
+
+    if isNew or (currentTTL >= 0 and currentTTL < ttl) then
+      redis.call('EXPIRE', KEYS[index], ttl)
+    end
+  end
+end
+
+return reply
+`
+}
+
+module.exports = setModeScripts
\ No newline at end of file
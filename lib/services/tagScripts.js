@@ -0,0 +1,31 @@
+'use strict'
+
+/**
+ * `Lua` scripts of the tag keys (@see {@link GenericRedisCache.invalidateTags}), hashes of the tagged key names
+ * and the `keyName` template of the cache class that saved each one
+ *
+ * The `tag` script receives the tag key name as `KEYS[1]` and the key name, the `keyName` template and the
+ * expiration time (in seconds, `0` for none) of the tagged key as `ARGV`. The tag key expires with its last tagged key
+*/
+const tagScripts = {
+  tag : `
+local isNew = redis.call('EXISTS', KEYS[1]) == 0
+local ttl = tonumber(ARGV[3])
+
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+
+if ttl <= 0 then
+  redis.call('PERSIST', KEYS[1])
+else
+  local currentTTL = redis.call('TTL', KEYS[1])
+
+  if isNew or (currentTTL >= 0 and currentTTL < ttl) then
+    redis.call('EXPIRE', KEYS[1], ttl)
+  end
+end
+
+return 1
+`
+}
+
+module.exports = tagScripts
\ No newline at end of file
@@ -1,6 +1,6 @@
 'use strict'
 
-const redis = global.redisInstance
+const { getRedisInstance } = require('../../configs/redisInstanceService')
 
 /**
  * Contains a set of simple methods to handle the `redis` hash keys operations
@@ -8,13 +8,35 @@ const redis = global.redisInstance
  * @class GenericHASHCache
 */
 class GenericHASHCache {
-  static async getCache(keyName, field) {
-    const cacheValue = await redis.hgetAsync(keyName, field)
+  /**
+   * Returns the value of the `field` of the `keyName`
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {*} field The field
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer of the values (`JSON` for objects by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {*} The value (`null` when the `field` does not exist)
+  */
+  static async getCache(keyName, field, serializer = null, commands = getRedisInstance()) {
+    const cacheValue = await commands.hgetAsync(keyName, this.getField(field))
 
-    return this.parseCacheString(cacheValue)
+    return this.parseCacheString(cacheValue, serializer)
   }
 
-  static async getListCache(keyNames, fields, commands = redis) {
+  /**
+   * Returns the values of the `fields` (all of them by default) of the `keyNames`
+   * @async
+   *
+   * @param {(Array<string> | string)} keyNames The list of `keyNames`
+   * @param {(Array | *)} [fields] The fields
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer of the values (`JSON` for objects by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The values
+  */
+  static async getListCache(keyNames, fields, serializer = null, commands = getRedisInstance()) {
     const cachedValues = []
 
     if (keyNames && !(keyNames instanceof Array))
@@ -36,7 +58,7 @@ class GenericHASHCache {
 
         if (redisResponse && !(redisResponse.every((value) => { return value === null }))) {
           const parsedValues = redisResponse.map((value) => {
-            return this.parseCacheString(value)
+            return this.parseCacheString(value, serializer)
           })
           cachedValues.push(...parsedValues)
         }
@@ -47,29 +69,96 @@ class GenericHASHCache {
     return cachedValues
   }
 
-  static setCache(keyName, field, value, commands = redis) {
-    const keyValue =  value && value.constructor.name == 'Object' ? JSON.stringify(value) : value
+  /**
+   * Sets the `value` of the `field` of the `keyName`
+   *
+   * @param {string} keyName The `key` name
+   * @param {*} field The field
+   * @param {*} value The value
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer of the values (`JSON` for objects by default)
+   * @param {redis.Multi} [commands = redis] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Promise<Number>} The `hset` command
+  */
+  static setCache(keyName, field, value, serializer = null, commands = getRedisInstance()) {
+    return commands
+      .hsetAsync(keyName, this.getField(field), this.getValue(value, serializer))
+  }
+
+  /**
+   * Deletes the `keyNames` (or only their `field`) from cache
+   * @async
+   *
+   * @param {(Array<string> | string)} keyNames The list of `keyNames`
+   * @param {*} [field] The field of the HASH keys (all the fields by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Number} The count of deleted keys (or fields)
+  */
+  static async delete(keyNames, field, commands = getRedisInstance()) {
+    if (keyNames && !(keyNames instanceof Array))
+      keyNames = [keyNames]
+
+    let redisResponse = null
+
+    if (field === undefined)
+      redisResponse = await commands.delAsync(keyNames)
+    else {
+      const fieldTemp = this.getField(field)
+
+      const responses = await Promise.all(keyNames.map(keyName => commands.hdelAsync(keyName, fieldTemp)))
+
+      redisResponse = responses
+        .reduce((count, response) => count + response, 0)
+    }
+
+    return redisResponse
+  }
+
+  /**
+   * Returns the HASH `field` name (`Objects` are mapped to their single attr value or to a `JSON` string)
+   *
+   * @param {*} field The field
+   *
+   * @return {*} The field name
+  */
+  static getField(field) {
+    let fieldTemp = field
 
     if (field && field.constructor.name == 'Object') {
       const keys = Object.keys(field)
-      if (keys.length == 1)
-        field = field[keys[0]]
-      else
-        field = JSON.stringify(field)
+
+      fieldTemp = keys.length == 1 ?
+        field[keys[0]] :
+        JSON.stringify(field)
     }
 
-    return commands
-      .hsetAsync(keyName, field, keyValue)
+    return fieldTemp
   }
 
-  static async delete(keyNames) {
-    if (keyNames && !(keyNames instanceof Array))
-      keyNames = [keyNames]
+  /**
+   * Returns the string saved of the `value` (by the `serializer` or, without it, `Objects` are mapped to `JSON` strings)
+   *
+   * @param {*} value The value
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer
+   *
+   * @return {*} The string
+  */
+  static getValue(value, serializer = null) {
+    let valueTemp = value
 
-    return redis.delAsync(keyNames)
+    if (serializer)
+      valueTemp = serializer.serialize(value)
+    else if (value && value.constructor.name == 'Object')
+      valueTemp = JSON.stringify(value)
+
+    return valueTemp
   }
 
-  static parseCacheString(cacheString) {
+  static parseCacheString(cacheString, serializer = null) {
+    if (serializer)
+      return cacheString == null ? null : serializer.deserialize(cacheString)
+
     try {
       return JSON.parse(cacheString)
     }
@@ -84,14 +173,15 @@ class GenericHASHCache {
    *
    * @param {string} keyName The `keyName`
    * @param {string} field The field of the HASH key
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
    *
    * @return {Boolean} Whether the `keyName` is cached or not
   */
-  static async isCached(keyName, field) {
+  static async isCached(keyName, field, commands = getRedisInstance()) {
     let isCached = false
 
     if (keyName)
-      isCached = (await redis.hexistsAsync(keyName, field)) == 1
+      isCached = (await commands.hexistsAsync(keyName, this.getField(field))) == 1
 
     return isCached
   }
@@ -0,0 +1,293 @@
+'use strict'
+
+const { getRedisInstance } = require('../../configs/redisInstanceService')
+
+const hashObjectScripts = require('./hashObjectScripts')
+
+/**
+ * The types of the `HASH_OBJECT` fields (to coerce the values read back from `redis`, that are strings)
+ * @type {Object<string, Function>}
+*/
+const FIELD_PARSERS = {
+  string  : value => value,
+  number  : value => Number(value),
+  boolean : value => value == 'true' || value == '1',
+  date    : value => new Date(value),
+  json    : value => JSON.parse(value)
+}
+
+/**
+ * The schema of the `HASH_OBJECT` fields (i.e. `{ id: 'number', name: 'string', active: 'boolean', tags: 'json' }`)
+ *
+ * The types are `string`, `number`, `boolean`, `date` and `json`, the fields not declared are returned as strings
+ * @typedef HashObjectSchema
+ * @type {Object<string, string>}
+ * @memberof GenericHASHObjectCache
+*/
+
+/**
+ * Contains a set of simple methods to handle the `redis` hash keys saved as objects (a field for each attr)
+ *
+ * The values are saved as strings (`JSON` strings, in case of objects and arrays, and ISO strings, in case of dates)
+ * and coerced back by the [`schema`]{@link GenericHASHObjectCache.HashObjectSchema}. The `null`/`undefined` attrs are not saved
+ *
+ * @class GenericHASHObjectCache
+*/
+class GenericHASHObjectCache {
+  /**
+   * Returns the object of the `keyName` (`HGETALL`, or `HMGET` when `fields` are passed)
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {Array<string>} [fields] The fields to return (all by default)
+   * @param {HashObjectSchema} [schema = {}] The fields schema
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Object} The object (`null` when the `keyName` does not exist)
+  */
+  static async getCache(keyName, fields = undefined, schema = {}, commands = getRedisInstance()) {
+    let object = null
+
+    if (keyName) {
+      if (fields && fields.length) {
+        const values = await commands
+          .hmgetAsync(keyName, fields)
+
+        if (values.some(value => value !== null)) {
+          object = {}
+
+          fields
+            .forEach((field, index) => {
+              if (values[index] !== null)
+                object[field] = values[index]
+            })
+        }
+      }
+      else
+        object = await commands.hgetallAsync(keyName)
+
+      object = this.parseObject(object, schema)
+    }
+
+    return object
+  }
+
+  /**
+   * Returns the objects of the cached `keyNames` (@see {@link GenericHASHObjectCache.getCache})
+   * @async
+   *
+   * @param {Array<string>} keyNames The list of `keyNames`
+   * @param {Array<string>} [fields] The fields to return of each object (all by default)
+   * @param {HashObjectSchema} [schema = {}] The fields schema
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array<Object>} The objects
+  */
+  static async getListCache(keyNames, fields = undefined, schema = {}, commands = getRedisInstance()) {
+    const objects = await Promise.all(
+      (keyNames || [])
+        .map(keyName => this.getCache(keyName, fields, schema, commands))
+    )
+
+    return objects
+      .filter(object => object != null)
+  }
+
+  /**
+   * Replaces the `keyName` hash by the `object` attrs (`DEL` and `HSET`, on a single `MULTI` when `commands` is a client)
+   *
+   * @param {string} keyName The `key` name
+   * @param {Object} object The object
+   * @param {(redis.RedisClient | redis.Multi)} [commands = redis] The `redis` client or multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Promise<Number>} The `hset` command (`null` when there is no attr to save)
+  */
+  static setCache(keyName, object, commands = getRedisInstance()) {
+    let promise = null
+
+    const fieldValues = this.getFieldValues(object)
+
+    if (keyName && fieldValues.length) {
+      const multi = commands.command_queue ?
+        commands.multi() :
+        commands
+
+      multi
+        .delAsync(keyName)
+
+      promise = multi
+        .hsetAsync(keyName, ...fieldValues)
+
+      if (multi != commands)
+        multi.exec()
+    }
+
+    return promise
+  }
+
+  /**
+   * Increments the `field` of the `keyName` only when the `keyName` exists (`HINCRBY`, or `HINCRBYFLOAT` when `increment` is not an integer,
+   * by the `ifExists` script), so the missing objects are not created without the other fields and the `ttl`
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {string} field The field
+   * @param {Number} [increment = 1] The increment
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Number} The incremented value (`null` when the `keyName` does not exist)
+  */
+  static async incrField(keyName, field, increment = 1, commands = getRedisInstance()) {
+    const command = Number.isInteger(increment) ?
+      'HINCRBY' :
+      'HINCRBYFLOAT'
+
+    const value = await commands
+      .evalAsync(hashObjectScripts.ifExists, 1, keyName, command, field, increment)
+
+    return value == null ?
+      null :
+      Number(value)
+  }
+
+  /**
+   * Sets the `field` of the `keyName` only when it does not exist and the `keyName` exists (`HSETNX`, by the `ifExists` script)
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {string} field The field
+   * @param {*} value The value
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Boolean} Whether the `field` was set or not
+  */
+  static async hsetnx(keyName, field, value, commands = getRedisInstance()) {
+    const reply = await commands
+      .evalAsync(hashObjectScripts.ifExists, 1, keyName, 'HSETNX', field, this.getFieldValue(value))
+
+    return reply == 1
+  }
+
+  /**
+   * Deletes the `fields` of the `keyName` (`HDEL`)
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {(Array<string> | string)} fields The fields
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Number} The count of deleted fields
+  */
+  static async deleteFields(keyName, fields, commands = getRedisInstance()) {
+    const fieldsTemp = fields instanceof Array ?
+      fields :
+      [fields]
+
+    let count = 0
+
+    if (keyName && fieldsTemp.length)
+      count = await commands.hdelAsync(keyName, fieldsTemp)
+
+    return count
+  }
+
+  /**
+    * Deletes the `keyNames` from cache
+    * @async
+    *
+    * @param {(Array<string> | string)} keyNames The list of `keyNames`
+    * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+    *
+    * @return {Number} The count of deleted keys
+  */
+  static delete(keyNames, commands = getRedisInstance()) {
+    const keyNamesTemp = keyNames instanceof Array ?
+      [ ...keyNames ] :
+      [keyNames]
+
+    return commands.delAsync(keyNamesTemp)
+  }
+
+  /**
+   * Returns whether the `keyName` is cached or not
+   * @async
+   *
+   * @param {string} keyName The `keyName`
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Boolean} Whether the `keyName` is cached or not
+  */
+  static async isCached(keyName, commands = getRedisInstance()) {
+    let isCached = false
+
+    if (keyName)
+      isCached = (await commands.existsAsync(keyName)) == 1
+
+    return isCached
+  }
+
+  /**
+   * Returns the `HSET` arguments of the `object` attrs (`[ field, value, ... ]`, skipping the `null`/`undefined` ones)
+   *
+   * @param {Object} object The object
+   *
+   * @return {Array<string>} The fields and values
+  */
+  static getFieldValues(object) {
+    return Object
+      .keys(object || {})
+      .filter(field => object[field] != null)
+      .reduce((fieldValues, field) => fieldValues.concat(field, this.getFieldValue(object[field])), [])
+  }
+
+  /**
+   * Returns the `value` saved on a hash field
+   *
+   * @param {*} value The value
+   *
+   * @return {string} The field value
+  */
+  static getFieldValue(value) {
+    let fieldValue = value
+
+    if (value instanceof Date)
+      fieldValue = value.toISOString()
+    else if (value instanceof Object)
+      fieldValue = JSON.stringify(value)
+
+    return String(fieldValue)
+  }
+
+  /**
+   * Returns the hash `object` (`HGETALL` reply) with its values coerced by the `schema`
+   *
+   * @param {Object} object The hash object
+   * @param {HashObjectSchema} [schema = {}] The fields schema
+   *
+   * @return {Object} The object (`null` when the hash is empty)
+   *
+   * @throws {Error} When a field type is invalid
+  */
+  static parseObject(object, schema = {}) {
+    let objectTemp = null
+
+    if (object && Object.keys(object).length) {
+      objectTemp = {}
+
+      Object
+        .keys(object)
+        .forEach(field => {
+          const type = (schema || {})[field] || 'string'
+
+          if (!FIELD_PARSERS[type])
+            throw new Error(`Invalid field type: ${type}`)
+
+          objectTemp[field] = FIELD_PARSERS[type](object[field])
+        })
+    }
+
+    return objectTemp
+  }
+}
+
+module.exports = GenericHASHObjectCache
\ No newline at end of file
@@ -1,8 +1,9 @@
 'use strict'
 
-const redis = global.redisInstance
+const { getRedisInstance } = require('../../configs/redisInstanceService')
 
 const GenericJSONCache = require('./GenericJSONCache')
+const jsonScripts = require('./jsonScripts')
 
 const DEFAULT_PARAMS_SLICE = {
   path  : '.',
@@ -10,6 +11,15 @@ const DEFAULT_PARAMS_SLICE = {
   stop  : undefined
 }
 
+const WRITE_ITEM_RETRIES = 5
+
+/**
+ * The matcher of the array items: a predicate (`function(item, index)`) or an object with the attrs to match (i.e. `{ id: 1 }`)
+ * @typedef ItemMatcher
+ * @type {(Function | Object)}
+ * @memberof GenericJSONArrayCache
+*/
+
 /**
  * Contains a set of simple methods to handle the `redis` json array keys operations
  *
@@ -23,14 +33,15 @@ class GenericJSONArrayCache extends GenericJSONCache {
    * @async
    *
    * @param {string} keyName The `keyName`
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
    *
    * @return {Boolean} Whether the `keyName` is cached or not
   */
-  static async isCached(keyName) {
+  static async isCached(keyName, commands = getRedisInstance()) {
     let isCached = false
 
     if (keyName)
-      isCached = (await redis.existsAsync(keyName)) == 1
+      isCached = (await commands.existsAsync(keyName)) == 1
 
     return isCached
   }
@@ -47,7 +58,7 @@ class GenericJSONArrayCache extends GenericJSONCache {
    * 
    * @return {Number} The new list size
   */
-  static async _addCache(keyName, object, position = undefined, attr = '.', commands = redis) {
+  static async _addCache(keyName, object, position = undefined, attr = '.', commands = getRedisInstance()) {
     let command = 0
     let cacheString = object
 
@@ -58,14 +69,14 @@ class GenericJSONArrayCache extends GenericJSONCache {
 
     let size = 0
 
-    size = await commands
-      .json_arrlenAsync(keyName)
+    size = await this
+      ._jsonCommand('arrlen', keyName, [], commands)
     
     if (position === undefined || (typeof(position) === 'number' && position > size))
       position = size
 
-    command = await commands
-      .json_arrinsertAsync(keyName, attr, position, cacheString)
+    command = await this
+      ._jsonCommand('arrinsert', keyName, [ attr, position, cacheString ], commands)
 
     return command
   }
@@ -81,7 +92,7 @@ class GenericJSONArrayCache extends GenericJSONCache {
    * 
    * @return {Number} The new list size
   */
-  static async initArrayCache(keyName, value, attr = '.', commands = redis) {
+  static async initArrayCache(keyName, value, attr = '.', commands = getRedisInstance()) {
     let command = 0
 
     if (keyName) {
@@ -98,8 +109,8 @@ class GenericJSONArrayCache extends GenericJSONCache {
           .stringify([{ ...value }])
       }
 
-      const response = await commands
-        .json_setAsync(keyName, attr, cacheString)
+      const response = await this
+        ._jsonCommand('set', keyName, [ attr, cacheString ], commands)
 
       if (!command && cacheString != '[]' && response == 'OK')
         command = 1
@@ -120,7 +131,7 @@ class GenericJSONArrayCache extends GenericJSONCache {
    *
    * @return {Number} The new list size
   */
-  static async addCache(keyName, value, position = undefined, attr = '.', commands = redis) {
+  static async addCache(keyName, value, position = undefined, attr = '.', commands = getRedisInstance()) {
     let command = 0
     let valueTemp
 
@@ -133,7 +144,7 @@ class GenericJSONArrayCache extends GenericJSONCache {
       }
 
       const isCached = await GenericJSONArrayCache
-        .isCached(keyName)
+        .isCached(keyName, commands)
 
       if (isCached && valueTemp && !(valueTemp instanceof Array)) {
         command = GenericJSONArrayCache
@@ -148,6 +159,62 @@ class GenericJSONArrayCache extends GenericJSONCache {
     return command
   }
 
+  /**
+   * Inserts the `value` item(s) on the `keyName` array atomically (by a single `Lua` script, creating the array when the `keyName` does not exist),
+   * removing the older items with the same `dedupeBy` attrs and trimming the array to the `maxLength`:
+   * inserts on the head (`position` 0) keep the first `maxLength` items and the other ones keep the last ones
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {*} value The item (or list of items)
+   * @param {Object} [params = {}] The params
+   * @param {Number} [params.position] The index position to insert the item(s) (the array end by default)
+   * @param {Number} [params.maxLength] The max length of the array
+   * @param {(Array<string> | string)} [params.dedupeBy] The attr(s) identifying the items (i.e. `'id'`)
+   * @param {string} [params.path = '.'] The array `path`
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Number} The new array length
+  */
+  static async push(keyName, value, params = {}, commands = getRedisInstance()) {
+    const { position, maxLength, dedupeBy, path = '.' } = params
+
+    let length = 0
+
+    if (keyName) {
+      const items = value instanceof Array ?
+        value :
+        [value]
+
+      let dedupeAttrs = dedupeBy || []
+
+      if (!(dedupeAttrs instanceof Array))
+        dedupeAttrs = [dedupeAttrs]
+
+      const storage = this.hasJSONModule(commands) ?
+        'json' :
+        'string'
+
+      length = await this
+        ._evalScript(
+          jsonScripts.push,
+          [keyName],
+          [
+            storage,
+            path,
+            position === undefined ? '' : position,
+            maxLength > 0 ? maxLength : 0,
+            dedupeAttrs.length,
+            ...dedupeAttrs,
+            ...items.map(item => JSON.stringify(item === undefined ? null : item))
+          ],
+          commands
+        )
+    }
+
+    return length
+  }
+
   /**
    * Removes the item(s) from cache outside the `start` - `stop` params
    *
@@ -156,10 +223,11 @@ class GenericJSONArrayCache extends GenericJSONCache {
    * @param {string} [params.path = '.'] The `path` to object (in case of `JSON`)
    * @param {Number} [params.start = 1] The start index to maintain
    * @param {Number} [params.stop = undefined] The stop index to maintain
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
    *
    * @return {Number} The new `array` size
   */
-  static async slice(keyName, params = DEFAULT_PARAMS_SLICE) {
+  static async slice(keyName, params = DEFAULT_PARAMS_SLICE, commands = getRedisInstance()) {
     let redisResponse = null
 
     if (keyName) {
@@ -169,16 +237,303 @@ class GenericJSONArrayCache extends GenericJSONCache {
       }
 
       if (params.stop == undefined) {
-        params.stop = await redis
-          .json_arrlenAsync(keyName, params.path)
+        params.stop = await this
+          ._jsonCommand('arrlen', keyName, [ params.path ], commands)
       }
 
-      redisResponse = await redis
-        .json_arrtrimAsync(keyName, params.path, params.start, params.stop)
+      redisResponse = await this
+        ._jsonCommand('arrtrim', keyName, [ params.path, params.start, params.stop ], commands)
     }
   
     return redisResponse
   }
+
+  /**
+   * Returns the predicate of the `matcher` (@see {@link GenericJSONArrayCache.ItemMatcher})
+   *
+   * @param {ItemMatcher} matcher The matcher
+   *
+   * @return {Function} The `function(item, index)` predicate
+   *
+   * @throws {Error} When the `matcher` is not a function nor an object
+  */
+  static getItemPredicate(matcher) {
+    let predicate = matcher
+
+    if (!(matcher instanceof Function)) {
+      if (!(matcher instanceof Object))
+        throw new Error(`Invalid item matcher: ${matcher}`)
+
+      const attrs = Object.keys(matcher)
+
+      predicate = item => item instanceof Object && attrs
+        .every(attr => item[attr] === matcher[attr])
+    }
+
+    return predicate
+  }
+
+  /**
+   * Returns the index of the first item of the `keyName` array matched by the `matcher`
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {ItemMatcher} matcher The matcher (@see {@link GenericJSONArrayCache.ItemMatcher})
+   * @param {string} [attr = '.'] The array `attr` name
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Number} The index (`-1` when no item matches or the `keyName` does not exist)
+  */
+  static async indexOf(keyName, matcher, attr = '.', commands = getRedisInstance()) {
+    const { index } = await this
+      ._findItem(keyName, matcher, attr, commands)
+
+    return index
+  }
+
+  /**
+   * Returns the first item of the `keyName` array matched by the `matcher`
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {ItemMatcher} matcher The matcher (@see {@link GenericJSONArrayCache.ItemMatcher})
+   * @param {string} [attr = '.'] The array `attr` name
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {*} The item (`null` when no item matches)
+  */
+  static async findItem(keyName, matcher, attr = '.', commands = getRedisInstance()) {
+    const { item } = await this
+      ._findItem(keyName, matcher, attr, commands)
+
+    return item
+  }
+
+  /**
+   * Updates the first item of the `keyName` array matched by the `matcher` (the objects are merged with the `value` attrs)
+   * on a `MULTI/EXEC` watching the `keyName` (@see {@link GenericJSONArrayCache._writeItem})
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {ItemMatcher} matcher The matcher (@see {@link GenericJSONArrayCache.ItemMatcher})
+   * @param {*} value The item value (or the attrs to update, when the item is an object)
+   * @param {string} [attr = '.'] The array `attr` name
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   * @param {Function} [queue] The `function(multi)` queueing other commands on the `MULTI` of the write (i.e. the key version increment)
+   *
+   * @return {Object} The `{ index, item, oldItem }` (`null` when no item matches)
+  */
+  static async updateItem(keyName, matcher, value, attr = '.', commands = getRedisInstance(), queue) {
+    return this
+      ._writeItem(keyName, matcher, attr, commands, queue, ({ index, item: oldItem }, multi) => {
+        let response = null
+
+        if (index > -1) {
+          const item = this._mergeItem(oldItem, value)
+
+          this
+            ._jsonCommand('set', keyName, [ this._getItemPath(attr, index), JSON.stringify(item) ], multi)
+
+          response = { index, item, oldItem }
+        }
+
+        return response
+      })
+  }
+
+  /**
+   * Updates the first item of the `keyName` array matched by the `matcher` or, when no item matches, appends the `value`
+   * (creating the array when the `keyName` does not exist) on a `MULTI/EXEC` watching the `keyName` (@see {@link GenericJSONArrayCache._writeItem})
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {ItemMatcher} matcher The matcher (@see {@link GenericJSONArrayCache.ItemMatcher})
+   * @param {Object} value The item (or the attrs to update)
+   * @param {string} [attr = '.'] The array `attr` name
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   * @param {Function} [queue] The `function(multi)` queueing other commands on the `MULTI` of the write (i.e. the key version increment)
+   *
+   * @return {Object} The `{ index, item, oldItem }` (`oldItem` is `null` when the `value` is appended)
+  */
+  static async upsertItem(keyName, matcher, value, attr = '.', commands = getRedisInstance(), queue) {
+    return this
+      ._writeItem(keyName, matcher, attr, commands, queue, ({ index, item: oldItem, length }, multi) => {
+        let response = null
+
+        if (index > -1) {
+          const item = this._mergeItem(oldItem, value)
+
+          this
+            ._jsonCommand('set', keyName, [ this._getItemPath(attr, index), JSON.stringify(item) ], multi)
+
+          response = { index, item, oldItem }
+        }
+        else {
+          const json = JSON.stringify(value === undefined ? null : value)
+
+          if (length == null)
+            this._jsonCommand('set', keyName, [ attr, `[${json}]` ], multi)
+          else
+            this._jsonCommand('arrinsert', keyName, [ attr, length, json ], multi)
+
+          response = { index: length || 0, item: value, oldItem: null }
+        }
+
+        return response
+      })
+  }
+
+  /**
+   * Removes the first item of the `keyName` array matched by the `matcher`
+   * on a `MULTI/EXEC` watching the `keyName` (@see {@link GenericJSONArrayCache._writeItem})
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {ItemMatcher} matcher The matcher (@see {@link GenericJSONArrayCache.ItemMatcher})
+   * @param {string} [attr = '.'] The array `attr` name
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   * @param {Function} [queue] The `function(multi)` queueing other commands on the `MULTI` of the write (i.e. the key version increment)
+   *
+   * @return {Object} The `{ index, item }` removed (`null` when no item matches)
+  */
+  static async removeItem(keyName, matcher, attr = '.', commands = getRedisInstance(), queue) {
+    return this
+      ._writeItem(keyName, matcher, attr, commands, queue, ({ index, item }, multi) => {
+        let response = null
+
+        if (index > -1) {
+          this
+            ._jsonCommand('del', keyName, [ this._getItemPath(attr, index) ], multi)
+
+          response = { index, item }
+        }
+
+        return response
+      })
+  }
+
+  /**
+   * Runs the `write` of the item of the `keyName` array matched by the `matcher` on a `MULTI/EXEC` watching the `keyName`
+   * (on a new connection, as the watched keys are per connection), retrying with the new array while the `keyName`
+   * is changed between the read and the write
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {ItemMatcher} matcher The matcher (@see {@link GenericJSONArrayCache.ItemMatcher})
+   * @param {string} attr The array `attr` name
+   * @param {redis.RedisClient} commands The `redis` client
+   * @param {Function} [queue] The `function(multi)` queueing other commands on the `MULTI` of the write (only when the `write` has a response)
+   * @param {Function} write The `function({ index, item, length }, multi)` queueing the write on the `multi` and returning the response
+   *
+   * @return {*} The `write` response (`null` when there is no `keyName`)
+   *
+   * @throws {Error} When the `keyName` is changed by other calls on every attempt
+  */
+  static async _writeItem(keyName, matcher, attr, commands, queue, write) {
+    const predicate = this.getItemPredicate(matcher)
+
+    let response = null
+
+    if (keyName) {
+      const client = commands.duplicate()
+
+      let isWritten = false
+
+      this
+        .setJSONModule(this.hasJSONModule(commands), client)
+
+      try {
+        for (let attempt = 0; !isWritten && attempt <= WRITE_ITEM_RETRIES; attempt++) {
+          await client.watchAsync(keyName)
+
+          const match = await this
+            ._findItem(keyName, predicate, attr, client)
+
+          const multi = client.multi()
+
+          response = write(match, multi)
+
+          if (response && queue)
+            queue(multi)
+
+          isWritten = Boolean(await multi.execAsync())
+        }
+      }
+      finally {
+        await client.quitAsync()
+      }
+
+      if (!isWritten)
+        throw new Error(`\`${keyName}\` was changed by other calls on all the ${WRITE_ITEM_RETRIES + 1} attempts to write the item`)
+    }
+
+    return response
+  }
+
+  /**
+   * Returns the first item of the `keyName` array matched by the `matcher` and its index
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {ItemMatcher} matcher The matcher
+   * @param {string} [attr = '.'] The array `attr` name
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Object} The `{ index, item, length }` (`{ index: -1, item: null }` when no item matches
+   * and a `null` `length` when the array does not exist)
+  */
+  static async _findItem(keyName, matcher, attr = '.', commands = getRedisInstance()) {
+    const predicate = this.getItemPredicate(matcher)
+
+    let response = { index: -1, item: null, length: null }
+
+    if (keyName) {
+      const array = await GenericJSONCache
+        .getCache(keyName, { paths: [attr] }, commands)
+
+      if (array instanceof Array) {
+        const index = array.findIndex(predicate)
+
+        response = {
+          index,
+          item   : index > -1 ? array[index] : null,
+          length : array.length
+        }
+      }
+    }
+
+    return response
+  }
+
+  /**
+   * Returns the `item` merged with the `value` attrs (or the `value`, when any of them is not an object)
+   *
+   * @param {*} item The item
+   * @param {*} value The value
+   *
+   * @return {*} The merged item
+  */
+  static _mergeItem(item, value) {
+    const isObject = object => object instanceof Object && !(object instanceof Array)
+
+    return isObject(item) && isObject(value) ?
+      { ...item, ...value } :
+      value
+  }
+
+  /**
+   * Returns the path of the `index` item of the `attr` array
+   *
+   * @param {string} attr The array `attr` name
+   * @param {Number} index The item index
+   *
+   * @return {string} The item path (i.e. `.items[2]`)
+  */
+  static _getItemPath(attr, index) {
+    return this.isRootPath(attr) ?
+      `[${index}]` :
+      `${attr}[${index}]`
+  }
 }
 
 module.exports = GenericJSONArrayCache
\ No newline at end of file
@@ -1,13 +1,47 @@
 'use strict'
 
-const redis = global.redisInstance
+const crypto = require('crypto')
+
+const { getRedisInstance } = require('../../configs/redisInstanceService')
+
+const jsonScripts = require('./jsonScripts')
 
 const JSON_GET_SUBCOMMANDS = [
   'NOESCAPE'
 ]
 
+const JSON_GET_FORMAT_SUBCOMMANDS = [
+  'INDENT',
+  'NEWLINE',
+  'SPACE'
+]
+
 const DEFAULT_PATH = '.'
 
+/**
+ * The `SHA1` digests of the `Lua` scripts (see `_evalScript`)
+ * @type {Map<string, string>}
+*/
+const SCRIPT_SHAS = new Map()
+
+const ROOT_JSON_PATH = '$'
+
+const INDEFINITE_JSON_PATH_REGEX = /\*|\.\.|\[\?|:|,/
+
+const JSON_MODULE_PROBE_KEY = '__json_module_probe'
+
+/**
+ * Whether each `redis` client has the `ReJSON` module or not (see `detectJSONModule`)
+ * @type {WeakMap<redis.RedisClient, Boolean>}
+*/
+const JSON_MODULES = new WeakMap()
+
+/**
+ * The pending detections of each `redis` client (so concurrent operations send a single `JSON.TYPE` command)
+ * @type {WeakMap<redis.RedisClient, Promise<Boolean>>}
+*/
+const JSON_MODULE_DETECTIONS = new WeakMap()
+
 /**
  * The list of `JSON.GET` command (i.e. `JSON>GET <key> [ params ]`)
  * @typedef JSONGetParams
@@ -29,6 +63,31 @@ const DEFAULT_JSON_GET_PARAMS = {
   paths   : [ DEFAULT_PATH ]
 }
 
+/**
+ * The operations of [`update`]{@link GenericJSONCache.update} (i.e. `{ op: 'incr', path: '.views', value: 2 }`)
+ * @typedef JSONUpdateOperation
+ * @type {Object}
+ * @memberof GenericJSONCache
+ *
+ * @property {string} op The operation (`incr`, `multiply`, `strAppend`, `arrAppend`, `arrPop`, `toggle` or `merge`)
+ * @property {string} [path = DEFAULT_PATH] The path (legacy or `JSONPath`)
+ * @property {*} [value] The operation value (the increment, the factor, the string/items to append, the index to pop or the object to merge)
+*/
+
+/**
+ * The arguments of each [`JSONUpdateOperation`]{@link GenericJSONCache.JSONUpdateOperation} (by `op`)
+ * @type {Object<string, Function>}
+*/
+const UPDATE_OPERATION_ARGS = {
+  incr      : value => [ String(value === undefined ? 1 : value) ],
+  multiply  : value => [ String(value) ],
+  strAppend : value => [ JSON.stringify(String(value)) ],
+  arrAppend : value => (value instanceof Array ? value : [value]).map(item => JSON.stringify(item === undefined ? null : item)),
+  arrPop    : value => value === undefined ? [] : [ String(value) ],
+  toggle    : () => [],
+  merge     : value => [ JSON.stringify(value) ]
+}
+
 /**
  * Contains a set of simple methods to handle the `redis` json keys operations
  *
@@ -39,6 +98,113 @@ class GenericJSONCache {
 
   static get DEFAULT_PATH()       { return DEFAULT_PATH }
 
+  static get ROOT_JSON_PATH()     { return ROOT_JSON_PATH }
+
+  /**
+   * Returns whether the `path` is a `JSONPath` (`RedisJSON` v2 syntax, i.e. `$.owner.name`) or a legacy one (i.e. `.owner.name`)
+   *
+   * @param {string} path The `path`
+   *
+   * @return {Boolean} Whether the `path` is a `JSONPath` or not
+  */
+  static isJSONPath(path) {
+    return typeof(path) == 'string' && path.startsWith(ROOT_JSON_PATH)
+  }
+
+  /**
+   * Returns whether the `path` is the root one (`.` or `$`)
+   *
+   * @param {string} path The `path`
+   *
+   * @return {Boolean} Whether the `path` is the root one or not
+  */
+  static isRootPath(path) {
+    return path == DEFAULT_PATH || path == ROOT_JSON_PATH
+  }
+
+  /**
+   * Returns whether the `path` matches at most one value (no wildcards, recursive descents, filters, slices or unions)
+   *
+   * @param {string} path The `path`
+   *
+   * @return {Boolean} Whether the `path` is definite or not
+  */
+  static isDefinitePath(path) {
+    return !INDEFINITE_JSON_PATH_REGEX.test(path)
+  }
+
+  /**
+   * Detects whether the `client` has the `ReJSON` module or not (sending a `JSON.TYPE` command, shared by the concurrent calls)
+   *
+   * When it has not, the `JSON` commands of the `client` (and its multis) are emulated by `Lua` scripts over plain string keys
+   * @async
+   *
+   * @param {redis.RedisClient} [client = getRedisInstance()] The `redis` client
+   *
+   * @return {Boolean} Whether the `client` has the `ReJSON` module or not
+  */
+  static detectJSONModule(client = getRedisInstance()) {
+    let detection = JSON_MODULE_DETECTIONS.get(client)
+
+    if (!detection) {
+      detection = this
+        ._detectJSONModule(client)
+        .finally(() => JSON_MODULE_DETECTIONS.delete(client))
+
+      JSON_MODULE_DETECTIONS.set(client, detection)
+    }
+
+    return detection
+  }
+
+  /**
+   * Detects whether the `client` has the `ReJSON` module or not, when it was not detected nor set yet
+   * (the detection errors are ignored, keeping the default: with the module)
+   * @async
+   *
+   * @param {redis.RedisClient} [client = getRedisInstance()] The `redis` client
+   *
+   * @return {Boolean} Whether the `client` has the `ReJSON` module or not
+  */
+  static async checkJSONModule(client = getRedisInstance()) {
+    if (!JSON_MODULES.has(client)) {
+      await this
+        .detectJSONModule(client)
+        .catch(() => null)
+    }
+
+    return this.hasJSONModule(client)
+  }
+
+  /**
+   * Sets whether the `client` has the `ReJSON` module or not (skipping the detection)
+   *
+   * @param {Boolean} hasJSONModule Whether the `client` has the `ReJSON` module or not
+   * @param {redis.RedisClient} [client = getRedisInstance()] The `redis` client
+   *
+   * @return {Boolean} Whether the `client` has the `ReJSON` module or not
+  */
+  static setJSONModule(hasJSONModule, client = getRedisInstance()) {
+    JSON_MODULES.set(client, Boolean(hasJSONModule))
+
+    return Boolean(hasJSONModule)
+  }
+
+  /**
+   * Returns whether the `commands` client has the `ReJSON` module or not (`true` when it was not detected)
+   *
+   * @param {(redis.RedisClient | redis.Multi)} [commands = getRedisInstance()] The `redis` client or multi
+   *
+   * @return {Boolean} Whether the `commands` client has the `ReJSON` module or not
+  */
+  static hasJSONModule(commands = getRedisInstance()) {
+    const client = commands && commands._client ?
+      commands._client :
+      commands
+
+    return !(client instanceof Object) || JSON_MODULES.get(client) !== false
+  }
+
   /**
    * Returns the parsed cache value
    *
@@ -115,16 +281,81 @@ class GenericJSONCache {
     return jsonGetParams
   }
 
-  static async getCache(keyName, params) {
+  /**
+   * Returns the `paths` of the `JSON.GET` params (without the subcommands)
+   *
+   * @param {(Object | JSONGetParams)} params The redis command list/object params
+   *
+   * @return {Array<string>} The list of `paths`
+  */
+  static getJSONGetPaths(params = DEFAULT_JSON_GET_PARAMS) {
+    const jsonGetParams = this.getJSONGetParams(params)
+    const paths = []
+
+    for (let index = 0; index < jsonGetParams.length; index++) {
+      const param = String(jsonGetParams[index]).toUpperCase()
+
+      if (JSON_GET_FORMAT_SUBCOMMANDS.includes(param))
+        index++
+      else if (!JSON_GET_SUBCOMMANDS.includes(param))
+        paths.push(jsonGetParams[index])
+    }
+
+    return paths
+  }
+
+  /**
+   * Returns the `value` of the `paths` normalized from the `JSONPath` replies (`RedisJSON` v2 wraps the matches of each `path` on an array)
+   *
+   * The matches of the definite `paths` (@see {@link GenericJSONCache.isDefinitePath}) are unwrapped (`null` when there is no match)
+   *
+   * @param {*} value The parsed `JSON.GET` reply
+   * @param {Array<string>} paths The `paths` (@see {@link GenericJSONCache.getJSONGetPaths})
+   *
+   * @return {*} The normalized `value`
+   *
+   * @example
+   * GenericJSONCache.parseJSONPathValue([ 'john' ], [ '$.owner.name' ])
+   * // 'john'
+   *
+   * GenericJSONCache.parseJSONPathValue({ '$.name': [ 'Kora' ], '$..id': [ 1, 2 ] }, [ '$.name', '$..id' ])
+   * // { '$.name': 'Kora', '$..id': [ 1, 2 ] }
+  */
+  static parseJSONPathValue(value, paths) {
+    let valueTemp = value
+
+    const getMatches = (matches, path) => {
+      return this.isDefinitePath(path) && matches instanceof Array ?
+        (matches.length ? matches[0] : null) :
+        matches
+    }
+
+    if (value != null && paths.some(path => this.isJSONPath(path))) {
+      if (paths.length > 1) {
+        valueTemp = {}
+
+        paths
+          .forEach(path => {
+            valueTemp[path] = getMatches(value[path], path)
+          })
+      }
+      else
+        valueTemp = getMatches(value, paths[0])
+    }
+
+    return valueTemp
+  }
+
+  static async getCache(keyName, params, commands = getRedisInstance()) {
     let objectCache = null
 
     if (keyName) {
       const objectCacheTemp = await GenericJSONCache
-        ._getCache(keyName, params)
+        ._getCache(keyName, params, commands)
 
       if (objectCacheTemp) {
         objectCache = GenericJSONCache
-          .parseCacheString(objectCacheTemp)
+          .parseJSONPathValue(GenericJSONCache.parseCacheString(objectCacheTemp), this.getJSONGetPaths(params))
       }
     }
 
@@ -133,6 +364,8 @@ class GenericJSONCache {
 
   /**
    * Returns the list of `objects` in cache
+   *
+   * When the `params` have a single `path` (and no format subcommands), the keys are read by a single `JSON.MGET`
    * @async
    *
    * @param {string} keyNames The `key` name
@@ -141,34 +374,47 @@ class GenericJSONCache {
    *
    * @return {Promise<string>} The `objects` in cache
   */
-  static async getListCache(keyNames, params = DEFAULT_JSON_GET_PARAMS, commands = redis.multi()) {
+  static async getListCache(keyNames, params = DEFAULT_JSON_GET_PARAMS, commands = getRedisInstance().multi()) {
     let cachedValues = []
 
-    if (keyNames) {
-      keyNames
-        .forEach(keyName => {
-          this
-            ._getCache(keyName, params, commands)
-        })
+    if (keyNames && keyNames.length) {
+      const paths = this.getJSONGetPaths(params)
+
+      const isMGet = paths.length <= 1 && this
+        .getJSONGetParams(params)
+        .every(param => paths.includes(param) || JSON_GET_SUBCOMMANDS.includes(String(param).toUpperCase()))
+
+      if (isMGet)
+        this._jsonCommand('mget', keyNames, [ paths[0] || DEFAULT_PATH ], commands)
+      else {
+        keyNames
+          .forEach(keyName => {
+            this
+              ._getCache(keyName, params, commands)
+          })
+      }
+
+      let redisResponse = await commands.execAsync()
 
-      const redisResponse = await commands.execAsync()
+      if (isMGet)
+        redisResponse = redisResponse[0] || []
 
       if (redisResponse.length) {
         cachedValues = redisResponse
           .filter(value => value != null)
-          .map(GenericJSONCache.parseCacheString)
+          .map(value => this.parseJSONPathValue(this.parseCacheString(value), paths))
       }
     }
 
     return cachedValues
   }
 
-  static setCache(keyName, value, attr = DEFAULT_PATH, commands = redis) {
+  static setCache(keyName, value, attr = DEFAULT_PATH, commands = getRedisInstance()) {
     let command = null
     let valueTemp = value
 
     if (keyName) {
-      if (attr == DEFAULT_PATH) {
+      if (GenericJSONCache.isRootPath(attr)) {
         if (value && typeof(value) != 'string' ) {
           if (!(value instanceof Object))
             valueTemp = { ...value }
@@ -195,10 +441,11 @@ class GenericJSONCache {
     * @async
     *
     * @param {(Array<string> | string)} keyNames The list of `keyNames`
+    * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
     *
     * @return {Array<Number>} The count of deleted keys
   */
-  static async delete(keyNames) {
+  static async delete(keyNames, commands = getRedisInstance()) {
     const keyNamesTemp = keyNames instanceof Array ?
       [ ...keyNames ] :
       [keyNames]
@@ -206,7 +453,7 @@ class GenericJSONCache {
     let promises = 0
 
     if (keyNamesTemp[0]) {
-      promises = keyNamesTemp.map(k => this._delete(k))
+      promises = keyNamesTemp.map(k => this._delete(k, commands))
 
       const response = await Promise.all(promises)
 
@@ -221,18 +468,78 @@ class GenericJSONCache {
    * @async
    *
    * @param {string} keyName The `keyName`
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
    *
    * @return {Boolean} Whether the `keyName` is cached or not
   */
-  static async isCached(keyName) {
+  static async isCached(keyName, commands = getRedisInstance()) {
     let count = 0
 
     if (keyName)
-      count = await redis.json_objlenAsync(keyName)
+      count = await this._jsonCommand('objlen', keyName, [], commands)
 
     return count >= 1
   }
 
+  /**
+   * Returns the `update` script arguments of the `operations` (`op path count ...args` for each one)
+   *
+   * @param {(Array<JSONUpdateOperation> | JSONUpdateOperation)} operations The operations
+   *
+   * @return {Array<string>} The arguments
+   *
+   * @throws {Error} When an operation is invalid
+  */
+  static getUpdateArgs(operations) {
+    const operationsTemp = operations instanceof Array ?
+      operations :
+      [operations]
+
+    return operationsTemp
+      .reduce((args, operation) => {
+        const { op, path = DEFAULT_PATH, value } = operation || {}
+
+        if (!UPDATE_OPERATION_ARGS[op])
+          throw new Error(`Invalid update operation: ${op}`)
+
+        const operationArgs = UPDATE_OPERATION_ARGS[op](value)
+
+        return args.concat(op, path, String(operationArgs.length), operationArgs)
+      }, [])
+  }
+
+  /**
+   * Applies the `operations` to the `keyName` document atomically (by a single `Lua` script),
+   * using the `ReJSON` commands (i.e. `JSON.NUMINCRBY`) when the `commands` client has the module
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {(Array<JSONUpdateOperation> | JSONUpdateOperation)} operations The operations (@see {@link GenericJSONCache.JSONUpdateOperation})
+   * @param {Boolean} [isDryRun = false] Whether to only return the resulting document (without saving it) or not
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Object} The resulting document (`null` when the `keyName` does not exist)
+   *
+   * @throws {Error} When an operation is invalid or fails (i.e. a wrong type path)
+  */
+  static async update(keyName, operations, isDryRun = false, commands = getRedisInstance()) {
+    let document = null
+
+    if (keyName) {
+      const args = this.getUpdateArgs(operations)
+      const storage = this.hasJSONModule(commands) ?
+        'json' :
+        'string'
+
+      const reply = await this
+        ._evalScript(jsonScripts.update, [keyName], [ storage, isDryRun ? 1 : 0, ...args ], commands)
+
+      document = this.parseCacheString(reply)
+    }
+
+    return document
+  }
+
   /**
    * Returns the `value` as `Object`
    *
@@ -262,16 +569,11 @@ class GenericJSONCache {
    *
    * @return {Promise<string>} The `object` cache
   */
-  static _getCache(keyName, params = DEFAULT_JSON_GET_PARAMS, commands = redis) {
+  static _getCache(keyName, params = DEFAULT_JSON_GET_PARAMS, commands = getRedisInstance()) {
     const jsonGetParams = this.getJSONGetParams(params)
 
-    const commandParams = [
-      keyName,
-      ...jsonGetParams
-    ]
-
-    return commands
-      .json_getAsync.apply(commands, commandParams)
+    return this
+      ._jsonCommand('get', keyName, jsonGetParams, commands)
   }
 
   /**
@@ -285,27 +587,126 @@ class GenericJSONCache {
    *
    * @return {Promise<string>} The `status` of the operation
   */
-  static _setCache(keyName, object, attr = '.', commands = redis) {
+  static _setCache(keyName, object, attr = '.', commands = getRedisInstance()) {
     let cacheString = object
 
     if (object && object instanceof Object) {
       cacheString = JSON
-        .stringify({ ...object })
+        .stringify(object instanceof Array ? object : { ...object })
     }
 
-    return commands
-      .json_setAsync(keyName, attr, cacheString)
+    return this
+      ._jsonCommand('set', keyName, [ attr, cacheString ], commands)
   }
 
   /**
     * Deletes the `keyName` from cache
     *
     * @param {string} keyName The `keyName`
+    * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
     *
     * @return {Number} The count of deleted keys
   */
-  static _delete(keyName) {
-    return redis.json_delAsync(keyName)
+  static _delete(keyName, commands = getRedisInstance()) {
+    return this._jsonCommand('del', keyName, [], commands)
+  }
+
+  /**
+   * Sends a `JSON.TYPE` command to detect whether the `client` has the `ReJSON` module or not
+   * @async
+   *
+   * @param {redis.RedisClient} client The `redis` client
+   *
+   * @return {Boolean} Whether the `client` has the `ReJSON` module or not
+  */
+  static async _detectJSONModule(client) {
+    let hasJSONModule = true
+
+    try {
+      await client.send_commandAsync('JSON.TYPE', [ JSON_MODULE_PROBE_KEY ])
+    }
+    catch (e) {
+      if (!/unknown command/i.test(e.message))
+        throw e
+
+      hasJSONModule = false
+    }
+
+    return this.setJSONModule(hasJSONModule, client)
+  }
+
+  /**
+   * Sends the `JSON.<command>` (or runs its `Lua` script, when the `commands` client has not the `ReJSON` module)
+   *
+   * @param {string} command The command name (i.e. `get`, `arrinsert`)
+   * @param {(Array<string> | string)} keyName The `key` name (or names, i.e. `mget`)
+   * @param {Array} [args = []] The command arguments (after the `keyName`)
+   * @param {redis.Multi} [commands = redis] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Promise} The command reply
+  */
+  static _jsonCommand(command, keyName, args = [], commands = getRedisInstance()) {
+    const keyNames = keyName instanceof Array ?
+      keyName :
+      [keyName]
+
+    return this.hasJSONModule(commands) ?
+      commands[`json_${command}Async`](...keyNames, ...args) :
+      this._evalScript(jsonScripts[command], keyNames, args, commands)
+  }
+
+  /**
+   * Runs the `Lua` `script` by its `SHA1` digest (`EVALSHA`), sending the whole `script` (`EVAL`, that also caches it on the server)
+   * only when the server has not it (`NOSCRIPT`)
+   *
+   * The multis always send it (`EVAL`), as a `NOSCRIPT` reply can not be retried within the same `MULTI`
+   *
+   * @param {string} script The `Lua` script (@see {@link jsonScripts})
+   * @param {Array<string>} keyNames The key names (`KEYS`)
+   * @param {Array} [args = []] The script arguments (`ARGV`)
+   * @param {redis.Multi} [commands = redis] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Promise} The script reply
+  */
+  static _evalScript(script, keyNames, args = [], commands = getRedisInstance()) {
+    let promise = null
+
+    if (commands.command_queue) {
+      promise = commands
+        .evalshaAsync(this._getScriptSHA(script), keyNames.length, ...keyNames, ...args)
+        .catch(e => {
+          if (e.code != 'NOSCRIPT')
+            throw e
+
+          return commands.evalAsync(script, keyNames.length, ...keyNames, ...args)
+        })
+    }
+    else
+      promise = commands.evalAsync(script, keyNames.length, ...keyNames, ...args)
+
+    return promise
+  }
+
+  /**
+   * Returns the `SHA1` digest of the `Lua` `script` (as `SCRIPT LOAD` replies it)
+   *
+   * @param {string} script The `Lua` script
+   *
+   * @return {string} The `SHA1` digest (hex)
+  */
+  static _getScriptSHA(script) {
+    let sha = SCRIPT_SHAS.get(script)
+
+    if (!sha) {
+      sha = crypto
+        .createHash('sha1')
+        .update(script)
+        .digest('hex')
+
+      SCRIPT_SHAS.set(script, sha)
+    }
+
+    return sha
   }
 }
 
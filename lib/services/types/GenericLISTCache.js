@@ -0,0 +1,352 @@
+'use strict'
+
+const { getRedisInstance } = require('../../configs/redisInstanceService')
+
+const DEFAULT_PARAMS_SLICE = {
+  start : 1,
+  stop  : -1
+}
+
+/**
+ * Contains a set of simple methods to handle the `redis` list keys operations
+ *
+ * The items are saved as strings (`Objects` as `JSON` strings, or by the `serializer` passed) and parsed back on reading.
+ * When a `maxLength` is passed, the lists are trimmed on each write: pushes to the head (`left`) keep
+ * the first `maxLength` items, and pushes to the tail (and replacements) keep the last ones
+ *
+ * @class GenericLISTCache
+*/
+class GenericLISTCache {
+  /**
+   * Returns the items of the `keyName` between the `start` and `stop` indexes
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {Object} [params = {}] The range params
+   * @param {Number} [params.start = 0] The start index
+   * @param {Number} [params.stop = -1] The stop index
+   * @param {GenericRedisCache.Serializer} [params.serializer] The serializer of the items (`JSON` for objects by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The items (an empty list when the `keyName` does not exist)
+  */
+  static getCache(keyName, params = {}, commands = getRedisInstance()) {
+    const { start, stop, serializer } = params || {}
+
+    return this.range(keyName, start, stop, serializer, commands)
+  }
+
+  /**
+   * Returns the items of all the `keyNames` (@see {@link GenericLISTCache.getCache})
+   * @async
+   *
+   * @param {Array<string>} keyNames The list of `keyNames`
+   * @param {Object} [params = {}] The range params of each key
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The items
+  */
+  static async getListCache(keyNames, params = {}, commands = getRedisInstance()) {
+    const items = await Promise.all(
+      keyNames
+        .map(keyName => this.getCache(keyName, params, commands))
+    )
+
+    return items
+      .reduce((itemsTemp, keyItems) => itemsTemp.concat(keyItems), [])
+  }
+
+  /**
+   * Replaces the items of the `keyName` by the `value` items (keeping the last `maxLength` ones, as the pushes to the tail)
+   *
+   * The `DEL`, `RPUSH` and `LTRIM` are chained on the `commands` multi (or on a new one, executed right away, when
+   * `commands` is a client), so the list is never read half replaced
+   *
+   * @param {string} keyName The `key` name
+   * @param {*} value The item (or list of items)
+   * @param {Number} [maxLength] The max length of the list
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer of the items (`JSON` for objects by default)
+   * @param {redis.Multi} [commands = redis] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Promise<Number>} The `rpush` command (the list length before trimming)
+  */
+  static setCache(keyName, value, maxLength, serializer = null, commands = getRedisInstance()) {
+    let promise = null
+
+    if (keyName) {
+      const values = value instanceof Array ?
+        value :
+        [value]
+
+      const multi = commands.command_queue ?
+        commands.multi() :
+        commands
+
+      multi
+        .delAsync(keyName)
+
+      if (values.length) {
+        promise = multi
+          .rpushAsync([ keyName, ...values.map(item => this.getItem(item, serializer)) ])
+
+        if (maxLength > 0) {
+          multi
+            .ltrimAsync(keyName, -maxLength, -1)
+        }
+      }
+
+      if (multi != commands)
+        multi.exec()
+    }
+
+    return promise
+  }
+
+  /**
+   * Adds the `value` item(s) to the head (`position` `0`) or to the tail (any other `position`) of the `keyName`
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {*} value The item (or list of items)
+   * @param {Number} [position] The position (`0` for the head, the tail by default)
+   * @param {Number} [maxLength] The max length of the list
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer of the items (`JSON` for objects by default)
+   * @param {redis.Multi} [commands = redis] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Number} The new list length
+  */
+  static addCache(keyName, value, position = undefined, maxLength = undefined, serializer = null, commands = getRedisInstance()) {
+    return this.push(keyName, value, { left: position === 0, maxLength, serializer }, commands)
+  }
+
+  /**
+   * Pushes the `value` item(s) to the head (`left`) or tail of the `keyName`
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {*} value The item (or list of items)
+   * @param {Object} [params = {}] The params
+   * @param {Boolean} [params.left = false] Whether to push to the head or not
+   * @param {Number} [params.maxLength] The max length of the list
+   * @param {GenericRedisCache.Serializer} [params.serializer] The serializer of the items (`JSON` for objects by default)
+   * @param {redis.Multi} [commands = redis] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Number} The new list length
+  */
+  static async push(keyName, value, params = {}, commands = getRedisInstance()) {
+    const { left = false, maxLength, serializer } = params
+
+    let length = 0
+
+    if (keyName) {
+      const values = (value instanceof Array ? value : [value])
+        .map(item => this.getItem(item, serializer))
+
+      if (values.length) {
+        const pushCommand = left ?
+          commands.lpushAsync([ keyName, ...values ]) :
+          commands.rpushAsync([ keyName, ...values ])
+
+        if (maxLength > 0) {
+          if (left)
+            commands.ltrimAsync(keyName, 0, maxLength - 1)
+          else
+            commands.ltrimAsync(keyName, -maxLength, -1)
+        }
+
+        length = await pushCommand
+
+        if (maxLength > 0)
+          length = Math.min(length, maxLength)
+      }
+    }
+
+    return length
+  }
+
+  /**
+   * Removes and returns the first (`left`) or last item of the `keyName`
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {Object} [params = {}] The params
+   * @param {Boolean} [params.left = false] Whether to pop from the head or not
+   * @param {GenericRedisCache.Serializer} [params.serializer] The serializer of the items (`JSON` for objects by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {*} The item (`null` when the list is empty)
+  */
+  static async pop(keyName, params = {}, commands = getRedisInstance()) {
+    const { left = false, serializer } = params
+
+    const item = left ?
+      await commands.lpopAsync(keyName) :
+      await commands.rpopAsync(keyName)
+
+    return item == null ?
+      null :
+      this.parseItem(item, serializer)
+  }
+
+  /**
+   * Removes and returns the first (`left`) or last item of the first non-empty list of `keyNames`,
+   * waiting up to `timeout` seconds for an item to be pushed
+   *
+   * The connection is blocked meanwhile, so `commands` should be a dedicated one (i.e. `redis.duplicate()`)
+   * @async
+   *
+   * @param {(Array<string> | string)} keyNames The key names
+   * @param {Number} [timeout = 0] The max time (in seconds) to wait (`0` to wait indefinitely)
+   * @param {Object} [params = {}] The params
+   * @param {Boolean} [params.left = false] Whether to pop from the head or not
+   * @param {GenericRedisCache.Serializer} [params.serializer] The serializer of the items (`JSON` for objects by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Object} The `{ keyName, value }` popped (`null` on timeout)
+  */
+  static async blockingPop(keyNames, timeout = 0, params = {}, commands = getRedisInstance()) {
+    const { left = false, serializer } = params
+
+    const args = [ ...(keyNames instanceof Array ? keyNames : [keyNames]), timeout ]
+
+    const reply = left ?
+      await commands.blpopAsync(args) :
+      await commands.brpopAsync(args)
+
+    return reply ?
+      { keyName: reply[0], value: this.parseItem(reply[1], serializer) } :
+      null
+  }
+
+  /**
+   * Returns the items of the `keyName` between the `start` and `stop` indexes
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {Number} [start = 0] The start index
+   * @param {Number} [stop = -1] The stop index
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer of the items (`JSON` for objects by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The items
+  */
+  static async range(keyName, start = 0, stop = -1, serializer = null, commands = getRedisInstance()) {
+    const items = await commands
+      .lrangeAsync(keyName, start, stop)
+
+    return items
+      .map(item => this.parseItem(item, serializer))
+  }
+
+  /**
+   * Returns the last item of the `keyName`
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer of the items (`JSON` for objects by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {*} The item (`null` when the list is empty)
+  */
+  static async getLast(keyName, serializer = null, commands = getRedisInstance()) {
+    const item = await commands
+      .lindexAsync(keyName, -1)
+
+    return item == null ?
+      null :
+      this.parseItem(item, serializer)
+  }
+
+  /**
+   * Removes the items outside the `start` - `stop` indexes
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {Object} [params] The params
+   * @param {Number} [params.start = 1] The start index to maintain
+   * @param {Number} [params.stop = -1] The stop index to maintain
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Number} The new list length
+  */
+  static async slice(keyName, params = DEFAULT_PARAMS_SLICE, commands = getRedisInstance()) {
+    let redisResponse = null
+
+    if (keyName) {
+      const { start, stop } = {
+        ...DEFAULT_PARAMS_SLICE,
+        ...params
+      }
+
+      await commands
+        .ltrimAsync(keyName, start, stop == undefined ? -1 : stop)
+
+      redisResponse = await commands
+        .llenAsync(keyName)
+    }
+
+    return redisResponse
+  }
+
+  static delete(keyNames, commands = getRedisInstance()) {
+    const keyNamesTemp = keyNames instanceof Array ?
+      [ ...keyNames ] :
+      [keyNames]
+
+    return commands.delAsync(keyNamesTemp)
+  }
+
+  /**
+   * Returns whether the `keyName` is cached or not
+   * @async
+   *
+   * @param {string} keyName The `keyName`
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Boolean} Whether the `keyName` is cached or not
+  */
+  static async isCached(keyName, commands = getRedisInstance()) {
+    let isCached = false
+
+    if (keyName)
+      isCached = (await commands.existsAsync(keyName)) == 1
+
+    return isCached
+  }
+
+  /**
+   * Returns the item string of the `value` (by the `serializer` or, without it, `Objects` are mapped to `JSON` strings)
+   *
+   * @param {*} value The value
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer
+   *
+   * @return {string} The item
+  */
+  static getItem(value, serializer = null) {
+    let item = null
+
+    if (serializer)
+      item = serializer.serialize(value)
+    else {
+      item = value instanceof Object ?
+        JSON.stringify(value) :
+        String(value)
+    }
+
+    return item
+  }
+
+  static parseItem(item, serializer = null) {
+    if (serializer)
+      return serializer.deserialize(item)
+
+    try {
+      return JSON.parse(item)
+    }
+    catch (error) {
+      return item
+    }
+  }
+}
+
+module.exports = GenericLISTCache
\ No newline at end of file
@@ -0,0 +1,392 @@
+'use strict'
+
+const { getRedisInstance } = require('../../configs/redisInstanceService')
+
+const VALUE_FIELD = 'value'
+
+/**
+ * Contains a set of simple methods to handle the `redis` stream keys operations (append-only event logs)
+ *
+ * Each value is saved as an entry with a single `value` field (the `JSON` string of the value) and an auto id.
+ * When a `maxLength` is passed, the streams are trimmed (`MAXLEN ~`) on each write, keeping about the last `maxLength` entries
+ *
+ * @class GenericSTREAMCache
+*/
+class GenericSTREAMCache {
+  /**
+   * Returns the latest `count` values of the `keyName` (from the oldest to the newest)
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {Object} [params = {}] The params
+   * @param {Number} [params.count] The count of entries (all by default)
+   * @param {Boolean} [params.withIds = false] Whether to return the entries as `{ id, value }` or not
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The values (an empty list when the `keyName` does not exist)
+  */
+  static async getCache(keyName, params = {}, commands = getRedisInstance()) {
+    const { count, withIds } = params || {}
+
+    const entries = await this
+      .range(keyName, '-', '+', { count, withIds, reverse: true }, commands)
+
+    return entries.reverse()
+  }
+
+  /**
+   * Returns the values of all the `keyNames` (@see {@link GenericSTREAMCache.getCache})
+   * @async
+   *
+   * @param {Array<string>} keyNames The list of `keyNames`
+   * @param {Object} [params = {}] The params of each key
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The values
+  */
+  static async getListCache(keyNames, params = {}, commands = getRedisInstance()) {
+    const values = await Promise.all(
+      keyNames
+        .map(keyName => this.getCache(keyName, params, commands))
+    )
+
+    return values
+      .reduce((valuesTemp, keyValues) => valuesTemp.concat(keyValues), [])
+  }
+
+  /**
+   * Replaces the entries of the `keyName` by the `value` ones
+   *
+   * The old entries are trimmed (`XTRIM MAXLEN 0`) instead of deleting the `keyName`, so its consumer groups are kept,
+   * and the commands are chained on the `commands` multi (or on a new one, executed right away, when `commands` is a client)
+   *
+   * @param {string} keyName The `key` name
+   * @param {*} value The value (or list of values)
+   * @param {Number} [maxLength] The max length of the stream
+   * @param {redis.Multi} [commands = redis] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Promise<string>} The last `xadd` command (the id of the last entry)
+  */
+  static setCache(keyName, value, maxLength, commands = getRedisInstance()) {
+    let promise = null
+
+    if (keyName) {
+      const values = value instanceof Array ?
+        value :
+        [value]
+
+      const multi = commands.command_queue ?
+        commands.multi() :
+        commands
+
+      multi
+        .xtrimAsync(keyName, 'MAXLEN', 0)
+
+      values
+        .forEach(valueTemp => {
+          promise = this._add(keyName, valueTemp, maxLength, multi)
+        })
+
+      if (multi != commands)
+        multi.exec()
+    }
+
+    return promise
+  }
+
+  /**
+   * Appends the `value` entries to the `keyName` (with auto ids)
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {*} value The value (or list of values)
+   * @param {Number} [maxLength] The max length of the stream
+   * @param {redis.Multi} [commands = redis] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {(string | Array<string>)} The id of the entry (or the ids, when `value` is a list)
+  */
+  static async addCache(keyName, value, maxLength = undefined, commands = getRedisInstance()) {
+    let ids = null
+
+    if (keyName) {
+      const values = value instanceof Array ?
+        value :
+        [value]
+
+      ids = await Promise.all(
+        values
+          .map(valueTemp => this._add(keyName, valueTemp, maxLength, commands))
+      )
+
+      if (!(value instanceof Array))
+        ids = ids[0]
+    }
+
+    return ids
+  }
+
+  /**
+   * Returns the values of the `keyName` with id between `start` and `end`
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {string} [start = '-'] The start id (`'-'` for the first entry, `'('` prefix for exclusive)
+   * @param {string} [end = '+'] The end id (`'+'` for the last entry, `'('` prefix for exclusive)
+   * @param {Object} [params = {}] The params
+   * @param {Number} [params.count] The max count of entries
+   * @param {Boolean} [params.reverse = false] Whether to order from the newest entry or not
+   * @param {Boolean} [params.withIds = false] Whether to return the entries as `{ id, value }` or not
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The values
+  */
+  static async range(keyName, start = '-', end = '+', params = {}, commands = getRedisInstance()) {
+    const { count, reverse = false, withIds = false } = params
+
+    const args = reverse ?
+      [ keyName, end, start ] :
+      [ keyName, start, end ]
+
+    if (count !== undefined)
+      args.push('COUNT', count)
+
+    const reply = reverse ?
+      await commands.xrevrangeAsync(args) :
+      await commands.xrangeAsync(args)
+
+    return reply
+      .map(entry => this.parseEntry(entry, withIds))
+  }
+
+  /**
+   * Returns the last value of the `keyName`
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {*} The value (`null` when the stream is empty)
+  */
+  static async getLast(keyName, commands = getRedisInstance()) {
+    const [ value = null ] = await this
+      .range(keyName, '-', '+', { count: 1, reverse: true }, commands)
+
+    return value
+  }
+
+  /**
+   * Returns the count of entries of the `keyName`
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Number} The count of entries
+  */
+  static length(keyName, commands = getRedisInstance()) {
+    return commands
+      .xlenAsync(keyName)
+  }
+
+  /**
+   * Removes the oldest entries of the `keyName`, keeping (about, when `approximate`) the last `maxLength` ones
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {Number} maxLength The max length
+   * @param {Boolean} [approximate = true] Whether to trim with `~` (more efficient) or not
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Number} The count of removed entries
+  */
+  static trim(keyName, maxLength, approximate = true, commands = getRedisInstance()) {
+    return commands
+      .xtrimAsync(keyName, 'MAXLEN', approximate ? '~' : '=', maxLength)
+  }
+
+  /**
+   * Creates the consumer `group` of the `keyName` (creating the stream when it does not exist)
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {string} group The group name
+   * @param {string} [id = '$'] The id of the last entry delivered to the group (`'$'` to read only new entries or `'0'` to read all)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Boolean} Whether the group was created or not (`false` when it already exists)
+  */
+  static async createGroup(keyName, group, id = '$', commands = getRedisInstance()) {
+    let isCreated = false
+
+    try {
+      isCreated = (await commands.xgroupAsync('CREATE', keyName, group, id, 'MKSTREAM')) == 'OK'
+    }
+    catch (e) {
+      if (!String(e.message).startsWith('BUSYGROUP'))
+        throw e
+    }
+
+    return isCreated
+  }
+
+  /**
+   * Reads the entries of the `keyNames` as the `consumer` of the `group` (the entries must be [acknowledged]{@link GenericSTREAMCache.ack}
+   * after processed, otherwise they are kept as pending of the `consumer`)
+   *
+   * The connection is blocked while waiting (`block`), so `commands` should be a dedicated one (i.e. `redis.duplicate()`)
+   * @async
+   *
+   * @param {(Array<string> | string)} keyNames The key names
+   * @param {string} group The group name
+   * @param {string} consumer The consumer name
+   * @param {Object} [params = {}] The params
+   * @param {Number} [params.count] The max count of entries of each key
+   * @param {Number} [params.block] The max time (in ms) to wait for new entries (`0` to wait indefinitely, it does not wait by default)
+   * @param {string} [params.id = '>'] The id to read after (`'>'` for the entries never delivered or `'0'` for the `consumer` pending ones)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array<Object>} The entries (`{ keyName, id, value }`)
+  */
+  static async readGroup(keyNames, group, consumer, params = {}, commands = getRedisInstance()) {
+    const { count, block, id = '>' } = params
+
+    const keyNamesTemp = keyNames instanceof Array ?
+      keyNames :
+      [keyNames]
+
+    const args = [ 'GROUP', group, consumer ]
+
+    if (count !== undefined)
+      args.push('COUNT', count)
+
+    if (block !== undefined)
+      args.push('BLOCK', block)
+
+    args.push('STREAMS', ...keyNamesTemp, ...keyNamesTemp.map(() => id))
+
+    const reply = await commands
+      .xreadgroupAsync(args)
+
+    return (reply || [])
+      .reduce((entries, [ keyName, keyEntries ]) => {
+        return entries.concat(
+          keyEntries
+            .map(entry => ({ keyName, ...this.parseEntry(entry, true) }))
+        )
+      }, [])
+  }
+
+  /**
+   * Acknowledges the entries `ids` processed by the `group` (removing them from the pending ones)
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {string} group The group name
+   * @param {(Array<string> | string)} ids The entry ids
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Number} The count of acknowledged entries
+  */
+  static ack(keyName, group, ids, commands = getRedisInstance()) {
+    const idsTemp = ids instanceof Array ?
+      ids :
+      [ids]
+
+    return commands
+      .xackAsync([ keyName, group, ...idsTemp ])
+  }
+
+  static delete(keyNames, commands = getRedisInstance()) {
+    const keyNamesTemp = keyNames instanceof Array ?
+      [ ...keyNames ] :
+      [keyNames]
+
+    return commands.delAsync(keyNamesTemp)
+  }
+
+  /**
+   * Returns whether the `keyName` is cached or not
+   * @async
+   *
+   * @param {string} keyName The `keyName`
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Boolean} Whether the `keyName` is cached or not
+  */
+  static async isCached(keyName, commands = getRedisInstance()) {
+    let isCached = false
+
+    if (keyName)
+      isCached = (await commands.existsAsync(keyName)) == 1
+
+    return isCached
+  }
+
+  /**
+   * Returns the value of a stream entry reply (`[ id, [ field, value, ... ] ]`)
+   *
+   * The entries added by other clients (without the `value` field) are returned as `{ field: value }` objects,
+   * and their `value` fields that are not `JSON` strings are returned as they are
+   *
+   * @param {Array} entry The entry reply
+   * @param {Boolean} [withId = false] Whether to return the entry as `{ id, value }` or not
+   *
+   * @return {*} The value
+  */
+  static parseEntry(entry, withId = false) {
+    const [ id, fields ] = entry
+
+    let value = null
+
+    if (fields) {
+      const valueIndex = fields
+        .findIndex((field, index) => index % 2 == 0 && field == VALUE_FIELD)
+
+      if (valueIndex > -1 && fields.length == 2)
+        value = this._parseValue(fields[valueIndex + 1])
+      else {
+        value = {}
+
+        for (let index = 0; index < fields.length; index += 2)
+          value[fields[index]] = fields[index + 1]
+      }
+    }
+
+    return withId ?
+      { id, value } :
+      value
+  }
+
+  static _parseValue(value) {
+    try {
+      return JSON.parse(value)
+    }
+    catch (error) {
+      return value
+    }
+  }
+
+  /**
+   * Adds the `xadd` command of the `value` entry
+   *
+   * @param {string} keyName The `key` name
+   * @param {*} value The value
+   * @param {Number} [maxLength] The max length of the stream
+   * @param {redis.Multi} commands The `redis` client or multi
+   *
+   * @return {Promise<string>} The `xadd` command
+  */
+  static _add(keyName, value, maxLength, commands) {
+    const args = [ keyName ]
+
+    if (maxLength > 0)
+      args.push('MAXLEN', '~', maxLength)
+
+    args.push('*', VALUE_FIELD, JSON.stringify(value === undefined ? null : value))
+
+    return commands
+      .xaddAsync(args)
+  }
+}
+
+module.exports = GenericSTREAMCache
\ No newline at end of file
@@ -1,21 +1,59 @@
 'use strict'
 
-const redis = global.redisInstance
+const { getRedisInstance } = require('../../configs/redisInstanceService')
+
+const stringScripts = require('./stringScripts')
+
+/**
+ * The store command of each set operation (i.e. `intersect` => `SINTERSTORE`)
+ * @type {Object<string, string>}
+*/
+const STORE_COMMANDS = {
+  union      : 'sunionstoreAsync',
+  intersect  : 'sinterstoreAsync',
+  difference : 'sdiffstoreAsync'
+}
 
 /**
  * Contains a set of simple methods to handle the `redis` `SET/STRING` keys operations
  * @class GenericSTRINGCache
 */
 class GenericSTRINGCache {
-  static getCache(keyName) {
-    return redis.smembersAsync(keyName)
+  /**
+   * Returns the members of the `keyName` set
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer of the members (`JSON` for objects by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The members (parsed back only when there is a `serializer`)
+  */
+  static async getCache(keyName, serializer = null, commands = getRedisInstance()) {
+    const members = await commands
+      .smembersAsync(keyName)
+
+    return this.parseMembers(members, serializer)
   }
 
-  static getListCache(keyNames, commands = redis) {
-    return commands.sunionAsync(keyNames)
+  /**
+   * Returns the members of all the `keyNames` sets
+   * @async
+   *
+   * @param {Array<string>} keyNames The list of `keyNames`
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer of the members (`JSON` for objects by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The members (parsed back only when there is a `serializer`)
+  */
+  static async getListCache(keyNames, serializer = null, commands = getRedisInstance()) {
+    const members = await commands
+      .sunionAsync(keyNames)
+
+    return this.parseMembers(members, serializer)
   }
 
-  static setCache(keyName, value, commands = redis) {
+  static setCache(keyName, value, serializer = null, commands = getRedisInstance()) {
     let promise = null
 
     if (keyName) {
@@ -23,14 +61,7 @@ class GenericSTRINGCache {
         value = [value]
 
       const values = value
-        .map(value => {
-          let valueTemp = value
-
-          if (value && value.constructor.name == 'Object')
-            valueTemp = JSON.stringify(value)
-
-          return valueTemp
-        })
+        .map(value => this.getMember(value, serializer))
 
       promise = commands
         .saddAsync([ keyName, ...values ])
@@ -39,7 +70,7 @@ class GenericSTRINGCache {
     return promise
   }
 
-  static remove (keyName, values = [],  commands = redis) {
+  static remove (keyName, values = [],  commands = getRedisInstance()) {
     if (values && !(values instanceof Array))
       values = [values]
 
@@ -47,12 +78,189 @@ class GenericSTRINGCache {
       .sremAsync([keyName].concat(values))
   }
 
-  static delete(keyNames) {
+  /**
+   * Returns whether the `value` is a member of the `keyName` set or not
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {*} value The value
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer of the members (`JSON` for objects by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Boolean} Whether the `value` is a member or not
+  */
+  static async isMember(keyName, value, serializer = null, commands = getRedisInstance()) {
+    return (await commands.sismemberAsync(keyName, this.getMember(value, serializer))) == 1
+  }
+
+  /**
+   * Returns the count of members of the `keyName` set
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Number} The count of members
+  */
+  static count(keyName, commands = getRedisInstance()) {
+    return commands
+      .scardAsync(keyName)
+  }
+
+  /**
+   * Returns the members of all the `keyNames` sets
+   * @async
+   *
+   * @param {Array<string>} keyNames The list of `keyNames`
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer of the members (`JSON` for objects by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The members
+  */
+  static async intersect(keyNames, serializer = null, commands = getRedisInstance()) {
+    const members = await commands
+      .sinterAsync(keyNames)
+
+    return this.parseMembers(members, serializer)
+  }
+
+  /**
+   * Returns the members of the first `keyNames` set that are not members of the other ones
+   * @async
+   *
+   * @param {Array<string>} keyNames The list of `keyNames`
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer of the members (`JSON` for objects by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The members
+  */
+  static async difference(keyNames, serializer = null, commands = getRedisInstance()) {
+    const members = await commands
+      .sdiffAsync(keyNames)
+
+    return this.parseMembers(members, serializer)
+  }
+
+  /**
+   * Returns `count` random members of the `keyName` set (distinct ones, or repeatable ones when `count` is negative)
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {Number} [count = 1] The count of members
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer of the members (`JSON` for objects by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The members
+  */
+  static async randomMembers(keyName, count = 1, serializer = null, commands = getRedisInstance()) {
+    const members = await commands
+      .srandmemberAsync(keyName, count)
+
+    return this.parseMembers(members, serializer)
+  }
+
+  /**
+   * Removes and returns `count` random members of the `keyName` set
+   * (hex encoded by the `popHex` script in case of a `binary` serializer, see `stringScripts`)
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {Number} [count = 1] The count of members
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer of the members (`JSON` for objects by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The removed members
+  */
+  static async pop(keyName, count = 1, serializer = null, commands = getRedisInstance()) {
+    let members = null
+
+    if (serializer && serializer.binary) {
+      members = (await commands.evalAsync(stringScripts.popHex, 1, keyName, count))
+        .map(member => Buffer.from(String(member), 'hex'))
+    }
+    else
+      members = await commands.spopAsync(keyName, count)
+
+    return this.parseMembers(members, serializer)
+  }
+
+  /**
+   * Moves the `value` from the `sourceKeyName` set to the `destinationKeyName` one
+   * @async
+   *
+   * @param {string} sourceKeyName The source `key` name
+   * @param {string} destinationKeyName The destination `key` name
+   * @param {*} value The value
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer of the members (`JSON` for objects by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Boolean} Whether the `value` was moved or not (`false` when it is not a member of the source set)
+  */
+  static async move(sourceKeyName, destinationKeyName, value, serializer = null, commands = getRedisInstance()) {
+    return (await commands.smoveAsync(sourceKeyName, destinationKeyName, this.getMember(value, serializer))) == 1
+  }
+
+  /**
+   * Saves the result of the set `operation` over the `keyNames` on the `destinationKeyName` (replacing it)
+   * @async
+   *
+   * @param {string} operation The operation (`union`, `intersect` or `difference`)
+   * @param {string} destinationKeyName The destination `key` name
+   * @param {Array<string>} keyNames The list of `keyNames`
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Number} The count of members of the destination set
+   *
+   * @throws {Error} When the `operation` is invalid
+  */
+  static async store(operation, destinationKeyName, keyNames, commands = getRedisInstance()) {
+    const command = STORE_COMMANDS[operation]
+
+    if (!command)
+      throw new Error(`Invalid set operation: ${operation}`)
+
+    return commands[command]([ destinationKeyName, ...keyNames ])
+  }
+
+  /**
+   * Returns the `value` as set member (by the `serializer` or, without it, `Objects` are mapped to `JSON` strings)
+   *
+   * @param {*} value The value
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer
+   *
+   * @return {*} The member
+  */
+  static getMember(value, serializer = null) {
+    let member = value
+
+    if (serializer)
+      member = serializer.serialize(value)
+    else if (value && value.constructor.name == 'Object')
+      member = JSON.stringify(value)
+
+    return member
+  }
+
+  /**
+   * Returns the values of the `members` (the `members` themselves when there is no `serializer`)
+   *
+   * @param {Array<string>} members The members
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer
+   *
+   * @return {Array} The values
+  */
+  static parseMembers(members, serializer = null) {
+    return serializer ?
+      members.map(member => serializer.deserialize(member)) :
+      members
+  }
+
+  static delete(keyNames, commands = getRedisInstance()) {
     const keyNamesTemp = keyNames instanceof Array ?
       [ ...keyNames ] :
       [keyNames]
 
-    return redis.delAsync(keyNamesTemp)
+    return commands.delAsync(keyNamesTemp)
   }
 
   /**
@@ -60,14 +268,15 @@ class GenericSTRINGCache {
    * @async
    *
    * @param {string} keyName The `keyName`
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
    *
    * @return {Boolean} Whether the `keyName` is cached or not
   */
-  static async isCached(keyName) {
+  static async isCached(keyName, commands = getRedisInstance()) {
     let isCached = false
 
     if (keyName)
-      isCached = (await redis.existsAsync(keyName)) == 1
+      isCached = (await commands.existsAsync(keyName)) == 1
 
     return isCached
   }
@@ -0,0 +1,184 @@
+'use strict'
+
+const { getRedisInstance } = require('../../configs/redisInstanceService')
+
+const SET_MODES = [ 'NX', 'XX' ]
+
+/**
+ * Contains a set of simple methods to handle the `redis` plain string keys (`GET`/`SET`) operations
+ *
+ * The values are saved as `JSON` strings (so any `JSON` serializable value can be cached without `ReJSON`),
+ * or by the `serializer` passed, and parsed back on reading
+ *
+ * @class GenericVALUECache
+*/
+class GenericVALUECache {
+  /**
+   * Returns the value of the `keyName`
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer of the values (`JSON` by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {*} The value (`null` when the `keyName` does not exist)
+  */
+  static async getCache(keyName, serializer = null, commands = getRedisInstance()) {
+    const value = await commands
+      .getAsync(keyName)
+
+    return this.parseValue(value, serializer)
+  }
+
+  /**
+   * Returns the values of the `keyNames` (using a single `MGET`)
+   * @async
+   *
+   * @param {Array<string>} keyNames The list of `keyNames`
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer of the values (`JSON` by default)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The values of the cached `keyNames`
+  */
+  static async getListCache(keyNames, serializer = null, commands = getRedisInstance()) {
+    let values = []
+
+    if (keyNames && keyNames.length) {
+      values = (await commands.mgetAsync(keyNames))
+        .filter(value => value != null)
+        .map(value => this.parseValue(value, serializer))
+    }
+
+    return values
+  }
+
+  /**
+   * Sets the `value` of the `keyName`
+   *
+   * @param {string} keyName The `key` name
+   * @param {*} value The value (must be `JSON` serializable, or supported by the `serializer`)
+   * @param {Object} [params = {}] The `SET` params
+   * @param {string} [params.mode] `'NX'` to only set the `keyName` when it does not exist or `'XX'` when it does
+   * @param {Number} [params.ttl] The `ttl` of the `keyName` in seconds (`SET ... EX`, so it is only set along with the value)
+   * @param {Boolean} [params.get = false] Whether to reply the old value (`SET ... GET`) or not
+   * @param {GenericRedisCache.Serializer} [params.serializer] The serializer of the values (`JSON` by default)
+   * @param {redis.Multi} [commands = redis] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Promise} The `set` command (`'OK'`, `null` when not set because of `mode` or the old value string when `get`)
+  */
+  static setCache(keyName, value, params = {}, commands = getRedisInstance()) {
+    let promise = null
+
+    if (keyName) {
+      const { mode, ttl, get = false, serializer } = params || {}
+      const args = [ keyName, this.getValue(value, serializer) ]
+
+      if (ttl > 0)
+        args.push('EX', ttl)
+
+      if (mode)
+        args.push(this.getMode(mode))
+
+      if (get)
+        args.push('GET')
+
+      promise = commands
+        .setAsync(args)
+    }
+
+    return promise
+  }
+
+  /**
+   * Sets the `value` of the `keyName`, returning the old one (`SET ... GET`)
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {*} value The value (must be `JSON` serializable, or supported by the `serializer`)
+   * @param {Object} [params = {}] The `SET` params (@see {@link GenericVALUECache.setCache})
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {*} The old value (`null` when the `keyName` did not exist)
+  */
+  static async getSet(keyName, value, params = {}, commands = getRedisInstance()) {
+    const oldValue = await this
+      .setCache(keyName, value, { ...params, get: true }, commands)
+
+    return this.parseValue(oldValue, (params || {}).serializer)
+  }
+
+  static delete(keyNames, commands = getRedisInstance()) {
+    const keyNamesTemp = keyNames instanceof Array ?
+      [ ...keyNames ] :
+      [keyNames]
+
+    return commands.delAsync(keyNamesTemp)
+  }
+
+  /**
+   * Returns whether the `keyName` is cached or not
+   * @async
+   *
+   * @param {string} keyName The `keyName`
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Boolean} Whether the `keyName` is cached or not
+  */
+  static async isCached(keyName, commands = getRedisInstance()) {
+    let isCached = false
+
+    if (keyName)
+      isCached = (await commands.existsAsync(keyName)) == 1
+
+    return isCached
+  }
+
+  /**
+   * Returns the `JSON` string of the `value` (or the string of the `serializer`)
+   *
+   * @param {*} value The value
+   * @param {GenericRedisCache.Serializer} [serializer] The serializer
+   *
+   * @return {string} The `JSON` string
+  */
+  static getValue(value, serializer = null) {
+    return serializer ?
+      serializer.serialize(value) :
+      JSON.stringify(value === undefined ? null : value)
+  }
+
+  /**
+   * Returns the `SET` `mode` (uppercased)
+   *
+   * @param {string} mode The `SET` mode (`'NX'` or `'XX'`)
+   *
+   * @return {string} The `SET` mode
+   *
+   * @throws {Error} When the `mode` is not `NX` or `XX`
+  */
+  static getMode(mode) {
+    const modeTemp = String(mode).toUpperCase()
+
+    if (!SET_MODES.includes(modeTemp))
+      throw new Error(`Invalid \`SET\` mode: ${mode}`)
+
+    return modeTemp
+  }
+
+  static parseValue(value, serializer = null) {
+    if (value == null)
+      return null
+
+    if (serializer)
+      return serializer.deserialize(value)
+
+    try {
+      return JSON.parse(value)
+    }
+    catch (error) {
+      return value
+    }
+  }
+}
+
+module.exports = GenericVALUECache
\ No newline at end of file
@@ -0,0 +1,322 @@
+'use strict'
+
+const { getRedisInstance } = require('../../configs/redisInstanceService')
+
+/**
+ * Contains a set of simple methods to handle the `redis` sorted set (`ZSET`) keys operations
+ *
+ * The members are saved as `JSON` strings (so `'10'` and `10` are different members) and parsed back on reading
+ *
+ * @class GenericZSETCache
+*/
+class GenericZSETCache {
+  /**
+   * Returns the members of the `keyName` (by rank or, when `min`/`max` is passed, by score)
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {Object} [params = {}] The range params
+   * @param {Number} [params.start = 0] The start rank
+   * @param {Number} [params.stop = -1] The stop rank
+   * @param {(Number | string)} [params.min] The min score (i.e. `10`, `'(10'` for exclusive or `'-inf'`)
+   * @param {(Number | string)} [params.max] The max score (i.e. `20`, `'(20'` for exclusive or `'+inf'`)
+   * @param {Number} [params.offset] The count of members to skip (by score only)
+   * @param {Number} [params.count] The max count of members (by score only)
+   * @param {Boolean} [params.reverse = false] Whether to order from the highest score or not
+   * @param {Boolean} [params.withScores = false] Whether to return the members as `{ member, score }` or not
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The members
+  */
+  static getCache(keyName, params = {}, commands = getRedisInstance()) {
+    const paramsTemp = params || {}
+
+    return paramsTemp.min !== undefined || paramsTemp.max !== undefined ?
+      this.rangeByScore(keyName, paramsTemp.min, paramsTemp.max, paramsTemp, commands) :
+      this.range(keyName, paramsTemp.start, paramsTemp.stop, paramsTemp, commands)
+  }
+
+  /**
+   * Returns the members of all the `keyNames` (@see {@link GenericZSETCache.getCache})
+   * @async
+   *
+   * @param {Array<string>} keyNames The list of `keyNames`
+   * @param {Object} [params = {}] The range params of each key
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The members
+  */
+  static async getListCache(keyNames, params = {}, commands = getRedisInstance()) {
+    const members = await Promise.all(
+      keyNames
+        .map(keyName => this.getCache(keyName, params, commands))
+    )
+
+    return members
+      .reduce((membersTemp, keyMembers) => membersTemp.concat(keyMembers), [])
+  }
+
+  /**
+   * Adds the `value` members to the `keyName`
+   *
+   * @param {string} keyName The `key` name
+   * @param {*} value The member (or list of members)
+   * @param {(Number | Function)} [score = 0] The score of the members or a `function(member)` returning it
+   * @param {redis.Multi} [commands = redis] The `redis` multi command object to chain(See {@link https://github.com/NodeRedis/node_redis#clientmulticommands})
+   *
+   * @return {Promise<Number>} The `zadd` command (the count of new members)
+  */
+  static setCache(keyName, value, score = 0, commands = getRedisInstance()) {
+    let promise = null
+
+    if (keyName) {
+      const values = value instanceof Array ?
+        value :
+        [value]
+
+      const args = values
+        .reduce((argsTemp, member) => {
+          const memberScore = score instanceof Function ?
+            score(member) :
+            score
+
+          return argsTemp.concat([ memberScore, this.getMember(member) ])
+        }, [])
+
+      if (args.length) {
+        promise = commands
+          .zaddAsync([ keyName, ...args ])
+      }
+    }
+
+    return promise
+  }
+
+  /**
+   * Returns the members of the `keyName` between the `start` and `stop` ranks
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {Number} [start = 0] The start rank
+   * @param {Number} [stop = -1] The stop rank
+   * @param {Object} [params = {}] The params
+   * @param {Boolean} [params.reverse = false] Whether to order from the highest score or not
+   * @param {Boolean} [params.withScores = false] Whether to return the members as `{ member, score }` or not
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The members
+  */
+  static async range(keyName, start = 0, stop = -1, params = {}, commands = getRedisInstance()) {
+    const { reverse = false, withScores = false } = params
+    const args = [ keyName, start, stop ]
+
+    if (withScores)
+      args.push('WITHSCORES')
+
+    const reply = reverse ?
+      await commands.zrevrangeAsync(args) :
+      await commands.zrangeAsync(args)
+
+    return this._parseReply(reply, withScores)
+  }
+
+  /**
+   * Returns the members of the `keyName` with score between `min` and `max`
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {(Number | string)} [min = '-inf'] The min score (i.e. `10`, `'(10'` for exclusive)
+   * @param {(Number | string)} [max = '+inf'] The max score (i.e. `20`, `'(20'` for exclusive)
+   * @param {Object} [params = {}] The params
+   * @param {Number} [params.offset] The count of members to skip
+   * @param {Number} [params.count] The max count of members
+   * @param {Boolean} [params.reverse = false] Whether to order from the highest score or not
+   * @param {Boolean} [params.withScores = false] Whether to return the members as `{ member, score }` or not
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Array} The members
+  */
+  static async rangeByScore(keyName, min = '-inf', max = '+inf', params = {}, commands = getRedisInstance()) {
+    const { offset, count, reverse = false, withScores = false } = params
+
+    const args = reverse ?
+      [ keyName, max, min ] :
+      [ keyName, min, max ]
+
+    if (withScores)
+      args.push('WITHSCORES')
+
+    if (offset !== undefined || count !== undefined)
+      args.push('LIMIT', offset || 0, count === undefined ? -1 : count)
+
+    const reply = reverse ?
+      await commands.zrevrangebyscoreAsync(args) :
+      await commands.zrangebyscoreAsync(args)
+
+    return this._parseReply(reply, withScores)
+  }
+
+  /**
+   * Returns the rank of the `member` (`null` when it is not on `keyName`)
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {*} member The member
+   * @param {Boolean} [reverse = false] Whether to rank from the highest score or not
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Number} The rank
+  */
+  static rank(keyName, member, reverse = false, commands = getRedisInstance()) {
+    return reverse ?
+      commands.zrevrankAsync(keyName, this.getMember(member)) :
+      commands.zrankAsync(keyName, this.getMember(member))
+  }
+
+  /**
+   * Increments the score of the `member` (adding it when it is not on `keyName`)
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {*} member The member
+   * @param {Number} [increment = 1] The increment
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Number} The new score
+  */
+  static async increment(keyName, member, increment = 1, commands = getRedisInstance()) {
+    const score = await commands
+      .zincrbyAsync(keyName, increment, this.getMember(member))
+
+    return this._parseScore(score)
+  }
+
+  /**
+   * Removes the `values` members from `keyName`
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {*} [values = []] The member (or list of members)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Number} The count of removed members
+  */
+  static remove(keyName, values = [], commands = getRedisInstance()) {
+    if (values && !(values instanceof Array))
+      values = [values]
+
+    return commands
+      .zremAsync([ keyName, ...values.map(value => this.getMember(value)) ])
+  }
+
+  /**
+   * Returns the count of members with score between `min` and `max`
+   * @async
+   *
+   * @param {string} keyName The `key` name
+   * @param {(Number | string)} [min = '-inf'] The min score (i.e. `10`, `'(10'` for exclusive)
+   * @param {(Number | string)} [max = '+inf'] The max score (i.e. `20`, `'(20'` for exclusive)
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Number} The count of members
+  */
+  static count(keyName, min = '-inf', max = '+inf', commands = getRedisInstance()) {
+    return commands
+      .zcountAsync(keyName, min, max)
+  }
+
+  static delete(keyNames, commands = getRedisInstance()) {
+    const keyNamesTemp = keyNames instanceof Array ?
+      [ ...keyNames ] :
+      [keyNames]
+
+    return commands.delAsync(keyNamesTemp)
+  }
+
+  /**
+   * Returns whether the `keyName` is cached or not
+   * @async
+   *
+   * @param {string} keyName The `keyName`
+   * @param {redis.RedisClient} [commands = getRedisInstance()] The `redis` client
+   *
+   * @return {Boolean} Whether the `keyName` is cached or not
+  */
+  static async isCached(keyName, commands = getRedisInstance()) {
+    let isCached = false
+
+    if (keyName)
+      isCached = (await commands.existsAsync(keyName)) == 1
+
+    return isCached
+  }
+
+  /**
+   * Returns the member string of the `value` (its `JSON` string, keeping the type of the `value`)
+   *
+   * @param {*} value The value
+   *
+   * @return {string} The member
+  */
+  static getMember(value) {
+    return JSON.stringify(value)
+  }
+
+  /**
+   * Returns the value of the `member` (the `member` itself when it is not a `JSON` string, i.e. added by other clients)
+   *
+   * @param {string} member The member
+   *
+   * @return {*} The value
+  */
+  static parseMember(member) {
+    try {
+      return JSON.parse(member)
+    }
+    catch (error) {
+      return member
+    }
+  }
+
+  /**
+   * Returns the parsed members of a range reply
+   *
+   * @param {Array<string>} reply The `redis` reply
+   * @param {Boolean} withScores Whether the reply has the scores or not
+   *
+   * @return {Array} The members (or `{ member, score }` when `withScores`)
+  */
+  static _parseReply(reply, withScores) {
+    let members = reply
+      .map(member => this.parseMember(member))
+
+    if (withScores) {
+      members = members
+        .filter((member, index) => index % 2 == 0)
+        .map((member, index) => ({ member, score: this._parseScore(reply[index * 2 + 1]) }))
+    }
+
+    return members
+  }
+
+  /**
+   * Returns the score of a `redis` reply (i.e. `'1.5'`, `'inf'`, `'-inf'`)
+   *
+   * @param {string} score The score string
+   *
+   * @return {Number} The score
+  */
+  static _parseScore(score) {
+    const infinities = {
+      'inf'   : Infinity,
+      '+inf'  : Infinity,
+      '-inf'  : -Infinity
+    }
+
+    return score in infinities ?
+      infinities[score] :
+      Number(score)
+  }
+}
+
+module.exports = GenericZSETCache
\ No newline at end of file
@@ -0,0 +1,19 @@
+'use strict'
+
+/**
+ * `Lua` scripts of the `HASH_OBJECT` keys (@see {@link GenericHASHObjectCache})
+ *
+ * The `ifExists` script receives the key name as `KEYS[1]` and the hash command (i.e. `HINCRBY`) and its arguments as `ARGV`.
+ * It runs the command only when the key exists, so the field writes never create a partial object without the key `ttl`
+*/
+const hashObjectScripts = {
+  ifExists : `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return false
+end
+
+return redis.call(ARGV[1], KEYS[1], unpack(ARGV, 2))
+`
+}
+
+module.exports = hashObjectScripts
\ No newline at end of file
@@ -0,0 +1,976 @@
+'use strict'
+
+/**
+ * Shared `Lua` helpers of the `JSON` scripts: the documents are plain string keys (the `JSON` string),
+ * decoded with `cjson`, changed and encoded back (keeping the key `ttl`)
+ *
+ * The decoded arrays have the `ARRAY_MT` metatable (`cjson.array_mt` on `redis` >= 7). On older versions, whose `cjson`
+ * decodes and encodes the empty arrays as `{}`, they are replaced by a mark string (with `\0` chars) around the `cjson` calls
+*/
+const PRELUDE = `
+if cjson.decode_array_with_array_mt then
+  cjson.decode_array_with_array_mt(true)
+end
+
+local ARRAY_MT = cjson.array_mt or {}
+local BACKSLASH = string.char(92)
+local EMPTY_ARRAY = string.char(0) .. 'empty_array' .. string.char(0)
+local EMPTY_ARRAY_JSON = '"' .. BACKSLASH .. 'u0000empty_array' .. BACKSLASH .. 'u0000"'
+
+-- Raised as a table, replied as an error by the top level of the scripts (see toScript)
+local function fail(message)
+  error({ err = message })
+end
+
+local function is_array(value)
+  return type(value) == 'table' and getmetatable(value) == ARRAY_MT
+end
+
+local function mark_empty_arrays(json)
+  local parts = {}
+  local position = 1
+
+  while true do
+    local start = string.find(json, '["%[]', position)
+    local stop = start
+
+    if not start then
+      break
+    elseif string.sub(json, start, start) == '"' then
+      repeat
+        stop = string.find(json, '["' .. BACKSLASH .. ']', stop + 1)
+
+        local is_escape = stop and string.sub(json, stop, stop) == BACKSLASH
+
+        if is_escape then
+          stop = stop + 1
+        end
+      until not is_escape
+
+      stop = stop or #json
+
+      table.insert(parts, string.sub(json, position, stop))
+    else
+      local _, empty_stop = string.find(json, '^%[%s*%]', start)
+
+      if empty_stop then
+        stop = empty_stop
+
+        table.insert(parts, string.sub(json, position, start - 1) .. EMPTY_ARRAY_JSON)
+      else
+        table.insert(parts, string.sub(json, position, start))
+      end
+    end
+
+    position = stop + 1
+  end
+
+  table.insert(parts, string.sub(json, position))
+
+  return table.concat(parts)
+end
+
+local function unmark_empty_arrays(value)
+  if value == EMPTY_ARRAY then
+    return setmetatable({}, ARRAY_MT)
+  elseif type(value) == 'table' then
+    if #value > 0 then
+      setmetatable(value, ARRAY_MT)
+    end
+
+    for key, item in pairs(value) do
+      value[key] = unmark_empty_arrays(item)
+    end
+  end
+
+  return value
+end
+
+local function get_marked_copy(value)
+  if type(value) ~= 'table' then
+    return value
+  elseif getmetatable(value) == ARRAY_MT and #value == 0 then
+    return EMPTY_ARRAY
+  end
+
+  local copy = {}
+
+  for key, item in pairs(value) do
+    copy[key] = get_marked_copy(item)
+  end
+
+  return copy
+end
+
+local function encode(value)
+  if cjson.array_mt then
+    return cjson.encode(value)
+  end
+
+  return (string.gsub(cjson.encode(get_marked_copy(value)), EMPTY_ARRAY_JSON, '[]'))
+end
+
+local function get_type(value)
+  if value == cjson.null then
+    return 'null'
+  elseif is_array(value) then
+    return 'array'
+  elseif type(value) == 'table' then
+    return 'object'
+  end
+
+  return type(value)
+end
+
+local function get_tokens(path)
+  local tokens = {}
+
+  if path == nil or path == '.' or path == '$' then
+    return tokens
+  elseif string.sub(path, 1, 1) == '$' then
+    path = string.sub(path, 2)
+  end
+
+  local position = 1
+
+  while position <= #path do
+    local token, next_position = string.match(path, [[^%.?([^%.%[%]"']+)()]], position)
+
+    if not token then
+      token, next_position = string.match(path, [[^%[(%-?%d+)%]()]], position)
+
+      if token then
+        token = tonumber(token)
+      else
+        token, next_position = string.match(path, [[^%[["']([^"']*)["']%]()]], position)
+      end
+    end
+
+    if not token then
+      fail('ERR Search path error at offset ' .. (position - 1) .. ': syntax error')
+    end
+
+    table.insert(tokens, token)
+    position = next_position
+  end
+
+  return tokens
+end
+
+local function get_child(value, token)
+  if type(token) == 'number' and is_array(value) then
+    local index = token
+
+    if index < 0 then
+      index = #value + index
+    end
+
+    if index >= 0 and index < #value then
+      return true, value[index + 1], index + 1
+    end
+  elseif type(token) == 'string' and get_type(value) == 'object' and value[token] ~= nil then
+    return true, value[token], token
+  end
+
+  return false
+end
+
+local function get_at(document, tokens, count)
+  local value = document
+
+  for index = 1, (count or #tokens) do
+    local found
+
+    found, value = get_child(value, tokens[index])
+
+    if not found then
+      return false
+    end
+  end
+
+  return true, value
+end
+
+local function get_path_value(document, path)
+  local found, value = get_at(document, get_tokens(path))
+
+  if not found then
+    fail("ERR Path '" .. path .. "' does not exist")
+  end
+
+  return value
+end
+
+local function is_json_path(path)
+  return type(path) == 'string' and string.sub(path, 1, 1) == '$'
+end
+
+local function to_json_path(path)
+  local first = path and string.sub(path, 1, 1)
+
+  if path == nil or path == '.' then
+    return '$'
+  elseif first == '$' then
+    return path
+  elseif first == '.' or first == '[' then
+    return '$' .. path
+  end
+
+  return '$.' .. path
+end
+
+local function get_json_path_tokens(path)
+  local tokens = {}
+  local position = 2
+
+  while position <= #path do
+    local token = nil
+    local dots, value, next_position = string.match(path, [[^(%.%.?)([^%.%[%]"'%*]+)()]], position)
+
+    if value then
+      token = { kind = 'key', value = value }
+    else
+      dots, next_position = string.match(path, [[^(%.%.?)%*()]], position)
+
+      if not dots then
+        dots, next_position = string.match(path, [[^(%.?%.?)%[%*%]()]], position)
+      end
+
+      if dots then
+        token = { kind = 'wildcard' }
+      else
+        dots, value, next_position = string.match(path, [[^(%.?%.?)%[(%-?%d+)%]()]], position)
+
+        if value then
+          token = { kind = 'index', value = tonumber(value) }
+        else
+          dots, value, next_position = string.match(path, [[^(%.?%.?)%[["']([^"']*)["']%]()]], position)
+
+          if value then
+            token = { kind = 'key', value = value }
+          end
+        end
+      end
+    end
+
+    if not token then
+      fail('ERR Search path error at offset ' .. (position - 1) .. ': syntax error')
+    end
+
+    token.recursive = dots == '..'
+
+    table.insert(tokens, token)
+    position = next_position
+  end
+
+  return tokens
+end
+
+local function add_children(matches, value)
+  if is_array(value) then
+    for index, item in ipairs(value) do
+      table.insert(matches, { parent = value, key = index, value = item })
+    end
+  elseif get_type(value) == 'object' then
+    for key, item in pairs(value) do
+      table.insert(matches, { parent = value, key = key, value = item })
+    end
+  end
+end
+
+local function add_descendants(matches, match)
+  local children = {}
+
+  table.insert(matches, match)
+  add_children(children, match.value)
+
+  for _, child in ipairs(children) do
+    add_descendants(matches, child)
+  end
+end
+
+local function get_json_path_matches(document, tokens)
+  local matches = { { value = document } }
+
+  for _, token in ipairs(tokens) do
+    local candidates = matches
+
+    if token.recursive then
+      candidates = {}
+
+      for _, match in ipairs(matches) do
+        add_descendants(candidates, match)
+      end
+    end
+
+    matches = {}
+
+    for _, candidate in ipairs(candidates) do
+      if token.kind == 'wildcard' then
+        add_children(matches, candidate.value)
+      else
+        local found, value, key = get_child(candidate.value, token.value)
+
+        if found then
+          table.insert(matches, { parent = candidate.value, key = key, value = value })
+        end
+      end
+    end
+  end
+
+  return matches
+end
+
+local function get_encoded_value(document, path, json_path)
+  if not json_path then
+    return encode(get_path_value(document, path))
+  end
+
+  local values = {}
+
+  for _, match in ipairs(get_json_path_matches(document, get_json_path_tokens(to_json_path(path)))) do
+    table.insert(values, encode(match.value))
+  end
+
+  return '[' .. table.concat(values, ',') .. ']'
+end
+
+local function check_type(value, expected)
+  local value_type = get_type(value)
+
+  if value_type ~= expected then
+    fail('ERR wrong type of path value - expected ' .. expected .. ' but found ' .. value_type)
+  end
+
+  return value
+end
+
+local function get_typed_value(document, path, expected)
+  return check_type(get_path_value(document, path), expected)
+end
+
+local function decode(json)
+  local ok, value = pcall(cjson.decode, cjson.array_mt and json or mark_empty_arrays(json))
+
+  if not ok then
+    fail('ERR ' .. tostring(value))
+  end
+
+  return cjson.array_mt and value or unmark_empty_arrays(value)
+end
+
+local function get_document(key, message)
+  local json = redis.call('GET', key)
+
+  if not json and message then
+    fail(message)
+  end
+
+  return json and decode(json), json
+end
+
+local function save_document(key, document)
+  redis.call('SET', key, encode(document), 'KEEPTTL')
+end
+
+local MISSING_KEY_MESSAGE = "ERR could not perform this operation on a key that doesn't exist"
+`
+
+/**
+ * Returns the script running the `body` (after the `PRELUDE`) on a `pcall`, so the errors raised by `fail` (and by `redis.call`)
+ * are replied by `redis.error_reply` from the top level: the raised tables are only replied as plain errors on `redis` >= 7
+ *
+ * @param {string} body The script body
+ *
+ * @return {string} The script
+*/
+function toScript(body) {
+  return `${PRELUDE}
+local ok, reply = pcall(function()
+${body}
+end)
+
+if not ok then
+  return redis.error_reply(type(reply) == 'table' and reply.err or tostring(reply))
+end
+
+return reply
+`
+}
+
+/**
+ * `Lua` scripts emulating the `ReJSON` commands (with the same arguments and replies) over plain string keys,
+ * used when the `redis` server does not have the module (see [`GenericJSONCache.detectJSONModule`]{@link GenericJSONCache.detectJSONModule})
+ *
+ * Each script receives the key name as `KEYS[1]` and the command arguments (after the key name) as `ARGV`,
+ * except `update` (@see {@link GenericJSONCache.update}) and `push` (@see {@link GenericJSONArrayCache.push}),
+ * that also run over the `ReJSON` documents
+*/
+const jsonScripts = {
+  get : toScript(`
+local json = redis.call('GET', KEYS[1])
+
+if not json then
+  return nil
+end
+
+local paths = {}
+local index = 1
+
+while index <= #ARGV do
+  local option = string.upper(ARGV[index])
+
+  if option == 'INDENT' or option == 'NEWLINE' or option == 'SPACE' then
+    index = index + 1
+  elseif option ~= 'NOESCAPE' then
+    table.insert(paths, ARGV[index])
+  end
+
+  index = index + 1
+end
+
+local json_path = false
+
+for _, path in ipairs(paths) do
+  json_path = json_path or is_json_path(path)
+end
+
+if #paths <= 1 then
+  if not json_path and #get_tokens(paths[1]) == 0 then
+    return json
+  end
+
+  return get_encoded_value(decode(json), paths[1], json_path)
+end
+
+local document = decode(json)
+local values = {}
+
+for _, path in ipairs(paths) do
+  table.insert(values, encode(path) .. ':' .. get_encoded_value(document, path, json_path))
+end
+
+return '{' .. table.concat(values, ',') .. '}'
+`),
+
+  mget : toScript(`
+local path = ARGV[1]
+local replies = {}
+
+for index, key in ipairs(KEYS) do
+  local json = redis.pcall('GET', key)
+  local reply = false
+
+  if type(json) == 'string' then
+    local ok, value = pcall(function()
+      return get_encoded_value(decode(json), path, is_json_path(path))
+    end)
+
+    if ok then
+      reply = value
+    end
+  end
+
+  replies[index] = reply
+end
+
+return replies
+`),
+
+  set : toScript(`
+local path, json, condition = ARGV[1], ARGV[2], ARGV[3] and string.upper(ARGV[3])
+local value = decode(json)
+local document, current = get_document(KEYS[1])
+
+if not current and path ~= '.' and path ~= '$' then
+  fail('ERR new objects must be created at the root')
+end
+
+if is_json_path(path) and path ~= '$' then
+  local tokens = get_json_path_tokens(path)
+  local matches = get_json_path_matches(document, tokens)
+  local targets = {}
+
+  if #matches > 0 then
+    if condition ~= 'NX' then
+      targets = matches
+    end
+  else
+    local token = table.remove(tokens)
+
+    if condition ~= 'XX' and token.kind == 'key' and not token.recursive then
+      for _, match in ipairs(get_json_path_matches(document, tokens)) do
+        if get_type(match.value) == 'object' then
+          table.insert(targets, { parent = match.value, key = token.value })
+        end
+      end
+    end
+  end
+
+  if #targets == 0 then
+    return nil
+  end
+
+  for _, target in ipairs(targets) do
+    target.parent[target.key] = decode(json)
+  end
+
+  save_document(KEYS[1], document)
+
+  return 'OK'
+end
+
+local tokens = get_tokens(path)
+
+local exists = current and get_at(document, tokens)
+
+if (condition == 'NX' and exists) or (condition == 'XX' and not exists) then
+  return nil
+end
+
+if #tokens == 0 then
+  redis.call('SET', KEYS[1], json, 'KEEPTTL')
+else
+  local found, parent = get_at(document, tokens, #tokens - 1)
+  local token = tokens[#tokens]
+
+  if not found or type(parent) ~= 'table' then
+    fail('ERR missing key at non-terminal path level')
+  end
+
+  if is_array(parent) then
+    local index = type(token) == 'number' and token or #parent
+
+    if index < 0 then
+      index = #parent + index
+    end
+
+    if index < 0 or index >= #parent then
+      fail('ERR array index out of range')
+    end
+
+    parent[index + 1] = value
+  else
+    parent[tostring(token)] = value
+  end
+
+  save_document(KEYS[1], document)
+end
+
+return 'OK'
+`),
+
+  del : toScript(`
+local document, json = get_document(KEYS[1])
+
+if not json then
+  return 0
+end
+
+if is_json_path(ARGV[1]) and ARGV[1] ~= '$' then
+  local matches = get_json_path_matches(document, get_json_path_tokens(ARGV[1]))
+  local removed = {}
+  local arrays = {}
+
+  for _, match in ipairs(matches) do
+    if is_array(match.parent) then
+      match.parent[match.key] = removed
+      arrays[match.parent] = true
+    else
+      match.parent[match.key] = nil
+    end
+  end
+
+  for array in pairs(arrays) do
+    local items = {}
+
+    for _, item in ipairs(array) do
+      if item ~= removed then
+        table.insert(items, item)
+      end
+    end
+
+    for index = #array, 1, -1 do
+      array[index] = nil
+    end
+
+    for index, item in ipairs(items) do
+      array[index] = item
+    end
+  end
+
+  if #matches > 0 then
+    save_document(KEYS[1], document)
+  end
+
+  return #matches
+end
+
+local tokens = get_tokens(ARGV[1])
+
+if #tokens == 0 then
+  return redis.call('DEL', KEYS[1])
+end
+
+local found, parent = get_at(document, tokens, #tokens - 1)
+
+if not found then
+  return 0
+end
+
+local exists, _, position = get_child(parent, tokens[#tokens])
+
+if not exists then
+  return 0
+end
+
+if is_array(parent) then
+  table.remove(parent, position)
+else
+  parent[position] = nil
+end
+
+save_document(KEYS[1], document)
+
+return 1
+`),
+
+  objlen : toScript(`
+local document, json = get_document(KEYS[1])
+
+if not json then
+  return nil
+end
+
+local count = 0
+
+for _ in pairs(get_typed_value(document, ARGV[1] or '.', 'object')) do
+  count = count + 1
+end
+
+return count
+`),
+
+  arrlen : toScript(`
+local document, json = get_document(KEYS[1])
+
+if not json then
+  return nil
+end
+
+return #get_typed_value(document, ARGV[1] or '.', 'array')
+`),
+
+  update : toScript(`
+local NATIVE_COMMANDS = {
+  incr      = 'JSON.NUMINCRBY',
+  multiply  = 'JSON.NUMMULTBY',
+  strAppend = 'JSON.STRAPPEND',
+  arrAppend = 'JSON.ARRAPPEND',
+  arrPop    = 'JSON.ARRPOP'
+}
+
+local function merge(value, patch)
+  if get_type(patch) ~= 'object' then
+    return patch
+  end
+
+  if get_type(value) ~= 'object' then
+    value = {}
+  end
+
+  for key, item in pairs(patch) do
+    if item == cjson.null then
+      value[key] = nil
+    else
+      value[key] = merge(value[key], item)
+    end
+  end
+
+  return value
+end
+
+local function apply_value(op, value, args)
+  if op == 'incr' then
+    return check_type(value, 'number') + tonumber(args[1])
+  elseif op == 'multiply' then
+    return check_type(value, 'number') * tonumber(args[1])
+  elseif op == 'strAppend' then
+    return check_type(value, 'string') .. decode(args[1])
+  elseif op == 'toggle' then
+    return not check_type(value, 'boolean')
+  elseif op == 'merge' then
+    return merge(value, decode(args[1]))
+  elseif op == 'arrAppend' then
+    check_type(value, 'array')
+
+    for _, arg in ipairs(args) do
+      table.insert(value, decode(arg))
+    end
+  elseif op == 'arrPop' then
+    check_type(value, 'array')
+
+    local position = tonumber(args[1] or -1)
+
+    if position < 0 then
+      position = math.max(#value + position, 0)
+    end
+
+    if #value > 0 then
+      table.remove(value, math.min(position, #value - 1) + 1)
+    end
+  else
+    fail('ERR unknown update operation ' .. tostring(op))
+  end
+
+  return value
+end
+
+local function apply_operation(document, operation)
+  local matches = get_json_path_matches(document, get_json_path_tokens(to_json_path(operation.path)))
+
+  if #matches == 0 and not is_json_path(operation.path) then
+    fail("ERR Path '" .. operation.path .. "' does not exist")
+  end
+
+  for _, match in ipairs(matches) do
+    local value = apply_value(operation.op, match.value, operation.args)
+
+    if match.parent then
+      match.parent[match.key] = value
+    else
+      document = value
+    end
+  end
+
+  return document
+end
+
+local function run_native(key, operation)
+  local command = NATIVE_COMMANDS[operation.op]
+
+  if command then
+    return redis.call(command, key, operation.path, unpack(operation.args))
+  end
+
+  local value = decode(redis.call('JSON.GET', key, operation.path))
+
+  if is_json_path(operation.path) then
+    value = value[1]
+  end
+
+  return redis.call('JSON.SET', key, operation.path, encode(apply_value(operation.op, value, operation.args)))
+end
+
+local key, storage, dry_run = KEYS[1], ARGV[1], ARGV[2] == '1'
+local operations = {}
+local index = 3
+
+if redis.call('EXISTS', key) == 0 then
+  return nil
+end
+
+while index <= #ARGV do
+  local count = tonumber(ARGV[index + 2])
+  local args = {}
+
+  for position = 1, count do
+    table.insert(args, ARGV[index + 2 + position])
+  end
+
+  table.insert(operations, { op = ARGV[index], path = ARGV[index + 1], args = args })
+  index = index + 3 + count
+end
+
+if storage == 'json' and not dry_run then
+  for _, operation in ipairs(operations) do
+    run_native(key, operation)
+  end
+
+  return redis.call('JSON.GET', key)
+end
+
+local document = decode(redis.call(storage == 'json' and 'JSON.GET' or 'GET', key))
+
+for _, operation in ipairs(operations) do
+  document = apply_operation(document, operation)
+end
+
+local json = encode(document)
+
+if not dry_run then
+  redis.call('SET', key, json, 'KEEPTTL')
+end
+
+return json
+`),
+
+  push : toScript(`
+local key, storage, path = KEYS[1], ARGV[1], ARGV[2]
+local position, max_length, dedupe_count = tonumber(ARGV[3]), tonumber(ARGV[4]), tonumber(ARGV[5])
+local dedupe_attrs, items, dedupe_keys = {}, {}, {}
+
+local function get_dedupe_key(item)
+  if dedupe_count == 0 or get_type(item) ~= 'object' then
+    return nil
+  end
+
+  local values = {}
+
+  for _, attr in ipairs(dedupe_attrs) do
+    local value = item[attr]
+
+    if value == nil then
+      value = cjson.null
+    end
+
+    table.insert(values, encode(value))
+  end
+
+  return table.concat(values, ',')
+end
+
+for index = 1, dedupe_count do
+  table.insert(dedupe_attrs, ARGV[5 + index])
+end
+
+for index = 6 + dedupe_count, #ARGV do
+  local item = decode(ARGV[index])
+  local dedupe_key = get_dedupe_key(item)
+
+  if dedupe_key then
+    dedupe_keys[dedupe_key] = true
+  end
+
+  table.insert(items, item)
+end
+
+local json = redis.call(storage == 'json' and 'JSON.GET' or 'GET', key)
+local document, array
+
+if json then
+  document = decode(json)
+  array = get_typed_value(document, path, 'array')
+elseif path == '.' or path == '$' then
+  document = setmetatable({}, ARRAY_MT)
+  array = document
+else
+  fail('ERR new objects must be created at the root')
+end
+
+local kept = {}
+
+for _, item in ipairs(array) do
+  local dedupe_key = get_dedupe_key(item)
+
+  if not (dedupe_key and dedupe_keys[dedupe_key]) then
+    table.insert(kept, item)
+  end
+end
+
+for index = #array, 1, -1 do
+  array[index] = nil
+end
+
+for index, item in ipairs(kept) do
+  array[index] = item
+end
+
+if not position or position > #array then
+  position = #array
+elseif position < 0 then
+  position = math.max(#array + position, 0)
+end
+
+for index, item in ipairs(items) do
+  table.insert(array, position + index, item)
+end
+
+while max_length > 0 and #array > max_length do
+  if position == 0 then
+    table.remove(array)
+  else
+    table.remove(array, 1)
+  end
+end
+
+if storage == 'json' then
+  redis.call('JSON.SET', key, '.', encode(document))
+else
+  save_document(key, document)
+end
+
+return #array
+`),
+
+  arrinsert : toScript(`
+local document = get_document(KEYS[1], MISSING_KEY_MESSAGE)
+local array = get_typed_value(document, ARGV[1], 'array')
+local position = tonumber(ARGV[2])
+
+if not position or position ~= math.floor(position) then
+  fail('ERR value is not an integer or out of range')
+end
+
+if position < 0 then
+  position = #array + position
+end
+
+if position < 0 or position > #array then
+  fail('ERR index out of range')
+end
+
+for index = 3, #ARGV do
+  table.insert(array, position + index - 2, decode(ARGV[index]))
+end
+
+save_document(KEYS[1], document)
+
+return #array
+`),
+
+  arrtrim : toScript(`
+local document = get_document(KEYS[1], MISSING_KEY_MESSAGE)
+local array = get_typed_value(document, ARGV[1], 'array')
+local length = #array
+local start, stop = tonumber(ARGV[2]), tonumber(ARGV[3])
+
+if not start or not stop then
+  fail('ERR value is not an integer or out of range')
+end
+
+if start < 0 then
+  start = math.max(length + start, 0)
+end
+
+if stop < 0 then
+  stop = length + stop
+end
+
+if stop >= length then
+  stop = length - 1
+end
+
+local items = {}
+
+if start < length and start <= stop then
+  for index = start + 1, stop + 1 do
+    table.insert(items, array[index])
+  end
+end
+
+for index = length, 1, -1 do
+  array[index] = nil
+end
+
+for index, item in ipairs(items) do
+  array[index] = item
+end
+
+save_document(KEYS[1], document)
+
+return #array
+`)
+}
+
+module.exports = jsonScripts
\ No newline at end of file
@@ -0,0 +1,23 @@
+'use strict'
+
+/**
+ * `Lua` scripts of the `SET/STRING` keys (@see {@link GenericSTRINGCache})
+ *
+ * The `popHex` script receives the key name as `KEYS[1]` and the count of members as `ARGV[1]`. It removes them (`SPOP`)
+ * and replies them hex encoded, so the binary members are kept on the clients replying strings (without `return_buffers`)
+*/
+const stringScripts = {
+  popHex : `
+local members = redis.call('SPOP', KEYS[1], ARGV[1])
+
+for index, member in ipairs(members) do
+  members[index] = string.gsub(member, '.', function(char)
+    return string.format('%02x', string.byte(char))
+  end)
+end
+
+return members
+`
+}
+
+module.exports = stringScripts
\ No newline at end of file
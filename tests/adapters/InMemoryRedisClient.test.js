@@ -0,0 +1,602 @@
+'use strict'
+
+const InMemoryRedisClient = require('../../lib/adapters/InMemoryRedisClient')
+const InMemoryRedisError = require('../../lib/adapters/InMemoryRedisError')
+
+const jsonScripts = require('../../lib/services/types/jsonScripts')
+const lockScripts = require('../../lib/services/lockScripts')
+const tagScripts = require('../../lib/services/tagScripts')
+
+describe('InMemoryRedisClient', () => {
+  const KEY_NAME = 'in_memory_test'
+
+  let client
+
+  before(() => {
+    client = InMemoryRedisClient.createClient()
+  })
+
+  afterEach(async () => {
+    await client.flushallAsync()
+  })
+
+  describe('.duplicate', () => {
+    it('should share the store', async () => {
+      const duplicate = client.duplicate()
+
+      await client.setAsync(KEY_NAME, 'value')
+
+      expect(await duplicate.getAsync(KEY_NAME)).to.eql('value')
+    })
+  })
+
+  describe('.get', () => {
+    const BINARY = Buffer.from([ 0xff, 0x00, 0xc3, 0x28 ])
+
+    context('when the value is binary', () => {
+      it('should keep its bytes on a `return_buffers` client', async () => {
+        const duplicate = client.duplicate({ return_buffers: true })
+
+        await client.setAsync(KEY_NAME, BINARY)
+
+        expect((await duplicate.getAsync(KEY_NAME)).equals(BINARY)).to.be.true
+        expect(await duplicate.hgetallAsync('in_memory_missing')).to.be.null
+      })
+    })
+
+    context('when the value is a `utf8` string', () => {
+      it('should return it as it was saved (as `utf8` bytes on a `return_buffers` client)', async () => {
+        const duplicate = client.duplicate({ return_buffers: true })
+
+        await client.setAsync(KEY_NAME, 'café ✓')
+
+        expect(await client.getAsync(KEY_NAME)).to.eql('café ✓')
+        expect((await duplicate.getAsync(KEY_NAME)).equals(Buffer.from('café ✓'))).to.be.true
+      })
+    })
+  })
+
+  describe('.select', () => {
+    after(async () => {
+      await client.selectAsync(0)
+    })
+
+    it('should use another keyspace', async () => {
+      await client.setAsync(KEY_NAME, 'value')
+      await client.selectAsync(1)
+
+      expect(await client.getAsync(KEY_NAME)).to.be.null
+    })
+  })
+
+  describe('.set', () => {
+    context('when `EX` is passed', () => {
+      it('should set the `ttl`', async () => {
+        await client.setAsync(KEY_NAME, 'value', 'EX', 60)
+
+        expect(await client.ttlAsync(KEY_NAME)).to.eql(60)
+      })
+    })
+
+    context('when `NX` is passed', () => {
+      context('and the key exists', () => {
+        it('should return null and keep the value', async () => {
+          await client.setAsync(KEY_NAME, 'value')
+
+          const result = await client.setAsync(KEY_NAME, 'other_value', 'NX')
+
+          expect(result).to.be.null
+          expect(await client.getAsync(KEY_NAME)).to.eql('value')
+        })
+      })
+    })
+  })
+
+  describe('.pexpire', () => {
+    it('should expire the key', async () => {
+      await client.setAsync(KEY_NAME, 'value')
+      await client.pexpireAsync(KEY_NAME, 1)
+
+      await new Promise(resolve => setTimeout(resolve, 10))
+
+      expect(await client.existsAsync(KEY_NAME)).to.eql(0)
+      expect(await client.ttlAsync(KEY_NAME)).to.eql(-2)
+    })
+  })
+
+  describe('.keys', () => {
+    it('should return the keys matching the pattern', async () => {
+      await client.setAsync(`${KEY_NAME}:1`, 'value')
+      await client.setAsync(`${KEY_NAME}:2`, 'value')
+      await client.setAsync('other_test:1', 'value')
+
+      const result = await client.keysAsync(`${KEY_NAME}:*`)
+
+      expect(result).to.have.members([ `${KEY_NAME}:1`, `${KEY_NAME}:2` ])
+    })
+  })
+
+  describe('.scan', () => {
+    it('should iterate over the keys matching the pattern', async () => {
+      const keyNames = [ 1, 2, 3 ]
+        .map(index => `${KEY_NAME}:${index}`)
+
+      await Promise.all(keyNames.map(keyName => client.setAsync(keyName, 'value')))
+      await client.setAsync('other_test:1', 'value')
+
+      const result = []
+
+      let cursor = '0'
+
+      do {
+        const [ cursorTemp, keys ] = await client.scanAsync(cursor, 'MATCH', `${KEY_NAME}:*`, 'COUNT', 2)
+
+        cursor = cursorTemp
+
+        result.push(...keys)
+      } while (cursor != '0')
+
+      expect(result).to.have.members(keyNames)
+    })
+  })
+
+  describe('.hdel', () => {
+    context('when the last field is deleted', () => {
+      it('should delete the key', async () => {
+        await client.hsetAsync(KEY_NAME, 'field', 'value')
+        await client.hdelAsync(KEY_NAME, 'field')
+
+        expect(await client.existsAsync(KEY_NAME)).to.eql(0)
+      })
+    })
+  })
+
+  describe('.hincrby', () => {
+    it('should increment the field (creating it)', async () => {
+      expect(await client.hincrbyAsync(KEY_NAME, 'views', 2)).to.eql(2)
+      expect(await client.hincrbyfloatAsync(KEY_NAME, 'views', '0.5')).to.eql('2.5')
+    })
+
+    context('when the field is not an integer', () => {
+      it('should throw an error', async () => {
+        await client.hsetAsync(KEY_NAME, 'name', 'dog')
+
+        await expect(client.hincrbyAsync(KEY_NAME, 'name', 1))
+          .to.be.rejectedWith('hash value is not an integer')
+      })
+    })
+  })
+
+  describe('.hsetnx', () => {
+    it('should set only the missing field', async () => {
+      expect(await client.hsetnxAsync(KEY_NAME, 'name', 'dog')).to.eql(1)
+      expect(await client.hsetnxAsync(KEY_NAME, 'name', 'cat')).to.eql(0)
+      expect(await client.hgetAsync(KEY_NAME, 'name')).to.eql('dog')
+    })
+  })
+
+  describe('.sinter', () => {
+    it('should return the set operations results', async () => {
+      await client.saddAsync('set:a', 'a', 'b', 'c')
+      await client.saddAsync('set:b', 'b', 'c', 'd')
+
+      expect(await client.sinterAsync('set:a', 'set:b')).to.have.members([ 'b', 'c' ])
+      expect(await client.sdiffAsync('set:a', 'set:b')).to.eql([ 'a' ])
+      expect(await client.sinterstoreAsync(KEY_NAME, 'set:a', 'set:b')).to.eql(2)
+      expect(await client.smembersAsync(KEY_NAME)).to.have.members([ 'b', 'c' ])
+    })
+  })
+
+  describe('.srandmember', () => {
+    it('should return random members', async () => {
+      await client.saddAsync(KEY_NAME, 'a', 'b')
+
+      expect(await client.srandmemberAsync(KEY_NAME, 5)).to.have.members([ 'a', 'b' ])
+      expect(await client.srandmemberAsync(KEY_NAME, -5)).to.have.lengthOf(5)
+      expect(await client.srandmemberAsync('missing')).to.eql(null)
+    })
+  })
+
+  describe('.spop', () => {
+    it('should remove the members (deleting the emptied key)', async () => {
+      await client.saddAsync(KEY_NAME, 'a', 'b')
+
+      expect(await client.spopAsync(KEY_NAME, 2)).to.have.members([ 'a', 'b' ])
+      expect(await client.existsAsync(KEY_NAME)).to.eql(0)
+    })
+  })
+
+  describe('.smove', () => {
+    it('should move the member', async () => {
+      await client.saddAsync('set:a', 'a')
+
+      expect(await client.smoveAsync('set:a', KEY_NAME, 'a')).to.eql(1)
+      expect(await client.smoveAsync('set:a', KEY_NAME, 'a')).to.eql(0)
+      expect(await client.smembersAsync(KEY_NAME)).to.eql([ 'a' ])
+    })
+  })
+
+  describe('.json_get', () => {
+    const VALUE = { id: 1, items: [ { name: 'first' } ] }
+
+    beforeEach(async () => {
+      await client.json_setAsync(KEY_NAME, '.', JSON.stringify(VALUE))
+    })
+
+    context('when no `path` is passed', () => {
+      it('should return the document', async () => {
+        const result = await client.json_getAsync(KEY_NAME)
+
+        expect(JSON.parse(result)).to.eql(VALUE)
+      })
+    })
+
+    context('when a `path` is passed', () => {
+      it('should return the value at `path`', async () => {
+        const result = await client.json_getAsync(KEY_NAME, '.items[0].name')
+
+        expect(JSON.parse(result)).to.eql('first')
+      })
+    })
+
+    context('when multiple `paths` are passed', () => {
+      it('should return an object by `path`', async () => {
+        const result = await client.json_getAsync(KEY_NAME, '.id', 'NOESCAPE', '.items')
+
+        expect(JSON.parse(result)).to.eql({ '.id': VALUE.id, '.items': VALUE.items })
+      })
+    })
+
+    context('when the `path` does not exist', () => {
+      it('should throw an error', async () => {
+        await expect(client.json_getAsync(KEY_NAME, '.invalid'))
+          .to.be.rejectedWith('does not exist')
+      })
+    })
+
+    context('when a `JSONPath` is passed', () => {
+      it('should return the list of matched values', async () => {
+        const result = await client.json_getAsync(KEY_NAME, '$..name', '$.invalid')
+
+        expect(JSON.parse(result)).to.eql({ '$..name': [ 'first' ], '$.invalid': [] })
+      })
+    })
+  })
+
+  describe('.json_set', () => {
+    context('when a `JSONPath` is passed', () => {
+      it('should set the value on all the matches', async () => {
+        await client.json_setAsync(KEY_NAME, '.', JSON.stringify({ items: [ { id: 1 }, { id: 2 } ] }))
+        await client.json_setAsync(KEY_NAME, '$.items[*].name', '"item"')
+
+        const result = await client.json_getAsync(KEY_NAME, '$.items[*].name')
+
+        expect(JSON.parse(result)).to.eql([ 'item', 'item' ])
+      })
+    })
+  })
+
+  describe('.json_mget', () => {
+    it('should return the value at `path` of each key', async () => {
+      await client.json_setAsync(KEY_NAME, '.', JSON.stringify({ id: 1 }))
+      await client.setAsync(`${KEY_NAME}:string`, 'value')
+
+      const result = await client.json_mgetAsync(KEY_NAME, `${KEY_NAME}:string`, `${KEY_NAME}:none`, '$.id')
+
+      expect(result).to.eql([ '[1]', null, null ])
+    })
+  })
+
+  describe('.json_arrappend', () => {
+    it('should append the items and return the array length', async () => {
+      await client.json_setAsync(KEY_NAME, '.', '[]')
+
+      const result = await client.json_arrappendAsync(KEY_NAME, '.', '{"id":1}', '{"id":2}')
+
+      expect(result).to.eql(2)
+      expect(JSON.parse(await client.json_getAsync(KEY_NAME))).to.eql([ { id: 1 }, { id: 2 } ])
+    })
+  })
+
+  describe('.json_numincrby', () => {
+    it('should increment the number and return it', async () => {
+      await client.json_setAsync(KEY_NAME, '.', JSON.stringify({ views: 1, name: 'dog' }))
+
+      expect(await client.json_numincrbyAsync(KEY_NAME, '.views', 2)).to.eql('3')
+      expect(await client.json_numincrbyAsync(KEY_NAME, '$.views', 1)).to.eql('[4]')
+    })
+
+    context('when the `path` value is not a number', () => {
+      it('should throw an error', async () => {
+        await client.json_setAsync(KEY_NAME, '.', JSON.stringify({ name: 'dog' }))
+
+        await expect(client.json_numincrbyAsync(KEY_NAME, '.name', 1))
+          .to.be.rejectedWith('expected number but found string')
+      })
+    })
+  })
+
+  describe('.json_toggle', () => {
+    it('should toggle the boolean', async () => {
+      await client.json_setAsync(KEY_NAME, '.', JSON.stringify({ alive: true }))
+
+      expect(await client.json_toggleAsync(KEY_NAME, '.alive')).to.eql('false')
+      expect(JSON.parse(await client.json_getAsync(KEY_NAME))).to.eql({ alive: false })
+    })
+  })
+
+  describe('.json_merge', () => {
+    it('should merge the patch (removing the `null` attrs)', async () => {
+      await client.json_setAsync(KEY_NAME, '.', JSON.stringify({ owner: { name: 'john', city: 'rio' } }))
+
+      await client.json_mergeAsync(KEY_NAME, '$.owner', JSON.stringify({ city: null, age: 30 }))
+
+      expect(JSON.parse(await client.json_getAsync(KEY_NAME))).to.eql({ owner: { name: 'john', age: 30 } })
+    })
+  })
+
+  describe('.eval', () => {
+    context('when a `JSON` script is passed', () => {
+      it('should run the `JSON` command over the string key', async () => {
+        await client.evalAsync(jsonScripts.set, 1, KEY_NAME, '.', '{"items":[]}')
+        await client.evalAsync(jsonScripts.arrinsert, 1, KEY_NAME, '.items', 0, '{"id":1}')
+
+        expect(await client.typeAsync(KEY_NAME)).to.eql('string')
+        expect(JSON.parse(await client.getAsync(KEY_NAME))).to.eql({ items: [ { id: 1 } ] })
+        expect(JSON.parse(await client.evalAsync(jsonScripts.get, 1, KEY_NAME, '.items[0].id'))).to.eql(1)
+      })
+    })
+
+    context('when the `update` script is passed', () => {
+      it('should apply the operations to the string key', async () => {
+        await client.setAsync(KEY_NAME, JSON.stringify({ views: 1, tags: [] }))
+
+        const result = await client
+          .evalAsync(jsonScripts.update, 1, KEY_NAME, 'string', 0, 'incr', '.views', 1, '2', 'arrAppend', '.tags', 1, '"pet"')
+
+        expect(JSON.parse(result)).to.eql({ views: 3, tags: [ 'pet' ] })
+        expect(JSON.parse(await client.getAsync(KEY_NAME))).to.eql({ views: 3, tags: [ 'pet' ] })
+      })
+
+      it('should not save the document on dry runs', async () => {
+        await client.json_setAsync(KEY_NAME, '.', JSON.stringify({ views: 1 }))
+
+        const result = await client
+          .evalAsync(jsonScripts.update, 1, KEY_NAME, 'json', 1, 'incr', '.views', 1, '2')
+
+        expect(JSON.parse(result)).to.eql({ views: 3 })
+        expect(JSON.parse(await client.json_getAsync(KEY_NAME))).to.eql({ views: 1 })
+      })
+    })
+
+    context('when a lock script is passed', () => {
+      it('should change the lock key only when it holds the token', async () => {
+        await client.setAsync(KEY_NAME, 'token')
+
+        expect(await client.evalAsync(lockScripts.extend, 1, KEY_NAME, 'token', 5000)).to.eql(1)
+        expect(await client.pttlAsync(KEY_NAME)).to.be.within(1, 5000)
+        expect(await client.evalAsync(lockScripts.unlock, 1, KEY_NAME, 'other')).to.eql(0)
+        expect(await client.evalAsync(lockScripts.unlock, 1, KEY_NAME, 'token')).to.eql(1)
+        expect(await client.existsAsync(KEY_NAME)).to.eql(0)
+      })
+    })
+
+    context('when the tag script is passed', () => {
+      it('should save the key name and extend the tag expiration up to its `ttl`', async () => {
+        await client.evalAsync(tagScripts.tag, 1, KEY_NAME, 'dogs:1', 'dogs:{?}', 60)
+        await client.evalAsync(tagScripts.tag, 1, KEY_NAME, 'dogs:2', 'dogs:{?}', 10)
+
+        expect(await client.hgetallAsync(KEY_NAME)).to.eql({ 'dogs:1': 'dogs:{?}', 'dogs:2': 'dogs:{?}' })
+        expect(await client.ttlAsync(KEY_NAME)).to.be.within(11, 60)
+
+        await client.evalAsync(tagScripts.tag, 1, KEY_NAME, 'dogs:3', 'dogs:{?}', 0)
+
+        expect(await client.ttlAsync(KEY_NAME)).to.eql(-1)
+      })
+    })
+
+    context('when another script is passed', () => {
+      it('should throw an error', async () => {
+        await expect(client.evalAsync('return 1', 0))
+          .to.be.rejectedWith('only the JSON, HASH_OBJECT, SET/STRING, setMode, lock and tag scripts')
+      })
+    })
+  })
+
+  describe('.evalsha', () => {
+    context('when the script is not loaded', () => {
+      it('should throw a `NOSCRIPT` error', async () => {
+        await client.scriptAsync('FLUSH')
+
+        await expect(client.evalshaAsync('a'.repeat(40), 1, KEY_NAME))
+          .to.be.rejectedWith('NOSCRIPT')
+      })
+    })
+
+    context('when the script is loaded', () => {
+      it('should run it', async () => {
+        const sha = await client.scriptAsync('LOAD', tagScripts.tag)
+
+        await client.evalshaAsync(sha, 1, KEY_NAME, 'dogs:1', 'dogs:{?}', 0)
+
+        expect(await client.scriptAsync('EXISTS', sha)).to.eql([1])
+        expect(await client.hgetallAsync(KEY_NAME)).to.eql({ 'dogs:1': 'dogs:{?}' })
+      })
+    })
+  })
+
+  describe('.send_command', () => {
+    context('when the client has no `JSON` module (`jsonModule: false`)', () => {
+      it('should throw an unknown command error on `JSON` commands', async () => {
+        const duplicate = client.duplicate({ jsonModule: false })
+
+        await expect(duplicate.send_commandAsync('JSON.TYPE', [ KEY_NAME ]))
+          .to.be.rejectedWith('unknown command')
+      })
+    })
+  })
+
+  describe('.psubscribe', () => {
+    let subscriber
+
+    beforeEach(() => {
+      subscriber = client.duplicate()
+    })
+
+    afterEach(async () => {
+      await subscriber.quitAsync()
+    })
+
+    it('should emit the messages published on the matching channels', async () => {
+      const promise = new Promise(resolve => subscriber.on('pmessage', (...args) => resolve(args)))
+
+      await subscriber.psubscribeAsync(`${KEY_NAME}:*`)
+
+      expect(await client.publishAsync(`${KEY_NAME}:1`, 'message')).to.eql(1)
+      expect(await promise).to.eql([ `${KEY_NAME}:*`, `${KEY_NAME}:1`, 'message' ])
+    })
+
+    context('when `notify-keyspace-events` is set', () => {
+      after(async () => {
+        await client.configAsync('SET', 'notify-keyspace-events', '')
+      })
+
+      it('should emit the keyspace events', async () => {
+        const messages = []
+
+        subscriber.on('pmessage', (pattern, channel, message) => messages.push([ channel, message ]))
+
+        await client.configAsync('SET', 'notify-keyspace-events', 'KA')
+        await subscriber.psubscribeAsync(`__keyspace@0__:${KEY_NAME}`)
+
+        await client.setAsync(KEY_NAME, 'value', 'EX', 60)
+        await client.delAsync(KEY_NAME)
+
+        const channel = `__keyspace@0__:${KEY_NAME}`
+
+        expect(messages).to.eql([ [ channel, 'set' ], [ channel, 'expire' ], [ channel, 'del' ] ])
+      })
+    })
+  })
+
+  describe('.xadd', () => {
+    context('when `MAXLEN` is passed', () => {
+      it('should add the entry and trim the stream', async () => {
+        await client.xaddAsync(KEY_NAME, '1-1', 'field', 'first')
+        await client.xaddAsync(KEY_NAME, 'MAXLEN', '~', 1, '*', 'field', 'second')
+
+        const [ [ , fields ] ] = await client.xrangeAsync(KEY_NAME, '-', '+')
+
+        expect(await client.xlenAsync(KEY_NAME)).to.eql(1)
+        expect(fields).to.eql([ 'field', 'second' ])
+      })
+    })
+
+    context('when the id is not greater than the last one', () => {
+      it('should throw an error', async () => {
+        await client.xaddAsync(KEY_NAME, '5-0', 'field', 'first')
+
+        await expect(client.xaddAsync(KEY_NAME, '4-0', 'field', 'second'))
+          .to.be.rejectedWith('equal or smaller')
+      })
+    })
+  })
+
+  describe('.xreadgroup', () => {
+    context('when the group does not exist', () => {
+      it('should throw an error', async () => {
+        await expect(client.xreadgroupAsync('GROUP', 'group', 'consumer', 'STREAMS', KEY_NAME, '>'))
+          .to.be.rejectedWith('NOGROUP')
+      })
+    })
+
+    context('when `BLOCK` is passed and there are no new entries', () => {
+      it('should return null after the timeout', async () => {
+        await client.xgroupAsync('CREATE', KEY_NAME, 'group', '$', 'MKSTREAM')
+
+        const result = await client.xreadgroupAsync('GROUP', 'group', 'consumer', 'BLOCK', 20, 'STREAMS', KEY_NAME, '>')
+
+        expect(result).to.be.null
+      })
+    })
+  })
+
+  describe('.incr', () => {
+    it('should increment the value (creating it)', async () => {
+      expect(await client.incrAsync(KEY_NAME)).to.eql(1)
+      expect(await client.incrbyAsync(KEY_NAME, 4)).to.eql(5)
+      expect(await client.getAsync(KEY_NAME)).to.eql('5')
+    })
+  })
+
+  describe('.watch', () => {
+    let watchClient
+
+    beforeEach(() => {
+      watchClient = client.duplicate()
+    })
+
+    afterEach(async () => {
+      await watchClient.quitAsync()
+    })
+
+    context('when a watched key is changed before `exec`', () => {
+      it('should abort the multi', async () => {
+        await watchClient.watchAsync(KEY_NAME)
+        await client.setAsync(KEY_NAME, 'other')
+
+        expect(await watchClient.multi().set(KEY_NAME, 'mine').execAsync()).to.eql(null)
+        expect(await client.getAsync(KEY_NAME)).to.eql('other')
+      })
+    })
+
+    context('when the watched keys are not changed', () => {
+      it('should execute the multi (and stop watching)', async () => {
+        await watchClient.watchAsync(KEY_NAME)
+
+        expect(await watchClient.multi().set(KEY_NAME, 'mine').execAsync()).to.eql([ 'OK' ])
+
+        await client.setAsync(KEY_NAME, 'other')
+
+        expect(await watchClient.multi().set(KEY_NAME, 'mine').execAsync()).to.eql([ 'OK' ])
+      })
+    })
+  })
+
+  describe('.multi', () => {
+    it('should execute the queued commands', async () => {
+      const result = await client
+        .multi()
+        .set(KEY_NAME, 'value')
+        .get(KEY_NAME)
+        .execAsync()
+
+      expect(result).to.eql([ 'OK', 'value' ])
+    })
+
+    context('when a command fails', () => {
+      it('should return the error as its reply', async () => {
+        await client.setAsync(KEY_NAME, 'value')
+
+        const [ result ] = await client
+          .multi()
+          .hget(KEY_NAME, 'field')
+          .execAsync()
+
+        expect(result).to.be.an.instanceof(InMemoryRedisError)
+        expect(result.code).to.eql('WRONGTYPE')
+      })
+    })
+  })
+
+  describe('.end', () => {
+    it('should reject the next commands', async () => {
+      const duplicate = client.duplicate()
+
+      duplicate.end()
+
+      await expect(duplicate.getAsync(KEY_NAME))
+        .to.be.rejectedWith('The connection is already closed')
+    })
+  })
+})
\ No newline at end of file
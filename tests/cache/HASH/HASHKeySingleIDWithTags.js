@@ -0,0 +1,17 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName : 'hash_tags:{?}',
+  type    : RedisKeyTypeEnum.HASH,
+  ids     : [{ id: 'id' }],
+  tags    : (key, value) => [ `org:${value.orgId}`, 'hash' ]
+}
+
+class HASHKeySingleIDWithTags extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = HASHKeySingleIDWithTags
\ No newline at end of file
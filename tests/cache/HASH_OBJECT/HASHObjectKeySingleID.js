@@ -0,0 +1,23 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName : 'hash_object:{?}',
+  type    : RedisKeyTypeEnum.HASH_OBJECT,
+  ids     : [{ id: 'id' }],
+  schema  : {
+    id        : 'number',
+    views     : 'number',
+    active    : 'boolean',
+    createdAt : 'date',
+    tags      : 'json'
+  }
+}
+
+class HASHObjectKeySingleID extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = HASHObjectKeySingleID
\ No newline at end of file
@@ -0,0 +1,17 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName     : 'test_cache_misses:{?}',
+  type        : RedisKeyTypeEnum.JSON,
+  ids         : [{ id: 'id' }],
+  cacheMisses : 30
+}
+
+class JSONKeySingleIDWithCacheMisses extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = JSONKeySingleIDWithCacheMisses
\ No newline at end of file
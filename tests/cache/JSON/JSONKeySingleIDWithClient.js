@@ -0,0 +1,17 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName       : 'test_client:{?}',
+  type          : RedisKeyTypeEnum.JSON,
+  ids           : [{ id: 'id' }],
+  clientFactory : () => redis.duplicate()
+}
+
+class JSONKeySingleIDWithClient extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = JSONKeySingleIDWithClient
\ No newline at end of file
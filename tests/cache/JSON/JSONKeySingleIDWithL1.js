@@ -0,0 +1,17 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName : 'test_l1:{?}',
+  type    : RedisKeyTypeEnum.JSON,
+  ids     : [{ id: 'id' }],
+  l1      : { maxEntries: 10, ttl: 60 }
+}
+
+class JSONKeySingleIDWithL1 extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = JSONKeySingleIDWithL1
\ No newline at end of file
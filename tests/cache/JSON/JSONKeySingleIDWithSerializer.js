@@ -0,0 +1,19 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const TaggedJSONSerializer = require('../../../lib/services/serializers/TaggedJSONSerializer')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName    : 'json_serializer:{?}',
+  type       : RedisKeyTypeEnum.JSON,
+  ids        : [{ id: 'id' }],
+  serializer : TaggedJSONSerializer,
+  l1         : { maxEntries: 10, ttl: 60 }
+}
+
+class JSONKeySingleIDWithSerializer extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = JSONKeySingleIDWithSerializer
\ No newline at end of file
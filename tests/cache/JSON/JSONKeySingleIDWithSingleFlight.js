@@ -0,0 +1,20 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName       : 'test_single_flight:{?}',
+  type          : RedisKeyTypeEnum.JSON,
+  ids           : [{ id: 'id' }],
+  singleFlight  : {
+    retryDelay  : 10,
+    timeout     : 300
+  }
+}
+
+class JSONKeySingleIDWithSingleFlight extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = JSONKeySingleIDWithSingleFlight
\ No newline at end of file
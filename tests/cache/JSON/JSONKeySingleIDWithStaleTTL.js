@@ -0,0 +1,18 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName   : 'test_stale_ttl:{?}',
+  type      : RedisKeyTypeEnum.JSON,
+  ids       : [{ id: 'id' }],
+  ttl       : 120,
+  staleTTL  : 60
+}
+
+class JSONKeySingleIDWithStaleTTL extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = JSONKeySingleIDWithStaleTTL
\ No newline at end of file
@@ -0,0 +1,17 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName : 'test_ttl:{?}',
+  type    : RedisKeyTypeEnum.JSON,
+  ids     : [{ id: 'id' }],
+  ttl     : 60
+}
+
+class JSONKeySingleIDWithTTL extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = JSONKeySingleIDWithTTL
\ No newline at end of file
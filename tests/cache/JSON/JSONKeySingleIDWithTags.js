@@ -0,0 +1,17 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName : 'test_tags:{?}',
+  type    : RedisKeyTypeEnum.JSON,
+  ids     : [{ id: 'id' }],
+  tags    : (key, value) => [ `org:${value.orgId}` ]
+}
+
+class JSONKeySingleIDWithTags extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = JSONKeySingleIDWithTags
\ No newline at end of file
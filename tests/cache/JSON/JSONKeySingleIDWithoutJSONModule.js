@@ -0,0 +1,18 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName       : 'test_no_json_module:{?}',
+  type          : RedisKeyTypeEnum.JSON,
+  ids           : [{ id: 'id' }],
+  clientFactory : () => redis.duplicate({ jsonModule: false }),
+  jsonModule    : false
+}
+
+class JSONKeySingleIDWithoutJSONModule extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = JSONKeySingleIDWithoutJSONModule
\ No newline at end of file
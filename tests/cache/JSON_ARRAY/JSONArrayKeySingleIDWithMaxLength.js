@@ -0,0 +1,18 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName   : 'test_max_length:{?}',
+  type      : RedisKeyTypeEnum.JSON_ARRAY,
+  ids       : [{ id: 'id' }],
+  maxLength : 3,
+  dedupeBy  : 'id'
+}
+
+class JSONArrayKeySingleIDWithMaxLength extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = JSONArrayKeySingleIDWithMaxLength
\ No newline at end of file
@@ -0,0 +1,17 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName : 'test_ttl:{?}',
+  type    : RedisKeyTypeEnum.JSON_ARRAY,
+  ids     : [{ id: 'id' }],
+  ttl     : (key, value) => value && value.ttl ? value.ttl : 120
+}
+
+class JSONArrayKeySingleIDWithTTL extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = JSONArrayKeySingleIDWithTTL
\ No newline at end of file
@@ -0,0 +1,17 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName   : 'list_key:{?}',
+  type      : RedisKeyTypeEnum.LIST,
+  ids       : [{ id: 'id' }],
+  maxLength : 3
+}
+
+class LISTKeySingleID extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = LISTKeySingleID
\ No newline at end of file
@@ -0,0 +1,18 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const MessagePackSerializer = require('../../../lib/services/serializers/MessagePackSerializer')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName    : 'list_serializer:{?}',
+  type       : RedisKeyTypeEnum.LIST,
+  ids        : [{ id: 'id' }],
+  serializer : MessagePackSerializer
+}
+
+class LISTKeySingleIDWithSerializer extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = LISTKeySingleIDWithSerializer
\ No newline at end of file
@@ -0,0 +1,17 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName   : 'stream_key:{?}',
+  type      : RedisKeyTypeEnum.STREAM,
+  ids       : [{ id: 'id' }],
+  maxLength : 3
+}
+
+class STREAMKeySingleID extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = STREAMKeySingleID
\ No newline at end of file
@@ -0,0 +1,18 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const TaggedJSONSerializer = require('../../../lib/services/serializers/TaggedJSONSerializer')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName    : 'string_serializer:{?}',
+  type       : RedisKeyTypeEnum.STRING,
+  ids        : [{ id: 'id' }],
+  serializer : TaggedJSONSerializer
+}
+
+class STRINGKeySingleIDWithSerializer extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = STRINGKeySingleIDWithSerializer
\ No newline at end of file
@@ -0,0 +1,17 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName : 'string_ttl:{?}',
+  type    : RedisKeyTypeEnum.STRING,
+  ids     : [{ id: 'id' }],
+  ttl     : 60
+}
+
+class STRINGKeySingleIDWithTTL extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = STRINGKeySingleIDWithTTL
\ No newline at end of file
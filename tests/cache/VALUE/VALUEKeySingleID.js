@@ -0,0 +1,16 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName : 'value_key:{?}',
+  type    : RedisKeyTypeEnum.VALUE,
+  ids     : [{ id: 'id' }]
+}
+
+class VALUEKeySingleID extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = VALUEKeySingleID
\ No newline at end of file
@@ -0,0 +1,18 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName : 'value_nx:{?}',
+  type    : RedisKeyTypeEnum.VALUE,
+  ids     : [{ id: 'id' }],
+  setMode : 'NX',
+  ttl     : 60
+}
+
+class VALUEKeySingleIDWithNX extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = VALUEKeySingleIDWithNX
\ No newline at end of file
@@ -0,0 +1,18 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const MessagePackSerializer = require('../../../lib/services/serializers/MessagePackSerializer')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName    : 'value_serializer:{?}',
+  type       : RedisKeyTypeEnum.VALUE,
+  ids        : [{ id: 'id' }],
+  serializer : MessagePackSerializer
+}
+
+class VALUEKeySingleIDWithSerializer extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = VALUEKeySingleIDWithSerializer
\ No newline at end of file
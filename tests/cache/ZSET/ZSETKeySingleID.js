@@ -0,0 +1,17 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName : 'zset_key:{?}',
+  type    : RedisKeyTypeEnum.ZSET,
+  ids     : [{ id: 'id' }],
+  score   : (key, member) => member.score
+}
+
+class ZSETKeySingleID extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = ZSETKeySingleID
\ No newline at end of file
@@ -0,0 +1,18 @@
+'use strict'
+
+const GenericRedisCache = require('../../../lib/services/GenericRedisCache')
+const RedisKeyTypeEnum = require('../../../lib/enums/RedisKeyTypeEnum')
+
+const GENERIC_REDIS_ATTRS = {
+  keyName : 'zset_ttl:{?}',
+  type    : RedisKeyTypeEnum.ZSET,
+  ids     : [{ id: 'id' }],
+  score   : (key, member) => member.score,
+  ttl     : 60
+}
+
+class ZSETKeySingleIDWithTTL extends GenericRedisCache {
+  static get GENERIC_REDIS_ATTRS()  { return GENERIC_REDIS_ATTRS }
+}
+
+module.exports = ZSETKeySingleIDWithTTL
\ No newline at end of file
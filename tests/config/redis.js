@@ -5,9 +5,13 @@ const node_redis = require('redis')
 const redisJSON = require('redis-rejson')
 redisJSON(node_redis)
 
+const InMemoryRedisClient = require('../../lib/adapters/InMemoryRedisClient')
+
 bluebird.promisifyAll(node_redis.RedisClient.prototype)
 bluebird.promisifyAll(node_redis.Multi.prototype)
 
-const redis = node_redis.createClient(process.env.REDISCLOUD_URL || process.env.REDIS_URL)
+const redis = process.env.REDIS_IN_MEMORY ?
+  InMemoryRedisClient.createClient() :
+  node_redis.createClient(process.env.REDISCLOUD_URL || process.env.REDIS_URL)
 
 module.exports = redis
\ No newline at end of file
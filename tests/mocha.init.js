@@ -1,6 +1,5 @@
 'use strict'
 
-const bluebird = require('bluebird')
 const chai = require('chai')
 const chaiHttp = require('chai-http')
 const chaiThings = require('chai-things')
@@ -20,7 +19,7 @@ global.sinon = require('sinon')
 global.faker = require('faker')
 global.expect = chai.expect
 global.rewire = require('rewire')
-global.redis = bluebird.promisifyAll(require('./config/redis'))
+global.redis = require('./config/redis')
 
 require('../lib/configs/redisInstanceService')(global.redis)
 
@@ -0,0 +1,515 @@
+'use strict'
+
+const crypto = require('crypto')
+
+const { lua, lauxlib, lualib, to_luastring, to_jsstring } = require('fengari')
+
+const InMemoryRedisError = require('../../lib/adapters/InMemoryRedisError')
+
+/**
+ * A `cjson` module written in `Lua` (mimics the one of `redis`: `array_mt` and `decode_array_with_array_mt`
+ * are only defined when `arrayMT`, as on `redis` >= 7)
+*/
+const CJSON = `
+local array_mt = ARRAY_MT and {} or nil
+local decode_with_array_mt = false
+local escapes = { ['"'] = '\\\\"', ['\\\\'] = '\\\\\\\\', ['/'] = '\\\\/', ['\\b'] = '\\\\b', ['\\f'] = '\\\\f', ['\\n'] = '\\\\n', ['\\r'] = '\\\\r', ['\\t'] = '\\\\t' }
+local unescapes = { b = '\\b', f = '\\f', n = '\\n', r = '\\r', t = '\\t' }
+
+cjson = { null = CJSON_NULL, array_mt = array_mt }
+
+if array_mt then
+  cjson.decode_array_with_array_mt = function(enabled)
+    decode_with_array_mt = enabled
+  end
+end
+
+local function get_array_length(value)
+  local length = 0
+
+  for key in pairs(value) do
+    if math.type(key) ~= 'integer' or key < 1 then
+      return nil
+    end
+
+    length = math.max(length, key)
+  end
+
+  if length == 0 and (not array_mt or getmetatable(value) ~= array_mt) then
+    return nil
+  end
+
+  return length
+end
+
+local function encode_value(value)
+  local value_type = type(value)
+
+  if value == cjson.null or value == nil then
+    return 'null'
+  elseif value_type == 'boolean' then
+    return tostring(value)
+  elseif value_type == 'number' then
+    if value ~= value or value == math.huge or value == -math.huge then
+      error('Cannot serialise number: must not be NaN or Infinity')
+    end
+
+    return string.format('%.14g', value)
+  elseif value_type == 'string' then
+    return '"' .. string.gsub(value, '[%c"\\\\/]', function(char)
+      return escapes[char] or string.format('\\\\u%04x', string.byte(char))
+    end) .. '"'
+  elseif value_type == 'table' then
+    local length = get_array_length(value)
+    local items = {}
+
+    if length then
+      for index = 1, length do
+        table.insert(items, encode_value(value[index]))
+      end
+
+      return '[' .. table.concat(items, ',') .. ']'
+    end
+
+    for key, item in pairs(value) do
+      table.insert(items, encode_value(tostring(key)) .. ':' .. encode_value(item))
+    end
+
+    return '{' .. table.concat(items, ',') .. '}'
+  end
+
+  error('Cannot serialise ' .. value_type .. ': type not supported')
+end
+
+local decode_value
+
+local function skip_spaces(json, position)
+  return string.find(json, '[^ \\t\\r\\n]', position) or #json + 1
+end
+
+local function decode_string(json, position)
+  local parts = {}
+  local index = position + 1
+
+  while true do
+    local char = string.sub(json, index, index)
+
+    if char == '' then
+      error('Expected string end but found end of input at character ' .. position)
+    elseif char == '"' then
+      return table.concat(parts), index + 1
+    elseif char == '\\\\' then
+      local escape = string.sub(json, index + 1, index + 1)
+
+      if escape == 'u' then
+        local code = tonumber(string.sub(json, index + 2, index + 5), 16)
+
+        index = index + 6
+
+        if code >= 0xD800 and code <= 0xDBFF and string.sub(json, index, index + 1) == '\\\\u' then
+          code = 0x10000 + (code - 0xD800) * 0x400 + (tonumber(string.sub(json, index + 2, index + 5), 16) - 0xDC00)
+          index = index + 6
+        end
+
+        table.insert(parts, utf8.char(code))
+      else
+        table.insert(parts, unescapes[escape] or escape)
+        index = index + 2
+      end
+    else
+      table.insert(parts, char)
+      index = index + 1
+    end
+  end
+end
+
+local function decode_list(json, position, close, decode_item)
+  local items = {}
+  local index = skip_spaces(json, position + 1)
+
+  if string.sub(json, index, index) == close then
+    return items, index + 1
+  end
+
+  while true do
+    index = decode_item(items, index)
+    index = skip_spaces(json, index)
+
+    local char = string.sub(json, index, index)
+
+    if char == close then
+      return items, index + 1
+    elseif char ~= ',' then
+      error('Expected comma or ' .. close .. ' but found invalid token at character ' .. index)
+    end
+
+    index = index + 1
+  end
+end
+
+decode_value = function(json, position)
+  local index = skip_spaces(json, position)
+  local char = string.sub(json, index, index)
+
+  if char == '{' then
+    return decode_list(json, index, '}', function(object, item_index)
+      local key, value
+
+      item_index = skip_spaces(json, item_index)
+
+      if string.sub(json, item_index, item_index) ~= '"' then
+        error('Expected object key string but found invalid token at character ' .. item_index)
+      end
+
+      key, item_index = decode_string(json, item_index)
+      item_index = skip_spaces(json, item_index)
+
+      if string.sub(json, item_index, item_index) ~= ':' then
+        error('Expected colon but found invalid token at character ' .. item_index)
+      end
+
+      value, item_index = decode_value(json, item_index + 1)
+      object[key] = value
+
+      return item_index
+    end)
+  elseif char == '[' then
+    local array, next_index = decode_list(json, index, ']', function(items, item_index)
+      local value
+
+      value, item_index = decode_value(json, item_index)
+      items[#items + 1] = value
+
+      return item_index
+    end)
+
+    if decode_with_array_mt then
+      setmetatable(array, array_mt)
+    end
+
+    return array, next_index
+  elseif char == '"' then
+    return decode_string(json, index)
+  end
+
+  for literal, value in pairs({ ['true'] = true, ['false'] = false, ['null'] = cjson.null }) do
+    if string.sub(json, index, index + #literal - 1) == literal then
+      return value, index + #literal
+    end
+  end
+
+  local number = string.match(json, '^-?%d+%.?%d*[eE]?[-+]?%d*', index)
+
+  if not number or not tonumber(number) then
+    error('Expected value but found invalid token at character ' .. index)
+  end
+
+  return tonumber(number) + 0.0, index + #number
+end
+
+cjson.encode = encode_value
+
+cjson.decode = function(json)
+  local value, position = decode_value(json, 1)
+
+  if skip_spaces(json, position) <= #json then
+    error('Expected the end but found invalid token at character ' .. position)
+  end
+
+  return value
+end
+
+unpack = table.unpack
+`
+
+/**
+ * Mock of the `redis` scripting (`EVAL` and `EVALSHA`) running the real `Lua` scripts (on `fengari`, a `Lua` VM written in `JavaScript`),
+ * instead of their emulation by the [`InMemoryRedisClient`]{@link InMemoryRedisClient}
+ *
+ * As on `redis` < 7 (without `arrayMT`), the `redis.call` errors are raised as strings and the errors raised up to
+ * the top level are replied as `Error running script` ones (the tables, only replied as plain errors on `redis` >= 7,
+ * failing on the error handler). The plain errors are replied by `redis.error_reply`
+ *
+ * @class LuaScriptMock
+*/
+class LuaScriptMock {
+  /**
+   * Makes the `client` (and its multis) run the `EVAL` scripts on `Lua`
+   *
+   * @param {InMemoryRedisClient} client The client
+   * @param {Object} [params = {}] The params
+   * @param {Boolean} [params.arrayMT = true] Whether to mimic `redis` >= 7 (`cjson` with `array_mt`) or not
+   *
+   * @return {Function} The `function` restoring the `client`
+  */
+  static mock(client, params = {}) {
+    const execute = client._execute
+    const executeCall = (commandName, commandArgs) => execute.call(client, commandName, commandArgs)
+
+    client._execute = function(name, args) {
+      const script = name == 'evalsha' ?
+        client.store.scripts.get(String(args[0]).toLowerCase()) :
+        args[0]
+
+      let reply = null
+
+      if (name == 'eval' || (name == 'evalsha' && script !== undefined)) {
+        execute.call(client, 'script', [ 'LOAD', script ])
+
+        reply = LuaScriptMock.eval(executeCall, [ script, ...args.slice(1) ], params)
+      }
+      else
+        reply = execute.call(client, name, args)
+
+      return reply
+    }
+
+    return () => {
+      client._execute = execute
+    }
+  }
+
+  /**
+   * Runs the script (`[ script, numKeys, ...keys, ...args ]`) on a new `Lua` state
+   *
+   * @param {Function} execute The `function(name, args)` executing the `redis.call` commands
+   * @param {Array} args The `EVAL` arguments
+   * @param {Object} [params = {}] The params (@see {@link LuaScriptMock.mock})
+   *
+   * @return {*} The script reply
+   *
+   * @throws {InMemoryRedisError} The script error
+  */
+  static eval(execute, args, params = {}) {
+    const { arrayMT = true } = params
+    const [ script, numKeys, ...keysArgs ] = args.map(arg => String(arg))
+    const L = lauxlib.luaL_newstate()
+
+    lualib.luaL_openlibs(L)
+
+    lua.lua_pushboolean(L, arrayMT)
+    lua.lua_setglobal(L, to_luastring('ARRAY_MT'))
+    lua.lua_pushlightuserdata(L, {})
+    lua.lua_setglobal(L, to_luastring('CJSON_NULL'))
+
+    this._run(L, CJSON, 0)
+
+    lua.lua_newtable(L)
+    this._setFunction(L, 'call', () => this._call(L, execute, false, arrayMT))
+    this._setFunction(L, 'pcall', () => this._call(L, execute, true, arrayMT))
+    this._setFunction(L, 'error_reply', () => this._errorReply(L))
+    lua.lua_setglobal(L, to_luastring('redis'))
+
+    this._setList(L, 'KEYS', keysArgs.slice(0, Number(numKeys)))
+    this._setList(L, 'ARGV', keysArgs.slice(Number(numKeys)))
+
+    try {
+      this._run(L, script, 1)
+    }
+    catch (error) {
+      if (arrayMT)
+        throw error
+
+      const sha = crypto
+        .createHash('sha1')
+        .update(script)
+        .digest('hex')
+
+      throw new InMemoryRedisError(`ERR Error running script (call to f_${sha}): ${error.isTable ? 'error in error handling' : error.message}`)
+    }
+
+    return this._toReply(L, -1)
+  }
+
+  /**
+   * Runs the `Lua` `code`
+   *
+   * @param {lua_State} L The `Lua` state
+   * @param {string} code The code
+   * @param {Number} results The count of results
+   *
+   * @return {undefined}
+   *
+   * @throws {InMemoryRedisError} The code error (with `isTable` when raised as a table)
+  */
+  static _run(L, code, results) {
+    if (lauxlib.luaL_loadstring(L, to_luastring(code)) != lua.LUA_OK || lua.lua_pcall(L, 0, results, 0) != lua.LUA_OK) {
+      const isTable = lua.lua_istable(L, -1)
+
+      if (isTable)
+        lua.lua_getfield(L, -1, to_luastring('err'))
+
+      const error = new InMemoryRedisError(lua.lua_tojsstring(L, -1))
+
+      error.isTable = isTable
+
+      throw error
+    }
+  }
+
+  /**
+   * Runs the `redis.call`/`redis.pcall` command (the arguments on the `L` stack)
+   *
+   * @param {lua_State} L The `Lua` state
+   * @param {Function} execute The `function(name, args)` executing the command
+   * @param {Boolean} isProtected Whether to return the errors as `{ err }` tables (`redis.pcall`) or not
+   * @param {Boolean} [isErrorTable = true] Whether to raise the errors as `{ err }` tables (`redis` >= 7) or as strings
+   *
+   * @return {Number} The count of results
+  */
+  static _call(L, execute, isProtected, isErrorTable = true) {
+    const args = []
+
+    for (let index = 1; index <= lua.lua_gettop(L); index++)
+      args.push(lua.lua_tojsstring(L, index))
+
+    const name = args.shift().toLowerCase().replace('.', '_')
+
+    let reply = null
+
+    try {
+      reply = execute(name, args)
+    }
+    catch (error) {
+      if (!isProtected && !isErrorTable) {
+        lua.lua_pushstring(L, to_luastring(error.message))
+        lua.lua_error(L)
+      }
+
+      lua.lua_newtable(L)
+      lua.lua_pushstring(L, to_luastring(error.message))
+      lua.lua_setfield(L, -2, to_luastring('err'))
+
+      if (!isProtected)
+        lua.lua_error(L)
+
+      return 1
+    }
+
+    this._pushReply(L, reply)
+
+    return 1
+  }
+
+  /**
+   * Runs the `redis.error_reply` (the message on the `L` stack), returning the `{ err }` table replied as an error
+   *
+   * @param {lua_State} L The `Lua` state
+   *
+   * @return {Number} The count of results
+  */
+  static _errorReply(L) {
+    const message = lua.lua_tojsstring(L, 1)
+
+    lua.lua_newtable(L)
+    lua.lua_pushstring(L, to_luastring(message))
+    lua.lua_setfield(L, -2, to_luastring('err'))
+
+    return 1
+  }
+
+  /**
+   * Pushes the command `reply` to the `L` stack (`null` as `false`)
+   *
+   * @param {lua_State} L The `Lua` state
+   * @param {*} reply The reply
+   *
+   * @return {undefined}
+  */
+  static _pushReply(L, reply) {
+    if (reply == null)
+      lua.lua_pushboolean(L, false)
+    else if (typeof(reply) == 'number')
+      lua.lua_pushinteger(L, reply)
+    else if (reply instanceof Array) {
+      lua.lua_newtable(L)
+
+      reply
+        .forEach((item, index) => {
+          this._pushReply(L, item)
+          lua.lua_rawseti(L, -2, index + 1)
+        })
+    }
+    else
+      lua.lua_pushstring(L, to_luastring(String(reply)))
+  }
+
+  /**
+   * Returns the script reply of the `index` value of the `L` stack
+   *
+   * @param {lua_State} L The `Lua` state
+   * @param {Number} index The stack index
+   *
+   * @return {*} The reply
+   *
+   * @throws {InMemoryRedisError} When the value is an `{ err }` table
+  */
+  static _toReply(L, index) {
+    const type = lua.lua_type(L, index)
+
+    let reply = null
+
+    if (type == lua.LUA_TSTRING)
+      reply = to_jsstring(lua.lua_tostring(L, index))
+    else if (type == lua.LUA_TNUMBER)
+      reply = Math.trunc(lua.lua_tonumber(L, index))
+    else if (type == lua.LUA_TBOOLEAN)
+      reply = lua.lua_toboolean(L, index) ? 1 : null
+    else if (type == lua.LUA_TTABLE) {
+      lua.lua_getfield(L, index, to_luastring('err'))
+
+      if (!lua.lua_isnil(L, -1))
+        throw new InMemoryRedisError(lua.lua_tojsstring(L, -1))
+
+      lua.lua_pop(L, 1)
+
+      reply = []
+
+      for (let position = 1; lua.lua_rawgeti(L, index, position) != lua.LUA_TNIL; position++) {
+        reply.push(this._toReply(L, -1))
+        lua.lua_pop(L, 1)
+      }
+
+      lua.lua_pop(L, 1)
+    }
+
+    return reply
+  }
+
+  /**
+   * Sets the `function` of the table on the top of the `L` stack
+   *
+   * @param {lua_State} L The `Lua` state
+   * @param {string} name The `function` name
+   * @param {Function} fn The `function` (returning the count of results)
+   *
+   * @return {undefined}
+  */
+  static _setFunction(L, name, fn) {
+    lua.lua_pushjsfunction(L, fn)
+    lua.lua_setfield(L, -2, to_luastring(name))
+  }
+
+  /**
+   * Sets the `values` list as the `name` global
+   *
+   * @param {lua_State} L The `Lua` state
+   * @param {string} name The global name
+   * @param {Array<string>} values The values
+   *
+   * @return {undefined}
+  */
+  static _setList(L, name, values) {
+    lua.lua_newtable(L)
+
+    values
+      .forEach((value, index) => {
+        lua.lua_pushstring(L, to_luastring(value))
+        lua.lua_rawseti(L, -2, index + 1)
+      })
+
+    lua.lua_setglobal(L, to_luastring(name))
+  }
+}
+
+module.exports = LuaScriptMock
\ No newline at end of file
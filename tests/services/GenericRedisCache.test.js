@@ -20,13 +20,46 @@ const JSONKeyNoID = require('../cache/JSON/JSONKeyNoID')
 const JSONKeyMultiID = require('../cache/JSON/JSONKeyMultiID')
 const JSONKeyMultiIDWithUndefined = require('../cache/JSON/JSONKeyMultiIDWithUndefined')
 const JSONKeyMultiIDWithNull = require('../cache/JSON/JSONKeyMultiIDWithNull')
+const JSONKeySingleIDWithTTL = require('../cache/JSON/JSONKeySingleIDWithTTL')
+const JSONKeySingleIDWithClient = require('../cache/JSON/JSONKeySingleIDWithClient')
+const JSONKeySingleIDWithSingleFlight = require('../cache/JSON/JSONKeySingleIDWithSingleFlight')
+const JSONKeySingleIDWithStaleTTL = require('../cache/JSON/JSONKeySingleIDWithStaleTTL')
+const JSONKeySingleIDWithCacheMisses = require('../cache/JSON/JSONKeySingleIDWithCacheMisses')
+const JSONKeySingleIDWithL1 = require('../cache/JSON/JSONKeySingleIDWithL1')
+const JSONKeySingleIDWithTags = require('../cache/JSON/JSONKeySingleIDWithTags')
+const JSONKeySingleIDWithoutJSONModule = require('../cache/JSON/JSONKeySingleIDWithoutJSONModule')
+const JSONKeySingleIDWithSerializer = require('../cache/JSON/JSONKeySingleIDWithSerializer')
 
 const JSONArrayKeyMultiID = require('../cache/JSON_ARRAY/JSONArrayKeyMultiID')
 const JSONArrayKeySingleID = require('../cache/JSON_ARRAY/JSONArrayKeySingleID')
+const JSONArrayKeySingleIDWithTTL = require('../cache/JSON_ARRAY/JSONArrayKeySingleIDWithTTL')
+const JSONArrayKeySingleIDWithMaxLength = require('../cache/JSON_ARRAY/JSONArrayKeySingleIDWithMaxLength')
 
 const HASHKeySingleID = require('../cache/HASH/HASHKeySingleID')
+const HASHKeySingleIDWithTags = require('../cache/HASH/HASHKeySingleIDWithTags')
+const HASHKeySingleIDWithSerializer = require('../cache/HASH/HASHKeySingleIDWithSerializer')
+
+const HASHObjectKeySingleID = require('../cache/HASH_OBJECT/HASHObjectKeySingleID')
 
 const STRINGKeySingleID = require('../cache/STRING/STRINGKeySingleID')
+const STRINGKeySingleIDWithTTL = require('../cache/STRING/STRINGKeySingleIDWithTTL')
+const STRINGKeySingleIDWithSerializer = require('../cache/STRING/STRINGKeySingleIDWithSerializer')
+
+const ZSETKeySingleID = require('../cache/ZSET/ZSETKeySingleID')
+const ZSETKeySingleIDWithTTL = require('../cache/ZSET/ZSETKeySingleIDWithTTL')
+
+const LISTKeySingleID = require('../cache/LIST/LISTKeySingleID')
+const LISTKeySingleIDWithSerializer = require('../cache/LIST/LISTKeySingleIDWithSerializer')
+
+const VALUEKeySingleID = require('../cache/VALUE/VALUEKeySingleID')
+const VALUEKeySingleIDWithNX = require('../cache/VALUE/VALUEKeySingleIDWithNX')
+const VALUEKeySingleIDWithSerializer = require('../cache/VALUE/VALUEKeySingleIDWithSerializer')
+
+const STREAMKeySingleID = require('../cache/STREAM/STREAMKeySingleID')
+
+const MessagePackSerializer = require('../../lib/services/serializers/MessagePackSerializer')
+
+const LuaScriptMock = require('../mocks/LuaScriptMock')
 
 const SpyMock = require('@contartec-team/spy-mock/lib/SpyMock')
 const { expect } = require('chai')
@@ -36,6 +69,292 @@ describe('GenericRedisCache', () => {
     yield clear_database()
   })
 
+  describe('.getClient', () => {
+    context('when the cache has no `client`', () => {
+      it('should return the default `redis` instance', () => {
+        const client = JSONKeySingleID.getClient()
+
+        expect(client).to.equal(redis)
+      })
+    })
+
+    context('when the cache has a `clientFactory`', () => {
+      let client
+
+      before(() => {
+        client = JSONKeySingleIDWithClient.getClient()
+      })
+
+      it('should return the `client` created by the factory', () => {
+        expect(client).to.not.equal(redis)
+      })
+
+      it('should create the `client` once', () => {
+        expect(JSONKeySingleIDWithClient.getClient()).to.equal(client)
+      })
+
+      context('and a value is set', () => {
+        const OBJECT_KEY = { id: 1 }
+
+        before(async () => {
+          await JSONKeySingleIDWithClient.set(OBJECT_KEY)
+        })
+
+        after(async () => {
+          await JSONKeySingleIDWithClient.delete(OBJECT_KEY)
+        })
+
+        it('should set the value through the `client`', async () => {
+          const cacheValue = await GenericJSONCache
+            .getCache(JSONKeySingleIDWithClient.getKeyName(OBJECT_KEY), undefined, client)
+
+          expect(cacheValue).to.eql(OBJECT_KEY)
+        })
+      })
+    })
+  })
+
+  describe('.configure', () => {
+    const CLIENT = { name: 'client' }
+
+    context('when `client` is passed', () => {
+      before(() => {
+        JSONKeyNoID.configure({ client: CLIENT })
+      })
+
+      after(() => {
+        JSONKeyNoID.configure()
+      })
+
+      it('should use the `client` on the cache', () => {
+        expect(JSONKeyNoID.getClient()).to.equal(CLIENT)
+      })
+
+      it('should not use the `client` on other caches', () => {
+        expect(JSONKeySingleID.getClient()).to.equal(redis)
+      })
+    })
+
+    context('when `clientFactory` is passed', () => {
+      let spies
+
+      before(() => {
+        spies = {
+          clientFactory: sinon
+            .stub()
+            .returns(CLIENT)
+        }
+
+        JSONKeyNoID.configure({ clientFactory: spies.clientFactory })
+      })
+
+      after(() => {
+        JSONKeyNoID.configure()
+      })
+
+      it('should use the `client` returned by `clientFactory`', () => {
+        expect(JSONKeyNoID.getClient()).to.equal(CLIENT)
+      })
+
+      it('should call `clientFactory` once', () => {
+        JSONKeyNoID.getClient()
+
+        expect(spies.clientFactory).to.have.been.calledOnce
+      })
+    })
+
+    context('when nothing is passed', () => {
+      before(() => {
+        JSONKeyNoID.configure({ client: CLIENT })
+        JSONKeyNoID.configure()
+      })
+
+      it('should use the default `redis` instance', () => {
+        expect(JSONKeyNoID.getClient()).to.equal(redis)
+      })
+    })
+
+    context('when `jsonModule` is passed', () => {
+      before(() => {
+        JSONKeyNoID.configure({ client: CLIENT, jsonModule: false })
+      })
+
+      after(() => {
+        JSONKeyNoID.configure()
+      })
+
+      it('should set whether the `client` has the `ReJSON` module', () => {
+        expect(GenericJSONCache.hasJSONModule(CLIENT)).to.be.false
+      })
+    })
+
+    if (process.env.REDIS_IN_MEMORY) {
+      context('when `client` is passed without `jsonModule`', () => {
+        const OBJECT = { name: 'dog' }
+
+        let client
+
+        before(async () => {
+          client = redis.duplicate({ jsonModule: false })
+
+          await JSONKeyNoID.configure({ client })
+        })
+
+        after(async () => {
+          await JSONKeyNoID.configure()
+        })
+
+        it('should detect whether the `client` has the `ReJSON` module before resolving', () => {
+          expect(GenericJSONCache.hasJSONModule(client)).to.be.false
+        })
+
+        it('should save the values as string keys', async () => {
+          await JSONKeyNoID.set(undefined, OBJECT)
+
+          try {
+            expect(await redis.typeAsync(JSONKeyNoID.getKeyName())).to.eql('string')
+            expect(await JSONKeyNoID.getCache()).to.eql(OBJECT)
+          }
+          finally {
+            await JSONKeyNoID.delete()
+          }
+        })
+      })
+
+      context('when `clientFactory` is passed without `jsonModule`', () => {
+        const OBJECT = { name: 'dog' }
+
+        let client
+
+        before(async () => {
+          client = redis.duplicate({ jsonModule: false })
+
+          await JSONKeyNoID.configure({ clientFactory: () => client })
+          await JSONKeyNoID.set(undefined, OBJECT)
+        })
+
+        after(async () => {
+          await JSONKeyNoID.delete()
+          await JSONKeyNoID.configure()
+        })
+
+        it('should detect whether the `client` has the `ReJSON` module on the first operation', () => {
+          expect(GenericJSONCache.hasJSONModule(client)).to.be.false
+        })
+
+        it('should save the values as string keys', async () => {
+          expect(await redis.typeAsync(JSONKeyNoID.getKeyName())).to.eql('string')
+          expect(await JSONKeyNoID.getCache()).to.eql(OBJECT)
+        })
+      })
+    }
+  })
+
+  describe('.detectJSONModule', () => {
+    context('when the client has the `ReJSON` module', () => {
+      it('should return `true`', async () => {
+        expect(await JSONKeySingleID.detectJSONModule()).to.be.true
+      })
+    })
+
+    context('when it is called concurrently', () => {
+      let spies
+
+      before(() => {
+        spies = {
+          send_commandAsync: sinon.spy(redis, 'send_commandAsync')
+        }
+      })
+
+      after(() => {
+        spies.send_commandAsync.restore()
+      })
+
+      it('should send a single `JSON.TYPE` command', async () => {
+        const detections = await Promise.all([ JSONKeySingleID.detectJSONModule(), JSONKeySingleID.detectJSONModule() ])
+
+        expect(detections).to.eql([ true, true ])
+        expect(spies.send_commandAsync).to.have.been.calledOnceWith('JSON.TYPE')
+      })
+    })
+
+    if (process.env.REDIS_IN_MEMORY) {
+      context('when the client has not the `ReJSON` module', () => {
+        it('should return `false`', async () => {
+          expect(await JSONKeySingleIDWithoutJSONModule.detectJSONModule()).to.be.false
+        })
+      })
+    }
+  })
+
+  describe('when the client has not the `ReJSON` module', () => {
+    const OBJECT_KEY = { id: 1 }
+    const OBJECT = { id: 1, name: 'dog', owner: { name: 'john', pets: [ 'dog' ] } }
+
+    before(async () => {
+      await JSONKeySingleIDWithoutJSONModule.set(OBJECT_KEY, OBJECT)
+    })
+
+    after(async () => {
+      await JSONKeySingleIDWithoutJSONModule.delete(OBJECT_KEY)
+    })
+
+    it('should save the value as a string key', async () => {
+      const keyName = JSONKeySingleIDWithoutJSONModule.getKeyName(OBJECT_KEY)
+
+      expect(await redis.typeAsync(keyName)).to.eql('string')
+      expect(JSON.parse(await redis.getAsync(keyName))).to.eql(OBJECT)
+    })
+
+    it('should return the cached value', async () => {
+      expect(await JSONKeySingleIDWithoutJSONModule.getCache(OBJECT_KEY)).to.eql(OBJECT)
+    })
+
+    it('should return the cached value `attrs` (including nested ones)', async () => {
+      const value = await JSONKeySingleIDWithoutJSONModule
+        .getCache(OBJECT_KEY, [ '.name', '.owner.pets[0]' ])
+
+      expect(value).to.eql({ '.name': OBJECT.name, '.owner.pets[0]': OBJECT.owner.pets[0] })
+    })
+
+    it('should return the cached value `JSONPaths`', async () => {
+      const value = await JSONKeySingleIDWithoutJSONModule
+        .getCache(OBJECT_KEY, [ '$.owner.name', '$..name' ])
+
+      expect(value['$.owner.name']).to.eql(OBJECT.owner.name)
+      expect(value['$..name']).to.deep.equalInAnyOrder([ OBJECT.name, OBJECT.owner.name ])
+    })
+
+    it('should set the nested `attrs`', async () => {
+      const keyName = JSONKeySingleIDWithoutJSONModule.getKeyName(OBJECT_KEY)
+      const client = JSONKeySingleIDWithoutJSONModule.getClient()
+
+      await GenericJSONCache.setCache(keyName, 'bob', '.owner.name', client)
+
+      expect(await GenericJSONCache.getCache(keyName, [ '.owner.name' ], client)).to.eql('bob')
+
+      await GenericJSONCache.setCache(keyName, OBJECT.owner.name, '.owner.name', client)
+    })
+
+    it('should return the value as cached', async () => {
+      expect(await JSONKeySingleIDWithoutJSONModule.isCached(OBJECT_KEY)).to.be.true
+    })
+
+    context('and the value is deleted', () => {
+      before(async () => {
+        await JSONKeySingleIDWithoutJSONModule.delete(OBJECT_KEY)
+      })
+
+      after(async () => {
+        await JSONKeySingleIDWithoutJSONModule.set(OBJECT_KEY, OBJECT)
+      })
+
+      it('should delete the key', async () => {
+        expect(await JSONKeySingleIDWithoutJSONModule.isCached(OBJECT_KEY)).to.be.false
+      })
+    })
+  })
+
   describe('.getKeyName', () => {
     context('when the `key` is passed', () => {
       context('when the `KEY_NAME` has one id', () => {
@@ -531,6 +850,72 @@ describe('GenericRedisCache', () => {
     })
   })
 
+  describe('.parseKeyName', () => {
+    context('when the `keyName` matches the `keyName` template', () => {
+      context('and the cache has a single id', () => {
+        it('should return the id object', () => {
+          expect(JSONKeySingleID.parseKeyName('test:abc')).to.eql({ id: 'abc' })
+        })
+
+        context('and the id is an integer', () => {
+          it('should return it as `Number`', () => {
+            expect(JSONKeySingleID.parseKeyName('test:10')).to.eql({ id: 10 })
+          })
+        })
+      })
+
+      context('and the cache has multiple ids', () => {
+        const KEY = { id: 1, id2: 'second', id3: 'third' }
+
+        it('should return the id object', () => {
+          const keyName = JSONKeyMultiID.getKeyName(KEY)
+
+          expect(JSONKeyMultiID.parseKeyName(keyName)).to.eql(KEY)
+        })
+      })
+
+      context('and the `keyName` has the `idNull` value', () => {
+        context('and it is defined on the `KeyId`', () => {
+          it('should return the id as `null`', () => {
+            const keyName = JSONKeyMultiIDWithNull.getKeyName({ id: 1, id2: null })
+
+            expect(JSONKeyMultiIDWithNull.parseKeyName(keyName)).to.eql({ id: 1, id2: null })
+          })
+        })
+
+        context('and it is defined on the cache', () => {
+          it('should return the id as `null`', () => {
+            expect(JSONKeySingleID.parseKeyName('test:null')).to.eql({ id: null })
+          })
+        })
+      })
+
+      context('and the `keyName` has the `idUndefined` value', () => {
+        it('should return the id as `undefined`', () => {
+          const keyName = JSONKeyMultiIDWithUndefined.getKeyName({ id: 1 })
+          const key = JSONKeyMultiIDWithUndefined.parseKeyName(keyName)
+
+          expect(key).to.have.property('id2', undefined)
+          expect(key.id).to.eql(1)
+        })
+      })
+
+      context('and the cache has no ids', () => {
+        it('should return an empty object', () => {
+          expect(JSONKeyNoID.parseKeyName('test:key')).to.eql({})
+        })
+      })
+    })
+
+    context('when the `keyName` does not match the `keyName` template', () => {
+      it('should return null', () => {
+        expect(JSONKeyMultiID.parseKeyName('test:1:second:2')).to.be.null
+        expect(JSONKeySingleID.parseKeyName('other:1')).to.be.null
+        expect(JSONKeySingleID.parseKeyName(null)).to.be.null
+      })
+    })
+  })
+
   describe('.getKeyNames', () => {
     context('when `keys` is passed', () => {
       context('and it is an `Object`', () => {
@@ -944,6 +1329,139 @@ describe('GenericRedisCache', () => {
         })
       })
     })
+
+    context('when the cache has `l1`', () => {
+      const VALUE = 1
+      const KEY_NAME = JSONKeySingleIDWithL1.getKeyName(VALUE)
+      const CACHE_VALUE = { id: VALUE, name: 'Kora' }
+      const NEW_CACHE_VALUE = { id: VALUE, name: 'Nina' }
+
+      // Another process with the same cache class
+      class JSONKeySingleIDWithL1Process extends JSONKeySingleIDWithL1 {}
+
+      const wait = () => new Promise(resolve => setTimeout(resolve, 10))
+
+      // The values read before the invalidation subscriptions are active are not kept in-process
+      before(async () => {
+        JSONKeySingleIDWithL1._getL1()
+        JSONKeySingleIDWithL1Process._getL1()
+
+        await wait()
+      })
+
+      beforeEach(async () => {
+        await GenericJSONCacheMock.add(KEY_NAME, CACHE_VALUE)
+        await JSONKeySingleIDWithL1.getCache(VALUE)
+        await JSONKeySingleIDWithL1Process.getCache(VALUE)
+        await wait()
+      })
+
+      afterEach(async () => {
+        await JSONKeySingleIDWithL1.delete(VALUE)
+        await wait()
+      })
+
+      after(() => {
+        JSONKeySingleIDWithL1.clearL1()
+        JSONKeySingleIDWithL1Process.clearL1()
+      })
+
+      context('and the value is read again', () => {
+        it('should return the in-process value (without reading `redis`)', async () => {
+          await redis.json_setAsync(KEY_NAME, '.', JSON.stringify(NEW_CACHE_VALUE))
+
+          const result = await JSONKeySingleIDWithL1.getCache(VALUE)
+
+          expect(result).to.eql(CACHE_VALUE)
+        })
+
+        it('should return a copy of the in-process value', async () => {
+          const result = await JSONKeySingleIDWithL1.getCache(VALUE)
+
+          result.name = 'changed'
+
+          expect(await JSONKeySingleIDWithL1.getCache(VALUE)).to.eql(CACHE_VALUE)
+        })
+      })
+
+      context('and the value is set', () => {
+        beforeEach(async () => {
+          await JSONKeySingleIDWithL1.set(VALUE, NEW_CACHE_VALUE)
+          await wait()
+        })
+
+        it('should return the new value', async () => {
+          const result = await JSONKeySingleIDWithL1.getCache(VALUE)
+
+          expect(result).to.eql(NEW_CACHE_VALUE)
+        })
+
+        it('should invalidate the value on the other processes', async () => {
+          const result = await JSONKeySingleIDWithL1Process.getCache(VALUE)
+
+          expect(result).to.eql(NEW_CACHE_VALUE)
+        })
+      })
+
+      context('and the value is invalidated while it is read', () => {
+        let result
+
+        beforeEach(async () => {
+          await JSONKeySingleIDWithL1._invalidateL1([ KEY_NAME ])
+
+          const getCacheRedis = JSONKeySingleIDWithL1._getCacheRedis
+
+          const stub = sinon.stub(JSONKeySingleIDWithL1, '_getCacheRedis')
+            .callsFake(async function(...args) {
+              const value = await getCacheRedis.apply(this, args)
+
+              await redis.json_setAsync(KEY_NAME, '.', JSON.stringify(NEW_CACHE_VALUE))
+              await JSONKeySingleIDWithL1._invalidateL1([ KEY_NAME ])
+
+              return value
+            })
+
+          result = await JSONKeySingleIDWithL1.getCache(VALUE)
+
+          stub.restore()
+        })
+
+        it('should return the value read, without keeping it in-process', async () => {
+          expect(result).to.eql(CACHE_VALUE)
+          expect(await JSONKeySingleIDWithL1.getCache(VALUE)).to.eql(NEW_CACHE_VALUE)
+        })
+      })
+
+      context('and the value is deleted', () => {
+        it('should return null', async () => {
+          await JSONKeySingleIDWithL1.delete(VALUE)
+
+          const result = await JSONKeySingleIDWithL1.getCache(VALUE)
+
+          expect(result).to.be.null
+        })
+      })
+
+      context('and the value is set on a multi', () => {
+        let results
+
+        beforeEach(async () => {
+          const multi = redis.multi()
+
+          await JSONKeySingleIDWithL1.set(VALUE, NEW_CACHE_VALUE, '.', multi)
+
+          results = [ await JSONKeySingleIDWithL1.getCache(VALUE) ]
+
+          await multi.execAsync()
+
+          results.push(await JSONKeySingleIDWithL1.getCache(VALUE))
+        })
+
+        it('should invalidate the value once the multi is executed', () => {
+          expect(results).to.eql([ CACHE_VALUE, NEW_CACHE_VALUE ])
+        })
+      })
+    })
   })
 
   describe('.getLast', () => {
@@ -1482,1197 +2000,3432 @@ describe('GenericRedisCache', () => {
         })
       })
     })
-  })
 
-  describe('.setCache', () => {
-    const VALUE = 1
+    context('when the cache has `singleFlight`', () => {
+      const VALUE = 1
+      const OBJECT = {
+        id  : VALUE,
+        name: `Name: ${VALUE}`
+      }
+      const KEY_NAME = JSONKeySingleIDWithSingleFlight.getKeyName(VALUE)
+      const LOCK_KEY_NAME = JSONKeySingleIDWithSingleFlight._getLockKeyName(KEY_NAME)
 
-    context('when the verification `hook` returns `true`', () => {
-      context('when the key is `JSON`', () => {
-        const KEY_NAME = JSONKeySingleID.getKeyName(VALUE)
-        const CACHE_VALUE = {
-          id: VALUE
-        }
+      context('and there are concurrent calls for the same key', () => {
+        let spies, responses
 
-        let redisResponse
+        before(async () => {
+          spies = {
+            getDB : sinon
+              .stub(JSONKeySingleIDWithSingleFlight, 'getDB')
+              .callsFake(async () => {
+                await new Promise(resolve => setTimeout(resolve, 20))
 
-        context('and `key` is passed', () => {
-          before(async () => {
-            redisResponse = await JSONKeySingleID.setCache(VALUE, CACHE_VALUE)
-          })
+                return OBJECT
+              })
+          }
 
-          after(async () => {
-            SpyMock.restoreAll()
+          responses = await Promise.all([
+            JSONKeySingleIDWithSingleFlight.get(VALUE),
+            JSONKeySingleIDWithSingleFlight.get(VALUE),
+            JSONKeySingleIDWithSingleFlight.get(VALUE)
+          ])
+        })
 
-            await GenericJSONCacheMock
-              .delete(KEY_NAME)
-          })
+        after(async () => {
+          await GenericJSONCacheMock.delete(KEY_NAME)
 
-          it('should return the response', () => {
-            expect(redisResponse).to.not.null
-          })
+          spies.getDB.restore()
+        })
 
-          it('should set the value to cache when executing the response', async () => {
-            await redisResponse.execAsync()
+        it('should call `getDB` once', () => {
+          expect(spies.getDB).have.been.calledOnce
+        })
 
-            const cachedValue = await JSONKeySingleID.getCache(VALUE)
+        it('should return the object to all the calls', () => {
+          expect(responses).to.eql([ OBJECT, OBJECT, OBJECT ])
+        })
 
-            expect(cachedValue).to.eql(CACHE_VALUE)
-          })
+        it('should release the lock', async () => {
+          expect(await redis.existsAsync(LOCK_KEY_NAME)).to.eql(0)
         })
+      })
+
+      context('and the key is locked by another process', () => {
+        context('and the lock is released', () => {
+          let spies, response
 
-        context('and  a null `key` is passed', () => {
           before(async () => {
-            redisResponse = await JSONKeySingleID.setCache(null, CACHE_VALUE)
+            spies = {
+              getDB : SpyMock
+                .addReturnSpy(JSONKeySingleIDWithSingleFlight, 'getDB', OBJECT)
+            }
+
+            await redis.setAsync(LOCK_KEY_NAME, 'token', 'PX', 5000)
+
+            setTimeout(async () => {
+              await redis.json_setAsync(KEY_NAME, '.', JSON.stringify(OBJECT))
+              await redis.delAsync(LOCK_KEY_NAME)
+            }, 30)
+
+            response = await JSONKeySingleIDWithSingleFlight.get(VALUE)
           })
 
           after(async () => {
-            await GenericJSONCacheMock.delete(JSONKeySingleID.getKeyName(VALUE))
+            await GenericJSONCacheMock.delete(KEY_NAME)
 
             SpyMock.restoreAll()
           })
 
-          it('should return the response', () => {
-            expect(redisResponse).to.not.null
+          it('should not call `getDB`', () => {
+            expect(spies.getDB).not.have.been.called
+          })
+
+          it('should return the object from cache', () => {
+            expect(response).to.eql(OBJECT)
           })
         })
 
-        context('and an undefined `key` is passed', () => {
+        context('and the lock is not released until the `timeout`', () => {
+          let spies, response
+
           before(async () => {
-            redisResponse = await JSONKeySingleID.setCache(undefined, CACHE_VALUE)
+            spies = {
+              getDB : SpyMock
+                .addReturnSpy(JSONKeySingleIDWithSingleFlight, 'getDB', OBJECT)
+            }
+
+            await redis.setAsync(LOCK_KEY_NAME, 'token', 'PX', 5000)
+
+            response = await JSONKeySingleIDWithSingleFlight.get(VALUE)
           })
 
           after(async () => {
+            await redis.delAsync(LOCK_KEY_NAME)
+            await GenericJSONCacheMock.delete(KEY_NAME)
+
             SpyMock.restoreAll()
+          })
 
-            await GenericJSONCacheMock
-              .delete(JSONKeySingleID.getKeyName(VALUE))
+          it('should call `getDB`', () => {
+            expect(spies.getDB).have.been.calledOnce
           })
 
-          it('should return the response', () => {
-            expect(redisResponse).to.not.null
+          it('should return the object', () => {
+            expect(response).to.eql(OBJECT)
           })
         })
       })
+    })
+    context('when the cache has `staleTTL`', () => {
+      const VALUE = 1
+      const OBJECT = {
+        id  : VALUE,
+        name: `Name: ${VALUE}`
+      }
+      const NEW_OBJECT = {
+        ...OBJECT,
+        name: `New name: ${VALUE}`
+      }
+      const KEY_NAME = JSONKeySingleIDWithStaleTTL.getKeyName(VALUE)
+      const FRESH_KEY_NAME = JSONKeySingleIDWithStaleTTL._getFreshKeyName(KEY_NAME)
+
+      context('and the cached value is fresh', () => {
+        let spies, response
 
-      context('when the key is `HASH`', () => {
-        const KEY_NAME = HASHKeySingleID.getKeyName(VALUE)
-        const CACHE_VALUE = {
-          id: VALUE
-        }
+        before(async () => {
+          await JSONKeySingleIDWithStaleTTL.set(OBJECT)
 
-        let redisResponse
+          spies = {
+            getDB       : SpyMock
+              .addReturnSpy(JSONKeySingleIDWithStaleTTL, 'getDB', NEW_OBJECT),
+            onGetCache  : sinon
+              .spy(JSONKeySingleIDWithStaleTTL, 'onGetCache')
+          }
 
-        context('and `key` is passed', () => {
-          before(async () => {
-            redisResponse = await HASHKeySingleID.setCache(VALUE, CACHE_VALUE)
-          })
+          response = await JSONKeySingleIDWithStaleTTL.get(VALUE)
+        })
 
-          after(async () => {
-            await GenericHASHCache.delete(KEY_NAME, VALUE)
+        after(async () => {
+          await GenericJSONCacheMock.delete(KEY_NAME)
+          await redis.delAsync(FRESH_KEY_NAME)
 
-            SpyMock.restoreAll()
-          })
+          spies.onGetCache.restore()
+          SpyMock.restoreAll()
+        })
 
-          it('should return the response', () => {
-            expect(redisResponse).to.not.null
-          })
+        it('should call `onGetCache` with `isStale` false', () => {
+          expect(spies.onGetCache.firstCall.args[3]).to.be.false
+        })
 
-          it('should set the value to cache when executing the response', async () => {
-            await redisResponse.execAsync()
+        it('should not call `getDB`', () => {
+          expect(spies.getDB).not.have.been.called
+        })
 
-            const cachedValue = await HASHKeySingleID.getCache(VALUE)
+        it('should return the cached object', () => {
+          expect(response).to.eql(OBJECT)
+        })
+      })
 
-            expect(cachedValue).to.eql(CACHE_VALUE)
-          })
+      context('and the cached value is stale', () => {
+        let spies, response
+
+        before(async () => {
+          await JSONKeySingleIDWithStaleTTL.set(OBJECT)
+          await redis.delAsync(FRESH_KEY_NAME)
+
+          spies = {
+            getDB       : SpyMock
+              .addReturnSpy(JSONKeySingleIDWithStaleTTL, 'getDB', NEW_OBJECT),
+            onGetCache  : sinon
+              .spy(JSONKeySingleIDWithStaleTTL, 'onGetCache')
+          }
+
+          response = await JSONKeySingleIDWithStaleTTL.get(VALUE)
+
+          await new Promise(resolve => setTimeout(resolve, 20))
         })
 
-        context('and a null `key` is passed', () => {
-          before(async () => {
-            redisResponse = await HASHKeySingleID.setCache(null, CACHE_VALUE)
-          })
+        after(async () => {
+          await GenericJSONCacheMock.delete(KEY_NAME)
+          await redis.delAsync(FRESH_KEY_NAME)
 
-          after(() => SpyMock.restoreAll())
+          spies.onGetCache.restore()
+          SpyMock.restoreAll()
+        })
 
-          it('should return the response', () => {
-            expect(redisResponse).to.not.null
-          })
+        it('should call `onGetCache` with `isStale` true', () => {
+          expect(spies.onGetCache.firstCall.args[3]).to.be.true
         })
 
-        context('and an undefined `key` is passed', () => {
-          before(async () => {
-            redisResponse = await HASHKeySingleID.setCache(undefined, CACHE_VALUE)
-          })
+        it('should return the cached object', () => {
+          expect(response).to.eql(OBJECT)
+        })
 
-          after(() => SpyMock.restoreAll())
+        it('should call `getDB` once', () => {
+          expect(spies.getDB).have.been.calledOnce
+        })
 
-          it('should return the response', () => {
-            expect(redisResponse).to.not.null
-          })
+        it('should save the object from `db` on cache', async () => {
+          const cachedObject = await redis.json_getAsync(KEY_NAME)
+
+          expect(JSON.parse(cachedObject)).to.eql(NEW_OBJECT)
         })
-      })
 
-      context('when the key is `STRING`', () => {
-        const STRING_VALUE = 'string_value'
+        it('should mark the key as fresh', async () => {
+          const ttl = await redis.ttlAsync(FRESH_KEY_NAME)
 
-        const KEY_NAME = STRINGKeySingleID.getKeyName(VALUE)
+          expect(ttl).to.be.within(1, 60)
+        })
+      })
 
-        let redisResponse
+      context('and `onRevalidateError` throws', () => {
+        const ERROR = new Error('db error')
 
-        context('and `key` is passed', () => {
-          before(async () => {
-            redisResponse = await STRINGKeySingleID.setCache(VALUE, STRING_VALUE)
-          })
+        let stubs, rejections, onUnhandledRejection, response
 
-          after(async () => {
-            await GenericSTRINGCache.delete(KEY_NAME)
+        before(async () => {
+          rejections = []
+          onUnhandledRejection = reason => rejections.push(reason)
 
-            SpyMock.restoreAll()
-          })
+          process.on('unhandledRejection', onUnhandledRejection)
 
-          it('should return the response', () => {
-            expect(redisResponse).to.not.null
-          })
+          await JSONKeySingleIDWithStaleTTL.set(OBJECT)
+          await redis.delAsync(FRESH_KEY_NAME)
 
-          it('should set the value to cache when executing the response', async () => {
-            await redisResponse.exec()
+          stubs = {
+            getDB             : sinon
+              .stub(JSONKeySingleIDWithStaleTTL, 'getDB')
+              .callsFake(async () => { throw ERROR }),
+            onRevalidateError : sinon
+              .stub(JSONKeySingleIDWithStaleTTL, 'onRevalidateError')
+              .callsFake(async e => { throw e })
+          }
 
-            const cachedValue = await STRINGKeySingleID.getCache(VALUE)
+          response = await JSONKeySingleIDWithStaleTTL.get(VALUE)
 
-            expect(cachedValue).to.eql([STRING_VALUE])
-          })
+          await new Promise(resolve => setTimeout(resolve, 20))
         })
 
-        context('and a null`key` is passed', () => {
-          before(async () => {
-            redisResponse = await STRINGKeySingleID.setCache(null, STRING_VALUE)
-          })
+        after(async () => {
+          process.removeListener('unhandledRejection', onUnhandledRejection)
 
-          after(() => SpyMock.restoreAll())
+          await GenericJSONCacheMock.delete(KEY_NAME)
+          await redis.delAsync(FRESH_KEY_NAME)
 
-          it('should return the response', () => {
-            expect(redisResponse).to.not.null
-          })
+          stubs.getDB.restore()
+          stubs.onRevalidateError.restore()
         })
 
-        context('and an undefined `key` is passed', () => {
-          before(async () => {
-            redisResponse = STRINGKeySingleID.setCache(undefined, STRING_VALUE)
-          })
+        it('should call `onRevalidateError` with the error', () => {
+          expect(stubs.onRevalidateError).have.been.calledOnceWith(ERROR)
+        })
 
-          after(() => SpyMock.restoreAll())
+        it('should not leave the rejection unhandled', () => {
+          expect(rejections).to.eql([])
+        })
 
-          it('should return the response', () => {
-            expect(redisResponse).to.not.null
-          })
+        it('should return the cached object', () => {
+          expect(response).to.eql(OBJECT)
         })
       })
 
-      context('when the key is `JSON_ARRAY`', () => {
-        const KEY_NAME = JSONArrayKeySingleID.getKeyName(VALUE)
-        const CACHE_VALUE = {
-          id: VALUE
+      context('and the cached value is in `l1`', () => {
+        class JSONKeySingleIDWithStaleTTLAndL1 extends JSONKeySingleIDWithStaleTTL {
+          static get GENERIC_REDIS_ATTRS()  { return { ...super.GENERIC_REDIS_ATTRS, l1: true } }
         }
 
-        let redisResponse
-
-        context('and `key` is passed', () => {
-          before(async () => {
-            redisResponse = await JSONArrayKeySingleID
-              .setCache(VALUE, CACHE_VALUE)
-          })
-
-          after(async () => {
-            await GenericJSONCacheMock
-              .delete(KEY_NAME)
-          })
-
-          it('should return the response', () => {
-            expect(redisResponse).to.not.null
-          })
+        let spies, response
 
-          it('should set the value to cache when executing the response', async () => {
-            await redisResponse.execAsync()
+        before(async () => {
+          await JSONKeySingleIDWithStaleTTLAndL1.set(OBJECT)
+          await new Promise(resolve => setTimeout(resolve, 10))
+          await JSONKeySingleIDWithStaleTTLAndL1.getCache(VALUE)
+          await redis.delAsync(FRESH_KEY_NAME)
 
-            const cachedValue = await JSONArrayKeySingleID
-              .getCache(VALUE)
+          spies = {
+            getDB   : SpyMock
+              .addReturnSpy(JSONKeySingleIDWithStaleTTLAndL1, 'getDB', NEW_OBJECT),
+            exists  : sinon
+              .spy(redis, 'existsAsync')
+          }
 
-            expect(cachedValue).to.eql(CACHE_VALUE)
-          })
+          response = await JSONKeySingleIDWithStaleTTLAndL1.get(VALUE)
         })
 
-        context('and  a null `key` is passed', () => {
-          before(async () => {
-            redisResponse = await JSONArrayKeySingleID
-              .setCache(null, CACHE_VALUE)
-          })
+        after(async () => {
+          await JSONKeySingleIDWithStaleTTLAndL1.delete(VALUE)
 
-          after(async () => {
-            await GenericJSONCacheMock
-              .delete(JSONArrayKeySingleID.getKeyName(VALUE))
-          })
+          JSONKeySingleIDWithStaleTTLAndL1.clearL1()
 
-          it('should return the response', () => {
-            expect(redisResponse).to.not.null
-          })
+          spies.exists.restore()
+          SpyMock.restoreAll()
         })
 
-        context('and an undefined `key` is passed', () => {
-          before(async () => {
-            redisResponse = await JSONArrayKeySingleID
-              .setCache(undefined, CACHE_VALUE)
-          })
+        it('should not check the fresh key on `redis`', () => {
+          expect(spies.exists).not.have.been.called
+        })
 
-          after(async () => {
-            await GenericJSONCacheMock
-              .delete(JSONKeySingleID.getKeyName(VALUE))
-          })
+        it('should not call `getDB`', () => {
+          expect(spies.getDB).not.have.been.called
+        })
 
-          it('should return the response', () => {
-            expect(redisResponse).to.not.null
-          })
+        it('should return the in-process object', () => {
+          expect(response).to.eql(OBJECT)
         })
       })
     })
-  })
+    context('when the cache has `cacheMisses`', () => {
+      const VALUE = 1
+      const OBJECT = {
+        id  : VALUE,
+        name: `Name: ${VALUE}`
+      }
+      const KEY_NAME = JSONKeySingleIDWithCacheMisses.getKeyName(VALUE)
+      const MISS_KEY_NAME = JSONKeySingleIDWithCacheMisses._getMissKeyName(KEY_NAME)
 
-  describe('.addCache', () => {
-    const VALUE = 1
-    const CACHE_VALUE = { id: VALUE }
+      context('and `getDB` returns null', () => {
+        let spies, responses
 
-    context('when the key is `JSON_ARRAY`', () => {
-      const KEY_NAME = JSONArrayKeySingleID.getKeyName(VALUE)
+        before(async () => {
+          spies = {
+            getDB : SpyMock
+              .addReturnSpy(JSONKeySingleIDWithCacheMisses, 'getDB', null)
+          }
 
-      let redisResponse
+          responses = [
+            await JSONKeySingleIDWithCacheMisses.get(VALUE),
+            await JSONKeySingleIDWithCacheMisses.get(VALUE)
+          ]
+        })
 
-      context('and `key` is passed', () => {
-        context('and `value` is passed', () => {
-          context('and `position` is passed', () => {
-            const POSITION = 0
+        after(async () => {
+          await redis.delAsync(MISS_KEY_NAME)
 
-            before(async () => {
-              const value = [{ id: 42 }]
+          SpyMock.restoreAll()
+        })
 
-              await redis
-                .json_setAsync(KEY_NAME, '.', JSON.stringify(value))
+        it('should call `getDB` once', () => {
+          expect(spies.getDB).have.been.calledOnce
+        })
 
-              redisResponse = await JSONArrayKeySingleID
-                .addCache(VALUE, CACHE_VALUE, POSITION)
-            })
+        it('should return null', () => {
+          expect(responses).to.eql([ null, null ])
+        })
 
-            after(async () => {
-              await GenericJSONCacheMock
-                .delete(KEY_NAME)
-            })
+        it('should cache the miss with its `ttl`', async () => {
+          const ttl = await redis.ttlAsync(MISS_KEY_NAME)
 
-            it('should return the new list size', () => {
-              expect(redisResponse).to.eql(2)
-            })
+          expect(ttl).to.be.within(1, 30)
+        })
+      })
 
-            it('should set the value to cache at the position passed', async () => {
-              const cachedValue = await JSONArrayKeySingleID
-                .getCache(VALUE)
+      context('and the key is saved after a miss', () => {
+        let response
 
-              expect(cachedValue[POSITION]).to.eql(CACHE_VALUE)
-            })
-          })
+        before(async () => {
+          SpyMock.addReturnSpy(JSONKeySingleIDWithCacheMisses, 'getDB', null)
 
-          context('and `position` is not passed', () => {
-            before(async () => {
-              const value = [{ id: 42 }]
+          await JSONKeySingleIDWithCacheMisses.get(VALUE)
+          await JSONKeySingleIDWithCacheMisses.set(OBJECT)
 
-              await redis
-                .json_setAsync(KEY_NAME, '.', JSON.stringify(value))
+          response = await JSONKeySingleIDWithCacheMisses.get(VALUE)
+        })
 
-              redisResponse = await JSONArrayKeySingleID
-                .addCache(VALUE, CACHE_VALUE)
-            })
+        after(async () => {
+          await GenericJSONCacheMock.delete(KEY_NAME)
 
-            after(async () => {
-              await GenericJSONCacheMock
-                .delete(KEY_NAME)
-            })
+          SpyMock.restoreAll()
+        })
 
-            it('should return the new list size', () => {
-              expect(redisResponse).to.eql(2)
-            })
+        it('should remove the miss', async () => {
+          expect(await redis.existsAsync(MISS_KEY_NAME)).to.eql(0)
+        })
 
-            it('should set the value to cache after the last element', async () => {
-              const cachedValue = await JSONArrayKeySingleID
-                .getCache(VALUE)
+        it('should return the cached object', () => {
+          expect(response).to.eql(OBJECT)
+        })
+      })
+    })
 
-              const last = cachedValue.length - 1
+    context('when the key is `ZSET`', () => {
+      const VALUE = 1
+      const KEY_NAME = ZSETKeySingleID.getKeyName(VALUE)
+      const MEMBERS = [ { name: 'first', score: 20 }, { name: 'second', score: 10 } ]
 
-              expect(cachedValue[last]).to.eql(CACHE_VALUE)
-            })
-          })
+      let spies, response
+
+      context('and there is no value cached', () => {
+        before(async () => {
+          spies = {
+            getDB : SpyMock
+              .addReturnSpy(ZSETKeySingleID, 'getDB', MEMBERS)
+          }
+
+          response = await ZSETKeySingleID.get(VALUE)
         })
 
-        context('and `value` is not passed', () => {
-          before(async () => {
-            redisResponse = await JSONArrayKeySingleID
-              .addCache(VALUE)
-          })
+        after(async () => {
+          await ZSETKeySingleID.delete(VALUE)
 
-          after(async () => {
-            await GenericJSONCacheMock
-              .delete(KEY_NAME)
-          })
+          SpyMock.restoreAll()
+        })
 
-          it('should return the new list size', () => {
-            expect(redisResponse).to.eql(0)
-          })
+        it('should call `getDB`', () => {
+          expect(spies.getDB).to.have.been.calledOnceWith(VALUE)
+        })
 
-          it('should set an empty list', async () => {
-            const cachedValue = await JSONArrayKeySingleID
-              .getCache(VALUE)
+        it('should return the members from `db`', () => {
+          expect(response).to.eql(MEMBERS)
+        })
 
-            expect(cachedValue).to.eql([])
-          })
+        it('should save the members with their `score`', async () => {
+          const result = await ZSETKeySingleID.getCache(VALUE, { withScores: true })
+
+          expect(result).to.eql([ { member: MEMBERS[1], score: 10 }, { member: MEMBERS[0], score: 20 } ])
         })
       })
 
-      context('and  a null `key` is passed', () => {
+      context('and there are members cached', () => {
         before(async () => {
-          redisResponse = await JSONArrayKeySingleID
-            .addCache(null, CACHE_VALUE)
+          await ZSETKeySingleID.set(VALUE, MEMBERS)
+
+          spies = {
+            getDB : SpyMock
+              .addReturnSpy(ZSETKeySingleID, 'getDB', [])
+          }
+
+          response = await ZSETKeySingleID.get(VALUE, { reverse: true })
         })
 
         after(async () => {
-          await GenericJSONCacheMock
-            .delete(JSONArrayKeySingleID.getKeyName(null))
+          await ZSETKeySingleID.delete(VALUE)
+
+          SpyMock.restoreAll()
         })
 
-        it('should return the new list size', () => {
-          expect(redisResponse).to.eql(1)
+        it('should not call `getDB`', () => {
+          expect(spies.getDB).to.not.have.been.called
         })
 
-        it('should add the value to cache', async () => {
-          const cachedValue = await JSONArrayKeySingleID
-            .getCache(null)
+        it('should return the cached members on the `params` order', () => {
+          expect(response).to.eql(MEMBERS)
+        })
 
-          expect(cachedValue).to.eql([CACHE_VALUE])
+        it('should be cached', async () => {
+          expect(await ZSETKeySingleID.isCached(VALUE)).to.be.true
+          expect(await redis.typeAsync(KEY_NAME)).to.eql('zset')
         })
       })
+    })
 
-      context('and an undefined `key` is passed', () => {
+    context('when the key is `LIST`', () => {
+      const VALUE = 1
+      const KEY_NAME = LISTKeySingleID.getKeyName(VALUE)
+      const ITEMS = [ { name: 'first' }, { name: 'second' }, { name: 'third' }, { name: 'fourth' } ]
+
+      let spies, response
+
+      context('and there is no value cached', () => {
         before(async () => {
-          redisResponse = await JSONArrayKeySingleID
-            .addCache(undefined, CACHE_VALUE)
+          spies = {
+            getDB : SpyMock
+              .addReturnSpy(LISTKeySingleID, 'getDB', ITEMS)
+          }
+
+          response = await LISTKeySingleID.get(VALUE)
         })
 
         after(async () => {
-          await GenericJSONCacheMock
-            .delete(JSONArrayKeySingleID.getKeyName(undefined))
+          await LISTKeySingleID.delete(VALUE)
+
+          SpyMock.restoreAll()
         })
 
-        it('should return the new list size', () => {
-          expect(redisResponse).to.eql(1)
+        it('should call `getDB`', () => {
+          expect(spies.getDB).to.have.been.calledOnceWith(VALUE)
         })
 
-        it('should add the value to cache', async () => {
-          const cachedValue = await JSONArrayKeySingleID
-            .getCache(undefined)
+        it('should return the items from `db`', () => {
+          expect(response).to.eql(ITEMS)
+        })
 
-          expect(cachedValue).to.eql([CACHE_VALUE])
+        it('should save the last `maxLength` items', async () => {
+          expect(await LISTKeySingleID.getCache(VALUE)).to.eql(ITEMS.slice(-3))
+          expect(await redis.typeAsync(KEY_NAME)).to.eql('list')
         })
       })
-    })
 
-    context('when the key is not `JSON_ARRAY`', () => {
-      let redisResponse
+      context('and there are items cached', () => {
+        before(async () => {
+          await LISTKeySingleID.set(VALUE, ITEMS)
 
-      before(async () => {
-        redisResponse = await JSONKeySingleID
-          .addCache(undefined, CACHE_VALUE)
-      })
+          spies = {
+            getDB : SpyMock
+              .addReturnSpy(LISTKeySingleID, 'getDB', [])
+          }
 
-      after(async () => {
-        await GenericJSONCacheMock
-          .delete(JSONArrayKeySingleID.getKeyName(VALUE))
-      })
+          response = await LISTKeySingleID.get(VALUE, { start: 1, stop: -1 })
+        })
 
-      it('should return the response', () => {
-        expect(redisResponse).to.be.null
+        after(async () => {
+          await LISTKeySingleID.delete(VALUE)
+
+          SpyMock.restoreAll()
+        })
+
+        it('should not call `getDB`', () => {
+          expect(spies.getDB).to.not.have.been.called
+        })
+
+        it('should return the cached items between `start` and `stop`', () => {
+          expect(response).to.eql(ITEMS.slice(2, 4))
+        })
       })
     })
-  })
 
-  describe('.set', () => {
-    context('when `key` is not `null`', () => {
-      context('when `key` is an `Object`', () => {
-        const OBJECT_KEY = {
-          id: 1,
-          attr1: 'teste'
-        }
+    context('when the key is `VALUE`', () => {
+      const VALUE = 1
+      const KEY_NAME = VALUEKeySingleID.getKeyName(VALUE)
+      const DB_VALUE = { id: VALUE, name: 'first' }
 
-        context('and `value` is `undefined`', () => {
-          let spies, redisResponse
+      let spies, response
 
-          context('and `key` has id attrs', () => {
-            before(async () => {
-              spies = {
-                onSave: SpyMock
-                  .addReturnSpy(JSONKeySingleID, 'onSave')
-              }
+      context('and there is no value cached', () => {
+        before(async () => {
+          spies = {
+            getDB : SpyMock
+              .addReturnSpy(VALUEKeySingleID, 'getDB', DB_VALUE)
+          }
 
-              redisResponse = await JSONKeySingleID.set(OBJECT_KEY)
-            })
+          response = await VALUEKeySingleID.get(VALUE)
+        })
 
-            after(() => SpyMock.restoreAll())
+        after(async () => {
+          await VALUEKeySingleID.delete(VALUE)
 
-            it('should call `onSave`', () => {
-              expect(spies.onSave).have.been.calledOnce
-            })
+          SpyMock.restoreAll()
+        })
 
-            it('should return the `key` setted', () => {
-              expect(redisResponse).to.eql(OBJECT_KEY)
-            })
+        it('should call `getDB`', () => {
+          expect(spies.getDB).to.have.been.calledOnceWith(VALUE)
+        })
 
-            it('should set the `key` on cache', async () => {
-              const cacheValue = await JSONKeySingleID.getCache(OBJECT_KEY.id)
+        it('should return the value from `db`', () => {
+          expect(response).to.eql(DB_VALUE)
+        })
 
-              expect(cacheValue).to.eql(OBJECT_KEY)
-            })
-          })
+        it('should save the value as a plain string', async () => {
+          expect(await VALUEKeySingleID.getCache(VALUE)).to.eql(DB_VALUE)
+          expect(await redis.getAsync(KEY_NAME)).to.eql(JSON.stringify(DB_VALUE))
+        })
+      })
 
-          context('and `key` has no id attrs', () => {
-            before(async () => {
-              spies = {
-                setCache: SpyMock
-                  .addReturnSpy(JSONKeySingleID, 'setCache'),
+      context('and the cache has `setMode`', () => {
+        const KEY_NAME_NX = VALUEKeySingleIDWithNX.getKeyName(VALUE)
 
-                getIdAttr: SpyMock
-                  .addReturnSpy(JSONKeySingleID, '_getIdAttr', null)
-              }
+        let onSave
 
-              redisResponse = await JSONKeySingleID.set(OBJECT_KEY)
-            })
+        before(async () => {
+          await VALUEKeySingleIDWithNX.set(VALUE, DB_VALUE)
+          await redis.persistAsync(KEY_NAME_NX)
 
-            after(() => SpyMock.restoreAll())
+          onSave = SpyMock.addReturnSpy(VALUEKeySingleIDWithNX, 'onSave', null)
 
-            it('should call `_getIdAttr`', () => {
-              expect(spies.getIdAttr).have.been.called
-            })
+          response = await VALUEKeySingleIDWithNX.set(VALUE, { ...DB_VALUE, name: 'new' })
+        })
 
-            it('should not call `setCache`', () => {
-              expect(spies.setCache).not.have.been.calledOnce
-            })
+        after(async () => {
+          await VALUEKeySingleIDWithNX.delete(VALUE)
 
-            it('should return `null`', () => {
-              expect(redisResponse).to.not.exist
-            })
-          })
+          SpyMock.restoreAll()
         })
-      })
 
-      context('when `key` is a `string`', () => {
-        context('when `value` is `undefined`', () => {
-          context('when `getDB` return is not `null`', () => {
-            const STRING_KEY = 'teste'
-            const OBJECT_DB = { id: STRING_KEY }
+        it('should not replace the cached value', async () => {
+          expect(await VALUEKeySingleIDWithNX.getCache(VALUE)).to.eql(DB_VALUE)
+        })
 
-            let redisResponse
+        it('should return `null` and not call `onSave`', () => {
+          expect(response).to.be.null
+          expect(onSave).to.not.have.been.called
+        })
 
-            before(async () => {
-              SpyMock
-                .addReturnSpy(JSONKeySingleID, 'getDB', OBJECT_DB)
+        it('should not expire the cached value', async () => {
+          expect(await redis.ttlAsync(KEY_NAME_NX)).to.eql(-1)
+        })
 
-              redisResponse = await JSONKeySingleID
-                .set(STRING_KEY)
-            })
+        context('and the value is saved', () => {
+          before(async () => {
+            await VALUEKeySingleIDWithNX.delete(VALUE)
 
-            after(async () => {
-              SpyMock.restoreAll()
+            response = await VALUEKeySingleIDWithNX.set(VALUE, DB_VALUE)
+          })
 
-              await JSONKeySingleID
-                .delete(STRING_KEY)
-            })
+          it('should save it with the `ttl` and call `onSave`', async () => {
+            expect(response).to.eql(DB_VALUE)
+            expect(await redis.ttlAsync(KEY_NAME_NX)).to.be.within(1, 60)
+            expect(onSave).to.have.been.calledOnce
+          })
+        })
 
-            it('shpuld return the cache value', () => {
-              expect(redisResponse).to.eql(STRING_KEY)
-            })
+        context('and the value is saved on a `multi`', () => {
+          before(async () => {
+            await VALUEKeySingleIDWithNX.delete(VALUE)
 
-            it('should set the `key` on cache', async () => {
-              const cacheValue = await JSONKeySingleID
-                .getCache(STRING_KEY)
+            response = await VALUEKeySingleIDWithNX.setList([ DB_VALUE, { ...DB_VALUE, name: 'new' } ])
+          })
 
-              expect(cacheValue).to.eql(OBJECT_DB)
-            })
+          it('should save only the first value', async () => {
+            expect(response).to.eql([ 'OK', null ])
+            expect(await VALUEKeySingleIDWithNX.getCache(VALUE)).to.eql(DB_VALUE)
           })
+        })
 
-          context('when `getDB` return is `null`', () => {
-            const STRING_KEY = 'teste2'
+        context('and the value is saved by `setValue` on a `multi`', () => {
+          let commands
 
-            let redisResponse
+          before(async () => {
+            await VALUEKeySingleIDWithNX.delete(VALUE)
 
-            before(async () => {
-              SpyMock
-                .addReturnSpy(JSONKeySingleID, 'getDB', null)
+            onSave.resetHistory()
 
-              redisResponse = await JSONKeySingleID.set(STRING_KEY)
-            })
+            commands = redis.multi()
+            response = await VALUEKeySingleIDWithNX.setValue(VALUE, DB_VALUE, undefined, commands)
 
-            after(() => SpyMock.restoreAll())
+            await commands.execAsync()
+          })
 
-            it('shpuld return `null`', () => {
-              expect(redisResponse).to.not.exist
-            })
+          it('should return the `multi` and call `onSave` once it is saved', async () => {
+            expect(response).to.eql(commands)
+            expect(onSave).to.have.been.calledOnce
+            expect(await redis.ttlAsync(KEY_NAME_NX)).to.be.within(1, 60)
+          })
+        })
 
-            it('should not set the `key` on cache', async () => {
-              const cacheValue = await JSONKeySingleID
-                .getCache(STRING_KEY)
+        context('and the `set` script runs on `Lua`', () => {
+          let restore
 
-              expect(cacheValue).to.not.exist
-            })
+          before(async () => {
+            await VALUEKeySingleIDWithNX.delete(VALUE)
+
+            restore = LuaScriptMock.mock(redis)
+          })
+
+          after(() => {
+            restore()
+          })
+
+          it('should only save the missing value (with the `ttl`)', async () => {
+            expect(await VALUEKeySingleIDWithNX.set(VALUE, DB_VALUE)).to.eql(DB_VALUE)
+            expect(await VALUEKeySingleIDWithNX.set(VALUE, { ...DB_VALUE, name: 'new' })).to.be.null
+            expect(await VALUEKeySingleIDWithNX.getCache(VALUE)).to.eql(DB_VALUE)
+            expect(await redis.ttlAsync(KEY_NAME_NX)).to.be.within(1, 60)
           })
         })
 
-        context('when `value` is `null`', () => {
-          const STRING_KEY = 'teste3'
-          const VALUE = null
+        context('and the `set` script fails', () => {
+          const ERROR = new Error('ERR set script')
 
-          let redisResponse
+          let evalAsync
 
           before(async () => {
-            redisResponse = await JSONKeySingleID.set(STRING_KEY, VALUE)
-          })
+            await VALUEKeySingleIDWithNX.delete(VALUE)
 
-          after(async () => {
-            await JSONKeyMultiID.delete(STRING_KEY)
+            evalAsync = sinon.stub(redis, 'evalAsync').callsFake(() => Promise.reject(ERROR))
           })
 
-          it('shpuld return `null`', () => {
-            expect(redisResponse).to.eql(VALUE)
+          after(() => {
+            evalAsync.restore()
           })
 
-          it('should set the `key` on cache', async () => {
-            const cacheValue = await JSONKeySingleID.getCache(STRING_KEY)
-
-            expect(cacheValue).to.eql(VALUE)
+          it('should reject with its error', async () => {
+            await expect(VALUEKeySingleIDWithNX.set(VALUE, DB_VALUE)).to.be.rejectedWith(ERROR.message)
           })
         })
       })
     })
+  })
 
-    context('when `key` is `null`', () => {
-      let spies
+  describe('.setCache', () => {
+    const VALUE = 1
 
-      before(() => {
-        spies = {
-          setCache: SpyMock
-            .addReturnSpy(JSONKeySingleID, 'setCache')
+    context('when the verification `hook` returns `true`', () => {
+      context('when the key is `JSON`', () => {
+        const KEY_NAME = JSONKeySingleID.getKeyName(VALUE)
+        const CACHE_VALUE = {
+          id: VALUE
         }
 
-        JSONKeySingleID.set()
-      })
-
-      after(() => SpyMock.restoreAll())
+        let redisResponse
 
-      it('should not call `setCache`', () => {
-        expect(spies.setCache).to.not.have.been.calledOnce
-      })
-    })
-  })
+        context('and `key` is passed', () => {
+          before(async () => {
+            redisResponse = await JSONKeySingleID.setCache(VALUE, CACHE_VALUE)
+          })
 
-  describe('.add', () => {
-    context('when `key` is not `null`', () => {
-      context('when `key` is an `Object`', () => {
-        const OBJECT_KEY = {
-          id: 1,
-          attr1: 'teste'
-        }
+          after(async () => {
+            SpyMock.restoreAll()
 
-        context('and `value` is passed', () => {
-          const VALUE = { teste: 1 }
-          const KEY_NAME = JSONArrayKeySingleID.getKeyName(OBJECT_KEY)
+            await GenericJSONCacheMock
+              .delete(KEY_NAME)
+          })
 
-          let spies, redisResponse
+          it('should return the response', () => {
+            expect(redisResponse).to.not.null
+          })
 
-          context('and `position` is passed', () => {
-            const POSITION = 0
+          it('should set the value to cache when executing the response', async () => {
+            await redisResponse.execAsync()
 
-            before(async () => {
-              spies = {
-                onSave: SpyMock
-                  .addReturnSpy(JSONArrayKeySingleID, 'onSave')
-              }
+            const cachedValue = await JSONKeySingleID.getCache(VALUE)
 
-              const value = { teste : 42}
+            expect(cachedValue).to.eql(CACHE_VALUE)
+          })
+        })
 
-              await redis
-                .json_setAsync(KEY_NAME, '.', JSON.stringify([value]))
+        context('and  a null `key` is passed', () => {
+          before(async () => {
+            redisResponse = await JSONKeySingleID.setCache(null, CACHE_VALUE)
+          })
 
-              redisResponse = await JSONArrayKeySingleID
-                .add(OBJECT_KEY, VALUE, POSITION)
-            })
+          after(async () => {
+            await GenericJSONCacheMock.delete(JSONKeySingleID.getKeyName(VALUE))
 
-            after(async () => {
-              SpyMock.restoreAll()
+            SpyMock.restoreAll()
+          })
 
-              await GenericJSONCacheMock
-                .delete(KEY_NAME)
-            })
+          it('should return the response', () => {
+            expect(redisResponse).to.not.null
+          })
+        })
 
-            it('should call `onSave`', () => {
-              expect(spies.onSave).have.been.calledOnce
-            })
+        context('and an undefined `key` is passed', () => {
+          before(async () => {
+            redisResponse = await JSONKeySingleID.setCache(undefined, CACHE_VALUE)
+          })
 
-            it('should return the new list size', () => {
-              expect(redisResponse).to.eql(2)
-            })
+          after(async () => {
+            SpyMock.restoreAll()
 
-            it('should set the `value` on cache at position', async () => {
-              const cacheValue = await JSONArrayKeySingleID
-                .getCache(OBJECT_KEY.id)
+            await GenericJSONCacheMock
+              .delete(JSONKeySingleID.getKeyName(VALUE))
+          })
 
-              expect(cacheValue[POSITION]).to.eql(VALUE)
-            })
+          it('should return the response', () => {
+            expect(redisResponse).to.not.null
           })
+        })
+      })
 
-          context('and `position` is not passed', () => {
-            before(async () => {
-              spies = {
-                onSave: SpyMock
-                  .addReturnSpy(JSONArrayKeySingleID, 'onSave')
-              }
+      context('when the key is `HASH`', () => {
+        const KEY_NAME = HASHKeySingleID.getKeyName(VALUE)
+        const CACHE_VALUE = {
+          id: VALUE
+        }
 
-              const value = { teste : 42}
+        let redisResponse
 
-              await redis
-                .json_setAsync(KEY_NAME, '.', JSON.stringify([value]))
+        context('and `key` is passed', () => {
+          before(async () => {
+            redisResponse = await HASHKeySingleID.setCache(VALUE, CACHE_VALUE)
+          })
 
-              redisResponse = await JSONArrayKeySingleID
-                .add(OBJECT_KEY, VALUE)
-            })
+          after(async () => {
+            await GenericHASHCache.delete(KEY_NAME, VALUE)
 
-            after(async () => {
-              await GenericJSONCacheMock
-                .delete(KEY_NAME)
-              
-              SpyMock.restoreAll()
-            })
+            SpyMock.restoreAll()
+          })
 
-            it('should call `onSave`', () => {
-              expect(spies.onSave).have.been.calledOnce
-            })
+          it('should return the response', () => {
+            expect(redisResponse).to.not.null
+          })
 
-            it('should return the new list size', () => {
-              expect(redisResponse).to.eql(2)
-            })
+          it('should set the value to cache when executing the response', async () => {
+            await redisResponse.execAsync()
 
-            it('should set the `value` on cache after the last element', async () => {
-              const cacheValue = await JSONArrayKeySingleID
-                .getCache(OBJECT_KEY.id)
+            const cachedValue = await HASHKeySingleID.getCache(VALUE)
 
-              const last = cacheValue.length - 1
+            expect(cachedValue).to.eql(CACHE_VALUE)
+          })
+        })
 
-              expect(cacheValue[last]).to.eql(VALUE)
-            })
+        context('and a null `key` is passed', () => {
+          before(async () => {
+            redisResponse = await HASHKeySingleID.setCache(null, CACHE_VALUE)
+          })
+
+          after(() => SpyMock.restoreAll())
+
+          it('should return the response', () => {
+            expect(redisResponse).to.not.null
           })
         })
 
-        context('and `value` is `undefined`', () => {
-          let spies, redisResponse
+        context('and an undefined `key` is passed', () => {
+          before(async () => {
+            redisResponse = await HASHKeySingleID.setCache(undefined, CACHE_VALUE)
+          })
 
-          context('and `key` has id attrs', () => {
-            before(async () => {
-              spies = {
-                onSave: SpyMock
-                  .addReturnSpy(JSONArrayKeySingleID, 'onSave')
-              }
+          after(() => SpyMock.restoreAll())
 
-              redisResponse = await JSONArrayKeySingleID
-                .add(OBJECT_KEY)
-            })
+          it('should return the response', () => {
+            expect(redisResponse).to.not.null
+          })
+        })
+      })
 
-            after(async () => {
-              await GenericJSONCacheMock
-                .delete(JSONArrayKeySingleID.getKeyName(OBJECT_KEY))
-              
-              SpyMock.restoreAll()
-            })
+      context('when the key is `STRING`', () => {
+        const STRING_VALUE = 'string_value'
 
-            it('should call `onSave`', () => {
-              expect(spies.onSave).have.been.calledOnce
-            })
+        const KEY_NAME = STRINGKeySingleID.getKeyName(VALUE)
 
-            it('should return the new list size', () => {
-              expect(redisResponse).to.eql(1)
-            })
+        let redisResponse
 
-            it('should set the `key` on cache', async () => {
-              const cacheValue = await JSONArrayKeySingleID
-                .getCache(OBJECT_KEY.id)
+        context('and `key` is passed', () => {
+          before(async () => {
+            redisResponse = await STRINGKeySingleID.setCache(VALUE, STRING_VALUE)
+          })
 
-              expect(cacheValue).to.eql([OBJECT_KEY])
-            })
+          after(async () => {
+            await GenericSTRINGCache.delete(KEY_NAME)
+
+            SpyMock.restoreAll()
           })
 
-          context('and `key` has no id attrs', () => {
-            before(async () => {
-              spies = {
-                addCache: SpyMock
-                  .addReturnSpy(JSONArrayKeySingleID, 'addCache'),
+          it('should return the response', () => {
+            expect(redisResponse).to.not.null
+          })
 
-                getIdAttr: SpyMock
-                  .addReturnSpy(JSONArrayKeySingleID, '_getIdAttr', null)
-              }
+          it('should set the value to cache when executing the response', async () => {
+            await redisResponse.exec()
 
-              redisResponse = await JSONArrayKeySingleID
-                .add(OBJECT_KEY)
-            })
+            const cachedValue = await STRINGKeySingleID.getCache(VALUE)
 
-            after(() => SpyMock.restoreAll())
+            expect(cachedValue).to.eql([STRING_VALUE])
+          })
+        })
 
-            it('should call `_getIdAttr`', () => {
-              expect(spies.getIdAttr).have.been.called
-            })
+        context('and a null`key` is passed', () => {
+          before(async () => {
+            redisResponse = await STRINGKeySingleID.setCache(null, STRING_VALUE)
+          })
 
-            it('should not call `addCache`', () => {
-              expect(spies.addCache).not.have.been.calledOnce
-            })
+          after(() => SpyMock.restoreAll())
 
-            it('should return `null`', () => {
-              expect(redisResponse).to.not.exist
-            })
+          it('should return the response', () => {
+            expect(redisResponse).to.not.null
+          })
+        })
+
+        context('and an undefined `key` is passed', () => {
+          before(async () => {
+            redisResponse = STRINGKeySingleID.setCache(undefined, STRING_VALUE)
+          })
+
+          after(() => SpyMock.restoreAll())
+
+          it('should return the response', () => {
+            expect(redisResponse).to.not.null
           })
         })
       })
 
-      context('when `key` is a `string`', () => {
-        context('when `value` is `undefined`', () => {
-          context('when `getDB` return is not `null`', () => {
-            const STRING_KEY = 'teste'
-            const OBJECT_DB = { id: STRING_KEY }
+      context('when the key is `JSON_ARRAY`', () => {
+        const KEY_NAME = JSONArrayKeySingleID.getKeyName(VALUE)
+        const CACHE_VALUE = {
+          id: VALUE
+        }
 
-            let redisResponse
+        let redisResponse
+
+        context('and `key` is passed', () => {
+          before(async () => {
+            redisResponse = await JSONArrayKeySingleID
+              .setCache(VALUE, CACHE_VALUE)
+          })
+
+          after(async () => {
+            await GenericJSONCacheMock
+              .delete(KEY_NAME)
+          })
+
+          it('should return the response', () => {
+            expect(redisResponse).to.not.null
+          })
+
+          it('should set the value to cache when executing the response', async () => {
+            await redisResponse.execAsync()
+
+            const cachedValue = await JSONArrayKeySingleID
+              .getCache(VALUE)
+
+            expect(cachedValue).to.eql(CACHE_VALUE)
+          })
+        })
+
+        context('and  a null `key` is passed', () => {
+          before(async () => {
+            redisResponse = await JSONArrayKeySingleID
+              .setCache(null, CACHE_VALUE)
+          })
+
+          after(async () => {
+            await GenericJSONCacheMock
+              .delete(JSONArrayKeySingleID.getKeyName(VALUE))
+          })
+
+          it('should return the response', () => {
+            expect(redisResponse).to.not.null
+          })
+        })
+
+        context('and an undefined `key` is passed', () => {
+          before(async () => {
+            redisResponse = await JSONArrayKeySingleID
+              .setCache(undefined, CACHE_VALUE)
+          })
+
+          after(async () => {
+            await GenericJSONCacheMock
+              .delete(JSONKeySingleID.getKeyName(VALUE))
+          })
+
+          it('should return the response', () => {
+            expect(redisResponse).to.not.null
+          })
+        })
+      })
+    })
+  })
+
+  describe('.addCache', () => {
+    const VALUE = 1
+    const CACHE_VALUE = { id: VALUE }
+
+    context('when the key is `JSON_ARRAY`', () => {
+      const KEY_NAME = JSONArrayKeySingleID.getKeyName(VALUE)
+
+      let redisResponse
+
+      context('and `key` is passed', () => {
+        context('and `value` is passed', () => {
+          context('and `position` is passed', () => {
+            const POSITION = 0
 
             before(async () => {
-              SpyMock
-                .addReturnSpy(JSONArrayKeySingleID, 'getDB', OBJECT_DB)
+              const value = [{ id: 42 }]
+
+              await redis
+                .json_setAsync(KEY_NAME, '.', JSON.stringify(value))
 
               redisResponse = await JSONArrayKeySingleID
-                .add(STRING_KEY)
+                .addCache(VALUE, CACHE_VALUE, POSITION)
             })
 
             after(async () => {
               await GenericJSONCacheMock
-                .delete(STRING_KEY)
-              
-              SpyMock.restoreAll()
+                .delete(KEY_NAME)
             })
 
             it('should return the new list size', () => {
-              expect(redisResponse).to.eql(1)
+              expect(redisResponse).to.eql(2)
             })
 
-            it('should set the `key` on cache', async () => {
-              const cacheValue = await JSONArrayKeySingleID
-                .getCache(STRING_KEY)
+            it('should set the value to cache at the position passed', async () => {
+              const cachedValue = await JSONArrayKeySingleID
+                .getCache(VALUE)
 
-              expect(cacheValue).to.eql([OBJECT_DB])
+              expect(cachedValue[POSITION]).to.eql(CACHE_VALUE)
             })
           })
 
-          context('when `getDB` returns `null`', () => {
-            const STRING_KEY = 'teste2'
-
-            let redisResponse
-
+          context('and `position` is not passed', () => {
             before(async () => {
-              SpyMock
-                .addReturnSpy(JSONArrayKeySingleID, 'getDB', null)
+              const value = [{ id: 42 }]
+
+              await redis
+                .json_setAsync(KEY_NAME, '.', JSON.stringify(value))
 
               redisResponse = await JSONArrayKeySingleID
-                .add(STRING_KEY)
+                .addCache(VALUE, CACHE_VALUE)
             })
 
-            after(() => SpyMock.restoreAll())
+            after(async () => {
+              await GenericJSONCacheMock
+                .delete(KEY_NAME)
+            })
 
-            it('should return the list size', () => {
-              expect(redisResponse).to.eql(0)
+            it('should return the new list size', () => {
+              expect(redisResponse).to.eql(2)
             })
 
-            it('should set an empty list on cache', async () => {
-              const cacheValue = await JSONArrayKeySingleID
-                .getCache(STRING_KEY)
+            it('should set the value to cache after the last element', async () => {
+              const cachedValue = await JSONArrayKeySingleID
+                .getCache(VALUE)
 
-              expect(cacheValue).to.eql([])
+              const last = cachedValue.length - 1
+
+              expect(cachedValue[last]).to.eql(CACHE_VALUE)
             })
           })
         })
 
-        context('when `value` is `null`', () => {
-          const STRING_KEY = 'teste3'
-          const VALUE = null
-
-          let redisResponse
-
+        context('and `value` is not passed', () => {
           before(async () => {
             redisResponse = await JSONArrayKeySingleID
-              .add(STRING_KEY, VALUE)
+              .addCache(VALUE)
           })
 
           after(async () => {
-            await JSONArrayKeySingleID
-              .delete(STRING_KEY)
+            await GenericJSONCacheMock
+              .delete(KEY_NAME)
+          })
+
+          it('should return the new list size', () => {
+            expect(redisResponse).to.eql(0)
+          })
+
+          it('should set an empty list', async () => {
+            const cachedValue = await JSONArrayKeySingleID
+              .getCache(VALUE)
+
+            expect(cachedValue).to.eql([])
+          })
+        })
+      })
+
+      context('and  a null `key` is passed', () => {
+        before(async () => {
+          redisResponse = await JSONArrayKeySingleID
+            .addCache(null, CACHE_VALUE)
+        })
+
+        after(async () => {
+          await GenericJSONCacheMock
+            .delete(JSONArrayKeySingleID.getKeyName(null))
+        })
+
+        it('should return the new list size', () => {
+          expect(redisResponse).to.eql(1)
+        })
+
+        it('should add the value to cache', async () => {
+          const cachedValue = await JSONArrayKeySingleID
+            .getCache(null)
+
+          expect(cachedValue).to.eql([CACHE_VALUE])
+        })
+      })
+
+      context('and an undefined `key` is passed', () => {
+        before(async () => {
+          redisResponse = await JSONArrayKeySingleID
+            .addCache(undefined, CACHE_VALUE)
+        })
+
+        after(async () => {
+          await GenericJSONCacheMock
+            .delete(JSONArrayKeySingleID.getKeyName(undefined))
+        })
+
+        it('should return the new list size', () => {
+          expect(redisResponse).to.eql(1)
+        })
+
+        it('should add the value to cache', async () => {
+          const cachedValue = await JSONArrayKeySingleID
+            .getCache(undefined)
+
+          expect(cachedValue).to.eql([CACHE_VALUE])
+        })
+      })
+    })
+
+    context('when the key is not `JSON_ARRAY`', () => {
+      let redisResponse
+
+      before(async () => {
+        redisResponse = await JSONKeySingleID
+          .addCache(undefined, CACHE_VALUE)
+      })
+
+      after(async () => {
+        await GenericJSONCacheMock
+          .delete(JSONArrayKeySingleID.getKeyName(VALUE))
+      })
+
+      it('should return the response', () => {
+        expect(redisResponse).to.be.null
+      })
+    })
+  })
+
+  describe('.set', () => {
+    context('when `key` is not `null`', () => {
+      context('when `key` is an `Object`', () => {
+        const OBJECT_KEY = {
+          id: 1,
+          attr1: 'teste'
+        }
+
+        context('and `value` is `undefined`', () => {
+          let spies, redisResponse
+
+          context('and `key` has id attrs', () => {
+            before(async () => {
+              spies = {
+                onSave: SpyMock
+                  .addReturnSpy(JSONKeySingleID, 'onSave')
+              }
+
+              redisResponse = await JSONKeySingleID.set(OBJECT_KEY)
+            })
+
+            after(() => SpyMock.restoreAll())
+
+            it('should call `onSave`', () => {
+              expect(spies.onSave).have.been.calledOnce
+            })
+
+            it('should return the `key` setted', () => {
+              expect(redisResponse).to.eql(OBJECT_KEY)
+            })
+
+            it('should set the `key` on cache', async () => {
+              const cacheValue = await JSONKeySingleID.getCache(OBJECT_KEY.id)
+
+              expect(cacheValue).to.eql(OBJECT_KEY)
+            })
+          })
+
+          context('and `key` has no id attrs', () => {
+            before(async () => {
+              spies = {
+                setCache: SpyMock
+                  .addReturnSpy(JSONKeySingleID, 'setCache'),
+
+                getIdAttr: SpyMock
+                  .addReturnSpy(JSONKeySingleID, '_getIdAttr', null)
+              }
+
+              redisResponse = await JSONKeySingleID.set(OBJECT_KEY)
+            })
+
+            after(() => SpyMock.restoreAll())
+
+            it('should call `_getIdAttr`', () => {
+              expect(spies.getIdAttr).have.been.called
+            })
+
+            it('should not call `setCache`', () => {
+              expect(spies.setCache).not.have.been.calledOnce
+            })
+
+            it('should return `null`', () => {
+              expect(redisResponse).to.not.exist
+            })
+          })
+        })
+      })
+
+      context('when `key` is a `string`', () => {
+        context('when `value` is `undefined`', () => {
+          context('when `getDB` return is not `null`', () => {
+            const STRING_KEY = 'teste'
+            const OBJECT_DB = { id: STRING_KEY }
+
+            let redisResponse
+
+            before(async () => {
+              SpyMock
+                .addReturnSpy(JSONKeySingleID, 'getDB', OBJECT_DB)
+
+              redisResponse = await JSONKeySingleID
+                .set(STRING_KEY)
+            })
+
+            after(async () => {
+              SpyMock.restoreAll()
+
+              await JSONKeySingleID
+                .delete(STRING_KEY)
+            })
+
+            it('shpuld return the cache value', () => {
+              expect(redisResponse).to.eql(STRING_KEY)
+            })
+
+            it('should set the `key` on cache', async () => {
+              const cacheValue = await JSONKeySingleID
+                .getCache(STRING_KEY)
+
+              expect(cacheValue).to.eql(OBJECT_DB)
+            })
+          })
+
+          context('when `getDB` return is `null`', () => {
+            const STRING_KEY = 'teste2'
+
+            let redisResponse
+
+            before(async () => {
+              SpyMock
+                .addReturnSpy(JSONKeySingleID, 'getDB', null)
+
+              redisResponse = await JSONKeySingleID.set(STRING_KEY)
+            })
+
+            after(() => SpyMock.restoreAll())
+
+            it('shpuld return `null`', () => {
+              expect(redisResponse).to.not.exist
+            })
+
+            it('should not set the `key` on cache', async () => {
+              const cacheValue = await JSONKeySingleID
+                .getCache(STRING_KEY)
+
+              expect(cacheValue).to.not.exist
+            })
+          })
+        })
+
+        context('when `value` is `null`', () => {
+          const STRING_KEY = 'teste3'
+          const VALUE = null
+
+          let redisResponse
+
+          before(async () => {
+            redisResponse = await JSONKeySingleID.set(STRING_KEY, VALUE)
+          })
+
+          after(async () => {
+            await JSONKeyMultiID.delete(STRING_KEY)
+          })
+
+          it('shpuld return `null`', () => {
+            expect(redisResponse).to.eql(VALUE)
+          })
+
+          it('should set the `key` on cache', async () => {
+            const cacheValue = await JSONKeySingleID.getCache(STRING_KEY)
+
+            expect(cacheValue).to.eql(VALUE)
+          })
+        })
+      })
+    })
+
+    context('when the cache has `ttl`', () => {
+      const OBJECT_KEY = {
+        id: 1,
+        attr1: 'teste'
+      }
+
+      let spies
+
+      before(async () => {
+        spies = {
+          expireAsync : sinon.spy(redis, 'expireAsync'),
+          multi       : sinon.spy(redis, 'multi')
+        }
+
+        await JSONKeySingleIDWithTTL.set(OBJECT_KEY)
+
+        spies.expireAsync.restore()
+        spies.multi.restore()
+      })
+
+      after(async () => {
+        await JSONKeySingleIDWithTTL.delete(OBJECT_KEY)
+      })
+
+      it('should set the `key` expiration', async () => {
+        const ttl = await JSONKeySingleIDWithTTL.getTTL(OBJECT_KEY)
+
+        expect(ttl).to.be.within(1, JSONKeySingleIDWithTTL.GENERIC_REDIS_ATTRS.ttl)
+      })
+
+      it('should set the `key` and its expiration on the same `MULTI`', () => {
+        expect(spies.multi).to.have.been.called
+        expect(spies.expireAsync).to.not.have.been.called
+      })
+    })
+
+    context('when `key` is `null`', () => {
+      let spies
+
+      before(() => {
+        spies = {
+          setCache: SpyMock
+            .addReturnSpy(JSONKeySingleID, 'setCache')
+        }
+
+        JSONKeySingleID.set()
+      })
+
+      after(() => SpyMock.restoreAll())
+
+      it('should not call `setCache`', () => {
+        expect(spies.setCache).to.not.have.been.calledOnce
+      })
+    })
+  })
+
+  describe('.add', () => {
+    context('when `key` is not `null`', () => {
+      context('when `key` is an `Object`', () => {
+        const OBJECT_KEY = {
+          id: 1,
+          attr1: 'teste'
+        }
+
+        context('and `value` is passed', () => {
+          const VALUE = { teste: 1 }
+          const KEY_NAME = JSONArrayKeySingleID.getKeyName(OBJECT_KEY)
+
+          let spies, redisResponse
+
+          context('and `position` is passed', () => {
+            const POSITION = 0
+
+            before(async () => {
+              spies = {
+                onSave: SpyMock
+                  .addReturnSpy(JSONArrayKeySingleID, 'onSave')
+              }
+
+              const value = { teste : 42}
+
+              await redis
+                .json_setAsync(KEY_NAME, '.', JSON.stringify([value]))
+
+              redisResponse = await JSONArrayKeySingleID
+                .add(OBJECT_KEY, VALUE, POSITION)
+            })
+
+            after(async () => {
+              SpyMock.restoreAll()
+
+              await GenericJSONCacheMock
+                .delete(KEY_NAME)
+            })
+
+            it('should call `onSave`', () => {
+              expect(spies.onSave).have.been.calledOnce
+            })
+
+            it('should return the new list size', () => {
+              expect(redisResponse).to.eql(2)
+            })
+
+            it('should set the `value` on cache at position', async () => {
+              const cacheValue = await JSONArrayKeySingleID
+                .getCache(OBJECT_KEY.id)
+
+              expect(cacheValue[POSITION]).to.eql(VALUE)
+            })
+          })
+
+          context('and `position` is not passed', () => {
+            before(async () => {
+              spies = {
+                onSave: SpyMock
+                  .addReturnSpy(JSONArrayKeySingleID, 'onSave')
+              }
+
+              const value = { teste : 42}
+
+              await redis
+                .json_setAsync(KEY_NAME, '.', JSON.stringify([value]))
+
+              redisResponse = await JSONArrayKeySingleID
+                .add(OBJECT_KEY, VALUE)
+            })
+
+            after(async () => {
+              await GenericJSONCacheMock
+                .delete(KEY_NAME)
+              
+              SpyMock.restoreAll()
+            })
+
+            it('should call `onSave`', () => {
+              expect(spies.onSave).have.been.calledOnce
+            })
+
+            it('should return the new list size', () => {
+              expect(redisResponse).to.eql(2)
+            })
+
+            it('should set the `value` on cache after the last element', async () => {
+              const cacheValue = await JSONArrayKeySingleID
+                .getCache(OBJECT_KEY.id)
+
+              const last = cacheValue.length - 1
+
+              expect(cacheValue[last]).to.eql(VALUE)
+            })
+          })
+        })
+
+        context('and `value` is `undefined`', () => {
+          let spies, redisResponse
+
+          context('and `key` has id attrs', () => {
+            before(async () => {
+              spies = {
+                onSave: SpyMock
+                  .addReturnSpy(JSONArrayKeySingleID, 'onSave')
+              }
+
+              redisResponse = await JSONArrayKeySingleID
+                .add(OBJECT_KEY)
+            })
+
+            after(async () => {
+              await GenericJSONCacheMock
+                .delete(JSONArrayKeySingleID.getKeyName(OBJECT_KEY))
+              
+              SpyMock.restoreAll()
+            })
+
+            it('should call `onSave`', () => {
+              expect(spies.onSave).have.been.calledOnce
+            })
+
+            it('should return the new list size', () => {
+              expect(redisResponse).to.eql(1)
+            })
+
+            it('should set the `key` on cache', async () => {
+              const cacheValue = await JSONArrayKeySingleID
+                .getCache(OBJECT_KEY.id)
+
+              expect(cacheValue).to.eql([OBJECT_KEY])
+            })
+          })
+
+          context('and `key` has no id attrs', () => {
+            before(async () => {
+              spies = {
+                addCache: SpyMock
+                  .addReturnSpy(JSONArrayKeySingleID, 'addCache'),
+
+                getIdAttr: SpyMock
+                  .addReturnSpy(JSONArrayKeySingleID, '_getIdAttr', null)
+              }
+
+              redisResponse = await JSONArrayKeySingleID
+                .add(OBJECT_KEY)
+            })
+
+            after(() => SpyMock.restoreAll())
+
+            it('should call `_getIdAttr`', () => {
+              expect(spies.getIdAttr).have.been.called
+            })
+
+            it('should not call `addCache`', () => {
+              expect(spies.addCache).not.have.been.calledOnce
+            })
+
+            it('should return `null`', () => {
+              expect(redisResponse).to.not.exist
+            })
+          })
+        })
+      })
+
+      context('when `key` is a `string`', () => {
+        context('when `value` is `undefined`', () => {
+          context('when `getDB` return is not `null`', () => {
+            const STRING_KEY = 'teste'
+            const OBJECT_DB = { id: STRING_KEY }
+
+            let redisResponse
+
+            before(async () => {
+              SpyMock
+                .addReturnSpy(JSONArrayKeySingleID, 'getDB', OBJECT_DB)
+
+              redisResponse = await JSONArrayKeySingleID
+                .add(STRING_KEY)
+            })
+
+            after(async () => {
+              await GenericJSONCacheMock
+                .delete(STRING_KEY)
+              
+              SpyMock.restoreAll()
+            })
+
+            it('should return the new list size', () => {
+              expect(redisResponse).to.eql(1)
+            })
+
+            it('should set the `key` on cache', async () => {
+              const cacheValue = await JSONArrayKeySingleID
+                .getCache(STRING_KEY)
+
+              expect(cacheValue).to.eql([OBJECT_DB])
+            })
+          })
+
+          context('when `getDB` returns `null`', () => {
+            const STRING_KEY = 'teste2'
+
+            let redisResponse
+
+            before(async () => {
+              SpyMock
+                .addReturnSpy(JSONArrayKeySingleID, 'getDB', null)
+
+              redisResponse = await JSONArrayKeySingleID
+                .add(STRING_KEY)
+            })
+
+            after(() => SpyMock.restoreAll())
+
+            it('should return the list size', () => {
+              expect(redisResponse).to.eql(0)
+            })
+
+            it('should set an empty list on cache', async () => {
+              const cacheValue = await JSONArrayKeySingleID
+                .getCache(STRING_KEY)
+
+              expect(cacheValue).to.eql([])
+            })
+          })
+        })
+
+        context('when `value` is `null`', () => {
+          const STRING_KEY = 'teste3'
+          const VALUE = null
+
+          let redisResponse
+
+          before(async () => {
+            redisResponse = await JSONArrayKeySingleID
+              .add(STRING_KEY, VALUE)
+          })
+
+          after(async () => {
+            await JSONArrayKeySingleID
+              .delete(STRING_KEY)
+          })
+
+          it('should return the list size', () => {
+            expect(redisResponse).to.eql(0)
+          })
+
+          it('should set an empty array on cache', async () => {
+            const cacheValue = await JSONArrayKeySingleID
+              .getCache(STRING_KEY)
+
+            expect(cacheValue).to.eql([])
+          })
+        })
+      })
+    })
+
+    context('when the cache has `ttl`', () => {
+      const OBJECT_KEY = { id: 1 }
+
+      context('and `ttl` is a `function`', () => {
+        const VALUE = { teste: 1, ttl: 30 }
+
+        before(async () => {
+          await JSONArrayKeySingleIDWithTTL.add(OBJECT_KEY, VALUE)
+        })
+
+        after(async () => {
+          await GenericJSONCacheMock
+            .delete(JSONArrayKeySingleIDWithTTL.getKeyName(OBJECT_KEY))
+        })
+
+        it('should set the `key` expiration returned by `ttl`', async () => {
+          const ttl = await JSONArrayKeySingleIDWithTTL.getTTL(OBJECT_KEY)
+
+          expect(ttl).to.be.within(1, VALUE.ttl)
+        })
+      })
+    })
+
+    context('when the key is `LIST`', () => {
+      const VALUE = 1
+      const ITEMS = [ 'first', 'second', 'third' ]
+
+      let response
+
+      before(async () => {
+        await LISTKeySingleID.set(VALUE, ITEMS)
+
+        await LISTKeySingleID.add(VALUE, 'head', 0)
+
+        response = await LISTKeySingleID.add(VALUE, 'tail')
+      })
+
+      after(async () => {
+        await LISTKeySingleID.delete(VALUE)
+      })
+
+      it('should return the list size (up to `maxLength`)', () => {
+        expect(response).to.eql(3)
+      })
+
+      it('should push the items and trim the list to `maxLength`', async () => {
+        expect(await LISTKeySingleID.getCache(VALUE)).to.eql([ 'first', 'second', 'tail' ])
+      })
+
+      it('should return the last item on `getLast`', async () => {
+        expect(await LISTKeySingleID.getLast(VALUE)).to.eql('tail')
+      })
+
+      it('should keep the items between the indexes on `slice`', async () => {
+        expect(await LISTKeySingleID.slice(VALUE, { start: 1 })).to.eql(2)
+        expect(await LISTKeySingleID.getCache(VALUE)).to.eql([ 'second', 'tail' ])
+      })
+    })
+
+    context('when the key is `STREAM`', () => {
+      const VALUE = 1
+      const EVENTS = [ { type: 'created' }, { type: 'updated' }, { type: 'deleted' } ]
+
+      let response
+
+      before(async () => {
+        await STREAMKeySingleID.set(VALUE, EVENTS)
+
+        response = await STREAMKeySingleID.add(VALUE, { type: 'restored' })
+      })
+
+      after(async () => {
+        await STREAMKeySingleID.delete(VALUE)
+      })
+
+      it('should return the entry id', () => {
+        expect(response).to.match(/^\d+-\d+$/)
+      })
+
+      it('should append the entry and trim the stream to `maxLength`', async () => {
+        expect(await STREAMKeySingleID.getCache(VALUE)).to.eql([ ...EVENTS.slice(1), { type: 'restored' } ])
+      })
+
+      it('should return the latest entries on `getCache` with `count`', async () => {
+        expect(await STREAMKeySingleID.getCache(VALUE, { count: 1 })).to.eql([ { type: 'restored' } ])
+      })
+
+      it('should return the last entry on `getLast`', async () => {
+        expect(await STREAMKeySingleID.getLast(VALUE)).to.eql({ type: 'restored' })
+      })
+    })
+
+    context('when `key` is `null`', () => {
+      let spies
+
+      before(() => {
+        spies = {
+          addCache: SpyMock
+            .addReturnSpy(JSONArrayKeySingleID, 'addCache')
+        }
+
+        JSONArrayKeySingleID
+          .add()
+      })
+
+      after(() => SpyMock.restoreAll())
+
+      it('should not call `addCache`', () => {
+        expect(spies.addCache).to.not.have.been.calledOnce
+      })
+    })
+  })
+
+  describe('.add (`JSON_ARRAY` with `maxLength` and `dedupeBy`)', () => {
+    const KEY = 20
+    const KEY_NAME = JSONArrayKeySingleIDWithMaxLength.getKeyName(KEY)
+
+    afterEach(async () => {
+      await redis.delAsync(KEY_NAME)
+    })
+
+    it('should remove the duplicated items and keep the last `maxLength` ones', async () => {
+      for (const item of [ { id: 1 }, { id: 2 }, { id: 3 }, { id: 1, read: true }, { id: 4 } ])
+        await JSONArrayKeySingleIDWithMaxLength.add(KEY, item)
+
+      expect(await JSONArrayKeySingleIDWithMaxLength.getCache(KEY))
+        .to.eql([ { id: 3 }, { id: 1, read: true }, { id: 4 } ])
+    })
+
+    it('should keep the first `maxLength` items when adding on the head', async () => {
+      for (const item of [ { id: 1 }, { id: 2 }, { id: 3 }, { id: 4 } ])
+        await JSONArrayKeySingleIDWithMaxLength.add(KEY, item, 0)
+
+      expect(await JSONArrayKeySingleIDWithMaxLength.getCache(KEY))
+        .to.eql([ { id: 4 }, { id: 3 }, { id: 2 } ])
+    })
+
+    context('when the client has not the `ReJSON` module', () => {
+      let client
+
+      before(() => {
+        client = redis.duplicate({ jsonModule: false })
+
+        GenericJSONCache.setJSONModule(false, client)
+      })
+
+      it('should save the capped array as a string key', async () => {
+        for (const item of [ { id: 1 }, { id: 2 }, { id: 2 }, { id: 3 }, { id: 4 } ])
+          await GenericJSONArrayCache.push(KEY_NAME, item, { maxLength: 3, dedupeBy: 'id' }, client)
+
+        expect(JSON.parse(await client.getAsync(KEY_NAME))).to.eql([ { id: 2 }, { id: 3 }, { id: 4 } ])
+      })
+    })
+  })
+
+  describe('.update', () => {
+    const OBJECT_KEY = { id: 18 }
+    const OBJECT = {
+      id    : 18,
+      name  : 'dog',
+      views : 1,
+      price : 2.5,
+      alive : true,
+      tags  : [ 'pet' ],
+      owner : { name: 'john', city: 'rio' }
+    }
+
+    const KEY_NAME = JSONKeySingleID.getKeyName(OBJECT_KEY)
+
+    context('when the key is cached', () => {
+      let spies, document
+
+      before(async () => {
+        await JSONKeySingleID.set(OBJECT_KEY, OBJECT)
+
+        spies = {
+          onSaving : sinon.spy(JSONKeySingleID, 'onSaving'),
+          onSave   : sinon.spy(JSONKeySingleID, 'onSave')
+        }
+
+        document = await JSONKeySingleID
+          .update(OBJECT_KEY, [
+            { op: 'incr', path: '.views' },
+            { op: 'multiply', path: '.price', value: 2 },
+            { op: 'strAppend', path: '.name', value: 'gy' },
+            { op: 'arrAppend', path: '.tags', value: [ 'dog', 'cute' ] },
+            { op: 'arrPop', path: '.tags', value: 0 },
+            { op: 'toggle', path: '.alive' },
+            { op: 'merge', path: '.owner', value: { city: null, age: 30 } }
+          ])
+      })
+
+      after(async () => {
+        spies.onSaving.restore()
+        spies.onSave.restore()
+
+        await JSONKeySingleID.delete(OBJECT_KEY)
+      })
+
+      const RESULT = {
+        ...OBJECT,
+        name  : 'doggy',
+        views : 2,
+        price : 5,
+        alive : false,
+        tags  : [ 'dog', 'cute' ],
+        owner : { name: 'john', age: 30 }
+      }
+
+      it('should return the resulting document', () => {
+        expect(document).to.eql(RESULT)
+      })
+
+      it('should save the resulting document', async () => {
+        expect(await GenericJSONCache.getCache(KEY_NAME)).to.eql(RESULT)
+      })
+
+      it('should call `onSaving` with the resulting document', () => {
+        expect(spies.onSaving).to.have.been.calledOnceWith(OBJECT_KEY, RESULT)
+      })
+
+      it('should call `onSave` with the resulting document and the old one', () => {
+        expect(spies.onSave).to.have.been.calledOnceWith(OBJECT_KEY, RESULT, OBJECT)
+      })
+    })
+
+    context('when `onSaving` returns `undefined`', () => {
+      let document, onSavingStub
+
+      before(async () => {
+        await JSONKeySingleID.set(OBJECT_KEY, OBJECT)
+
+        onSavingStub = sinon
+          .stub(JSONKeySingleID, 'onSaving')
+          .resolves(undefined)
+
+        document = await JSONKeySingleID
+          .update(OBJECT_KEY, { op: 'incr', path: '.views', value: 10 })
+      })
+
+      after(async () => {
+        onSavingStub.restore()
+
+        await JSONKeySingleID.delete(OBJECT_KEY)
+      })
+
+      it('should return `null`', () => {
+        expect(document).to.be.null
+      })
+
+      it('should not update the document', async () => {
+        expect(await GenericJSONCache.getCache(KEY_NAME)).to.eql(OBJECT)
+      })
+    })
+
+    context('when an operation fails', () => {
+      before(async () => {
+        await JSONKeySingleID.set(OBJECT_KEY, OBJECT)
+      })
+
+      after(async () => {
+        await JSONKeySingleID.delete(OBJECT_KEY)
+      })
+
+      it('should throw an error', async () => {
+        await expect(JSONKeySingleID.update(OBJECT_KEY, { op: 'incr', path: '.name' }))
+          .to.be.rejected
+      })
+
+      it('should not update the document', async () => {
+        await JSONKeySingleID
+          .update(OBJECT_KEY, [ { op: 'incr', path: '.views' }, { op: 'toggle', path: '.name' } ])
+          .catch(() => null)
+
+        expect(await GenericJSONCache.getCache(KEY_NAME)).to.eql(OBJECT)
+      })
+    })
+
+    context('when the key is not cached', () => {
+      it('should return `null`', async () => {
+        expect(await JSONKeySingleID.update({ id: 404 }, { op: 'incr', path: '.views' })).to.be.null
+      })
+    })
+
+    context('when the type is `JSON_ARRAY`', () => {
+      const ARRAY_KEY = { id: 18, attr1: 'teste' }
+
+      before(async () => {
+        await redis
+          .json_setAsync(JSONArrayKeySingleID.getKeyName(ARRAY_KEY), '.', JSON.stringify([ { views: 1 }, { views: 2 } ]))
+      })
+
+      after(async () => {
+        await GenericJSONCacheMock
+          .delete(JSONArrayKeySingleID.getKeyName(ARRAY_KEY))
+      })
+
+      it('should update the matched items', async () => {
+        const document = await JSONArrayKeySingleID
+          .update(ARRAY_KEY, { op: 'incr', path: '$[*].views', value: 5 })
+
+        expect(document).to.eql([ { views: 6 }, { views: 7 } ])
+      })
+    })
+
+    context('when the client has not the `ReJSON` module', () => {
+      before(async () => {
+        await JSONKeySingleIDWithoutJSONModule.set(OBJECT_KEY, OBJECT)
+      })
+
+      after(async () => {
+        await JSONKeySingleIDWithoutJSONModule.delete(OBJECT_KEY)
+      })
+
+      it('should update the document', async () => {
+        const document = await JSONKeySingleIDWithoutJSONModule
+          .update(OBJECT_KEY, [ { op: 'incr', path: '.views', value: 2 }, { op: 'merge', value: { name: 'cat' } } ])
+
+        expect(document).to.eql({ ...OBJECT, views: 3, name: 'cat' })
+        expect(await JSONKeySingleIDWithoutJSONModule.getCache(OBJECT_KEY)).to.eql({ ...OBJECT, views: 3, name: 'cat' })
+      })
+    })
+
+    context('when `onSaving` changes the document', () => {
+      let document, onSavingStub
+
+      before(async () => {
+        await JSONKeySingleID.set(OBJECT_KEY, OBJECT)
+
+        onSavingStub = sinon
+          .stub(JSONKeySingleID, 'onSaving')
+          .callsFake(async (key, value) => ({ ...value, name: 'cat' }))
+
+        document = await JSONKeySingleID
+          .update(OBJECT_KEY, { op: 'incr', path: '.views' })
+      })
+
+      after(async () => {
+        onSavingStub.restore()
+
+        await JSONKeySingleID.delete(OBJECT_KEY)
+      })
+
+      it('should return the `onSaving` document', () => {
+        expect(document).to.eql({ ...OBJECT, views: 2, name: 'cat' })
+      })
+
+      it('should save the `onSaving` document', async () => {
+        expect(await GenericJSONCache.getCache(KEY_NAME)).to.eql({ ...OBJECT, views: 2, name: 'cat' })
+      })
+    })
+
+    context('when the key is changed meanwhile', () => {
+      let document, onSavingStub
+
+      before(async () => {
+        await JSONKeySingleID.set(OBJECT_KEY, OBJECT)
+
+        onSavingStub = sinon
+          .stub(JSONKeySingleID, 'onSaving')
+          .callsFake(async (key, value) => {
+            if (onSavingStub.callCount == 1)
+              await GenericJSONCache.setCache(KEY_NAME, { ...OBJECT, views: 10 })
+
+            return value
+          })
+
+        document = await JSONKeySingleID
+          .update(OBJECT_KEY, { op: 'incr', path: '.views' })
+      })
+
+      after(async () => {
+        onSavingStub.restore()
+
+        await JSONKeySingleID.delete(OBJECT_KEY)
+      })
+
+      it('should retry the operations over the new document', () => {
+        expect(document).to.eql({ ...OBJECT, views: 11 })
+        expect(onSavingStub).to.have.been.calledTwice
+      })
+
+      it('should save the new document', async () => {
+        expect(await GenericJSONCache.getCache(KEY_NAME)).to.eql({ ...OBJECT, views: 11 })
+      })
+    })
+
+    context('when the key has a `serializer`', () => {
+      const DATE = new Date('2020-01-01T00:00:00.000Z')
+
+      before(async () => {
+        await JSONKeySingleIDWithSerializer.set(OBJECT_KEY, { ...OBJECT, date: DATE })
+      })
+
+      after(async () => {
+        await JSONKeySingleIDWithSerializer.delete(OBJECT_KEY)
+      })
+
+      it('should return and save the document parsed by the `serializer`', async () => {
+        const document = await JSONKeySingleIDWithSerializer
+          .update(OBJECT_KEY, { op: 'incr', path: '.views' })
+
+        expect(document).to.eql({ ...OBJECT, views: 2, date: DATE })
+        expect(await JSONKeySingleIDWithSerializer.getCache(OBJECT_KEY)).to.eql({ ...OBJECT, views: 2, date: DATE })
+      })
+    })
+
+    context('when the type is not `JSON` nor `JSON_ARRAY`', () => {
+      it('should throw an error', async () => {
+        await expect(HASHKeySingleID.update({ id: 1 }, { op: 'incr', path: '.views' }))
+          .to.be.rejectedWith('`update` is only supported by the JSON and JSON_ARRAY keys')
+      })
+    })
+  })
+
+  describe('.setList', () => {
+    context('when the key is `string`', () => {
+      context('when objects are persisted', async () => {
+        let redisResponse, ids, spies
+
+        before(async () => {
+          ids = [
+            Math.round(Math.random() * 999999),
+            Math.round(Math.random() * 999999),
+            Math.round(Math.random() * 999999)
+          ]
+
+          const object = {
+            id  : Math.round(Math.random() * 999999),
+            name: `Name: ${Math.round(Math.random() * 999999)}`
+          }
+
+          spies = {
+            getDB: SpyMock
+              .addReturnSpy(JSONKeySingleID, 'getDB', object)
+          }
+
+          redisResponse = await JSONKeySingleID.setList(ids)
+        })
+
+        after(async () => SpyMock.restoreAll())
+
+        it('should return the inserted objects', () => {
+          expect(redisResponse).to.have.lengthOf(ids.length)
+        })
+
+        it('should save the objects to cache', async () => {
+          expect(spies.getDB.getCalls()).to.have.been.lengthOf(ids.length)
+        })
+      })
+    })
+
+    context('when the key is `Object`', () => {
+      const OBJECTS = GenericRedisCacheMock.getObjectMocks()
+      const ID_ATTRS = JSONKeySingleID.getIdAttrs(OBJECTS)
+
+      context('and `JSON` objects are passed', async () => {
+        let redisResponse, keyNames
+
+        before(async () => {
+          keyNames = await JSONKeySingleID.getKeyNames(ID_ATTRS)
+
+          redisResponse = await JSONKeySingleID.setList(OBJECTS)
+        })
+
+        after(async () => {
+          await GenericJSONCacheMock.delete(keyNames)
+        })
+
+        it('should return the commands executed', () => {
+          expect(redisResponse.length).to.be.above(1)
+        })
+
+        it('should save the objects to cache', async () => {
+          const cachedValues = await GenericJSONCache.getListCache(keyNames)
+
+          expect(cachedValues.length).to.eql(OBJECTS.length)
+        })
+      })
+
+      context('and `key/value` objects are passed', () => {
+        let redisResponse, keyNames
+
+        before(async () => {
+          keyNames = await JSONKeySingleID.getKeyNames(ID_ATTRS)
+
+          const keyValues = OBJECTS.map((object) => {
+            return {
+              key   : JSONKeySingleID._getIdAttr(object),
+              value : object
+            }
+          })
+
+          redisResponse = await JSONKeySingleID.setList(keyValues)
+        })
+
+        after(async () => {
+          await GenericJSONCacheMock.delete(keyNames)
+        })
+
+        it('should return the commands executed', () => {
+          expect(redisResponse.length).to.be.above(1)
+        })
+
+        it('should save the objects to cache', async () => {
+          const cachedValue = await GenericJSONCache
+            .getListCache(keyNames)
+
+          expect(cachedValue.length).to.eql(OBJECTS.length)
+        })
+      })
+    })
+
+    context('when the key is `HASH`', () => {
+      const OBJECTS = GenericRedisCacheMock.getObjectMocks()
+      const ID_ATTRS = HASHKeySingleID.getIdAttrs(OBJECTS)
+
+      context('and `JSON` objects are passed', async () => {
+        let redisResponse, keyNames
+
+        before(async () => {
+          keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+
+          redisResponse = await HASHKeySingleID.setList(OBJECTS)
+        })
+
+        after(async () => {
+          await GenericHASHCache.delete(keyNames)
+        })
+
+        it('should return the commands executed', () => {
+          expect(redisResponse.length).to.be.above(1)
+        })
+
+        it('should save the objects to cache', async () => {
+          const cachedValues = await GenericHASHCache.getListCache(keyNames)
+
+          expect(cachedValues.length).to.eql(OBJECTS.length)
+        })
+      })
+
+      context('and `key/value` objects are passed', () => {
+        let redisResponse, keyNames
+
+        context('and the values are `objects`',() => {
+          before(async () => {
+            keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+
+            const keyValues = OBJECTS.map((object) => {
+              return {
+                key   : HASHKeySingleID._getIdAttr(object),
+                value : object
+              }
+            })
+
+            redisResponse = await HASHKeySingleID.setList(keyValues)
+          })
+
+          after(async () => {
+            await GenericHASHCache.delete(keyNames)
+          })
+
+          it('should return the commands executed', () => {
+            expect(redisResponse.length).to.be.above(1)
+          })
+
+          it('should save the objects to cache', async () => {
+            const cachedValues = await GenericHASHCache.getListCache(keyNames)
+
+            expect(cachedValues.length).to.eql(OBJECTS.length)
+          })
+        })
+
+        context('and the values are `strings`', () => {
+          before(async () => {
+            keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+
+            const stringValues = OBJECTS
+              .map((object) => {
+                return {
+                  key   : object.id,
+                  value : object.id.toString()
+                }
+              })
+
+            redisResponse = await HASHKeySingleID.setList(stringValues)
+          })
+
+          after(async () => {
+            await GenericHASHCache.delete(keyNames)
+          })
+
+          it('should return the commands executed', () => {
+            expect(redisResponse.length).to.be.above(1)
+          })
+
+          it('should save the objects to cache', async () => {
+            const cachedValues = await GenericHASHCache.getListCache(keyNames)
+
+            expect(cachedValues.length).to.eql(OBJECTS.length)
+          })
+        })
+      })
+    })
+
+    context('when the key is `STRING`', () => {
+      const OBJECTS = GenericRedisCacheMock.getObjectMocks()
+      const ID_ATTRS = STRINGKeySingleID.getIdAttrs(OBJECTS)
+
+      context('and `JSON` objects are passed', async () => {
+        let redisResponse, keyNames
+
+        before(async () => {
+          keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+
+          redisResponse = await STRINGKeySingleID.setList(OBJECTS)
+        })
+
+        after(async () => {
+          await GenericSTRINGCache.delete(keyNames)
+        })
+
+        it('should return the commands executed', () => {
+          expect(redisResponse.length).to.be.above(1)
+        })
+
+        it('should save the objects to cache', async () => {
+          const cachedValues = await GenericSTRINGCache.getListCache(keyNames)
+
+          expect(cachedValues.length).to.eql(OBJECTS.length)
+        })
+      })
+
+      context('and `key/value` objects are passed', () => {
+        let redisResponse, keyNames
+
+        context('and the values are `objects`',() => {
+          before(async () => {
+            keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+
+            const keyValues = OBJECTS.map((object) => {
+              return {
+                key: STRINGKeySingleID._getIdAttr(object),
+                value: object
+              }
+            })
+
+            redisResponse = await STRINGKeySingleID.setList(keyValues)
+          })
+
+          after(async () => {
+            await GenericSTRINGCache.delete(keyNames)
+          })
+
+          it('should return the commands executed', () => {
+            expect(redisResponse.length).to.be.above(1)
+          })
+
+          it('should save the objects to cache', async () => {
+            const cachedValues = await GenericSTRINGCache.getListCache(keyNames)
+
+            expect(cachedValues.length).to.eql(OBJECTS.length)
+          })
+        })
+
+        context('and the values are `strings`', () => {
+          before(async () => {
+            keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+
+            const stringValues = OBJECTS.map((object) => {
+              return {
+                key: object.id,
+                value: 'test'+ (Math.floor(Math.random() * 1000) + 1)
+              }
+            })
+
+            redisResponse = await STRINGKeySingleID.setList(stringValues)
+          })
+
+          after(async () => {
+            await GenericSTRINGCache.delete(keyNames)
+          })
+
+          it('should return the commands executed', () => {
+            expect(redisResponse.length).to.be.above(1)
+          })
+
+          it('should save the objects to cache', async () => {
+            const cachedValues = await GenericSTRINGCache.getListCache(keyNames)
+
+            expect(cachedValues.length).to.eql(OBJECTS.length)
+          })
+        })
+
+        context('and the values are arrays of `strings`', () => {
+          const VALUE_LENGTH = 3
+
+          before(async () => {
+            keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+
+            const stringValues = OBJECTS.map((object) => {
+              return {
+                key   : object.id,
+                value : GenericRedisCacheMock.getRandomStrings(VALUE_LENGTH)
+              }
+            })
+
+            redisResponse = await STRINGKeySingleID.setList(stringValues)
+          })
+
+          after(async () => {
+            await GenericSTRINGCache.delete(keyNames)
+          })
+
+          it('should return the commands executed', () => {
+            expect(redisResponse.length).to.be.above(1)
+          })
+
+          it('should save the objects to cache', async () => {
+            const cachedValues = await GenericSTRINGCache.getListCache(keyNames)
+
+            expect(cachedValues.length).to.eql(OBJECTS.length * VALUE_LENGTH)
+          })
+        })
+      })
+    })
+
+    context('when the key is `VALUE`', () => {
+      const OBJECTS = [ { id: 1, name: 'first' }, { id: 2, name: 'second' } ]
+
+      let redisResponse
+
+      before(async () => {
+        redisResponse = await VALUEKeySingleID.setList(OBJECTS)
+      })
+
+      after(async () => {
+        await VALUEKeySingleID.delete([ 1, 2 ])
+      })
+
+      it('should return the commands executed', () => {
+        expect(redisResponse).to.eql([ 'OK', 'OK' ])
+      })
+
+      it('should save the objects to cache', async () => {
+        const cachedValues = await VALUEKeySingleID.getListCache([ 1, 2, 3 ])
+
+        expect(cachedValues).to.eql(OBJECTS)
+      })
+    })
+  })
+
+  describe('.getListCache', () => {
+    context('when there are cached values', () => {
+      const OBJECTS = GenericRedisCacheMock.getObjectMocks()
+
+      context('and the key is `JSON`', () => {
+        const ID_ATTRS = JSONKeySingleID.getIdAttrs(OBJECTS)
+        let keyNames
+
+        before(async () => {
+          keyNames = await JSONKeySingleID.getKeyNames(ID_ATTRS)
+
+          await JSONKeySingleID.setList(OBJECTS)
+        })
+
+        after(async () => {
+          await GenericJSONCacheMock.delete(keyNames)
+        })
+
+        it('should return the cached values', async () => {
+          const cachedValues = await JSONKeySingleID.getListCache(ID_ATTRS)
+
+          expect(cachedValues.length).to.eql(OBJECTS.length)
+        })
+      })
+
+      context('and the key is `HASH`', () => {
+        const ID_ATTRS = HASHKeySingleID.getIdAttrs(OBJECTS)
+        let keyNames
+
+        before(async () => {
+          keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+
+          await HASHKeySingleID.setList(OBJECTS)
+        })
+
+        after(async () => {
+          await GenericHASHCache.delete(keyNames)
+        })
+
+        it('should return the cached values', async () => {
+          const cachedValues = await HASHKeySingleID.getListCache(ID_ATTRS)
+
+          expect(cachedValues.length).to.eql(OBJECTS.length)
+        })
+      })
+
+      context('and the key is `STRING`', () => {
+        const ID_ATTRS = STRINGKeySingleID.getIdAttrs(OBJECTS)
+        let keyNames
+
+        before(async () => {
+          keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+
+          await STRINGKeySingleID.setList(OBJECTS)
+        })
+
+        after(async () => {
+          await GenericSTRINGCache.delete(keyNames)
+        })
+
+        it('should return the cached values', async () => {
+          const cachedValues = await STRINGKeySingleID.getListCache(ID_ATTRS)
+
+          expect(cachedValues.length).to.eql(OBJECTS.length)
+        })
+      })
+
+      context('and the key is `JSON_ARRAY`', () => {
+        const ID_ATTRS = JSONArrayKeySingleID.getIdAttrs(OBJECTS)
+        let keyNames
+
+        before(async () => {
+          keyNames = await JSONArrayKeySingleID
+            .getKeyNames(ID_ATTRS)
+
+          for (let i = 0; i < OBJECTS.length; i++) {
+            await redis
+              .json_setAsync(keyNames[i], '.', JSON.stringify([OBJECTS[i]]))
+          }
+        })
+
+        after(async () => {
+          await GenericJSONCacheMock
+            .delete(keyNames)
+        })
+
+        it('should return the cached values', async () => {
+          const cachedValues = await JSONArrayKeySingleID
+            .getListCache(ID_ATTRS)
+
+          expect(cachedValues.length).to.eql(OBJECTS.length)
+        })
+      })
+    })
+
+    context('when there are no cached values', () => {
+      context('and the key is `JSON`', () => {
+        it('should return an empty array', async () => {
+          const cachedValues = await JSONKeySingleID.getListCache(['00000', '99999'])
+
+          expect(cachedValues).to.eql([])
+        })
+      })
+
+      context('and the key is `HASH`', () => {
+        it('should return an empty array', async () => {
+          const cachedValues = await HASHKeySingleID.getListCache(['00000', '99999'])
+
+          expect(cachedValues).to.eql([])
+        })
+      })
+
+      context('and the key is `STRING`', () => {
+        it('should return an empty array', async () => {
+          const cachedValues = await STRINGKeySingleID.getListCache(['00000', '99999'])
+
+          expect(cachedValues).to.eql([])
+        })
+      })
+
+      context('and the key is `JSON_ARRAY`', () => {
+        it('should return an empty array', async () => {
+          const cachedValues = await JSONArrayKeySingleID
+            .getListCache(['00000', '99999'])
+
+          expect(cachedValues).to.eql([])
+        })
+      })
+    })
+  })
+
+  describe('.getList', () => {
+    context('when the key is `JSON`', () => {
+      const OBJECTS = GenericRedisCacheMock.getObjectMocks({}, 5)
+
+      context('and there are cached values', () => {
+        context('and all the keys passed have cached values', () => {
+          const ID_ATTRS = JSONKeySingleID.getIdAttrs(OBJECTS)
+          let keyNames, spies, redisResponse
+
+          before(async () => {
+            spies = {
+              getIds: SpyMock
+                .addReturnSpy(JSONKeySingleID, 'getIds')
+            }
+
+            keyNames = await JSONKeySingleID.getKeyNames(ID_ATTRS)
+
+            await JSONKeySingleID.setList(OBJECTS)
+
+            redisResponse = await JSONKeySingleID.getList(ID_ATTRS)
+          })
+
+          after(async () => {
+            await GenericJSONCacheMock.delete(keyNames)
+
+            SpyMock.restoreAll()
+          })
+
+          it('should call `getIds`', () => {
+            expect(spies.getIds).have.been.called
+          })
+
+          it('should return the cached values', async () => {
+            expect(redisResponse).to.eql(OBJECTS)
+          })
+        })
+
+        context('and some keys are not cached', () => {
+          const ID_ATTRS = JSONKeySingleID.getIdAttrs(OBJECTS)
+          let keyNames, spies, redisResponse
+
+          context('and `getListDB` returns an array', () => {
+            before(async () => {
+              spies = {
+                getIds  : SpyMock
+                  .addReturnSpy(JSONKeySingleID, 'getIds'),
+                getListDB : SpyMock
+                  .addReturnSpy(JSONKeySingleID, 'getListDB', OBJECTS.slice(2))
+              }
+
+              keyNames = await JSONKeySingleID.getKeyNames(ID_ATTRS)
+
+              await JSONKeySingleID.setList(OBJECTS.slice(0, 2))
+
+              redisResponse = await JSONKeySingleID.getList(ID_ATTRS)
+            })
+
+            after(async () => {
+              await GenericJSONCacheMock.delete(keyNames)
+
+              SpyMock.restoreAll()
+            })
+
+            it('should call `getIds`', () => {
+              expect(spies.getIds).have.been.called
+            })
+
+            it('should call `getListDB`', () => {
+              expect(spies.getListDB).have.been.calledOnce
+            })
+
+            it('should return the cached values', async () => {
+              expect(redisResponse).to.eql(OBJECTS)
+            })
+          })
+
+          context('and `getListDB` returns an empty array', () => {
+            before(async () => {
+              spies = {
+                getIds  : SpyMock
+                  .addReturnSpy(JSONKeySingleID, 'getIds'),
+                getListDB : SpyMock
+                  .addReturnSpy(JSONKeySingleID, 'getListDB', [])
+              }
+
+              keyNames = await JSONKeySingleID.getKeyNames(ID_ATTRS)
+
+              await JSONKeySingleID.setList(OBJECTS.slice(0, 2))
+
+              redisResponse = await JSONKeySingleID.getList(ID_ATTRS)
+            })
+
+            after(async () => {
+              await GenericJSONCacheMock.delete(keyNames)
+
+              SpyMock.restoreAll()
+            })
+
+            it('should call `getIds`', () => {
+              expect(spies.getIds).have.been.called
+            })
+
+            it('should call `getListDB`', () => {
+              expect(spies.getListDB).have.been.calledOnce
+            })
+
+            it('should return the cached values', async () => {
+              expect(redisResponse).to.eql(OBJECTS.slice(0, 2))
+            })
+          })
+        })
+      })
+
+      context('when there are no cached values', () => {
+        let keyNames, spies, redisResponse
+        const ID_ATTRS = JSONKeySingleID.getIdAttrs(OBJECTS)
+
+        context('and `getListDB` returns an array', () => {
+          before(async () => {
+            spies = {
+              getIds  : SpyMock
+                .addReturnSpy(JSONKeySingleID, 'getIds'),
+              getListDB : SpyMock
+                .addReturnSpy(JSONKeySingleID, 'getListDB', OBJECTS)
+            }
+
+            keyNames = await JSONKeySingleID.getKeyNames(ID_ATTRS)
+
+            redisResponse = await JSONKeySingleID.getList(ID_ATTRS)
+          })
+
+          after(async () => {
+            await GenericJSONCacheMock.delete(keyNames)
+
+            SpyMock.restoreAll()
+          })
+
+          it('should call `getIds`', () => {
+            expect(spies.getIds).have.been.called
+          })
+
+          it('should call `getListDB`', () => {
+            expect(spies.getListDB).have.been.calledOnce
+          })
+
+          it('should return the cached values', async () => {
+            expect(redisResponse).to.eql(OBJECTS)
+          })
+        })
+
+        context('and `getListDB` returns an empty array', () => {
+          before(async () => {
+            spies = {
+              getIds  : SpyMock
+                .addReturnSpy(JSONKeySingleID, 'getIds'),
+              getListDB : SpyMock
+                .addReturnSpy(JSONKeySingleID, 'getListDB', [])
+            }
+
+            keyNames = await JSONKeySingleID.getKeyNames(ID_ATTRS)
+
+            redisResponse = await JSONKeySingleID.getList(ID_ATTRS)
+          })
+
+          after(async () => {
+            await GenericJSONCacheMock.delete(keyNames)
+
+            SpyMock.restoreAll()
+          })
+
+          it('should call `getIds`', () => {
+            expect(spies.getIds).have.been.called
+          })
+
+          it('should call `getListDB`', () => {
+            expect(spies.getListDB).have.been.calledOnce
+          })
+
+          it('should return an emtpy array', async () => {
+            expect(redisResponse).to.eql([])
+          })
+        })
+      })
+    })
+
+    context('when the key is `HASH`', () => {
+      const OBJECTS = GenericRedisCacheMock.getObjectMocks({}, 5)
+
+      context('and there are cached values', () => {
+        context('and all the keys passed have cached values', () => {
+          const ID_ATTRS = HASHKeySingleID.getIdAttrs(OBJECTS)
+          let keyNames, spies, redisResponse
+
+          before(async () => {
+            spies = {
+              getIds  : SpyMock
+                .addReturnSpy(HASHKeySingleID, 'getIds')
+            }
+
+            keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+
+            await HASHKeySingleID.setList(OBJECTS)
+
+            redisResponse = await HASHKeySingleID.getList(ID_ATTRS)
+          })
+
+          after(async () => {
+            await GenericHASHCache.delete(keyNames)
+
+            SpyMock.restoreAll()
+          })
+
+          it('should call `getIds`', () => {
+            expect(spies.getIds).have.been.called
+          })
+
+          it('should return the cached values', async () => {
+            expect(redisResponse).to.eql(OBJECTS)
+          })
+        })
+
+        context('and some keys are not cached', () => {
+          const ID_ATTRS = HASHKeySingleID.getIdAttrs(OBJECTS)
+          let keyNames, spies, redisResponse
+
+          context('and `getListDB` returns an array', () => {
+            before(async () => {
+              spies = {
+                getIds  : SpyMock
+                  .addReturnSpy(HASHKeySingleID, 'getIds'),
+                getListDB : SpyMock
+                  .addReturnSpy(HASHKeySingleID, 'getListDB', OBJECTS.slice(2))
+              }
+
+              keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+
+              await HASHKeySingleID.setList(OBJECTS.slice(0, 2))
+
+              redisResponse = await HASHKeySingleID.getList(ID_ATTRS)
+            })
+
+            after(async () => {
+              await GenericHASHCache.delete(keyNames)
+
+              SpyMock.restoreAll()
+            })
+
+            it('should call `getIds`', () => {
+              expect(spies.getIds).have.been.called
+            })
+
+            it('should call `getListDB`', () => {
+              expect(spies.getListDB).have.been.calledOnce
+            })
+
+            it('should return the cached values', async () => {
+              expect(redisResponse).to.eql(OBJECTS)
+            })
+          })
+
+          context('and `getListDB` returns an empty array', () => {
+            before(async () => {
+              spies = {
+                getIds  : SpyMock
+                  .addReturnSpy(HASHKeySingleID, 'getIds'),
+                getListDB : SpyMock
+                  .addReturnSpy(HASHKeySingleID, 'getListDB', [])
+              }
+
+              keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+
+              await HASHKeySingleID.setList(OBJECTS.slice(0, 2))
+
+              redisResponse = await HASHKeySingleID.getList(ID_ATTRS)
+            })
+
+            after(async () => {
+              await GenericHASHCache.delete(keyNames)
+
+              SpyMock.restoreAll()
+            })
+
+            it('should call `getIds`', () => {
+              expect(spies.getIds).have.been.called
+            })
+
+            it('should call `getListDB`', () => {
+              expect(spies.getListDB).have.been.calledOnce
+            })
+
+            it('should return the cached values', async () => {
+              expect(redisResponse).to.eql(OBJECTS.slice(0, 2))
+            })
+          })
+        })
+      })
+
+      context('when there are no cached values', () => {
+        let keyNames, spies, redisResponse
+        const ID_ATTRS = HASHKeySingleID.getIdAttrs(OBJECTS)
+
+        context('and `getListDB` returns an array', () => {
+          before(async () => {
+            spies = {
+              getIds  : SpyMock
+                .addReturnSpy(HASHKeySingleID, 'getIds'),
+              getListDB : SpyMock
+                .addReturnSpy(HASHKeySingleID, 'getListDB', OBJECTS)
+            }
+
+            keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+
+            redisResponse = await HASHKeySingleID.getList(ID_ATTRS)
+          })
+
+          after(async () => {
+            await GenericHASHCache.delete(keyNames)
+
+            SpyMock.restoreAll()
+          })
+
+          it('should call `getIds`', () => {
+            expect(spies.getIds).have.been.called
+          })
+
+          it('should call `getListDB`', () => {
+            expect(spies.getListDB).have.been.calledOnce
+          })
+
+          it('should return the cached values', async () => {
+            expect(redisResponse).to.eql(OBJECTS)
+          })
+        })
+
+        context('and `getListDB` returns an empty array', () => {
+          before(async () => {
+            spies = {
+              getIds  : SpyMock
+                .addReturnSpy(HASHKeySingleID, 'getIds'),
+              getListDB : SpyMock
+                .addReturnSpy(HASHKeySingleID, 'getListDB', [])
+            }
+
+            keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+
+            redisResponse = await HASHKeySingleID.getList(ID_ATTRS)
+          })
+
+          after(async () => {
+            await GenericHASHCache.delete(keyNames)
+
+            SpyMock.restoreAll()
+          })
+
+          it('should call `getIds`', () => {
+            expect(spies.getIds).have.been.called
+          })
+
+          it('should call `getListDB`', () => {
+            expect(spies.getListDB).have.been.calledOnce
+          })
+
+          it('should return an emtpy array', async () => {
+            expect(redisResponse).to.eql([])
+          })
+        })
+      })
+    })
+
+    context('when the key is `STRING`', () => {
+      const OBJECTS = GenericRedisCacheMock.getObjectMocks({}, 5)
+
+      const STRING_KEY_VALUES = OBJECTS.map((object) => {
+        return {
+          key: object.id,
+          value: 'test'+ (Math.floor(Math.random() * 1000) + 1)
+        }
+      })
+
+      const STRING_VALUES = STRING_KEY_VALUES.map((key) => {
+        return key.value
+      })
+
+      context('and there are cached values', () => {
+        context('and all the keys passed have cached values', () => {
+          const ID_ATTRS = STRINGKeySingleID.getIdAttrs(OBJECTS)
+          let keyNames, spies, redisResponse
+
+          before(async () => {
+            spies = {
+              getIds  : SpyMock
+                .addReturnSpy(STRINGKeySingleID, 'getIds')
+            }
+
+            keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+
+            await STRINGKeySingleID.setList(STRING_KEY_VALUES)
+
+            redisResponse = await STRINGKeySingleID.getList(ID_ATTRS)
+          })
+
+          after(async () => {
+            await GenericSTRINGCache.delete(keyNames)
+
+            SpyMock.restoreAll()
+          })
+
+          it('should call `getIds`', () => {
+            expect(spies.getIds).have.been.called
+          })
+
+          it('should return the cached values', async () => {
+            expect(redisResponse).to.deep.equalInAnyOrder(STRING_VALUES)
+          })
+        })
+
+        context('and some keys are not cached', () => {
+          const ID_ATTRS = STRINGKeySingleID.getIdAttrs(OBJECTS)
+          let keyNames, spies, redisResponse
+
+          context('and `getListDB` returns an array', () => {
+            before(async () => {
+              spies = {
+                getIds  : SpyMock
+                  .addReturnSpy(STRINGKeySingleID, 'getIds'),
+                getListDB : SpyMock
+                  .addReturnSpy(STRINGKeySingleID, 'getListDB', STRING_KEY_VALUES.slice(2))
+              }
+
+              keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+
+              await STRINGKeySingleID.setList(STRING_KEY_VALUES.slice(0, 2))
+
+              redisResponse = await STRINGKeySingleID.getList(ID_ATTRS)
+            })
+
+            after(async () => {
+              await GenericSTRINGCache.delete(keyNames)
+
+              SpyMock.restoreAll()
+            })
+
+            it('should call `getIds`', () => {
+              expect(spies.getIds).have.been.called
+            })
+
+            it('should call `getListDB`', () => {
+              expect(spies.getListDB).have.been.calledOnce
+            })
+
+            it('should return the cached values', async () => {
+              expect(redisResponse).to.deep.equalInAnyOrder(STRING_VALUES)
+            })
+          })
+
+          // context('and `getListDB` returns an empty array', () => {
+          //   before(async () => {
+          //     spies = {
+          //       getIds  : SpyMock
+          //         .addReturnSpy(STRINGKeySingleID, 'getIds'),
+          //       getListDB : SpyMock
+          //         .addReturnSpy(STRINGKeySingleID, 'getListDB', [])
+          //     }
+
+          //     keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+
+          //     await STRINGKeySingleID.setList(STRING_KEY_VALUES.slice(0, 2))
+
+          //     redisResponse = await STRINGKeySingleID.getList(ID_ATTRS)
+          //   })
+
+          //   after(async () => {
+          //     await GenericSTRINGCache.delete(keyNames)
+
+          //     SpyMock.restoreAll()
+          //   })
+
+          //   it('should call `getIds`', () => {
+          //     expect(spies.getIds).have.been.called
+          //   })
+
+          //   it('should call `getListDB`', () => {
+          //     expect(spies.getListDB).have.been.calledOnce
+          //   })
+
+          //   it('should return the cached values', async () => {
+          //     expect(redisResponse).to.deep.equalInAnyOrder(STRING_VALUES.slice(0, 2))
+          //   })
+          // })
+        })
+      })
+
+      context('when there are no cached values', () => {
+        let keyNames, spies, redisResponse
+        const ID_ATTRS = STRINGKeySingleID.getIdAttrs(OBJECTS)
+
+        context('and `getListDB` returns an array', () => {
+          before(async () => {
+            spies = {
+              getIds  : SpyMock
+                .addReturnSpy(STRINGKeySingleID, 'getIds'),
+              getListDB : SpyMock
+                .addReturnSpy(STRINGKeySingleID, 'getListDB', STRING_KEY_VALUES)
+            }
+
+            keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+
+            redisResponse = await STRINGKeySingleID.getList(ID_ATTRS)
+          })
+
+          after(async () => {
+            await GenericSTRINGCache.delete(keyNames)
+
+            SpyMock.restoreAll()
+          })
+
+          it('should call `getIds`', () => {
+            expect(spies.getIds).have.been.called
+          })
+
+          it('should call `getListDB`', () => {
+            expect(spies.getListDB).have.been.calledOnce
+          })
+
+          it('should return the cached values', async () => {
+            expect(redisResponse).to.deep.equalInAnyOrder(STRING_VALUES)
+          })
+        })
+
+        context('and `getListDB` returns an empty array', () => {
+          before(async () => {
+            spies = {
+              getIds  : SpyMock
+                .addReturnSpy(STRINGKeySingleID, 'getIds', []),
+
+              getListDB : SpyMock
+                .addReturnSpy(STRINGKeySingleID, 'getListDB', [])
+            }
+
+            keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+
+            redisResponse = await STRINGKeySingleID.getList(ID_ATTRS)
+          })
+
+          after(async () => {
+            await GenericSTRINGCache.delete(keyNames)
+
+            SpyMock.restoreAll()
           })
 
-          it('should return the list size', () => {
-            expect(redisResponse).to.eql(0)
+          it('should call `getIds`', () => {
+            expect(spies.getIds).have.been.called
           })
 
-          it('should set an empty array on cache', async () => {
-            const cacheValue = await JSONArrayKeySingleID
-              .getCache(STRING_KEY)
+          it('should call `getListDB`', () => {
+            expect(spies.getListDB).have.been.calledOnce
+          })
 
-            expect(cacheValue).to.eql([])
+          it('should return an emtpy array', async () => {
+            expect(redisResponse).to.eql([])
           })
         })
       })
     })
 
-    context('when `key` is `null`', () => {
-      let spies
+    context('when the cache has `singleFlight`', () => {
+      const OBJECTS = GenericRedisCacheMock.getObjectMocks({}, 3)
+      const ID_ATTRS = JSONKeySingleIDWithSingleFlight.getIdAttrs(OBJECTS)
 
-      before(() => {
-        spies = {
-          addCache: SpyMock
-            .addReturnSpy(JSONArrayKeySingleID, 'addCache')
-        }
+      context('and there are concurrent calls for the same keys', () => {
+        let keyNames, spies, responses
 
-        JSONArrayKeySingleID
-          .add()
-      })
+        before(async () => {
+          spies = {
+            getListDB : sinon
+              .stub(JSONKeySingleIDWithSingleFlight, 'getListDB')
+              .callsFake(async () => {
+                await new Promise(resolve => setTimeout(resolve, 20))
 
-      after(() => SpyMock.restoreAll())
+                return OBJECTS
+              })
+          }
 
-      it('should not call `addCache`', () => {
-        expect(spies.addCache).to.not.have.been.calledOnce
+          keyNames = await JSONKeySingleIDWithSingleFlight.getKeyNames(ID_ATTRS)
+
+          responses = await Promise.all([
+            JSONKeySingleIDWithSingleFlight.getList(ID_ATTRS),
+            JSONKeySingleIDWithSingleFlight.getList(ID_ATTRS),
+            JSONKeySingleIDWithSingleFlight.getList(ID_ATTRS)
+          ])
+        })
+
+        after(async () => {
+          await GenericJSONCacheMock.delete(keyNames)
+
+          spies.getListDB.restore()
+        })
+
+        it('should call `getListDB` once', () => {
+          expect(spies.getListDB).have.been.calledOnce
+        })
+
+        it('should return the values to all the calls', () => {
+          responses
+            .forEach(response => expect(response).to.deep.equalInAnyOrder(OBJECTS))
+        })
       })
     })
-  })
+    context('when the cache has `cacheMisses`', () => {
+      const OBJECTS = GenericRedisCacheMock.getObjectMocks({}, 3)
+      const ID_ATTRS = JSONKeySingleIDWithCacheMisses.getIdAttrs(OBJECTS)
 
-  describe('.setList', () => {
-    context('when the key is `string`', () => {
-      context('when objects are persisted', async () => {
-        let redisResponse, ids, spies
+      context('and `getListDB` does not return some keys', () => {
+        let keyNames, spies, responses
 
         before(async () => {
-          ids = [
-            Math.round(Math.random() * 999999),
-            Math.round(Math.random() * 999999),
-            Math.round(Math.random() * 999999)
+          spies = {
+            getListDB : SpyMock
+              .addReturnSpy(JSONKeySingleIDWithCacheMisses, 'getListDB', OBJECTS.slice(1))
+          }
+
+          keyNames = await JSONKeySingleIDWithCacheMisses.getKeyNames(ID_ATTRS)
+
+          responses = [
+            await JSONKeySingleIDWithCacheMisses.getList(ID_ATTRS),
+            await JSONKeySingleIDWithCacheMisses.getList(ID_ATTRS)
           ]
+        })
 
-          const object = {
-            id  : Math.round(Math.random() * 999999),
-            name: `Name: ${Math.round(Math.random() * 999999)}`
-          }
+        after(async () => {
+          await GenericJSONCacheMock.delete(keyNames.slice(1))
+          await redis.delAsync(JSONKeySingleIDWithCacheMisses._getMissKeyName(keyNames[0]))
 
-          spies = {
-            getDB: SpyMock
-              .addReturnSpy(JSONKeySingleID, 'getDB', object)
-          }
+          SpyMock.restoreAll()
+        })
 
-          redisResponse = await JSONKeySingleID.setList(ids)
+        it('should call `getListDB` once', () => {
+          expect(spies.getListDB).have.been.calledOnce
         })
 
-        after(async () => SpyMock.restoreAll())
+        it('should cache the missing keys', async () => {
+          const missKeyNames = keyNames
+            .map(keyName => JSONKeySingleIDWithCacheMisses._getMissKeyName(keyName))
 
-        it('should return the inserted objects', () => {
-          expect(redisResponse).to.have.lengthOf(ids.length)
+          expect(await redis.existsAsync(missKeyNames)).to.eql(1)
         })
 
-        it('should save the objects to cache', async () => {
-          expect(spies.getDB.getCalls()).to.have.been.lengthOf(ids.length)
+        it('should return the values found', () => {
+          responses
+            .forEach(response => expect(response).to.deep.equalInAnyOrder(OBJECTS.slice(1)))
         })
       })
     })
+  })
 
-    context('when the key is `Object`', () => {
-      const OBJECTS = GenericRedisCacheMock.getObjectMocks()
-      const ID_ATTRS = JSONKeySingleID.getIdAttrs(OBJECTS)
+  describe('.scan', () => {
+    before(function*() {
+      yield clear_database()
+    })
 
-      context('and `JSON` objects are passed', async () => {
-        let redisResponse, keyNames
+    const getEntries = async (cache, params) => {
+      const entries = []
 
-        before(async () => {
-          keyNames = await JSONKeySingleID.getKeyNames(ID_ATTRS)
+      for await (const entry of cache.scan(params))
+        entries.push(entry)
 
-          redisResponse = await JSONKeySingleID.setList(OBJECTS)
-        })
+      return entries
+    }
 
-        after(async () => {
-          await GenericJSONCacheMock.delete(keyNames)
-        })
+    context('when the key is `JSON`', () => {
+      const OBJECTS = [ 1, 2, 3 ]
+        .map(id => ({ id, id2: `second${id}`, id3: id * 10, name: `Name: ${id}` }))
 
-        it('should return the commands executed', () => {
-          expect(redisResponse.length).to.be.above(1)
-        })
+      const KEY_NAMES = OBJECTS
+        .map(object => JSONKeyMultiID.getKeyName(object))
 
-        it('should save the objects to cache', async () => {
-          const cachedValues = await GenericJSONCache.getListCache(keyNames)
+      before(async () => {
+        await JSONKeyMultiID.setList(OBJECTS)
+      })
 
-          expect(cachedValues.length).to.eql(OBJECTS.length)
-        })
+      after(async () => {
+        await GenericJSONCacheMock.delete(KEY_NAMES)
       })
 
-      context('and `key/value` objects are passed', () => {
-        let redisResponse, keyNames
+      context('when no `params` are passed', () => {
+        let entries
 
         before(async () => {
-          keyNames = await JSONKeySingleID.getKeyNames(ID_ATTRS)
+          entries = await getEntries(JSONKeyMultiID)
+        })
 
-          const keyValues = OBJECTS.map((object) => {
-            return {
-              key   : JSONKeySingleID._getIdAttr(object),
-              value : object
-            }
-          })
+        it('should return all the keys with their id objects and values', () => {
+          const expectedEntries = OBJECTS
+            .map((object, index) => ({
+              key     : { id: object.id, id2: object.id2, id3: object.id3 },
+              keyName : KEY_NAMES[index],
+              value   : object
+            }))
 
-          redisResponse = await JSONKeySingleID.setList(keyValues)
+          expect(entries).to.deep.equalInAnyOrder(expectedEntries)
         })
+      })
 
-        after(async () => {
-          await GenericJSONCacheMock.delete(keyNames)
-        })
+      context('when `match` is passed', () => {
+        let entries
 
-        it('should return the commands executed', () => {
-          expect(redisResponse.length).to.be.above(1)
+        before(async () => {
+          entries = await getEntries(JSONKeyMultiID, { match: 'test:2:second:*' })
         })
 
-        it('should save the objects to cache', async () => {
-          const cachedValue = await GenericJSONCache
-            .getListCache(keyNames)
-
-          expect(cachedValue.length).to.eql(OBJECTS.length)
+        it('should return only the matching keys', () => {
+          expect(entries.map(entry => entry.keyName)).to.eql([ KEY_NAMES[1] ])
         })
       })
-    })
 
-    context('when the key is `HASH`', () => {
-      const OBJECTS = GenericRedisCacheMock.getObjectMocks()
-      const ID_ATTRS = HASHKeySingleID.getIdAttrs(OBJECTS)
-
-      context('and `JSON` objects are passed', async () => {
-        let redisResponse, keyNames
+      context('when `count` and `batchSize` are smaller than the count of keys', () => {
+        let entries, spies
 
         before(async () => {
-          keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+          spies = {
+            _getScanValues  : sinon
+              .spy(JSONKeyMultiID, '_getScanValues'),
+            multi           : sinon
+              .spy(JSONKeyMultiID.getClient(), 'multi')
+          }
 
-          redisResponse = await HASHKeySingleID.setList(OBJECTS)
+          entries = await getEntries(JSONKeyMultiID, { count: 1, batchSize: 2 })
         })
 
-        after(async () => {
-          await GenericHASHCache.delete(keyNames)
+        after(() => {
+          spies._getScanValues.restore()
+          spies.multi.restore()
         })
 
-        it('should return the commands executed', () => {
-          expect(redisResponse.length).to.be.above(1)
+        it('should fetch the values in batches', () => {
+          expect(spies._getScanValues).to.have.been.calledTwice
         })
 
-        it('should save the objects to cache', async () => {
-          const cachedValues = await GenericHASHCache.getListCache(keyNames)
+        it('should read each batch by a single `MULTI`', () => {
+          expect(spies.multi).to.have.been.calledTwice
+        })
 
-          expect(cachedValues.length).to.eql(OBJECTS.length)
+        it('should return all the keys', () => {
+          expect(entries.map(entry => entry.keyName)).to.have.members(KEY_NAMES)
         })
       })
+    })
 
-      context('and `key/value` objects are passed', () => {
-        let redisResponse, keyNames
+    context('when the key is `HASH`', () => {
+      const VALUE = 1
+      const KEY_NAME = HASHKeySingleID.getKeyName(VALUE)
 
-        context('and the values are `objects`',() => {
-          before(async () => {
-            keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+      let entries
 
-            const keyValues = OBJECTS.map((object) => {
-              return {
-                key   : HASHKeySingleID._getIdAttr(object),
-                value : object
-              }
-            })
+      before(async () => {
+        await GenericHASHCache.setCache(KEY_NAME, VALUE, { id: VALUE, name: 'hash' })
 
-            redisResponse = await HASHKeySingleID.setList(keyValues)
-          })
+        entries = await getEntries(HASHKeySingleID)
+      })
 
-          after(async () => {
-            await GenericHASHCache.delete(keyNames)
-          })
+      after(async () => {
+        await GenericHASHCache.delete(KEY_NAME)
+      })
 
-          it('should return the commands executed', () => {
-            expect(redisResponse.length).to.be.above(1)
-          })
+      it('should return the field value of the key', () => {
+        expect(entries).to.eql([{
+          key     : { id: VALUE },
+          keyName : KEY_NAME,
+          value   : { id: VALUE, name: 'hash' }
+        }])
+      })
+    })
+  })
 
-          it('should save the objects to cache', async () => {
-            const cachedValues = await GenericHASHCache.getListCache(keyNames)
+  describe('.on', () => {
+    const VALUE = 1
+    const OBJECT = { id: VALUE, name: 'Kora' }
+    const KEY_NAME = JSONKeySingleID.getKeyName(VALUE)
 
-            expect(cachedValues.length).to.eql(OBJECTS.length)
-          })
-        })
+    const waitEvent = (cache, event, params) => new Promise(resolve => {
+      const listener = entry => {
+        cache.off(event, listener)
 
-        context('and the values are `strings`', () => {
-          before(async () => {
-            keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+        resolve(entry)
+      }
 
-            const stringValues = OBJECTS
-              .map((object) => {
-                return {
-                  key   : object.id,
-                  value : object.id.toString()
-                }
-              })
+      cache.on(event, listener, params)
+    })
 
-            redisResponse = await HASHKeySingleID.setList(stringValues)
-          })
+    before(async () => {
+      await redis.configAsync('SET', 'notify-keyspace-events', 'KEA')
+    })
 
-          after(async () => {
-            await GenericHASHCache.delete(keyNames)
-          })
+    after(async () => {
+      await redis.configAsync('SET', 'notify-keyspace-events', '')
+      await GenericJSONCacheMock.delete(KEY_NAME)
+    })
 
-          it('should return the commands executed', () => {
-            expect(redisResponse.length).to.be.above(1)
-          })
+    context('when a key is set', () => {
+      let entry
 
-          it('should save the objects to cache', async () => {
-            const cachedValues = await GenericHASHCache.getListCache(keyNames)
+      before(async () => {
+        const promise = waitEvent(JSONKeySingleID, 'set')
 
-            expect(cachedValues.length).to.eql(OBJECTS.length)
-          })
-        })
+        await JSONKeySingleID.subscribed()
+        await JSONKeySingleID.set(VALUE, OBJECT)
+
+        entry = await promise
+      })
+
+      it('should emit the `set` event with the id object', () => {
+        expect(entry).to.eql({ event: 'set', key: { id: VALUE }, keyName: KEY_NAME, redisEvent: 'json.set' })
       })
     })
 
-    context('when the key is `STRING`', () => {
-      const OBJECTS = GenericRedisCacheMock.getObjectMocks()
-      const ID_ATTRS = STRINGKeySingleID.getIdAttrs(OBJECTS)
+    context('when `withValue` is passed', () => {
+      let entry
 
-      context('and `JSON` objects are passed', async () => {
-        let redisResponse, keyNames
+      before(async () => {
+        const promise = waitEvent(JSONKeySingleID, 'set', { withValue: true })
 
-        before(async () => {
-          keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+        await JSONKeySingleID.subscribed()
+        await JSONKeySingleID.set(VALUE, OBJECT)
 
-          redisResponse = await STRINGKeySingleID.setList(OBJECTS)
-        })
+        entry = await promise
+      })
 
-        after(async () => {
-          await GenericSTRINGCache.delete(keyNames)
-        })
+      it('should emit the current value of the key', () => {
+        expect(entry.value).to.eql(OBJECT)
+      })
+    })
 
-        it('should return the commands executed', () => {
-          expect(redisResponse.length).to.be.above(1)
-        })
+    context('when a key is deleted', () => {
+      let entry
 
-        it('should save the objects to cache', async () => {
-          const cachedValues = await GenericSTRINGCache.getListCache(keyNames)
+      before(async () => {
+        await JSONKeySingleID.set(VALUE, OBJECT)
 
-          expect(cachedValues.length).to.eql(OBJECTS.length)
-        })
+        const promise = waitEvent(JSONKeySingleID, 'del')
+
+        await JSONKeySingleID.subscribed()
+        await JSONKeySingleID.delete(VALUE)
+
+        entry = await promise
       })
 
-      context('and `key/value` objects are passed', () => {
-        let redisResponse, keyNames
+      it('should emit the `del` event', () => {
+        expect(entry).to.include({ event: 'del', keyName: KEY_NAME })
+      })
+    })
 
-        context('and the values are `objects`',() => {
-          before(async () => {
-            keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+    context('when a key expires', () => {
+      let entry
 
-            const keyValues = OBJECTS.map((object) => {
-              return {
-                key: STRINGKeySingleID._getIdAttr(object),
-                value: object
-              }
-            })
+      before(async () => {
+        await JSONKeySingleID.set(VALUE, OBJECT)
 
-            redisResponse = await STRINGKeySingleID.setList(keyValues)
-          })
+        const promise = waitEvent(JSONKeySingleID, 'expired')
 
-          after(async () => {
-            await GenericSTRINGCache.delete(keyNames)
-          })
+        await JSONKeySingleID.subscribed()
+        await redis.pexpireAsync(KEY_NAME, 1)
+        await new Promise(resolve => setTimeout(resolve, 5))
 
-          it('should return the commands executed', () => {
-            expect(redisResponse.length).to.be.above(1)
-          })
+        // Reading the key expires it right away (the active expiration samples the volatile keys, as the version ones)
+        await redis.existsAsync(KEY_NAME)
+
+        entry = await promise
+      })
+
+      it('should emit the `expired` event', () => {
+        expect(entry).to.include({ event: 'expired', keyName: KEY_NAME })
+      })
+    })
 
-          it('should save the objects to cache', async () => {
-            const cachedValues = await GenericSTRINGCache.getListCache(keyNames)
+    context('when the key does not match the `keyName` template', () => {
+      const listener = sinon.spy()
 
-            expect(cachedValues.length).to.eql(OBJECTS.length)
-          })
-        })
+      before(async () => {
+        JSONKeySingleID.on('set', listener)
 
-        context('and the values are `strings`', () => {
-          before(async () => {
-            keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+        await JSONKeySingleID.subscribed()
+        await JSONKeyMultiID.set({ id: VALUE, id2: 'second', id3: 1 }, OBJECT)
+        await new Promise(resolve => setTimeout(resolve, 10))
+      })
 
-            const stringValues = OBJECTS.map((object) => {
-              return {
-                key: object.id,
-                value: 'test'+ (Math.floor(Math.random() * 1000) + 1)
-              }
-            })
+      after(async () => {
+        JSONKeySingleID.off('set', listener)
 
-            redisResponse = await STRINGKeySingleID.setList(stringValues)
-          })
+        await GenericJSONCacheMock.delete(JSONKeyMultiID.getKeyName({ id: VALUE, id2: 'second', id3: 1 }))
+      })
 
-          after(async () => {
-            await GenericSTRINGCache.delete(keyNames)
-          })
+      it('should not emit the event', () => {
+        expect(listener).to.not.have.been.called
+      })
+    })
 
-          it('should return the commands executed', () => {
-            expect(redisResponse.length).to.be.above(1)
-          })
+    context('when a key is changed by a keyspace event with no cache event', () => {
+      let entry
 
-          it('should save the objects to cache', async () => {
-            const cachedValues = await GenericSTRINGCache.getListCache(keyNames)
+      before(async () => {
+        await JSONKeySingleID.set(VALUE, { ...OBJECT, tags: [ 'pet', 'dog' ] })
 
-            expect(cachedValues.length).to.eql(OBJECTS.length)
-          })
-        })
+        const promise = waitEvent(JSONKeySingleID, 'json.arrpop')
 
-        context('and the values are arrays of `strings`', () => {
-          const VALUE_LENGTH = 3
+        await JSONKeySingleID.subscribed()
+        await redis.json_arrpopAsync(KEY_NAME, '.tags')
 
-          before(async () => {
-            keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+        entry = await promise
+      })
 
-            const stringValues = OBJECTS.map((object) => {
-              return {
-                key   : object.id,
-                value : GenericRedisCacheMock.getRandomStrings(VALUE_LENGTH)
-              }
-            })
+      it('should emit the event under the keyspace event name', () => {
+        expect(entry).to.include({ event: 'json.arrpop', keyName: KEY_NAME, redisEvent: 'json.arrpop' })
+      })
+    })
 
-            redisResponse = await STRINGKeySingleID.setList(stringValues)
-          })
+    context('when the `listener` is removed through `.off`', () => {
+      const listener = sinon.spy()
 
-          after(async () => {
-            await GenericSTRINGCache.delete(keyNames)
-          })
+      before(async () => {
+        JSONKeySingleID
+          .on('set', listener)
+          .off('set', listener)
 
-          it('should return the commands executed', () => {
-            expect(redisResponse.length).to.be.above(1)
-          })
+        await JSONKeySingleID.set(VALUE, OBJECT)
+        await new Promise(resolve => setTimeout(resolve, 10))
+      })
 
-          it('should save the objects to cache', async () => {
-            const cachedValues = await GenericSTRINGCache.getListCache(keyNames)
+      it('should not call the `listener`', () => {
+        expect(listener).to.not.have.been.called
+      })
 
-            expect(cachedValues.length).to.eql(OBJECTS.length * VALUE_LENGTH)
-          })
-        })
+      it('should close the subscription', async () => {
+        expect(await JSONKeySingleID.subscribed()).to.be.false
       })
     })
   })
 
-  describe('.getListCache', () => {
-    context('when there are cached values', () => {
-      const OBJECTS = GenericRedisCacheMock.getObjectMocks()
+  describe('.delete', () => {
+    context('when the cache has `staleTTL`', () => {
+      const VALUE = 1
+      const KEY_NAME = JSONKeySingleIDWithStaleTTL.getKeyName(VALUE)
+      const FRESH_KEY_NAME = JSONKeySingleIDWithStaleTTL._getFreshKeyName(KEY_NAME)
 
-      context('and the key is `JSON`', () => {
+      before(async () => {
+        await JSONKeySingleIDWithStaleTTL.set({ id: VALUE, name: 'Kora' })
+        await JSONKeySingleIDWithStaleTTL.delete(VALUE)
+      })
+
+      it('should remove the fresh key', async () => {
+        expect(await redis.existsAsync(FRESH_KEY_NAME)).to.eql(0)
+      })
+    })
+
+    context('when the cache has `cacheMisses` and the key is cached as a miss', () => {
+      const VALUE = 1
+      const KEY_NAME = JSONKeySingleIDWithCacheMisses.getKeyName(VALUE)
+      const MISS_KEY_NAME = JSONKeySingleIDWithCacheMisses._getMissKeyName(KEY_NAME)
+
+      before(async () => {
+        await redis.setAsync(MISS_KEY_NAME, 1, 'EX', 60)
+        await JSONKeySingleIDWithCacheMisses.delete(VALUE)
+      })
+
+      it('should remove the miss key (so the next `get` reads `db`)', async () => {
+        expect(await redis.existsAsync(MISS_KEY_NAME)).to.eql(0)
+      })
+    })
+
+    context('when the key is `JSON`', () => {
+      context('and the are cached values', () => {
+        const OBJECTS = GenericRedisCacheMock.getObjectMocks()
         const ID_ATTRS = JSONKeySingleID.getIdAttrs(OBJECTS)
+
         let keyNames
 
         before(async () => {
@@ -2681,18 +5434,33 @@ describe('GenericRedisCache', () => {
           await JSONKeySingleID.setList(OBJECTS)
         })
 
-        after(async () => {
-          await GenericJSONCacheMock.delete(keyNames)
+        context('and `keys` is not passed', () => {
+          it('should return `0`', async () => {
+            const response = await JSONKeySingleID.delete()
+
+            expect(response).to.be.null
+          })
         })
 
-        it('should return the cached values', async () => {
-          const cachedValues = await JSONKeySingleID.getListCache(ID_ATTRS)
+        context('and `keys` is passed', () => {
+          it('should return the number of deletes keys', async () => {
+            const response = await JSONKeySingleID.delete(ID_ATTRS)
 
-          expect(cachedValues.length).to.eql(OBJECTS.length)
+            expect(response).to.eql(OBJECTS)
+          })
+
+          it('should delete the keys from cache', async () => {
+            const response = await GenericJSONCache.getListCache(keyNames)
+
+            expect(response).to.eql([])
+          })
         })
       })
+    })
 
-      context('and the key is `HASH`', () => {
+    context('when the key is `HASH`', () => {
+      context('and there are cached values', () => {
+        const OBJECTS = GenericRedisCacheMock.getObjectMocks()
         const ID_ATTRS = HASHKeySingleID.getIdAttrs(OBJECTS)
         let keyNames
 
@@ -2702,40 +5470,84 @@ describe('GenericRedisCache', () => {
           await HASHKeySingleID.setList(OBJECTS)
         })
 
-        after(async () => {
-          await GenericHASHCache.delete(keyNames)
+        context('and `keys` is not passed', () => {
+          it('should return `null`', async () => {
+            const response = await HASHKeySingleID.delete()
+
+            expect(response).to.be.null
+          })
         })
 
-        it('should return the cached values', async () => {
-          const cachedValues = await HASHKeySingleID.getListCache(ID_ATTRS)
+        context('and `keys` is passed', () => {
+          it('should return the number of deletes keys', async () => {
+            const keys = ID_ATTRS.map((value) => {
+              return value.id
+            })
+            const response = await HASHKeySingleID.delete(keys)
 
-          expect(cachedValues.length).to.eql(OBJECTS.length)
+            expect(response).to.eql(OBJECTS)
+          })
+
+          it('should delete the keys from cache', async () => {
+            const response = await GenericHASHCache.getListCache(keyNames)
+
+            expect(response).to.eql([])
+          })
         })
       })
+    })
 
-      context('and the key is `STRING`', () => {
+    context('when the key is `STRING`', () => {
+      context('and the are cached values', () => {
+        const OBJECTS = GenericRedisCacheMock.getObjectMocks()
         const ID_ATTRS = STRINGKeySingleID.getIdAttrs(OBJECTS)
-        let keyNames
+
+        let values, keyNames, stringValues
 
         before(async () => {
           keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
 
-          await STRINGKeySingleID.setList(OBJECTS)
+          values = GenericRedisCacheMock.getRandomStrings(3)
+
+          stringValues = OBJECTS.map((object, index) => {
+            return {
+              key: object.id,
+              value: values[index]
+            }
+          })
+
+          await STRINGKeySingleID.setList(stringValues)
         })
 
-        after(async () => {
-          await GenericSTRINGCache.delete(keyNames)
+        context('and `keys` is not passed', () => {
+          it('should return `0`', async () => {
+            const response = await STRINGKeySingleID.delete()
+
+            expect(response).to.be.null
+          })
         })
 
-        it('should return the cached values', async () => {
-          const cachedValues = await STRINGKeySingleID.getListCache(ID_ATTRS)
+        context('and `keys` is passed', () => {
+          it('should return the  deletes values', async () => {
+            const response = await STRINGKeySingleID.delete(ID_ATTRS)
 
-          expect(cachedValues.length).to.eql(OBJECTS.length)
+            expect(response).to.eql(values)
+          })
+
+          it('should delete the keys from cache', async () => {
+            const response = await GenericSTRINGCache.getListCache(keyNames)
+
+            expect(response).to.eql([])
+          })
         })
       })
+    })
 
-      context('and the key is `JSON_ARRAY`', () => {
+    context('when the key is `JSON_ARRAY`', () => {
+      context('and the are cached values', () => {
+        const OBJECTS = GenericRedisCacheMock.getObjectMocks()
         const ID_ATTRS = JSONArrayKeySingleID.getIdAttrs(OBJECTS)
+
         let keyNames
 
         before(async () => {
@@ -2748,930 +5560,1219 @@ describe('GenericRedisCache', () => {
           }
         })
 
-        after(async () => {
-          await GenericJSONCacheMock
-            .delete(keyNames)
+        context('and `keys` is not passed', () => {
+          it('should return `0`', async () => {
+            const response = await JSONArrayKeySingleID
+              .delete()
+
+            expect(response).to.be.null
+          })
         })
 
-        it('should return the cached values', async () => {
-          const cachedValues = await JSONArrayKeySingleID
-            .getListCache(ID_ATTRS)
+        context('and `keys` is passed', () => {
+          it('should return the number of deletes keys', async () => {
+            const response = await JSONArrayKeySingleID
+              .delete(ID_ATTRS)
 
-          expect(cachedValues.length).to.eql(OBJECTS.length)
+            expect(response).to.eql(OBJECTS)
+          })
+
+          it('should delete the keys from cache', async () => {
+            const response = await GenericJSONArrayCache
+              .getListCache(keyNames)
+
+            expect(response).to.eql([])
+          })
         })
       })
     })
+  })
 
-    context('when there are no cached values', () => {
-      context('and the key is `JSON`', () => {
-        it('should return an empty array', async () => {
-          const cachedValues = await JSONKeySingleID.getListCache(['00000', '99999'])
+  describe('.invalidateTags', () => {
+    const OBJECTS = [ { id: 1, orgId: 10 }, { id: 2, orgId: 20 } ]
+    const HASH_VALUE = { id: 3, orgId: 10 }
 
-          expect(cachedValues).to.eql([])
+    const TAG_KEY_NAME = '__tag:org:10'
+
+    let spies
+
+    before(async () => {
+      spies = {
+        jsonOnDelete  : sinon.spy(JSONKeySingleIDWithTags, 'onDelete'),
+        hashOnDelete  : sinon.spy(HASHKeySingleIDWithTags, 'onDelete')
+      }
+
+      await JSONKeySingleIDWithTags.setList(OBJECTS)
+      await HASHKeySingleIDWithTags.set(HASH_VALUE.id, HASH_VALUE)
+    })
+
+    after(async () => {
+      spies.jsonOnDelete.restore()
+      spies.hashOnDelete.restore()
+
+      await JSONKeySingleIDWithTags.invalidateTags([ 'org:20', 'hash' ])
+    })
+
+    context('when the tagged keys are saved', () => {
+      it('should add the key names (with the `keyName` templates of their cache classes) to the tag hashes', async () => {
+        const keyNames = await redis.hgetallAsync(TAG_KEY_NAME)
+
+        expect(keyNames).to.eql({
+          [JSONKeySingleIDWithTags.getKeyName(OBJECTS[0])]   : JSONKeySingleIDWithTags.ATTRS.keyName,
+          [HASHKeySingleIDWithTags.getKeyName(HASH_VALUE.id)] : HASHKeySingleIDWithTags.ATTRS.keyName
         })
       })
 
-      context('and the key is `HASH`', () => {
-        it('should return an empty array', async () => {
-          const cachedValues = await HASHKeySingleID.getListCache(['00000', '99999'])
+      it('should not expire the tag hashes of keys without `ttl`', async () => {
+        expect(await redis.ttlAsync(TAG_KEY_NAME)).to.eql(-1)
+      })
+    })
+
+    context('when the tags are invalidated (through any cache class)', () => {
+      let result
+
+      before(async () => {
+        result = await JSONKeySingleIDWithTags.invalidateTags([ 'org:10' ])
+      })
+
+      it('should return the key names deleted', () => {
+        expect(result).to.have.members([
+          JSONKeySingleIDWithTags.getKeyName(OBJECTS[0]),
+          HASHKeySingleIDWithTags.getKeyName(HASH_VALUE.id)
+        ])
+      })
+
+      it('should delete the tagged keys of all the cache classes', async () => {
+        expect(await JSONKeySingleIDWithTags.getCache(OBJECTS[0])).to.be.null
+        expect(await HASHKeySingleIDWithTags.getCache(HASH_VALUE.id)).to.be.null
+      })
+
+      it('should call the `onDelete` of each cache class', () => {
+        expect(spies.jsonOnDelete).to.have.been.calledOnceWith({ id: OBJECTS[0].id }, OBJECTS[0])
+        expect(spies.hashOnDelete).to.have.been.calledOnceWith({ id: HASH_VALUE.id }, HASH_VALUE)
+      })
+
+      it('should keep the keys of other tags', async () => {
+        expect(await JSONKeySingleIDWithTags.getCache(OBJECTS[1])).to.eql(OBJECTS[1])
+      })
+
+      it('should delete the tag sets', async () => {
+        expect(await redis.existsAsync(TAG_KEY_NAME)).to.eql(0)
+      })
+    })
+
+    context('when the tagged keys have `ttl`', () => {
+      const TTL_TAG_KEY_NAME = '__tag:org:30'
+
+      class JSONKeySingleIDWithTagsAndTTL extends JSONKeySingleIDWithTags {
+        static get GENERIC_REDIS_ATTRS()  { return { ...super.GENERIC_REDIS_ATTRS, keyName: 'test_tags_ttl:{?}', ttl: 60 } }
+      }
+
+      before(async () => {
+        await JSONKeySingleIDWithTagsAndTTL.set({ id: 4, orgId: 30 })
+      })
+
+      after(async () => {
+        await JSONKeySingleIDWithTagsAndTTL.invalidateTags([ 'org:30' ])
+      })
+
+      it('should expire the tag hashes with them', async () => {
+        expect(await redis.ttlAsync(TTL_TAG_KEY_NAME)).to.be.within(1, 60)
+      })
+    })
+
+    context('when the tagged keys are of a cache class not registered', () => {
+      const UNKNOWN_TAG_KEY_NAME = '__tag:org:40'
+      const UNKNOWN_KEY_NAME = 'test_tags_unknown:5'
 
-          expect(cachedValues).to.eql([])
-        })
-      })
+      let error
 
-      context('and the key is `STRING`', () => {
-        it('should return an empty array', async () => {
-          const cachedValues = await STRINGKeySingleID.getListCache(['00000', '99999'])
+      before(async () => {
+        await redis.hsetAsync(UNKNOWN_TAG_KEY_NAME, UNKNOWN_KEY_NAME, 'test_tags_unknown:{?}')
 
-          expect(cachedValues).to.eql([])
-        })
+        try {
+          await JSONKeySingleIDWithTags.invalidateTags([ 'org:40' ])
+        }
+        catch (e) {
+          error = e
+        }
       })
 
-      context('and the key is `JSON_ARRAY`', () => {
-        it('should return an empty array', async () => {
-          const cachedValues = await JSONArrayKeySingleID
-            .getListCache(['00000', '99999'])
-
-          expect(cachedValues).to.eql([])
-        })
+      after(async () => {
+        await redis.delAsync(UNKNOWN_TAG_KEY_NAME)
       })
-    })
-  })
 
-  describe('.getList', () => {
-    context('when the key is `JSON`', () => {
-      const OBJECTS = GenericRedisCacheMock.getObjectMocks({}, 5)
+      it('should throw an error', () => {
+        expect(error.message).to.include('test_tags_unknown:{?}')
+      })
 
-      context('and there are cached values', () => {
-        context('and all the keys passed have cached values', () => {
-          const ID_ATTRS = JSONKeySingleID.getIdAttrs(OBJECTS)
-          let keyNames, spies, redisResponse
+      it('should keep the key names on the tag', async () => {
+        expect(await redis.hkeysAsync(UNKNOWN_TAG_KEY_NAME)).to.eql([ UNKNOWN_KEY_NAME ])
+      })
+    })
 
-          before(async () => {
-            spies = {
-              getIds: SpyMock
-                .addReturnSpy(JSONKeySingleID, 'getIds')
-            }
+    context('when the cache class is registered through `registerTags`', () => {
+      class JSONKeySingleIDWithTagsRegistered extends JSONKeySingleIDWithTags {
+        static get GENERIC_REDIS_ATTRS()  { return { ...super.GENERIC_REDIS_ATTRS, keyName: 'test_tags_registered:{?}' } }
+      }
 
-            keyNames = await JSONKeySingleID.getKeyNames(ID_ATTRS)
+      const KEY_NAME = JSONKeySingleIDWithTagsRegistered.getKeyName(6)
 
-            await JSONKeySingleID.setList(OBJECTS)
+      let result
 
-            redisResponse = await JSONKeySingleID.getList(ID_ATTRS)
-          })
+      before(async () => {
+        await redis.json_setAsync(KEY_NAME, '.', JSON.stringify({ id: 6, orgId: 50 }))
+        await redis.hsetAsync('__tag:org:50', KEY_NAME, JSONKeySingleIDWithTagsRegistered.ATTRS.keyName)
 
-          after(async () => {
-            await GenericJSONCacheMock.delete(keyNames)
+        JSONKeySingleIDWithTags.registerTags(JSONKeySingleIDWithTagsRegistered)
 
-            SpyMock.restoreAll()
-          })
+        result = await JSONKeySingleIDWithTags.invalidateTags([ 'org:50' ])
+      })
 
-          it('should call `getIds`', () => {
-            expect(spies.getIds).have.been.called
-          })
+      it('should delete its tagged keys', async () => {
+        expect(result).to.eql([ KEY_NAME ])
+        expect(await redis.existsAsync(KEY_NAME)).to.eql(0)
+      })
+    })
+  })
 
-          it('should return the cached values', async () => {
-            expect(redisResponse).to.eql(OBJECTS)
-          })
-        })
+  describe('.slice', () => {
+    context('when the key is `JSON_ARRAY`', () => {
+      context('and there are cached values', () => {
+        const ID = 42
+        const VALUE = [1,2,3,4]
+        const KEY_NAME = JSONArrayKeySingleID
+          .getKeyName(ID)
 
-        context('and some keys are not cached', () => {
-          const ID_ATTRS = JSONKeySingleID.getIdAttrs(OBJECTS)
-          let keyNames, spies, redisResponse
+        context('and `key` is passed', () => {
+          context('and `params` is passed', () => {
+            let response
 
-          context('and `getListDB` returns an array', () => {
             before(async () => {
-              spies = {
-                getIds  : SpyMock
-                  .addReturnSpy(JSONKeySingleID, 'getIds'),
-                getListDB : SpyMock
-                  .addReturnSpy(JSONKeySingleID, 'getListDB', OBJECTS.slice(2))
+              await redis
+                .json_setAsync(KEY_NAME, '.', JSON.stringify(VALUE))
+                
+              const params = {
+                start : 1,
+                stop  : 4
               }
 
-              keyNames = await JSONKeySingleID.getKeyNames(ID_ATTRS)
-
-              await JSONKeySingleID.setList(OBJECTS.slice(0, 2))
-
-              redisResponse = await JSONKeySingleID.getList(ID_ATTRS)
+              response = await JSONArrayKeySingleID
+                .slice(ID, params)
             })
 
             after(async () => {
-              await GenericJSONCacheMock.delete(keyNames)
-
-              SpyMock.restoreAll()
+              await GenericJSONArrayCache
+                .delete(KEY_NAME)
             })
 
-            it('should call `getIds`', () => {
-              expect(spies.getIds).have.been.called
+            it('should return the new list size',() => {
+              expect(response).to.eql(3)
             })
 
-            it('should call `getListDB`', () => {
-              expect(spies.getListDB).have.been.calledOnce
-            })
+            it('should set new list on cache', async () => {
+              const cachedValue = await GenericJSONArrayCache
+                .getCache(KEY_NAME)
+              
+              const newValue = VALUE.slice(1,4)  
 
-            it('should return the cached values', async () => {
-              expect(redisResponse).to.eql(OBJECTS)
+              expect(cachedValue).to.eql(newValue)
             })
           })
 
-          context('and `getListDB` returns an empty array', () => {
-            before(async () => {
-              spies = {
-                getIds  : SpyMock
-                  .addReturnSpy(JSONKeySingleID, 'getIds'),
-                getListDB : SpyMock
-                  .addReturnSpy(JSONKeySingleID, 'getListDB', [])
-              }
-
-              keyNames = await JSONKeySingleID.getKeyNames(ID_ATTRS)
-
-              await JSONKeySingleID.setList(OBJECTS.slice(0, 2))
+          context('and `params` is not passed', () => {
+            let response
 
-              redisResponse = await JSONKeySingleID.getList(ID_ATTRS)
+            before(async () => {
+              await redis
+                .json_setAsync(KEY_NAME, '.', JSON.stringify(VALUE))
+                
+              response = await JSONArrayKeySingleID
+                .slice(ID)
             })
 
             after(async () => {
-              await GenericJSONCacheMock.delete(keyNames)
-
-              SpyMock.restoreAll()
+              await GenericJSONArrayCache
+                .delete(KEY_NAME)
             })
 
-            it('should call `getIds`', () => {
-              expect(spies.getIds).have.been.called
-            })
+            it('should return the new list size',() => {
+              const size = VALUE.length - 1
 
-            it('should call `getListDB`', () => {
-              expect(spies.getListDB).have.been.calledOnce
+              expect(response).to.eql(size)
             })
 
-            it('should return the cached values', async () => {
-              expect(redisResponse).to.eql(OBJECTS.slice(0, 2))
+            it('should set new list on cache', async () => {
+              const cachedValue = await GenericJSONArrayCache
+                .getCache(KEY_NAME)
+              
+              const newValue = VALUE.slice(1,4)  
+
+              expect(cachedValue).to.eql(newValue)
             })
           })
         })
-      })
-
-      context('when there are no cached values', () => {
-        let keyNames, spies, redisResponse
-        const ID_ATTRS = JSONKeySingleID.getIdAttrs(OBJECTS)
 
-        context('and `getListDB` returns an array', () => {
-          before(async () => {
-            spies = {
-              getIds  : SpyMock
-                .addReturnSpy(JSONKeySingleID, 'getIds'),
-              getListDB : SpyMock
-                .addReturnSpy(JSONKeySingleID, 'getListDB', OBJECTS)
-            }
+        context('and `key` is not passed', () => {
+          let response
 
-            keyNames = await JSONKeySingleID.getKeyNames(ID_ATTRS)
+          before(async () => {           
+            response = await JSONArrayKeySingleID
+              .slice()
+          })
 
-            redisResponse = await JSONKeySingleID.getList(ID_ATTRS)
+          it('should return `null`', () => {
+            expect(response).to.be.null
           })
+        })
+      })
 
-          after(async () => {
-            await GenericJSONCacheMock.delete(keyNames)
+      context('and there are no cached values', () => {
+        const ID = 42
 
-            SpyMock.restoreAll()
-          })
+        let response
 
-          it('should call `getIds`', () => {
-            expect(spies.getIds).have.been.called
-          })
+        before(async () => {
+          const params = {
+            start : 1,
+            stop  : 4
+          }
 
-          it('should call `getListDB`', () => {
-            expect(spies.getListDB).have.been.calledOnce
-          })
+          response = await JSONArrayKeySingleID
+            .slice(ID, params)
+        })
 
-          it('should return the cached values', async () => {
-            expect(redisResponse).to.eql(OBJECTS)
-          })
+        it('should return `null`',() => {
+          expect(response).to.be.null
         })
+      })
+    })
 
-        context('and `getListDB` returns an empty array', () => {
-          before(async () => {
-            spies = {
-              getIds  : SpyMock
-                .addReturnSpy(JSONKeySingleID, 'getIds'),
-              getListDB : SpyMock
-                .addReturnSpy(JSONKeySingleID, 'getListDB', [])
-            }
+    context('when the key is not `JSON_ARRAY`', () => {
+      const ID = 42
+      const VALUE = { test: ID }
+      const KEY_NAME = JSONKeySingleID
+        .getKeyName(ID)
 
-            keyNames = await JSONKeySingleID.getKeyNames(ID_ATTRS)
+      let response
 
-            redisResponse = await JSONKeySingleID.getList(ID_ATTRS)
-          })
+      before(async () => {
+        await redis
+          .json_setAsync(KEY_NAME, '.', JSON.stringify(VALUE))
+          
+        const params = {
+          start : 1,
+          stop  : 4
+        }
 
-          after(async () => {
-            await GenericJSONCacheMock.delete(keyNames)
+        response = await JSONKeySingleID
+          .slice(ID, params)
+      })
 
-            SpyMock.restoreAll()
-          })
+      after(async () => {
+        await GenericJSONArrayCache
+          .delete(KEY_NAME)
+      })
 
-          it('should call `getIds`', () => {
-            expect(spies.getIds).have.been.called
-          })
+      it('should return `null`',() => {
+        expect(response).to.be.null
+      })
+    })
+  })
+
+  describe('item operations', () => {
+    const ARRAY_KEY = { id: 19, attr1: 'teste' }
+    const KEY_NAME = JSONArrayKeySingleID.getKeyName(ARRAY_KEY)
+    const ITEMS = [ { id: 1, name: 'Kora' }, { id: 2, name: 'Hun' } ]
+
+    beforeEach(async () => {
+      await redis
+        .json_setAsync(KEY_NAME, '.', JSON.stringify(ITEMS))
+    })
+
+    afterEach(async () => {
+      await GenericJSONCacheMock
+        .delete(KEY_NAME)
+    })
 
-          it('should call `getListDB`', () => {
-            expect(spies.getListDB).have.been.calledOnce
-          })
+    describe('.findItem', () => {
+      it('should return the matched item', async () => {
+        expect(await JSONArrayKeySingleID.findItem(ARRAY_KEY, { id: 2 })).to.eql(ITEMS[1])
+      })
 
-          it('should return an emtpy array', async () => {
-            expect(redisResponse).to.eql([])
-          })
+      context('when the type is not `JSON_ARRAY`', () => {
+        it('should throw an error', async () => {
+          await expect(JSONKeySingleID.findItem({ id: 1 }, { id: 2 }))
+            .to.be.rejectedWith('`findItem` is only supported by the JSON_ARRAY keys')
         })
       })
     })
 
-    context('when the key is `HASH`', () => {
-      const OBJECTS = GenericRedisCacheMock.getObjectMocks({}, 5)
+    describe('.indexOf', () => {
+      it('should return the index of the matched item', async () => {
+        expect(await JSONArrayKeySingleID.indexOf(ARRAY_KEY, item => item.name == 'Hun')).to.eql(1)
+      })
+    })
 
-      context('and there are cached values', () => {
-        context('and all the keys passed have cached values', () => {
-          const ID_ATTRS = HASHKeySingleID.getIdAttrs(OBJECTS)
-          let keyNames, spies, redisResponse
+    describe('.updateItem', () => {
+      let spies, item
 
-          before(async () => {
-            spies = {
-              getIds  : SpyMock
-                .addReturnSpy(HASHKeySingleID, 'getIds')
-            }
+      beforeEach(async () => {
+        spies = {
+          onSave: SpyMock
+            .addReturnSpy(JSONArrayKeySingleID, 'onSave')
+        }
 
-            keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+        item = await JSONArrayKeySingleID
+          .updateItem(ARRAY_KEY, { id: 2 }, { name: 'Nina' })
+      })
 
-            await HASHKeySingleID.setList(OBJECTS)
+      afterEach(() => SpyMock.restoreAll())
 
-            redisResponse = await HASHKeySingleID.getList(ID_ATTRS)
-          })
+      it('should return the updated item', () => {
+        expect(item).to.eql({ id: 2, name: 'Nina' })
+      })
 
-          after(async () => {
-            await GenericHASHCache.delete(keyNames)
+      it('should call `onSave` with the updated item and the old one', () => {
+        expect(spies.onSave).to.have.been.calledOnceWith(ARRAY_KEY, { id: 2, name: 'Nina' }, ITEMS[1])
+      })
+    })
 
-            SpyMock.restoreAll()
-          })
+    describe('.upsertItem', () => {
+      let spies, item
 
-          it('should call `getIds`', () => {
-            expect(spies.getIds).have.been.called
-          })
+      beforeEach(async () => {
+        spies = {
+          onSave: SpyMock
+            .addReturnSpy(JSONArrayKeySingleID, 'onSave')
+        }
 
-          it('should return the cached values', async () => {
-            expect(redisResponse).to.eql(OBJECTS)
-          })
-        })
+        item = await JSONArrayKeySingleID
+          .upsertItem(ARRAY_KEY, { id: 3 }, { id: 3, name: 'Nina' })
+      })
 
-        context('and some keys are not cached', () => {
-          const ID_ATTRS = HASHKeySingleID.getIdAttrs(OBJECTS)
-          let keyNames, spies, redisResponse
+      afterEach(() => SpyMock.restoreAll())
 
-          context('and `getListDB` returns an array', () => {
-            before(async () => {
-              spies = {
-                getIds  : SpyMock
-                  .addReturnSpy(HASHKeySingleID, 'getIds'),
-                getListDB : SpyMock
-                  .addReturnSpy(HASHKeySingleID, 'getListDB', OBJECTS.slice(2))
-              }
+      it('should append the item', async () => {
+        expect(item).to.eql({ id: 3, name: 'Nina' })
+        expect(await JSONArrayKeySingleID.getCache(ARRAY_KEY)).to.eql([ ...ITEMS, item ])
+      })
 
-              keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+      it('should call `onSave` with the item', () => {
+        expect(spies.onSave).to.have.been.calledOnceWith(ARRAY_KEY, { id: 3, name: 'Nina' }, null)
+      })
+    })
 
-              await HASHKeySingleID.setList(OBJECTS.slice(0, 2))
+    describe('.removeItem', () => {
+      let spies, item
 
-              redisResponse = await HASHKeySingleID.getList(ID_ATTRS)
-            })
+      beforeEach(async () => {
+        spies = {
+          onDelete: SpyMock
+            .addReturnSpy(JSONArrayKeySingleID, 'onDelete')
+        }
 
-            after(async () => {
-              await GenericHASHCache.delete(keyNames)
+        item = await JSONArrayKeySingleID
+          .removeItem(ARRAY_KEY, { id: 1 })
+      })
 
-              SpyMock.restoreAll()
-            })
+      afterEach(() => SpyMock.restoreAll())
 
-            it('should call `getIds`', () => {
-              expect(spies.getIds).have.been.called
-            })
+      it('should return the removed item', async () => {
+        expect(item).to.eql(ITEMS[0])
+        expect(await JSONArrayKeySingleID.getCache(ARRAY_KEY)).to.eql([ ITEMS[1] ])
+      })
 
-            it('should call `getListDB`', () => {
-              expect(spies.getListDB).have.been.calledOnce
-            })
+      it('should call `onDelete` with the removed item', () => {
+        expect(spies.onDelete).to.have.been.calledOnceWith(ARRAY_KEY, ITEMS[0])
+      })
+    })
 
-            it('should return the cached values', async () => {
-              expect(redisResponse).to.eql(OBJECTS)
-            })
-          })
+    describe('version', () => {
+      let incrAsync
 
-          context('and `getListDB` returns an empty array', () => {
-            before(async () => {
-              spies = {
-                getIds  : SpyMock
-                  .addReturnSpy(HASHKeySingleID, 'getIds'),
-                getListDB : SpyMock
-                  .addReturnSpy(HASHKeySingleID, 'getListDB', [])
-              }
+      beforeEach(async () => {
+        await redis.delAsync(`__version:${KEY_NAME}`)
 
-              keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+        incrAsync = sinon.spy(redis, 'incrAsync')
+      })
 
-              await HASHKeySingleID.setList(OBJECTS.slice(0, 2))
+      afterEach(() => incrAsync.restore())
 
-              redisResponse = await HASHKeySingleID.getList(ID_ATTRS)
-            })
+      it('should increment the version on the `MULTI` of the item update', async () => {
+        await JSONArrayKeySingleID.updateItem(ARRAY_KEY, { id: 2 }, { name: 'Nina' })
 
-            after(async () => {
-              await GenericHASHCache.delete(keyNames)
+        expect(await JSONArrayKeySingleID.getVersion(ARRAY_KEY)).to.eql(1)
+        expect(incrAsync).to.not.have.been.called
+      })
 
-              SpyMock.restoreAll()
-            })
+      it('should increment the version on the `MULTI` of the item removal', async () => {
+        await JSONArrayKeySingleID.removeItem(ARRAY_KEY, { id: 1 })
 
-            it('should call `getIds`', () => {
-              expect(spies.getIds).have.been.called
-            })
+        expect(await JSONArrayKeySingleID.getVersion(ARRAY_KEY)).to.eql(1)
+        expect(incrAsync).to.not.have.been.called
+      })
 
-            it('should call `getListDB`', () => {
-              expect(spies.getListDB).have.been.calledOnce
-            })
+      it('should not increment the version when no item matches', async () => {
+        await JSONArrayKeySingleID.removeItem(ARRAY_KEY, { id: 3 })
 
-            it('should return the cached values', async () => {
-              expect(redisResponse).to.eql(OBJECTS.slice(0, 2))
-            })
-          })
-        })
+        expect(await JSONArrayKeySingleID.getVersion(ARRAY_KEY)).to.eql(0)
       })
+    })
+  })
 
-      context('when there are no cached values', () => {
-        let keyNames, spies, redisResponse
-        const ID_ATTRS = HASHKeySingleID.getIdAttrs(OBJECTS)
+  describe('`HASH_OBJECT` type', () => {
+    const OBJECT = { id: 21, name: 'Kora', views: 1, active: false, tags: [ 'dog' ] }
 
-        context('and `getListDB` returns an array', () => {
-          before(async () => {
-            spies = {
-              getIds  : SpyMock
-                .addReturnSpy(HASHKeySingleID, 'getIds'),
-              getListDB : SpyMock
-                .addReturnSpy(HASHKeySingleID, 'getListDB', OBJECTS)
-            }
+    beforeEach(async () => {
+      await HASHObjectKeySingleID.set(OBJECT)
+    })
 
-            keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+    afterEach(async () => {
+      await HASHObjectKeySingleID.delete([ { id: 21 }, { id: 22 } ])
+    })
 
-            redisResponse = await HASHKeySingleID.getList(ID_ATTRS)
-          })
+    it('should save the object as a hash', async () => {
+      expect(await redis.typeAsync(HASHObjectKeySingleID.getKeyName(OBJECT))).to.eql('hash')
+      expect(await HASHObjectKeySingleID.isCached(OBJECT)).to.be.true
+    })
 
-          after(async () => {
-            await GenericHASHCache.delete(keyNames)
+    it('should return the object coerced by the `schema`', async () => {
+      expect(await HASHObjectKeySingleID.getCache(OBJECT)).to.eql(OBJECT)
+    })
 
-            SpyMock.restoreAll()
-          })
+    it('should return the projected `fields` of the objects', async () => {
+      await HASHObjectKeySingleID.set({ id: 22, name: 'Hun', views: 5 })
 
-          it('should call `getIds`', () => {
-            expect(spies.getIds).have.been.called
-          })
+      const objects = await HASHObjectKeySingleID
+        .getListCache([ { id: 21 }, { id: 22 } ], { fields: [ 'name', 'views' ] })
 
-          it('should call `getListDB`', () => {
-            expect(spies.getListDB).have.been.calledOnce
-          })
+      expect(objects).to.deep.equalInAnyOrder([ { name: 'Kora', views: 1 }, { name: 'Hun', views: 5 } ])
+    })
 
-          it('should return the cached values', async () => {
-            expect(redisResponse).to.eql(OBJECTS)
-          })
-        })
+    describe('.incrField', () => {
+      it('should increment the field', async () => {
+        expect(await HASHObjectKeySingleID.incrField(OBJECT, 'views', 2)).to.eql(3)
+        expect((await HASHObjectKeySingleID.getCache(OBJECT)).views).to.eql(3)
+      })
 
-        context('and `getListDB` returns an empty array', () => {
-          before(async () => {
-            spies = {
-              getIds  : SpyMock
-                .addReturnSpy(HASHKeySingleID, 'getIds'),
-              getListDB : SpyMock
-                .addReturnSpy(HASHKeySingleID, 'getListDB', [])
-            }
+      context('when the type is not `HASH_OBJECT`', () => {
+        it('should throw an error', async () => {
+          await expect(HASHKeySingleID.incrField({ id: 1 }, 'views'))
+            .to.be.rejectedWith('`incrField` is only supported by the HASH_OBJECT keys')
+        })
+      })
+    })
 
-            keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+    describe('.hsetnx', () => {
+      it('should set only the missing fields', async () => {
+        expect(await HASHObjectKeySingleID.hsetnx(OBJECT, 'active', true)).to.be.false
+        expect(await HASHObjectKeySingleID.hsetnx(OBJECT, 'color', 'black')).to.be.true
+      })
+    })
 
-            redisResponse = await HASHKeySingleID.getList(ID_ATTRS)
-          })
+    describe('.deleteFields', () => {
+      it('should delete the fields', async () => {
+        expect(await HASHObjectKeySingleID.deleteFields(OBJECT, [ 'tags', 'active' ])).to.eql(2)
+        expect(await HASHObjectKeySingleID.getCache(OBJECT)).to.eql({ id: 21, name: 'Kora', views: 1 })
+      })
+    })
+  })
 
-          after(async () => {
-            await GenericHASHCache.delete(keyNames)
+  describe('`STRING` sets', () => {
+    const DOGS = { id: 'dogs' }
+    const PETS = { id: 'pets' }
+    const DESTINATION = { id: 'result' }
 
-            SpyMock.restoreAll()
-          })
+    beforeEach(async () => {
+      await GenericSTRINGCache.setCache(STRINGKeySingleID.getKeyName(DOGS), [ 'kora', 'hun', 'nina' ])
+      await GenericSTRINGCache.setCache(STRINGKeySingleID.getKeyName(PETS), [ 'kora', 'hun', 'tom' ])
+    })
 
-          it('should call `getIds`', () => {
-            expect(spies.getIds).have.been.called
-          })
+    afterEach(async () => {
+      await STRINGKeySingleID.delete([ DOGS, PETS, DESTINATION ])
+      await STRINGKeySingleIDWithTTL.delete(DESTINATION)
+    })
 
-          it('should call `getListDB`', () => {
-            expect(spies.getListDB).have.been.calledOnce
-          })
+    describe('.isMember', () => {
+      it('should return whether the value is a member or not', async () => {
+        expect(await STRINGKeySingleID.isMember(DOGS, 'kora')).to.be.true
+        expect(await STRINGKeySingleID.isMember(DOGS, 'tom')).to.be.false
+      })
 
-          it('should return an emtpy array', async () => {
-            expect(redisResponse).to.eql([])
-          })
+      context('when the type is not `STRING`', () => {
+        it('should throw an error', async () => {
+          await expect(JSONKeySingleID.isMember(DOGS, 'kora'))
+            .to.be.rejectedWith('`isMember` is only supported by the STRING keys')
         })
       })
     })
 
-    context('when the key is `STRING`', () => {
-      const OBJECTS = GenericRedisCacheMock.getObjectMocks({}, 5)
+    describe('.count', () => {
+      it('should return the count of members', async () => {
+        expect(await STRINGKeySingleID.count(DOGS)).to.eql(3)
+        expect(await STRINGKeySingleID.count({ id: 'cats' })).to.eql(0)
+      })
+    })
 
-      const STRING_KEY_VALUES = OBJECTS.map((object) => {
-        return {
-          key: object.id,
-          value: 'test'+ (Math.floor(Math.random() * 1000) + 1)
-        }
+    describe('.intersect', () => {
+      it('should return the common members of the keys', async () => {
+        expect(await STRINGKeySingleID.intersect([ DOGS, PETS ]))
+          .to.deep.equalInAnyOrder([ 'kora', 'hun' ])
       })
 
-      const STRING_VALUES = STRING_KEY_VALUES.map((key) => {
-        return key.value
+      it('should resolve the keys from an `object` with the `ids` lists', async () => {
+        expect(await STRINGKeySingleID.intersect({ id: [ 'dogs', 'pets' ] }))
+          .to.deep.equalInAnyOrder([ 'kora', 'hun' ])
       })
+    })
 
-      context('and there are cached values', () => {
-        context('and all the keys passed have cached values', () => {
-          const ID_ATTRS = STRINGKeySingleID.getIdAttrs(OBJECTS)
-          let keyNames, spies, redisResponse
+    describe('.difference', () => {
+      it('should return the members of the first key missing on the other ones', async () => {
+        expect(await STRINGKeySingleID.difference([ DOGS, PETS ])).to.eql([ 'nina' ])
+      })
+    })
 
-          before(async () => {
-            spies = {
-              getIds  : SpyMock
-                .addReturnSpy(STRINGKeySingleID, 'getIds')
-            }
+    describe('.randomMembers', () => {
+      it('should return random members', async () => {
+        const members = await STRINGKeySingleID.randomMembers(DOGS, 2)
 
-            keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+        expect(members).to.have.lengthOf(2)
+        expect([ 'kora', 'hun', 'nina' ]).to.include.members(members)
+      })
+    })
 
-            await STRINGKeySingleID.setList(STRING_KEY_VALUES)
+    describe('.pop', () => {
+      it('should remove and return random members', async () => {
+        const [ member ] = await STRINGKeySingleID.pop(DOGS)
 
-            redisResponse = await STRINGKeySingleID.getList(ID_ATTRS)
-          })
+        expect(await STRINGKeySingleID.isMember(DOGS, member)).to.be.false
+        expect(await STRINGKeySingleID.count(DOGS)).to.eql(2)
+      })
+    })
 
-          after(async () => {
-            await GenericSTRINGCache.delete(keyNames)
+    describe('.move', () => {
+      it('should move the value to the destination key', async () => {
+        expect(await STRINGKeySingleID.move(DOGS, PETS, 'nina')).to.be.true
+        expect(await STRINGKeySingleID.move(DOGS, PETS, 'tom')).to.be.false
 
-            SpyMock.restoreAll()
-          })
+        expect(await STRINGKeySingleID.getCache(DOGS)).to.deep.equalInAnyOrder([ 'kora', 'hun' ])
+        expect(await STRINGKeySingleID.getCache(PETS)).to.deep.equalInAnyOrder([ 'kora', 'hun', 'tom', 'nina' ])
+      })
 
-          it('should call `getIds`', () => {
-            expect(spies.getIds).have.been.called
-          })
+      context('when the `destinationCache` has another `serializer`', () => {
+        it('should throw an error', async () => {
+          await expect(STRINGKeySingleID.move(DOGS, PETS, 'nina', STRINGKeySingleIDWithSerializer))
+            .to.be.rejectedWith('`move` requires the destination cache to share the `serializer`')
 
-          it('should return the cached values', async () => {
-            expect(redisResponse).to.deep.equalInAnyOrder(STRING_VALUES)
-          })
+          expect(await STRINGKeySingleID.isMember(DOGS, 'nina')).to.be.true
         })
+      })
+    })
 
-        context('and some keys are not cached', () => {
-          const ID_ATTRS = STRINGKeySingleID.getIdAttrs(OBJECTS)
-          let keyNames, spies, redisResponse
+    describe('.unionStore', () => {
+      it('should save the union on the destination key', async () => {
+        expect(await STRINGKeySingleID.unionStore([ DOGS, PETS ], DESTINATION)).to.eql(4)
+        expect(await STRINGKeySingleID.getCache(DESTINATION))
+          .to.deep.equalInAnyOrder([ 'kora', 'hun', 'nina', 'tom' ])
+      })
+    })
 
-          context('and `getListDB` returns an array', () => {
-            before(async () => {
-              spies = {
-                getIds  : SpyMock
-                  .addReturnSpy(STRINGKeySingleID, 'getIds'),
-                getListDB : SpyMock
-                  .addReturnSpy(STRINGKeySingleID, 'getListDB', STRING_KEY_VALUES.slice(2))
-              }
+    describe('.intersectStore', () => {
+      context('when a `destinationCache` is passed', () => {
+        it('should save the intersection on its key (with its `ttl`)', async () => {
+          expect(await STRINGKeySingleID.intersectStore([ DOGS, PETS ], DESTINATION, STRINGKeySingleIDWithTTL)).to.eql(2)
 
-              keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+          const keyName = STRINGKeySingleIDWithTTL.getKeyName(DESTINATION)
 
-              await STRINGKeySingleID.setList(STRING_KEY_VALUES.slice(0, 2))
+          expect(await STRINGKeySingleIDWithTTL.getCache(DESTINATION)).to.deep.equalInAnyOrder([ 'kora', 'hun' ])
+          expect(await redis.ttlAsync(keyName)).to.be.within(1, 60)
+        })
+      })
+
+      context('when the `destinationCache` type is not `STRING`', () => {
+        it('should throw an error', async () => {
+          await expect(STRINGKeySingleID.intersectStore([ DOGS, PETS ], DESTINATION, JSONKeySingleID))
+            .to.be.rejectedWith('`intersectStore` is only supported by the STRING keys')
+        })
+      })
+
+      context('when the `destinationCache` has another `redis` client', () => {
+        let getClient
+
+        beforeEach(() => {
+          getClient = sinon.stub(STRINGKeySingleIDWithTTL, 'getClient').returns(redis.duplicate())
+        })
+
+        afterEach(async () => {
+          await getClient.returnValues[0].quitAsync()
+          getClient.restore()
+        })
+
+        it('should throw an error', async () => {
+          await expect(STRINGKeySingleID.intersectStore([ DOGS, PETS ], DESTINATION, STRINGKeySingleIDWithTTL))
+            .to.be.rejectedWith('`intersectStore` requires the destination cache to share the `redis` client')
+        })
+      })
+    })
 
-              redisResponse = await STRINGKeySingleID.getList(ID_ATTRS)
-            })
+    describe('.differenceStore', () => {
+      context('when the result is empty', () => {
+        it('should delete the destination key', async () => {
+          await GenericSTRINGCache.setCache(STRINGKeySingleID.getKeyName(DESTINATION), 'old')
 
-            after(async () => {
-              await GenericSTRINGCache.delete(keyNames)
+          expect(await STRINGKeySingleID.differenceStore([ DOGS, DOGS ], DESTINATION)).to.eql(0)
+          expect(await STRINGKeySingleID.isCached(DESTINATION)).to.be.false
+        })
+      })
+    })
+  })
 
-              SpyMock.restoreAll()
-            })
+  describe('`ZSET` sorted sets', () => {
+    const VALUE = 1
+    const MEMBERS = [ { name: 'first', score: 30 }, { name: 'second', score: 10 }, { name: 'third', score: 20 } ]
 
-            it('should call `getIds`', () => {
-              expect(spies.getIds).have.been.called
-            })
+    beforeEach(async () => {
+      await ZSETKeySingleID.set(VALUE, MEMBERS)
+    })
 
-            it('should call `getListDB`', () => {
-              expect(spies.getListDB).have.been.calledOnce
-            })
+    afterEach(async () => {
+      await ZSETKeySingleID.delete(VALUE)
+      await ZSETKeySingleIDWithTTL.delete(VALUE)
 
-            it('should return the cached values', async () => {
-              expect(redisResponse).to.deep.equalInAnyOrder(STRING_VALUES)
-            })
-          })
+      SpyMock.restoreAll()
+    })
 
-          // context('and `getListDB` returns an empty array', () => {
-          //   before(async () => {
-          //     spies = {
-          //       getIds  : SpyMock
-          //         .addReturnSpy(STRINGKeySingleID, 'getIds'),
-          //       getListDB : SpyMock
-          //         .addReturnSpy(STRINGKeySingleID, 'getListDB', [])
-          //     }
+    describe('.rank', () => {
+      it('should return the rank of the member', async () => {
+        expect(await ZSETKeySingleID.rank(VALUE, MEMBERS[0])).to.eql(2)
+        expect(await ZSETKeySingleID.rank(VALUE, MEMBERS[0], true)).to.eql(0)
+        expect(await ZSETKeySingleID.rank(VALUE, { name: 'fourth' })).to.be.null
+      })
 
-          //     keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+      context('when the type is not `ZSET`', () => {
+        it('should throw an error', async () => {
+          await expect(STRINGKeySingleID.rank(VALUE, 'kora'))
+            .to.be.rejectedWith('`rank` is only supported by the ZSET keys')
+        })
+      })
+    })
 
-          //     await STRINGKeySingleID.setList(STRING_KEY_VALUES.slice(0, 2))
+    describe('.increment', () => {
+      it('should return the new score and call `onSave` with it', async () => {
+        const onSave = SpyMock.addReturnSpy(ZSETKeySingleID, 'onSave', null)
 
-          //     redisResponse = await STRINGKeySingleID.getList(ID_ATTRS)
-          //   })
+        expect(await ZSETKeySingleID.increment(VALUE, MEMBERS[1], 15)).to.eql(25)
+        expect(await ZSETKeySingleID.rank(VALUE, MEMBERS[1])).to.eql(1)
+        expect(onSave).to.have.been.calledOnceWith(VALUE, { member: MEMBERS[1], score: 25 })
+      })
 
-          //   after(async () => {
-          //     await GenericSTRINGCache.delete(keyNames)
+      context('when the key has `ttl`', () => {
+        it('should expire the key', async () => {
+          await ZSETKeySingleIDWithTTL.increment(VALUE, MEMBERS[0])
 
-          //     SpyMock.restoreAll()
-          //   })
+          expect(await redis.ttlAsync(ZSETKeySingleIDWithTTL.getKeyName(VALUE))).to.be.within(1, 60)
+        })
+      })
+    })
 
-          //   it('should call `getIds`', () => {
-          //     expect(spies.getIds).have.been.called
-          //   })
+    describe('.remove', () => {
+      it('should remove the members and call `onDelete` with them', async () => {
+        const onDelete = SpyMock.addReturnSpy(ZSETKeySingleID, 'onDelete', null)
 
-          //   it('should call `getListDB`', () => {
-          //     expect(spies.getListDB).have.been.calledOnce
-          //   })
+        expect(await ZSETKeySingleID.remove(VALUE, [ MEMBERS[0], MEMBERS[1] ])).to.eql(2)
+        expect(await ZSETKeySingleID.getCache(VALUE)).to.eql([ MEMBERS[2] ])
+        expect(onDelete).to.have.been.calledOnceWith(VALUE, [ MEMBERS[0], MEMBERS[1] ])
+      })
+    })
 
-          //   it('should return the cached values', async () => {
-          //     expect(redisResponse).to.deep.equalInAnyOrder(STRING_VALUES.slice(0, 2))
-          //   })
-          // })
-        })
+    describe('.count', () => {
+      it('should return the count of members with score between `min` and `max`', async () => {
+        expect(await ZSETKeySingleID.count(VALUE)).to.eql(3)
+        expect(await ZSETKeySingleID.count(VALUE, 15, '+inf')).to.eql(2)
       })
+    })
+  })
 
-      context('when there are no cached values', () => {
-        let keyNames, spies, redisResponse
-        const ID_ATTRS = STRINGKeySingleID.getIdAttrs(OBJECTS)
+  describe('`version`', () => {
+    const KEY = { id: 24 }
+    const OBJECT = { id: 24, views: 0 }
+    const VERSION_KEY_NAME = `__version:${JSONKeySingleID.getKeyName(KEY)}`
 
-        context('and `getListDB` returns an array', () => {
-          before(async () => {
-            spies = {
-              getIds  : SpyMock
-                .addReturnSpy(STRINGKeySingleID, 'getIds'),
-              getListDB : SpyMock
-                .addReturnSpy(STRINGKeySingleID, 'getListDB', STRING_KEY_VALUES)
-            }
+    beforeEach(async () => {
+      await JSONKeySingleID.set(OBJECT)
+    })
 
-            keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+    afterEach(async () => {
+      await JSONKeySingleID.delete(KEY)
+      await redis.delAsync(VERSION_KEY_NAME)
+    })
 
-            redisResponse = await STRINGKeySingleID.getList(ID_ATTRS)
-          })
+    describe('.getVersion', () => {
+      it('should increment the version on each write', async () => {
+        expect(await JSONKeySingleID.getVersion(KEY)).to.eql(1)
 
-          after(async () => {
-            await GenericSTRINGCache.delete(keyNames)
+        await JSONKeySingleID.update(KEY, { op: 'incr', path: '.views' })
 
-            SpyMock.restoreAll()
-          })
+        expect(await JSONKeySingleID.getVersion(KEY)).to.eql(2)
+      })
 
-          it('should call `getIds`', () => {
-            expect(spies.getIds).have.been.called
-          })
+      it('should keep incrementing the version when the key is deleted (for a day)', async () => {
+        await JSONKeySingleID.delete(KEY)
 
-          it('should call `getListDB`', () => {
-            expect(spies.getListDB).have.been.calledOnce
-          })
+        expect(await JSONKeySingleID.getVersion(KEY)).to.eql(2)
+        expect(await redis.ttlAsync(VERSION_KEY_NAME)).to.be.within(86300, 86400)
 
-          it('should return the cached values', async () => {
-            expect(redisResponse).to.deep.equalInAnyOrder(STRING_VALUES)
-          })
-        })
+        await JSONKeySingleID.set(OBJECT)
 
-        context('and `getListDB` returns an empty array', () => {
-          before(async () => {
-            spies = {
-              getIds  : SpyMock
-                .addReturnSpy(STRINGKeySingleID, 'getIds', []),
+        expect(await JSONKeySingleID.getVersion(KEY)).to.eql(3)
+      })
 
-              getListDB : SpyMock
-                .addReturnSpy(STRINGKeySingleID, 'getListDB', [])
-            }
+      it('should increment the version on the `MULTI` of the delete', async () => {
+        const incrAsync = sinon.spy(redis, 'incrAsync')
 
-            keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+        try {
+          await JSONKeySingleID.delete(KEY)
+        }
+        finally {
+          incrAsync.restore()
+        }
 
-            redisResponse = await STRINGKeySingleID.getList(ID_ATTRS)
-          })
+        expect(await JSONKeySingleID.getVersion(KEY)).to.eql(2)
+        expect(incrAsync).to.not.have.been.called
+      })
 
-          after(async () => {
-            await GenericSTRINGCache.delete(keyNames)
+      it('should expire the version a day after the key', async () => {
+        await JSONKeySingleIDWithTTL.set(OBJECT)
 
-            SpyMock.restoreAll()
-          })
+        const versionKeyName = `__version:${JSONKeySingleIDWithTTL.getKeyName(KEY)}`
+        const ttl = await redis.ttlAsync(JSONKeySingleIDWithTTL.getKeyName(KEY))
 
-          it('should call `getIds`', () => {
-            expect(spies.getIds).have.been.called
-          })
+        expect(await redis.ttlAsync(versionKeyName)).to.be.within(ttl + 86300, ttl + 86400)
 
-          it('should call `getListDB`', () => {
-            expect(spies.getListDB).have.been.calledOnce
-          })
+        await JSONKeySingleIDWithTTL.delete(KEY)
+        await redis.delAsync(versionKeyName)
+      })
+    })
 
-          it('should return an emtpy array', async () => {
-            expect(redisResponse).to.eql([])
-          })
+    describe('.compareAndSet', () => {
+      context('when the version is the expected one', () => {
+        it('should save the value (returning the new version)', async () => {
+          expect(await JSONKeySingleID.compareAndSet(KEY, 1, { id: 24, views: 1 })).to.eql(2)
+          expect(await JSONKeySingleID.getCache(KEY)).to.eql({ id: 24, views: 1 })
         })
       })
-    })
-  })
 
-  describe('.delete', () => {
-    context('when the key is `JSON`', () => {
-      context('and the are cached values', () => {
-        const OBJECTS = GenericRedisCacheMock.getObjectMocks()
-        const ID_ATTRS = JSONKeySingleID.getIdAttrs(OBJECTS)
+      context('when the version is outdated', () => {
+        it('should not save the value', async () => {
+          await JSONKeySingleID.set({ id: 24, views: 5 })
 
-        let keyNames
+          expect(await JSONKeySingleID.compareAndSet(KEY, 1, { id: 24, views: 1 })).to.eql(null)
+          expect(await JSONKeySingleID.getCache(KEY)).to.eql({ id: 24, views: 5 })
+        })
+      })
 
-        before(async () => {
-          keyNames = await JSONKeySingleID.getKeyNames(ID_ATTRS)
+      context('when the key was deleted and saved again meanwhile', () => {
+        it('should not save the value', async () => {
+          await JSONKeySingleID.delete(KEY)
+          await JSONKeySingleID.set({ id: 24, views: 5 })
 
-          await JSONKeySingleID.setList(OBJECTS)
+          expect(await JSONKeySingleID.compareAndSet(KEY, 1, { id: 24, views: 1 })).to.eql(null)
+          expect(await JSONKeySingleID.getCache(KEY)).to.eql({ id: 24, views: 5 })
         })
+      })
 
-        context('and `keys` is not passed', () => {
-          it('should return `0`', async () => {
-            const response = await JSONKeySingleID.delete()
+      context('when it is called again', () => {
+        it('should reuse the connection watching the key', async () => {
+          await JSONKeySingleID.compareAndSet(KEY, 1, { id: 24, views: 1 })
 
-            expect(response).to.be.null
-          })
+          const duplicate = sinon.spy(redis, 'duplicate')
+
+          try {
+            expect(await JSONKeySingleID.compareAndSet(KEY, 2, { id: 24, views: 2 })).to.eql(3)
+            expect(await JSONKeySingleID.compareAndSet(KEY, 3, { id: 24, views: 3 })).to.eql(4)
+          }
+          finally {
+            duplicate.restore()
+          }
+
+          expect(duplicate).to.not.have.been.called
         })
+      })
 
-        context('and `keys` is passed', () => {
-          it('should return the number of deletes keys', async () => {
-            const response = await JSONKeySingleID.delete(ID_ATTRS)
+      context('when a previous watch failed before its `EXEC`', () => {
+        it('should not keep watching its keys', async () => {
+          let error = null
 
-            expect(response).to.eql(OBJECTS)
-          })
+          try {
+            await JSONKeySingleID._watch(KEY, () => { throw new Error('failed') })
+          }
+          catch (e) {
+            error = e
+          }
 
-          it('should delete the keys from cache', async () => {
-            const response = await GenericJSONCache.getListCache(keyNames)
+          await JSONKeySingleID.set({ id: 24, views: 5 })
 
-            expect(response).to.eql([])
-          })
+          expect(error.message).to.eql('failed')
+          expect(await JSONKeySingleID.compareAndSet(KEY, 2, { id: 24, views: 6 })).to.eql(3)
         })
       })
-    })
 
-    context('when the key is `HASH`', () => {
-      context('and there are cached values', () => {
-        const OBJECTS = GenericRedisCacheMock.getObjectMocks()
-        const ID_ATTRS = HASHKeySingleID.getIdAttrs(OBJECTS)
-        let keyNames
+      context('when the type is not versioned', () => {
+        it('should throw an error', async () => {
+          let error = null
 
-        before(async () => {
-          keyNames = await HASHKeySingleID.getKeyNames(ID_ATTRS)
+          try {
+            await STRINGKeySingleID.compareAndSet(KEY, 0, 'value')
+          }
+          catch (e) {
+            error = e
+          }
 
-          await HASHKeySingleID.setList(OBJECTS)
+          expect(error.message).to.eql('`compareAndSet` is only supported by the JSON, HASH and JSON_ARRAY keys')
         })
+      })
+    })
 
-        context('and `keys` is not passed', () => {
-          it('should return `null`', async () => {
-            const response = await HASHKeySingleID.delete()
+    describe('.transform', () => {
+      it('should save the `fn` result', async () => {
+        const dog = await JSONKeySingleID.transform(KEY, object => ({ ...object, views: object.views + 1 }))
 
-            expect(response).to.be.null
+        expect(dog).to.eql({ id: 24, views: 1 })
+        expect(await JSONKeySingleID.getCache(KEY)).to.eql(dog)
+        expect(await JSONKeySingleID.getVersion(KEY)).to.eql(2)
+      })
+
+      context('when the key is changed meanwhile', () => {
+        it('should retry with the new value', async () => {
+          const fn = sinon.spy(async object => {
+            if (fn.callCount == 1)
+              await JSONKeySingleID.set({ id: 24, views: 10 })
+
+            return { ...object, views: object.views + 1 }
           })
+
+          expect(await JSONKeySingleID.transform(KEY, fn)).to.eql({ id: 24, views: 11 })
+          expect(fn).to.have.been.calledTwice
         })
+      })
 
-        context('and `keys` is passed', () => {
-          it('should return the number of deletes keys', async () => {
-            const keys = ID_ATTRS.map((value) => {
-              return value.id
-            })
-            const response = await HASHKeySingleID.delete(keys)
+      context('when the key is changed on every attempt', () => {
+        it('should throw an error', async () => {
+          let error = null
 
-            expect(response).to.eql(OBJECTS)
-          })
+          try {
+            await JSONKeySingleID.transform(KEY, async object => {
+              await JSONKeySingleID.set({ id: 24, views: 10 })
 
-          it('should delete the keys from cache', async () => {
-            const response = await GenericHASHCache.getListCache(keyNames)
+              return object
+            }, { retries: 1 })
+          }
+          catch (e) {
+            error = e
+          }
 
-            expect(response).to.eql([])
-          })
+          expect(error.message).to.eql('`test:24` was changed by other calls on all the 2 attempts to transform it')
+        })
+      })
+
+      context('when the `fn` returns `undefined`', () => {
+        it('should not save the value', async () => {
+          expect(await JSONKeySingleID.transform(KEY, () => undefined)).to.eql(null)
+          expect(await JSONKeySingleID.getVersion(KEY)).to.eql(1)
         })
       })
     })
+  })
 
-    context('when the key is `STRING`', () => {
-      context('and the are cached values', () => {
-        const OBJECTS = GenericRedisCacheMock.getObjectMocks()
-        const ID_ATTRS = STRINGKeySingleID.getIdAttrs(OBJECTS)
+  describe('`serializer`', () => {
+    const KEY = { id: 25 }
+    const CREATED_AT = new Date('2020-01-02T03:04:05.678Z')
+    const VIEWS = BigInt('9007199254740993')
+    const AVATAR = Buffer.from('kora')
 
-        let values, keyNames, stringValues
+    context('when the key is `HASH`', () => {
+      after(async () => {
+        await HASHKeySingleIDWithSerializer.delete(KEY)
+      })
 
-        before(async () => {
-          keyNames = await STRINGKeySingleID.getKeyNames(ID_ATTRS)
+      it('should save and revive the values', async () => {
+        await HASHKeySingleIDWithSerializer.set(KEY, { createdAt: CREATED_AT, views: VIEWS, avatar: AVATAR })
 
-          values = GenericRedisCacheMock.getRandomStrings(3)
+        const value = await HASHKeySingleIDWithSerializer.getCache(KEY)
 
-          stringValues = OBJECTS.map((object, index) => {
-            return {
-              key: object.id,
-              value: values[index]
-            }
-          })
+        expect(value.createdAt).to.eql(CREATED_AT)
+        expect(value.views).to.equal(VIEWS)
+        expect(value.avatar.equals(AVATAR)).to.be.true
+        expect(await HASHKeySingleIDWithSerializer.getListCache([KEY])).to.eql([value])
+      })
+    })
 
-          await STRINGKeySingleID.setList(stringValues)
-        })
+    context('when the key is `STRING`', () => {
+      after(async () => {
+        await STRINGKeySingleIDWithSerializer.delete(KEY)
+      })
 
-        context('and `keys` is not passed', () => {
-          it('should return `0`', async () => {
-            const response = await STRINGKeySingleID.delete()
+      it('should save and revive the members', async () => {
+        await STRINGKeySingleIDWithSerializer.set(KEY, [ CREATED_AT, 'kora', { id: 1 } ])
 
-            expect(response).to.be.null
-          })
-        })
+        expect(await STRINGKeySingleIDWithSerializer.getCache(KEY))
+          .to.deep.equalInAnyOrder([ CREATED_AT, 'kora', { id: 1 } ])
+        expect(await STRINGKeySingleIDWithSerializer.isMember(KEY, new Date(CREATED_AT))).to.be.true
+        expect(await STRINGKeySingleIDWithSerializer.difference([KEY])).to.have.lengthOf(3)
+      })
+    })
 
-        context('and `keys` is passed', () => {
-          it('should return the  deletes values', async () => {
-            const response = await STRINGKeySingleID.delete(ID_ATTRS)
+    context('when the key is `STRING` with a `binary` serializer', () => {
+      class STRINGKeySingleIDWithMessagePack extends STRINGKeySingleID {
+        static get GENERIC_REDIS_ATTRS()  { return { ...super.GENERIC_REDIS_ATTRS, keyName: 'string_msgpack:{?}', serializer: MessagePackSerializer } }
+      }
 
-            expect(response).to.eql(values)
-          })
+      const AVATAR_BINARY = Buffer.from([ 0xff, 0x00, 0xc3 ])
 
-          it('should delete the keys from cache', async () => {
-            const response = await GenericSTRINGCache.getListCache(keyNames)
+      after(async () => {
+        await STRINGKeySingleIDWithMessagePack.delete(KEY)
+      })
 
-            expect(response).to.eql([])
-          })
-        })
+      it('should pop the binary members on the client of the writes', async () => {
+        await STRINGKeySingleIDWithMessagePack.set(KEY, [ AVATAR_BINARY, 'kora' ])
+
+        const evalAsync = sinon.spy(redis, 'evalAsync')
+        const members = await STRINGKeySingleIDWithMessagePack.pop(KEY, 2)
+
+        evalAsync.restore()
+
+        expect(evalAsync).to.have.been.calledOnce
+        expect(members).to.deep.equalInAnyOrder([ AVATAR_BINARY, 'kora' ])
+        expect(await STRINGKeySingleIDWithMessagePack.count(KEY)).to.eql(0)
       })
     })
 
-    context('when the key is `JSON_ARRAY`', () => {
-      context('and the are cached values', () => {
-        const OBJECTS = GenericRedisCacheMock.getObjectMocks()
-        const ID_ATTRS = JSONArrayKeySingleID.getIdAttrs(OBJECTS)
+    context('when the key is `LIST`', () => {
+      after(async () => {
+        await LISTKeySingleIDWithSerializer.delete(KEY)
+      })
+
+      it('should save and revive the items', async () => {
+        await LISTKeySingleIDWithSerializer.set(KEY, [ CREATED_AT, VIEWS ])
+        await LISTKeySingleIDWithSerializer.add(KEY, { avatar: AVATAR })
+
+        const [ createdAt, views, item ] = await LISTKeySingleIDWithSerializer.getCache(KEY)
+
+        expect(createdAt).to.eql(CREATED_AT)
+        expect(views).to.equal(VIEWS)
+        expect(item.avatar.equals(AVATAR)).to.be.true
+        expect(await LISTKeySingleIDWithSerializer.getLast(KEY)).to.eql(item)
+      })
+    })
 
-        let keyNames
+    context('when the key is `VALUE`', () => {
+      after(async () => {
+        await VALUEKeySingleIDWithSerializer.delete(KEY)
+      })
 
-        before(async () => {
-          keyNames = await JSONArrayKeySingleID
-            .getKeyNames(ID_ATTRS)
+      it('should save the value as binary `MessagePack` and revive it', async () => {
+        const bufferClient = redis.duplicate({ return_buffers: true })
+        const value = { createdAt: CREATED_AT, views: VIEWS, avatar: Buffer.from([ 0xff, 0x00, 0xc3 ]) }
 
-          for (let i = 0; i < OBJECTS.length; i++) {
-            await redis
-              .json_setAsync(keyNames[i], '.', JSON.stringify([OBJECTS[i]]))
-          }
-        })
+        await VALUEKeySingleIDWithSerializer.set(KEY, value)
 
-        context('and `keys` is not passed', () => {
-          it('should return `0`', async () => {
-            const response = await JSONArrayKeySingleID
-              .delete()
+        const data = await bufferClient.getAsync(VALUEKeySingleIDWithSerializer.getKeyName(KEY))
 
-            expect(response).to.be.null
-          })
-        })
+        await bufferClient.quitAsync()
 
-        context('and `keys` is passed', () => {
-          it('should return the number of deletes keys', async () => {
-            const response = await JSONArrayKeySingleID
-              .delete(ID_ATTRS)
+        expect(data.equals(MessagePackSerializer.serialize(value))).to.be.true
+        expect(await VALUEKeySingleIDWithSerializer.getCache(KEY)).to.eql(value)
+      })
+    })
 
-            expect(response).to.eql(OBJECTS)
-          })
+    context('when the key is `JSON`', () => {
+      after(async () => {
+        await JSONKeySingleIDWithSerializer.delete(KEY)
+      })
 
-          it('should delete the keys from cache', async () => {
-            const response = await GenericJSONArrayCache
-              .getListCache(keyNames)
+      it('should save and revive the values of the document and of its sub-paths (also from `l1`)', async () => {
+        await JSONKeySingleIDWithSerializer.set(KEY, { id: 25, createdAt: CREATED_AT, owner: {} })
+        await JSONKeySingleIDWithSerializer.set(KEY, AVATAR, '.owner.avatar')
 
-            expect(response).to.eql([])
-          })
-        })
+        const value = await JSONKeySingleIDWithSerializer.getCache(KEY)
+
+        expect(value.createdAt).to.eql(CREATED_AT)
+        expect(value.owner.avatar.equals(AVATAR)).to.be.true
+        expect(await JSONKeySingleIDWithSerializer.getCache(KEY)).to.eql(value)
       })
     })
   })
 
-  describe('.slice', () => {
-    context('when the key is `JSON_ARRAY`', () => {
-      context('and there are cached values', () => {
-        const ID = 42
-        const VALUE = [1,2,3,4]
-        const KEY_NAME = JSONArrayKeySingleID
-          .getKeyName(ID)
+  describe('.withLock', () => {
+    const KEY = { id: 23 }
+    const LOCK_KEY_NAME = `__mutex:${JSONKeySingleID.getKeyName(KEY)}`
 
-        context('and `key` is passed', () => {
-          context('and `params` is passed', () => {
-            let response
+    const wait = milliseconds => new Promise(resolve => setTimeout(resolve, milliseconds))
 
-            before(async () => {
-              await redis
-                .json_setAsync(KEY_NAME, '.', JSON.stringify(VALUE))
-                
-              const params = {
-                start : 1,
-                stop  : 4
-              }
+    afterEach(async () => {
+      await JSONKeySingleID.delete(KEY)
+      await redis.delAsync(LOCK_KEY_NAME)
+    })
 
-              response = await JSONArrayKeySingleID
-                .slice(ID, params)
-            })
+    it('should return the `fn` result (releasing the lock)', async () => {
+      expect(await JSONKeySingleID.withLock(KEY, () => 'done')).to.eql('done')
+      expect(await redis.existsAsync(LOCK_KEY_NAME)).to.eql(0)
+    })
 
-            after(async () => {
-              await GenericJSONArrayCache
-                .delete(KEY_NAME)
-            })
+    it('should run the concurrent calls one at a time', async () => {
+      await JSONKeySingleID.set(KEY, { id: 23, views: 0 })
 
-            it('should return the new list size',() => {
-              expect(response).to.eql(3)
-            })
+      const increment = () => JSONKeySingleID.withLock(KEY, async () => {
+        const dog = await JSONKeySingleID.getCache(KEY)
 
-            it('should set new list on cache', async () => {
-              const cachedValue = await GenericJSONArrayCache
-                .getCache(KEY_NAME)
-              
-              const newValue = VALUE.slice(1,4)  
+        await wait(10)
+        await JSONKeySingleID.set(KEY, { ...dog, views: dog.views + 1 })
+      }, { retry: 5 })
 
-              expect(cachedValue).to.eql(newValue)
-            })
-          })
+      await Promise.all([ increment(), increment(), increment() ])
 
-          context('and `params` is not passed', () => {
-            let response
+      expect((await JSONKeySingleID.getCache(KEY)).views).to.eql(3)
+    })
 
-            before(async () => {
-              await redis
-                .json_setAsync(KEY_NAME, '.', JSON.stringify(VALUE))
-                
-              response = await JSONArrayKeySingleID
-                .slice(ID)
-            })
+    it('should extend the lock while the `fn` runs', async () => {
+      await JSONKeySingleID.withLock(KEY, async () => {
+        await wait(150)
 
-            after(async () => {
-              await GenericJSONArrayCache
-                .delete(KEY_NAME)
-            })
+        expect(await redis.existsAsync(LOCK_KEY_NAME)).to.eql(1)
+      }, { ttl: 60 })
+    })
 
-            it('should return the new list size',() => {
-              const size = VALUE.length - 1
+    context('when the `fn` throws an error', () => {
+      it('should throw it (releasing the lock)', async () => {
+        let error = null
 
-              expect(response).to.eql(size)
-            })
+        try {
+          await JSONKeySingleID.withLock(KEY, () => { throw new Error('failed') })
+        }
+        catch (e) {
+          error = e
+        }
 
-            it('should set new list on cache', async () => {
-              const cachedValue = await GenericJSONArrayCache
-                .getCache(KEY_NAME)
-              
-              const newValue = VALUE.slice(1,4)  
+        expect(error.message).to.eql('failed')
+        expect(await redis.existsAsync(LOCK_KEY_NAME)).to.eql(0)
+      })
+    })
 
-              expect(cachedValue).to.eql(newValue)
-            })
-          })
-        })
+    context('when the lock is lost while the `fn` runs', () => {
+      it('should abort the `signal` and throw an error', async () => {
+        let error = null
+        let signal = null
 
-        context('and `key` is not passed', () => {
-          let response
+        try {
+          await JSONKeySingleID.withLock(KEY, async fnSignal => {
+            signal = fnSignal
 
-          before(async () => {           
-            response = await JSONArrayKeySingleID
-              .slice()
-          })
+            await redis.setAsync(LOCK_KEY_NAME, 'other', 'PX', 1000)
+            await wait(60)
 
-          it('should return `null`', () => {
-            expect(response).to.be.null
-          })
-        })
+            return 'done'
+          }, { ttl: 30 })
+        }
+        catch (e) {
+          error = e
+        }
+
+        expect(signal.aborted).to.be.true
+        expect(error.message).to.eql('The lock of `test:23` was lost while running the `fn`')
+        expect(await redis.getAsync(LOCK_KEY_NAME)).to.eql('other')
       })
+    })
 
-      context('and there are no cached values', () => {
-        const ID = 42
+    context('when the lock extension fails', () => {
+      let extendLock
 
-        let response
+      beforeEach(() => {
+        extendLock = sinon.stub(JSONKeySingleID, '_extendLock').rejects(new Error('connection lost'))
+      })
 
-        before(async () => {
-          const params = {
-            start : 1,
-            stop  : 4
-          }
+      afterEach(() => {
+        extendLock.restore()
+      })
 
-          response = await JSONArrayKeySingleID
-            .slice(ID, params)
-        })
+      it('should abort the `signal` and throw an error', async () => {
+        let error = null
+        let isAborted = false
 
-        it('should return `null`',() => {
-          expect(response).to.be.null
-        })
+        try {
+          await JSONKeySingleID.withLock(KEY, async signal => {
+            signal.addEventListener('abort', () => { isAborted = true })
+
+            await wait(60)
+          }, { ttl: 30 })
+        }
+        catch (e) {
+          error = e
+        }
+
+        expect(isAborted).to.be.true
+        expect(error.message).to.eql('The lock of `test:23` was lost while running the `fn`')
       })
     })
 
-    context('when the key is not `JSON_ARRAY`', () => {
-      const ID = 42
-      const VALUE = { test: ID }
-      const KEY_NAME = JSONKeySingleID
-        .getKeyName(ID)
+    context('when the lock release fails', () => {
+      let releaseLock
 
-      let response
+      beforeEach(() => {
+        releaseLock = sinon.stub(JSONKeySingleID, '_releaseLock').callsFake(() => Promise.reject(new Error('connection lost')))
+      })
 
-      before(async () => {
-        await redis
-          .json_setAsync(KEY_NAME, '.', JSON.stringify(VALUE))
-          
-        const params = {
-          start : 1,
-          stop  : 4
+      afterEach(async () => {
+        releaseLock.restore()
+
+        await redis.delAsync(LOCK_KEY_NAME)
+      })
+
+      it('should throw the error of the `fn` (when it fails)', async () => {
+        let error = null
+
+        try {
+          await JSONKeySingleID.withLock(KEY, () => { throw new Error('failed') })
+        }
+        catch (e) {
+          error = e
         }
 
-        response = await JSONKeySingleID
-          .slice(ID, params)
+        expect(error.message).to.eql('failed')
       })
 
-      after(async () => {
-        await GenericJSONArrayCache
-          .delete(KEY_NAME)
+      it('should throw the release error (when the `fn` resolves)', async () => {
+        let error = null
+
+        try {
+          await JSONKeySingleID.withLock(KEY, () => 'done')
+        }
+        catch (e) {
+          error = e
+        }
+
+        expect(error.message).to.eql('connection lost')
       })
+    })
 
-      it('should return `null`',() => {
-        expect(response).to.be.null
+    context('when the lock is held until the `timeout`', () => {
+      it('should throw an error (without running the `fn`)', async () => {
+        const fn = sinon.spy()
+
+        let error = null
+
+        await redis.setAsync(LOCK_KEY_NAME, 'other', 'PX', 1000)
+
+        try {
+          await JSONKeySingleID.withLock(KEY, fn, { retry: 10, timeout: 30 })
+        }
+        catch (e) {
+          error = e
+        }
+
+        expect(error.message).to.eql('Timeout waiting for the lock of `test:23`')
+        expect(fn).to.not.have.been.called
+        expect(await redis.getAsync(LOCK_KEY_NAME)).to.eql('other')
       })
     })
   })
@@ -3898,6 +6999,140 @@ describe('GenericRedisCache', () => {
     })
   })
 
+  describe('.getTTL', () => {
+    const OBJECT_KEY = { id: 1 }
+
+    context('when the key is cached', () => {
+      context('and the cache has `ttl`', () => {
+        before(async () => {
+          await JSONKeySingleIDWithTTL.set(OBJECT_KEY)
+        })
+
+        after(async () => {
+          await JSONKeySingleIDWithTTL.delete(OBJECT_KEY)
+        })
+
+        it('should return the remaining `ttl`', async () => {
+          const ttl = await JSONKeySingleIDWithTTL.getTTL(OBJECT_KEY)
+
+          expect(ttl).to.be.within(1, JSONKeySingleIDWithTTL.GENERIC_REDIS_ATTRS.ttl)
+        })
+      })
+
+      context('and the cache has no `ttl`', () => {
+        before(async () => {
+          await JSONKeySingleID.set(OBJECT_KEY)
+        })
+
+        after(async () => {
+          await JSONKeySingleID.delete(OBJECT_KEY)
+        })
+
+        it('should return `-1`', async () => {
+          const ttl = await JSONKeySingleID.getTTL(OBJECT_KEY)
+
+          expect(ttl).to.eql(-1)
+        })
+      })
+    })
+
+    context('when the key is not cached', () => {
+      it('should return `-2`', async () => {
+        const ttl = await JSONKeySingleIDWithTTL.getTTL(OBJECT_KEY)
+
+        expect(ttl).to.eql(-2)
+      })
+    })
+  })
+
+  describe('.touch', () => {
+    const OBJECT_KEY = { id: 1 }
+
+    context('when the key is cached', () => {
+      before(async () => {
+        await JSONKeySingleID.set(OBJECT_KEY)
+      })
+
+      after(async () => {
+        await JSONKeySingleID.delete(OBJECT_KEY)
+      })
+
+      context('and `ttl` is passed', () => {
+        const TTL = 42
+
+        let isTouched
+
+        before(async () => {
+          isTouched = await JSONKeySingleID.touch(OBJECT_KEY, TTL)
+        })
+
+        it('should return `true`', () => {
+          expect(isTouched).to.true
+        })
+
+        it('should set the `key` expiration', async () => {
+          const ttl = await JSONKeySingleID.getTTL(OBJECT_KEY)
+
+          expect(ttl).to.be.within(1, TTL)
+        })
+      })
+
+      context('and `ttl` is not passed', () => {
+        context('and the cache has no `ttl`', () => {
+          it('should return `false`', async () => {
+            const isTouched = await JSONKeySingleID.touch(OBJECT_KEY)
+
+            expect(isTouched).to.false
+          })
+        })
+      })
+    })
+
+    context('when the key is not cached', () => {
+      it('should return `false`', async () => {
+        const isTouched = await JSONKeySingleIDWithTTL.touch(OBJECT_KEY)
+
+        expect(isTouched).to.false
+      })
+    })
+  })
+
+  describe('.persist', () => {
+    const OBJECT_KEY = { id: 1 }
+
+    context('when the key has expiration', () => {
+      let isPersisted
+
+      before(async () => {
+        await JSONKeySingleIDWithTTL.set(OBJECT_KEY)
+
+        isPersisted = await JSONKeySingleIDWithTTL.persist(OBJECT_KEY)
+      })
+
+      after(async () => {
+        await JSONKeySingleIDWithTTL.delete(OBJECT_KEY)
+      })
+
+      it('should return `true`', () => {
+        expect(isPersisted).to.true
+      })
+
+      it('should remove the `key` expiration', async () => {
+        const ttl = await JSONKeySingleIDWithTTL.getTTL(OBJECT_KEY)
+
+        expect(ttl).to.eql(-1)
+      })
+    })
+
+    context('when the key has no expiration', () => {
+      it('should return `false`', async () => {
+        const isPersisted = await JSONKeySingleIDWithTTL.persist(OBJECT_KEY)
+
+        expect(isPersisted).to.false
+      })
+    })
+  })
+
   describe('.isAttrTrue', () => {
     const ATTR_NAME = 'attr'
 
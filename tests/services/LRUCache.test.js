@@ -0,0 +1,104 @@
+'use strict'
+
+const LRUCache = require('../../lib/services/LRUCache')
+const TaggedJSONSerializer = require('../../lib/services/serializers/TaggedJSONSerializer')
+
+describe('LRUCache', () => {
+  describe('.set', () => {
+    context('when the cache is full', () => {
+      let cache
+
+      before(() => {
+        cache = new LRUCache({ maxEntries: 2 })
+
+        cache
+          .set('first', 1)
+          .set('second', 2)
+
+        cache.get('first')
+        cache.set('third', 3)
+      })
+
+      it('should evict the least recently used entry', () => {
+        expect(cache.has('second')).to.be.false
+        expect(cache.has('first')).to.be.true
+        expect(cache.has('third')).to.be.true
+      })
+    })
+  })
+
+  describe('.startRead', () => {
+    context('when the key is deleted during the read', () => {
+      let cache
+
+      before(() => {
+        cache = new LRUCache()
+
+        const generation = cache.startRead('first')
+
+        cache.delete('first')
+        cache.set('first', 1, generation)
+        cache.endRead('first')
+      })
+
+      it('should not set the value read', () => {
+        expect(cache.has('first')).to.be.false
+      })
+
+      it('should forget the generation once the read ends', () => {
+        expect(cache.reads.size).to.eql(0)
+      })
+    })
+
+    context('when the key is not invalidated during the read', () => {
+      it('should set the value read', () => {
+        const cache = new LRUCache()
+        const generation = cache.startRead('first')
+
+        cache.set('first', 1, generation)
+        cache.endRead('first')
+
+        expect(cache.get('first')).to.eql(1)
+      })
+    })
+  })
+
+  describe('.get', () => {
+    context('when the entry is expired', () => {
+      it('should return `undefined`', async () => {
+        const cache = new LRUCache({ ttl: 0.001 })
+
+        cache.set('first', 1)
+
+        await new Promise(resolve => setTimeout(resolve, 5))
+
+        expect(cache.get('first')).to.be.undefined
+        expect(cache.size).to.eql(0)
+      })
+    })
+
+    context('when the entry is an object', () => {
+      it('should return a copy of it', () => {
+        const cache = new LRUCache()
+        const value = { id: 1 }
+
+        cache.set('first', value)
+
+        expect(cache.get('first')).to.eql(value)
+        expect(cache.get('first')).to.not.equal(value)
+      })
+    })
+
+    context('when the cache has a `serializer`', () => {
+      it('should return a copy of the entry by it', () => {
+        const cache = new LRUCache({ serializer: TaggedJSONSerializer })
+        const value = { createdAt: new Date(0) }
+
+        cache.set('first', value)
+
+        expect(cache.get('first')).to.eql(value)
+        expect(cache.get('first').createdAt).to.not.equal(value.createdAt)
+      })
+    })
+  })
+})
\ No newline at end of file
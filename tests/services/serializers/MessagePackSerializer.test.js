@@ -0,0 +1,65 @@
+'use strict'
+
+const MessagePackSerializer = require('../../../lib/services/serializers/MessagePackSerializer')
+
+describe('MessagePackSerializer', () => {
+  describe('.pack', () => {
+    it('should return the `MessagePack` data', () => {
+      const data = MessagePackSerializer.pack({ id: 1, name: 'kora', tags: [ true, null, -1, 1.5 ] })
+
+      expect(data.toString('hex')).to.eql('83a2696401a46e616d65a46b6f7261a47461677394c3c0ffcb3ff8000000000000')
+    })
+
+    it('should skip the `undefined` attrs', () => {
+      expect(MessagePackSerializer.pack({ id: undefined })).to.eql(Buffer.from([0x80]))
+    })
+
+    it('should save the dates as timestamp extension', () => {
+      expect(MessagePackSerializer.pack(new Date(1000)).toString('hex')).to.eql('d6ff00000001')
+    })
+  })
+
+  describe('.unpack', () => {
+    context('when the data is incomplete', () => {
+      it('should throw an error', () => {
+        expect(() => MessagePackSerializer.unpack(Buffer.from([0xa4, 0x6b])))
+          .to.throw('Invalid MessagePack data: Insufficient data')
+      })
+    })
+
+    context('when the data has a `timestamp 64` date', () => {
+      it('should return the date', () => {
+        const data = Buffer.from('d7ff0bebc20000000001', 'hex')
+
+        expect(MessagePackSerializer.unpack(data)).to.eql(new Date(1050))
+      })
+    })
+  })
+
+  describe('.serialize', () => {
+    it('should return the `MessagePack` data (binary)', () => {
+      expect(MessagePackSerializer.binary).to.be.true
+      expect(MessagePackSerializer.serialize('kora')).to.eql(Buffer.from('a46b6f7261', 'hex'))
+    })
+  })
+
+  describe('.deserialize', () => {
+    it('should return the serialized value', () => {
+      const value = {
+        id        : 70000,
+        negative  : -70000,
+        large     : 2 ** 40,
+        name      : 'k'.repeat(300),
+        createdAt : new Date('1960-01-02T03:04:05.678Z'),
+        views     : BigInt('-123456789012345678901234567890'),
+        avatar    : Buffer.from('kora'),
+        owner     : { pets: [ 'kora', { age: 3 } ] }
+      }
+
+      const result = MessagePackSerializer.deserialize(MessagePackSerializer.serialize(value))
+
+      expect(result).to.eql(value)
+      expect(result.avatar.equals(value.avatar)).to.be.true
+    })
+  })
+})
\ No newline at end of file
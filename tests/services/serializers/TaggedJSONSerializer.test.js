@@ -0,0 +1,68 @@
+'use strict'
+
+const TaggedJSONSerializer = require('../../../lib/services/serializers/TaggedJSONSerializer')
+
+describe('TaggedJSONSerializer', () => {
+  const VALUE = {
+    id        : 1,
+    name      : 'kora',
+    createdAt : new Date('2020-01-02T03:04:05.678Z'),
+    views     : BigInt('9007199254740993'),
+    avatar    : Buffer.from('kora'),
+    tags      : [ 'dog', new Date(0) ]
+  }
+
+  describe('.serialize', () => {
+    it('should return a `JSON` string with the tagged values', () => {
+      const json = JSON.parse(TaggedJSONSerializer.serialize(VALUE))
+
+      expect(json.createdAt).to.eql({ $type: 'Date', value: '2020-01-02T03:04:05.678Z' })
+      expect(json.views).to.eql({ $type: 'BigInt', value: '9007199254740993' })
+      expect(json.avatar).to.eql({ $type: 'Buffer', value: 'a29yYQ==' })
+      expect(json.name).to.eql('kora')
+    })
+
+    context('when an object has a `$type` attr', () => {
+      it('should tag it as `Object`', () => {
+        const json = JSON.parse(TaggedJSONSerializer.serialize({ $type: 'Date', value: 'kora' }))
+
+        expect(json).to.eql({ $type: 'Object', value: { $type: 'Date', value: 'kora' } })
+      })
+    })
+
+    context('when the value is `undefined`', () => {
+      it('should return `null`', () => {
+        expect(TaggedJSONSerializer.serialize(undefined)).to.eql('null')
+      })
+    })
+  })
+
+  describe('.deserialize', () => {
+    it('should revive the tagged values', () => {
+      const value = TaggedJSONSerializer.deserialize(TaggedJSONSerializer.serialize(VALUE))
+
+      expect(value).to.eql(VALUE)
+      expect(value.avatar.equals(VALUE.avatar)).to.be.true
+    })
+
+    it('should keep the objects with a `$type` attr', () => {
+      const object = { $type: 'Date', value: { $type: 'BigInt' } }
+
+      expect(TaggedJSONSerializer.deserialize(TaggedJSONSerializer.serialize(object))).to.eql(object)
+    })
+  })
+
+  describe('.toJSONValue', () => {
+    it('should return the tagged `JSON` value', () => {
+      expect(TaggedJSONSerializer.toJSONValue([ new Date(0) ]))
+        .to.eql([{ $type: 'Date', value: '1970-01-01T00:00:00.000Z' }])
+    })
+  })
+
+  describe('.fromJSONValue', () => {
+    it('should revive the tagged values', () => {
+      expect(TaggedJSONSerializer.fromJSONValue({ dates: [{ $type: 'Date', value: '1970-01-01T00:00:00.000Z' }] }))
+        .to.eql({ dates: [ new Date(0) ] })
+    })
+  })
+})
\ No newline at end of file
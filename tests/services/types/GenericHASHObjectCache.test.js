@@ -0,0 +1,141 @@
+'use strict'
+
+const GenericHASHObjectCache = require('../../../lib/services/types/GenericHASHObjectCache')
+const HASHObjectKeySingleID = require('../../cache/HASH_OBJECT/HASHObjectKeySingleID')
+
+describe('GenericHASHObjectCache', () => {
+  const KEY_NAME = HASHObjectKeySingleID.getKeyName(1)
+  const SCHEMA = HASHObjectKeySingleID.ATTRS.schema
+  const OBJECT = {
+    id        : 1,
+    name      : 'Kora',
+    views     : 10,
+    active    : true,
+    createdAt : new Date('2021-06-10T10:00:00.000Z'),
+    tags      : [ 'dog' ]
+  }
+
+  beforeEach(async () => {
+    await GenericHASHObjectCache.setCache(KEY_NAME, OBJECT)
+  })
+
+  afterEach(async () => {
+    await GenericHASHObjectCache.delete([ KEY_NAME, HASHObjectKeySingleID.getKeyName(2) ])
+  })
+
+  describe('.setCache', () => {
+    it('should save a field for each attr', async () => {
+      expect(await redis.hgetallAsync(KEY_NAME)).to.eql({
+        id        : '1',
+        name      : 'Kora',
+        views     : '10',
+        active    : 'true',
+        createdAt : '2021-06-10T10:00:00.000Z',
+        tags      : '["dog"]'
+      })
+    })
+
+    it('should replace the old fields', async () => {
+      await GenericHASHObjectCache.setCache(KEY_NAME, { id: 1, name: 'Hun', views: null })
+
+      expect(await redis.hgetallAsync(KEY_NAME)).to.eql({ id: '1', name: 'Hun' })
+    })
+
+    context('when `commands` is a client', () => {
+      let spies
+
+      beforeEach(() => {
+        spies = {
+          multi: sinon.spy(redis, 'multi')
+        }
+      })
+
+      afterEach(() => {
+        spies.multi.restore()
+      })
+
+      it('should replace the fields on a single `MULTI`', async () => {
+        await GenericHASHObjectCache.setCache(KEY_NAME, { id: 1, name: 'Hun' })
+
+        expect(spies.multi).to.have.been.calledOnce
+        expect(await redis.hgetallAsync(KEY_NAME)).to.eql({ id: '1', name: 'Hun' })
+      })
+    })
+  })
+
+  describe('.getCache', () => {
+    it('should return the object coerced by the `schema`', async () => {
+      expect(await GenericHASHObjectCache.getCache(KEY_NAME, undefined, SCHEMA)).to.eql(OBJECT)
+    })
+
+    context('when `fields` are passed', () => {
+      it('should return only the `fields`', async () => {
+        expect(await GenericHASHObjectCache.getCache(KEY_NAME, [ 'name', 'active', 'none' ], SCHEMA))
+          .to.eql({ name: 'Kora', active: true })
+      })
+    })
+
+    context('when the `keyName` does not exist', () => {
+      it('should return `null`', async () => {
+        expect(await GenericHASHObjectCache.getCache(HASHObjectKeySingleID.getKeyName(2), [ 'name' ])).to.be.null
+      })
+    })
+
+    context('when a field type is invalid', () => {
+      it('should throw an error', async () => {
+        await expect(GenericHASHObjectCache.getCache(KEY_NAME, [ 'name' ], { name: 'text' }))
+          .to.be.rejectedWith('Invalid field type: text')
+      })
+    })
+  })
+
+  describe('.getListCache', () => {
+    it('should return the `fields` of the cached objects', async () => {
+      const objects = await GenericHASHObjectCache
+        .getListCache([ KEY_NAME, HASHObjectKeySingleID.getKeyName(2) ], [ 'id', 'views' ], SCHEMA)
+
+      expect(objects).to.eql([ { id: 1, views: 10 } ])
+    })
+  })
+
+  describe('.incrField', () => {
+    it('should increment the field', async () => {
+      expect(await GenericHASHObjectCache.incrField(KEY_NAME, 'views')).to.eql(11)
+      expect(await GenericHASHObjectCache.incrField(KEY_NAME, 'views', 1.5)).to.eql(12.5)
+    })
+
+    context('when the `keyName` does not exist', () => {
+      it('should return `null` without creating the `keyName`', async () => {
+        const keyName = HASHObjectKeySingleID.getKeyName(2)
+
+        expect(await GenericHASHObjectCache.incrField(keyName, 'views')).to.be.null
+        expect(await redis.existsAsync(keyName)).to.eql(0)
+      })
+    })
+  })
+
+  describe('.hsetnx', () => {
+    it('should set only the missing fields', async () => {
+      expect(await GenericHASHObjectCache.hsetnx(KEY_NAME, 'name', 'Hun')).to.be.false
+      expect(await GenericHASHObjectCache.hsetnx(KEY_NAME, 'color', 'black')).to.be.true
+
+      expect(await redis.hmgetAsync(KEY_NAME, [ 'name', 'color' ])).to.eql([ 'Kora', 'black' ])
+    })
+
+    context('when the `keyName` does not exist', () => {
+      it('should return `false` without creating the `keyName`', async () => {
+        const keyName = HASHObjectKeySingleID.getKeyName(2)
+
+        expect(await GenericHASHObjectCache.hsetnx(keyName, 'color', 'black')).to.be.false
+        expect(await redis.existsAsync(keyName)).to.eql(0)
+      })
+    })
+  })
+
+  describe('.deleteFields', () => {
+    it('should delete the fields', async () => {
+      expect(await GenericHASHObjectCache.deleteFields(KEY_NAME, [ 'tags', 'views', 'none' ])).to.eql(2)
+      expect(await redis.hkeysAsync(KEY_NAME)).to.have.members([ 'id', 'name', 'active', 'createdAt' ])
+    })
+  })
+})
\ No newline at end of file
@@ -366,6 +366,265 @@ describe('GenericJSONArrayCache', () => {
     })
   })
 
+  describe('.push', () => {
+    const KEY_NAME = JSONArrayKeySingleID.getKeyName(20)
+    const ITEMS = [ { id: 1 }, { id: 2 }, { id: 3 } ]
+
+    afterEach(async () => {
+      await GenericJSONArrayCache
+        .delete(KEY_NAME)
+    })
+
+    context('when the `keyName` does not exist', () => {
+      it('should create the array', async () => {
+        expect(await GenericJSONArrayCache.push(KEY_NAME, { id: 1 })).to.eql(1)
+        expect(await GenericJSONArrayCache.getCache(KEY_NAME)).to.eql([ { id: 1 } ])
+      })
+    })
+
+    context('when `dedupeBy` is passed', () => {
+      it('should remove the older items with the same attrs', async () => {
+        await redis
+          .json_setAsync(KEY_NAME, '.', JSON.stringify(ITEMS))
+
+        const length = await GenericJSONArrayCache
+          .push(KEY_NAME, { id: 2, name: 'new' }, { dedupeBy: 'id' })
+
+        expect(length).to.eql(3)
+        expect(await GenericJSONArrayCache.getCache(KEY_NAME)).to.eql([ { id: 1 }, { id: 3 }, { id: 2, name: 'new' } ])
+      })
+    })
+
+    context('when `maxLength` is passed', () => {
+      beforeEach(async () => {
+        await redis
+          .json_setAsync(KEY_NAME, '.', JSON.stringify(ITEMS))
+      })
+
+      it('should keep the last items (when inserting on the end)', async () => {
+        await GenericJSONArrayCache
+          .push(KEY_NAME, [ { id: 4 }, { id: 5 } ], { maxLength: 3 })
+
+        expect(await GenericJSONArrayCache.getCache(KEY_NAME)).to.eql([ { id: 3 }, { id: 4 }, { id: 5 } ])
+      })
+
+      it('should keep the first items (when inserting on the head)', async () => {
+        await GenericJSONArrayCache
+          .push(KEY_NAME, { id: 0 }, { position: 0, maxLength: 3 })
+
+        expect(await GenericJSONArrayCache.getCache(KEY_NAME)).to.eql([ { id: 0 }, { id: 1 }, { id: 2 } ])
+      })
+    })
+
+    context('when the array is nested (`path`)', () => {
+      it('should insert the item', async () => {
+        await redis
+          .json_setAsync(KEY_NAME, '.', JSON.stringify({ items: ITEMS }))
+
+        await GenericJSONArrayCache
+          .push(KEY_NAME, { id: 1, name: 'new' }, { path: '.items', dedupeBy: [ 'id' ], maxLength: 2 })
+
+        expect(await GenericJSONArrayCache.getCache(KEY_NAME)).to.eql({ items: [ { id: 3 }, { id: 1, name: 'new' } ] })
+      })
+    })
+
+    context('when the `path` value is not an array', () => {
+      it('should throw an error', async () => {
+        await redis
+          .json_setAsync(KEY_NAME, '.', JSON.stringify({ items: 1 }))
+
+        await expect(GenericJSONArrayCache.push(KEY_NAME, { id: 1 }, { path: '.items' }))
+          .to.be.rejectedWith('expected array')
+      })
+    })
+  })
+
+  describe('item operations', () => {
+    const KEY_NAME = JSONArrayKeySingleID.getKeyName(19)
+    const ITEMS = [ { id: 1, name: 'Kora' }, { id: 2, name: 'Hun' } ]
+
+    beforeEach(async () => {
+      await redis
+        .json_setAsync(KEY_NAME, '.', JSON.stringify(ITEMS))
+    })
+
+    afterEach(async () => {
+      await GenericJSONArrayCache
+        .delete(KEY_NAME)
+    })
+
+    describe('.findItem', () => {
+      it('should return the item matched by the attrs', async () => {
+        expect(await GenericJSONArrayCache.findItem(KEY_NAME, { id: 2 })).to.eql(ITEMS[1])
+      })
+
+      it('should return the item matched by the predicate', async () => {
+        expect(await GenericJSONArrayCache.findItem(KEY_NAME, item => item.name == 'Kora')).to.eql(ITEMS[0])
+      })
+
+      context('when no item matches', () => {
+        it('should return `null`', async () => {
+          expect(await GenericJSONArrayCache.findItem(KEY_NAME, { id: 3 })).to.be.null
+        })
+      })
+
+      context('when the attrs have other types', () => {
+        it('should return `null`', async () => {
+          expect(await GenericJSONArrayCache.findItem(KEY_NAME, { id: '2' })).to.be.null
+        })
+      })
+
+      context('when the matcher is invalid', () => {
+        it('should throw an error', async () => {
+          await expect(GenericJSONArrayCache.findItem(KEY_NAME, 2))
+            .to.be.rejectedWith('Invalid item matcher: 2')
+        })
+      })
+    })
+
+    describe('.indexOf', () => {
+      it('should return the index of the matched item', async () => {
+        expect(await GenericJSONArrayCache.indexOf(KEY_NAME, { id: 2 })).to.eql(1)
+      })
+
+      context('when the `keyName` does not exist', () => {
+        it('should return `-1`', async () => {
+          expect(await GenericJSONArrayCache.indexOf(`${KEY_NAME}:none`, { id: 2 })).to.eql(-1)
+        })
+      })
+    })
+
+    describe('.updateItem', () => {
+      it('should merge the matched item with the `value` attrs', async () => {
+        const response = await GenericJSONArrayCache
+          .updateItem(KEY_NAME, { id: 2 }, { name: 'Nina' })
+
+        expect(response).to.eql({ index: 1, item: { id: 2, name: 'Nina' }, oldItem: ITEMS[1] })
+        expect(await GenericJSONArrayCache.getCache(KEY_NAME)).to.eql([ ITEMS[0], { id: 2, name: 'Nina' } ])
+      })
+
+      context('when no item matches', () => {
+        it('should return `null`', async () => {
+          expect(await GenericJSONArrayCache.updateItem(KEY_NAME, { id: 3 }, { name: 'Nina' })).to.be.null
+          expect(await GenericJSONArrayCache.getCache(KEY_NAME)).to.eql(ITEMS)
+        })
+      })
+
+      context('when the array is changed meanwhile', () => {
+        it('should update the item matched on the new array', async () => {
+          const predicate = sinon.spy(item => {
+            if (predicate.callCount == 1)
+              redis.json_arrinsertAsync(KEY_NAME, '.', 0, JSON.stringify({ id: 0, name: 'Nina' }))
+
+            return item.id === 2
+          })
+
+          const response = await GenericJSONArrayCache
+            .updateItem(KEY_NAME, predicate, { name: 'Hun Jr.' })
+
+          expect(response).to.eql({ index: 2, item: { id: 2, name: 'Hun Jr.' }, oldItem: ITEMS[1] })
+          expect(await GenericJSONArrayCache.getCache(KEY_NAME)).to.eql([ { id: 0, name: 'Nina' }, ITEMS[0], { id: 2, name: 'Hun Jr.' } ])
+        })
+      })
+
+      context('when the array is changed on every attempt', () => {
+        it('should throw an error', async () => {
+          let error = null
+
+          try {
+            await GenericJSONArrayCache
+              .updateItem(KEY_NAME, item => {
+                redis.json_arrappendAsync(KEY_NAME, '.', JSON.stringify({ id: 3 }))
+
+                return item.id === 2
+              }, { name: 'Nina' })
+          }
+          catch (e) {
+            error = e
+          }
+
+          expect(error.message).to.eql(`\`${KEY_NAME}\` was changed by other calls on all the 6 attempts to write the item`)
+          expect((await GenericJSONArrayCache.getCache(KEY_NAME))[1]).to.eql(ITEMS[1])
+        })
+      })
+    })
+
+    describe('.upsertItem', () => {
+      context('when no item matches', () => {
+        it('should append the `value`', async () => {
+          const response = await GenericJSONArrayCache
+            .upsertItem(KEY_NAME, { id: 3 }, { id: 3, name: 'Nina' })
+
+          expect(response).to.eql({ index: 2, item: { id: 3, name: 'Nina' }, oldItem: null })
+          expect(await GenericJSONArrayCache.getCache(KEY_NAME)).to.eql([ ...ITEMS, { id: 3, name: 'Nina' } ])
+        })
+      })
+
+      context('when an item matches', () => {
+        it('should update the item', async () => {
+          await GenericJSONArrayCache
+            .upsertItem(KEY_NAME, { id: 1 }, { name: 'Kora Jr.' })
+
+          expect(await GenericJSONArrayCache.getCache(KEY_NAME)).to.eql([ { id: 1, name: 'Kora Jr.' }, ITEMS[1] ])
+        })
+      })
+
+      context('when the `keyName` does not exist', () => {
+        it('should create the array with the `value`', async () => {
+          const response = await GenericJSONArrayCache
+            .upsertItem(`${KEY_NAME}:new`, { id: 3 }, { id: 3, name: 'Nina' })
+
+          try {
+            expect(response).to.eql({ index: 0, item: { id: 3, name: 'Nina' }, oldItem: null })
+            expect(await GenericJSONArrayCache.getCache(`${KEY_NAME}:new`)).to.eql([ { id: 3, name: 'Nina' } ])
+          }
+          finally {
+            await GenericJSONArrayCache.delete(`${KEY_NAME}:new`)
+          }
+        })
+      })
+    })
+
+    describe('.removeItem', () => {
+      it('should remove the matched item', async () => {
+        const response = await GenericJSONArrayCache
+          .removeItem(KEY_NAME, { id: 1 })
+
+        expect(response).to.eql({ index: 0, item: ITEMS[0] })
+        expect(await GenericJSONArrayCache.getCache(KEY_NAME)).to.eql([ ITEMS[1] ])
+      })
+
+      context('when the array is changed meanwhile', () => {
+        it('should remove the item matched on the new array', async () => {
+          const predicate = sinon.spy(item => {
+            if (predicate.callCount == 1)
+              redis.json_arrinsertAsync(KEY_NAME, '.', 0, JSON.stringify({ id: 0, name: 'Nina' }))
+
+            return item.id === 1
+          })
+
+          const response = await GenericJSONArrayCache
+            .removeItem(KEY_NAME, predicate)
+
+          expect(response).to.eql({ index: 1, item: ITEMS[0] })
+          expect(await GenericJSONArrayCache.getCache(KEY_NAME)).to.eql([ { id: 0, name: 'Nina' }, ITEMS[1] ])
+        })
+      })
+
+      context('when the array is nested (`attr`)', () => {
+        it('should remove the matched item', async () => {
+          await redis
+            .json_setAsync(KEY_NAME, '.', JSON.stringify({ items: ITEMS }))
+
+          await GenericJSONArrayCache
+            .removeItem(KEY_NAME, { id: 2 }, '.items')
+
+          expect(await GenericJSONArrayCache.getCache(KEY_NAME)).to.eql({ items: [ ITEMS[0] ] })
+        })
+      })
+    })
+  })
+
   describe('.slice', () => {   
     context('when `key` is passed', () => {
       const KEY = 1
@@ -557,4 +816,46 @@ describe('GenericJSONArrayCache', () => {
       })
     })
   })
+
+  describe('when the client has not the `ReJSON` module', () => {
+    const KEY_NAME = JSONArrayKeySingleID.getKeyName(2)
+
+    let client
+
+    before(async () => {
+      client = redis.duplicate({ jsonModule: false })
+
+      GenericJSONArrayCache.setJSONModule(false, client)
+
+      await GenericJSONArrayCache.addCache(KEY_NAME, [ { id: 1 }, { id: 2 } ], undefined, '.', client)
+      await GenericJSONArrayCache.addCache(KEY_NAME, { id: 3 }, undefined, '.', client)
+      await GenericJSONArrayCache.addCache(KEY_NAME, { id: 0 }, 0, '.', client)
+    })
+
+    after(async () => {
+      await GenericJSONArrayCache.delete(KEY_NAME, client)
+    })
+
+    it('should save the items as a string key', async () => {
+      expect(await redis.typeAsync(KEY_NAME)).to.eql('string')
+      expect(JSON.parse(await redis.getAsync(KEY_NAME))).to.eql([ { id: 0 }, { id: 1 }, { id: 2 }, { id: 3 } ])
+    })
+
+    context('and the list is sliced', () => {
+      let response
+
+      before(async () => {
+        response = await GenericJSONArrayCache
+          .slice(KEY_NAME, { start: 1, stop: 2 }, client)
+      })
+
+      it('should return the new list size', () => {
+        expect(response).to.eql(2)
+      })
+
+      it('should save the new list on cache', async () => {
+        expect(await GenericJSONArrayCache.getCache(KEY_NAME, undefined, client)).to.eql([ { id: 1 }, { id: 2 } ])
+      })
+    })
+  })
 })
\ No newline at end of file
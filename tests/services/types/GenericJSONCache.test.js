@@ -115,6 +115,35 @@ describe('GenericJSONCache', () => {
         })
       })
 
+      context('when `params` has `JSONPaths`', () => {
+        context('and it is a definite `JSONPath`', () => {
+          it('should return the `attr` value', async () => {
+            const cachedValue = await GenericJSONCache
+              .getCache(JSONKeySingleID.getKeyName(VALUE), [ '$.teste' ])
+
+            expect(cachedValue).to.eql(VALUE)
+          })
+        })
+
+        context('and it is not a definite `JSONPath`', () => {
+          it('should return the list of matched values', async () => {
+            const cachedValue = await GenericJSONCache
+              .getCache(JSONKeySingleID.getKeyName(VALUE), { paths: '$.*' })
+
+            expect(cachedValue).to.eql(Object.values(CACHE_VALUE))
+          })
+        })
+
+        context('and there are multiple `paths`', () => {
+          it('should return the values by `path`', async () => {
+            const cachedValue = await GenericJSONCache
+              .getCache(JSONKeySingleID.getKeyName(VALUE), [ '$.teste', '$.invalid' ])
+
+            expect(cachedValue).to.eql({ '$.teste': VALUE, '$.invalid': null })
+          })
+        })
+      })
+
       context('when `params.attrs` is `null`', () => {
         it('should return the cached object', async () => {
           const terminalTrackerReadingCache = await GenericJSONCache
@@ -160,6 +189,30 @@ describe('GenericJSONCache', () => {
         })
       })
 
+      context('and a single `path` is passed', () => {
+        let spies, cachedValues
+
+        before(async () => {
+          spies = {
+            _jsonCommand: sinon.spy(GenericJSONCache, '_jsonCommand')
+          }
+
+          cachedValues = await GenericJSONCache.getListCache(keyNames, { paths: '$.id' })
+        })
+
+        after(() => {
+          spies._jsonCommand.restore()
+        })
+
+        it('should read the keys with a single `JSON.MGET`', () => {
+          expect(spies._jsonCommand).to.have.been.calledOnceWith('mget', keyNames, [ '$.id' ])
+        })
+
+        it('should return the `path` values', () => {
+          expect(cachedValues).to.deep.equalInAnyOrder(OBJECTS.map(({ id }) => id))
+        })
+      })
+
       context('and unexistent `keyNames` are passed', () => {
         it('should return an empty array', async () => {
           const unexistentKeyNames = [ '00000000', '99999999']
@@ -218,6 +271,32 @@ describe('GenericJSONCache', () => {
           })
         })
 
+        context('and a `JSONPath` `attr` is passed', () => {
+          const CACHE_VALUE = { teste: ID, owner: { name: 'john' } }
+
+          let result
+
+          before(async () => {
+            await GenericJSONCache.setCache(keyName, CACHE_VALUE)
+
+            result = await GenericJSONCache.setCache(keyName, 'bob', '$.owner.name')
+          })
+
+          after(async () => {
+            await GenericJSONCacheMock.delete(keyName)
+          })
+
+          it('should return the status operation', () => {
+            expect(result).to.eql('OK')
+          })
+
+          it('should save the `attr` value on cache', async () => {
+            const cachedValue = await GenericJSONCache.getCache(keyName)
+
+            expect(cachedValue).to.eql({ ...CACHE_VALUE, owner: { name: 'bob' } })
+          })
+        })
+
         context('and it`s a `String`', () => {
           const STRING_VALUE = 'string_value'
           let result
@@ -273,6 +352,83 @@ describe('GenericJSONCache', () => {
     })
   })
 
+  describe('.parseJSONPathValue', () => {
+    context('when the `paths` are legacy ones', () => {
+      it('should return the `value`', () => {
+        expect(GenericJSONCache.parseJSONPathValue([ 1 ], [ '.ids' ])).to.eql([ 1 ])
+      })
+    })
+
+    context('when the `paths` are `JSONPaths`', () => {
+      it('should unwrap the values of the definite `paths`', () => {
+        const value = { '$.name': [ 'Kora' ], '$..id': [ 1, 2 ], '$.owner': [] }
+
+        expect(GenericJSONCache.parseJSONPathValue(value, Object.keys(value)))
+          .to.eql({ '$.name': 'Kora', '$..id': [ 1, 2 ], '$.owner': null })
+      })
+    })
+  })
+
+  describe('.getUpdateArgs', () => {
+    it('should return the `op path count ...args` of each operation', () => {
+      const args = GenericJSONCache
+        .getUpdateArgs([
+          { op: 'incr', path: '.views' },
+          { op: 'arrAppend', path: '.tags', value: [ 'a', 1 ] },
+          { op: 'merge', value: { name: 'dog' } }
+        ])
+
+      expect(args).to.eql([
+        'incr', '.views', '1', '1',
+        'arrAppend', '.tags', '2', '"a"', '1',
+        'merge', '.', '1', '{"name":"dog"}'
+      ])
+    })
+
+    context('when an operation is invalid', () => {
+      it('should throw an error', () => {
+        expect(() => GenericJSONCache.getUpdateArgs({ op: 'decr', path: '.views' }))
+          .to.throw('Invalid update operation: decr')
+      })
+    })
+  })
+
+  describe('.update', () => {
+    const KEY_NAME = 'test_update:1'
+
+    beforeEach(async () => {
+      await GenericJSONCache.setCache(KEY_NAME, { views: 1, name: 'dog' })
+    })
+
+    afterEach(async () => {
+      await GenericJSONCacheMock.delete(KEY_NAME)
+    })
+
+    it('should return and save the resulting document', async () => {
+      const document = await GenericJSONCache
+        .update(KEY_NAME, [ { op: 'incr', path: '.views', value: 4 }, { op: 'strAppend', path: '.name', value: 'gy' } ])
+
+      expect(document).to.eql({ views: 5, name: 'doggy' })
+      expect(await GenericJSONCache.getCache(KEY_NAME)).to.eql({ views: 5, name: 'doggy' })
+    })
+
+    context('when `isDryRun` is `true`', () => {
+      it('should not save the resulting document', async () => {
+        const document = await GenericJSONCache
+          .update(KEY_NAME, { op: 'incr', path: '.views' }, true)
+
+        expect(document).to.eql({ views: 2, name: 'dog' })
+        expect(await GenericJSONCache.getCache(KEY_NAME)).to.eql({ views: 1, name: 'dog' })
+      })
+    })
+
+    context('when the `keyName` does not exist', () => {
+      it('should return `null`', async () => {
+        expect(await GenericJSONCache.update('test_update:404', { op: 'toggle', path: '.alive' })).to.be.null
+      })
+    })
+  })
+
   describe('._setCache', () => {
     const ID = 1
     const keyName = JSONKeySingleID.getKeyName(ID)
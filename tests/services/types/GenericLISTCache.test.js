@@ -0,0 +1,180 @@
+'use strict'
+
+const GenericLISTCache = require('../../../lib/services/types/GenericLISTCache')
+const LISTKeySingleID = require('../../cache/LIST/LISTKeySingleID')
+
+describe('GenericLISTCache', () => {
+  const KEY_NAME = LISTKeySingleID.getKeyName(1)
+  const ITEMS = [ { name: 'first' }, { name: 'second' }, { name: 'third' } ]
+
+  beforeEach(async () => {
+    await GenericLISTCache.setCache(KEY_NAME, ITEMS)
+  })
+
+  afterEach(async () => {
+    await GenericLISTCache.delete(KEY_NAME)
+  })
+
+  describe('.setCache', () => {
+    context('when `maxLength` is passed', () => {
+      it('should replace the items keeping the last `maxLength` ones', async () => {
+        await GenericLISTCache.setCache(KEY_NAME, [ 'fourth', 'fifth', 'sixth' ], 2)
+
+        expect(await GenericLISTCache.getCache(KEY_NAME)).to.eql([ 'fifth', 'sixth' ])
+      })
+    })
+
+    context('when `commands` is a client', () => {
+      let multi
+
+      beforeEach(() => {
+        multi = sinon.spy(redis, 'multi')
+      })
+
+      afterEach(() => {
+        multi.restore()
+      })
+
+      it('should replace the items on a `MULTI`', async () => {
+        await GenericLISTCache.setCache(KEY_NAME, [ 'fourth' ], 2, null, redis)
+
+        expect(multi).to.have.been.calledOnce
+        expect(await GenericLISTCache.getCache(KEY_NAME)).to.eql([ 'fourth' ])
+      })
+    })
+  })
+
+  describe('.getCache', () => {
+    context('when no `params` are passed', () => {
+      it('should return all the items', async () => {
+        const result = await GenericLISTCache.getCache(KEY_NAME)
+
+        expect(result).to.eql(ITEMS)
+      })
+    })
+
+    context('when `start` and `stop` are passed', () => {
+      it('should return the items between the indexes', async () => {
+        const result = await GenericLISTCache.getCache(KEY_NAME, { start: -2, stop: -1 })
+
+        expect(result).to.eql([ ITEMS[1], ITEMS[2] ])
+      })
+    })
+
+    context('when there is no value cached', () => {
+      it('should return an empty list', async () => {
+        const result = await GenericLISTCache.getCache(LISTKeySingleID.getKeyName(2))
+
+        expect(result).to.eql([])
+      })
+    })
+  })
+
+  describe('.push', () => {
+    context('when `left` is passed', () => {
+      it('should push the items to the head', async () => {
+        const result = await GenericLISTCache.push(KEY_NAME, 'head', { left: true })
+
+        expect(result).to.eql(4)
+        expect(await GenericLISTCache.getCache(KEY_NAME)).to.eql([ 'head', ...ITEMS ])
+      })
+    })
+
+    context('when `maxLength` is passed', () => {
+      it('should keep the last `maxLength` items', async () => {
+        const result = await GenericLISTCache.push(KEY_NAME, [ 'fourth', 'fifth' ], { maxLength: 3 })
+
+        expect(result).to.eql(3)
+        expect(await GenericLISTCache.getCache(KEY_NAME)).to.eql([ ITEMS[2], 'fourth', 'fifth' ])
+      })
+    })
+
+    context('when `left` and `maxLength` are passed', () => {
+      it('should keep the first `maxLength` items', async () => {
+        const result = await GenericLISTCache.push(KEY_NAME, 'head', { left: true, maxLength: 2 })
+
+        expect(result).to.eql(2)
+        expect(await GenericLISTCache.getCache(KEY_NAME)).to.eql([ 'head', ITEMS[0] ])
+      })
+    })
+  })
+
+  describe('.pop', () => {
+    it('should remove and return the last item', async () => {
+      expect(await GenericLISTCache.pop(KEY_NAME)).to.eql(ITEMS[2])
+      expect(await GenericLISTCache.pop(KEY_NAME, { left: true })).to.eql(ITEMS[0])
+      expect(await GenericLISTCache.getCache(KEY_NAME)).to.eql([ ITEMS[1] ])
+    })
+
+    context('when the list does not exist', () => {
+      it('should return null', async () => {
+        expect(await GenericLISTCache.pop(LISTKeySingleID.getKeyName(2))).to.be.null
+      })
+    })
+  })
+
+  describe('.blockingPop', () => {
+    const EMPTY_KEY_NAME = LISTKeySingleID.getKeyName(2)
+
+    let client
+
+    beforeEach(() => {
+      client = redis.duplicate()
+    })
+
+    afterEach(async () => {
+      client.end(true)
+
+      await GenericLISTCache.delete(EMPTY_KEY_NAME)
+    })
+
+    context('when a list has items', () => {
+      it('should return the item of the first non-empty list', async () => {
+        const result = await GenericLISTCache.blockingPop([ EMPTY_KEY_NAME, KEY_NAME ], 1, { left: true }, client)
+
+        expect(result).to.eql({ keyName: KEY_NAME, value: ITEMS[0] })
+      })
+    })
+
+    context('when an item is pushed while waiting', () => {
+      it('should return the pushed item', async () => {
+        const promise = GenericLISTCache.blockingPop(EMPTY_KEY_NAME, 1, {}, client)
+
+        await GenericLISTCache.push(EMPTY_KEY_NAME, 'pushed')
+
+        expect(await promise).to.eql({ keyName: EMPTY_KEY_NAME, value: 'pushed' })
+      })
+    })
+
+    context('when the `timeout` is reached', () => {
+      it('should return null', async () => {
+        const result = await GenericLISTCache.blockingPop(EMPTY_KEY_NAME, 0.05, {}, client)
+
+        expect(result).to.be.null
+      })
+    })
+  })
+
+  describe('.getLast', () => {
+    it('should return the last item', async () => {
+      expect(await GenericLISTCache.getLast(KEY_NAME)).to.eql(ITEMS[2])
+      expect(await GenericLISTCache.getLast(LISTKeySingleID.getKeyName(2))).to.be.null
+    })
+  })
+
+  describe('.slice', () => {
+    it('should keep the items between the indexes', async () => {
+      const result = await GenericLISTCache.slice(KEY_NAME, { start: 1 })
+
+      expect(result).to.eql(2)
+      expect(await GenericLISTCache.getCache(KEY_NAME)).to.eql([ ITEMS[1], ITEMS[2] ])
+    })
+  })
+
+  describe('.isCached', () => {
+    it('should return whether the key exists or not', async () => {
+      expect(await GenericLISTCache.isCached(KEY_NAME)).to.be.true
+      expect(await GenericLISTCache.isCached(LISTKeySingleID.getKeyName(2))).to.be.false
+    })
+  })
+})
\ No newline at end of file
@@ -0,0 +1,174 @@
+'use strict'
+
+const GenericSTREAMCache = require('../../../lib/services/types/GenericSTREAMCache')
+const STREAMKeySingleID = require('../../cache/STREAM/STREAMKeySingleID')
+
+describe('GenericSTREAMCache', () => {
+  const KEY_NAME = STREAMKeySingleID.getKeyName(1)
+  const EVENTS = [ { type: 'created' }, { type: 'updated' }, { type: 'deleted' } ]
+
+  beforeEach(async () => {
+    await GenericSTREAMCache.addCache(KEY_NAME, EVENTS)
+  })
+
+  afterEach(async () => {
+    await GenericSTREAMCache.delete(KEY_NAME)
+  })
+
+  describe('.getCache', () => {
+    context('when no `params` are passed', () => {
+      it('should return all the values from the oldest', async () => {
+        const result = await GenericSTREAMCache.getCache(KEY_NAME)
+
+        expect(result).to.eql(EVENTS)
+      })
+    })
+
+    context('when `count` and `withIds` are passed', () => {
+      it('should return the latest entries', async () => {
+        const result = await GenericSTREAMCache.getCache(KEY_NAME, { count: 2, withIds: true })
+
+        expect(result.map(({ value }) => value)).to.eql(EVENTS.slice(1))
+        expect(result[0].id).to.match(/^\d+-\d+$/)
+      })
+    })
+
+    context('when there is no value cached', () => {
+      it('should return an empty list', async () => {
+        const result = await GenericSTREAMCache.getCache(STREAMKeySingleID.getKeyName(2))
+
+        expect(result).to.eql([])
+      })
+    })
+  })
+
+  describe('.setCache', () => {
+    it('should replace the entries', async () => {
+      await GenericSTREAMCache.setCache(KEY_NAME, [ { type: 'restored' } ])
+
+      expect(await GenericSTREAMCache.getCache(KEY_NAME)).to.eql([ { type: 'restored' } ])
+    })
+
+    context('when the key has consumer groups', () => {
+      it('should keep them', async () => {
+        await GenericSTREAMCache.createGroup(KEY_NAME, 'workers')
+
+        await GenericSTREAMCache.setCache(KEY_NAME, [ { type: 'restored' } ])
+
+        const entries = await GenericSTREAMCache.readGroup(KEY_NAME, 'workers', 'first')
+
+        expect(entries.map(({ value }) => value)).to.eql([ { type: 'restored' } ])
+      })
+    })
+  })
+
+  describe('.addCache', () => {
+    it('should append the entry and return its id', async () => {
+      const id = await GenericSTREAMCache.addCache(KEY_NAME, { type: 'restored' })
+
+      const [ lastEntry ] = await GenericSTREAMCache.range(KEY_NAME, '-', '+', { reverse: true, count: 1, withIds: true })
+
+      expect(lastEntry).to.eql({ id, value: { type: 'restored' } })
+    })
+
+    context('when `maxLength` is passed', () => {
+      it('should keep the last `maxLength` entries', async () => {
+        await GenericSTREAMCache.addCache(KEY_NAME, { type: 'restored' }, 2)
+
+        expect(await GenericSTREAMCache.getCache(KEY_NAME)).to.eql([ EVENTS[2], { type: 'restored' } ])
+        expect(await GenericSTREAMCache.length(KEY_NAME)).to.eql(2)
+      })
+    })
+  })
+
+  describe('.getLast', () => {
+    it('should return the last value', async () => {
+      expect(await GenericSTREAMCache.getLast(KEY_NAME)).to.eql(EVENTS[2])
+      expect(await GenericSTREAMCache.getLast(STREAMKeySingleID.getKeyName(2))).to.be.null
+    })
+  })
+
+  describe('.parseEntry', () => {
+    context('when the `value` field is not a `JSON` string', () => {
+      it('should return it as it is', () => {
+        expect(GenericSTREAMCache.parseEntry([ '1-0', [ 'value', 'created' ] ])).to.eql('created')
+      })
+    })
+
+    context('when the entry has other fields', () => {
+      it('should return them as an `object`', () => {
+        expect(GenericSTREAMCache.parseEntry([ '1-0', [ 'type', 'created', 'value', '1' ] ], true))
+          .to.eql({ id: '1-0', value: { type: 'created', value: '1' } })
+      })
+    })
+  })
+
+  describe('.trim', () => {
+    it('should remove the oldest entries', async () => {
+      expect(await GenericSTREAMCache.trim(KEY_NAME, 1, false)).to.eql(2)
+      expect(await GenericSTREAMCache.getCache(KEY_NAME)).to.eql([ EVENTS[2] ])
+    })
+  })
+
+  describe('.readGroup', () => {
+    const GROUP = 'workers'
+
+    let client
+
+    beforeEach(async () => {
+      client = redis.duplicate()
+
+      await GenericSTREAMCache.createGroup(KEY_NAME, GROUP, '0')
+    })
+
+    afterEach(() => {
+      client.end(true)
+    })
+
+    it('should return the entries not delivered to the group', async () => {
+      const entries = await GenericSTREAMCache.readGroup(KEY_NAME, GROUP, 'first', { count: 2 })
+      const otherEntries = await GenericSTREAMCache.readGroup(KEY_NAME, GROUP, 'second')
+
+      expect(entries.map(({ value }) => value)).to.eql(EVENTS.slice(0, 2))
+      expect(otherEntries.map(({ keyName, value }) => ({ keyName, value }))).to.eql([ { keyName: KEY_NAME, value: EVENTS[2] } ])
+    })
+
+    it('should keep the entries pending until acknowledged', async () => {
+      const entries = await GenericSTREAMCache.readGroup(KEY_NAME, GROUP, 'first')
+
+      expect(await GenericSTREAMCache.ack(KEY_NAME, GROUP, entries[0].id)).to.eql(1)
+
+      const pendingEntries = await GenericSTREAMCache.readGroup(KEY_NAME, GROUP, 'first', { id: '0' })
+
+      expect(pendingEntries.map(({ value }) => value)).to.eql(EVENTS.slice(1))
+    })
+
+    context('when `block` is passed', () => {
+      it('should wait for new entries', async () => {
+        await GenericSTREAMCache.readGroup(KEY_NAME, GROUP, 'first')
+
+        const promise = GenericSTREAMCache.readGroup(KEY_NAME, GROUP, 'first', { block: 1000 }, client)
+
+        await GenericSTREAMCache.addCache(KEY_NAME, { type: 'restored' })
+
+        const entries = await promise
+
+        expect(entries.map(({ value }) => value)).to.eql([ { type: 'restored' } ])
+      })
+
+      context('and there are no new entries', () => {
+        it('should return an empty list after `block`', async () => {
+          await GenericSTREAMCache.readGroup(KEY_NAME, GROUP, 'first')
+
+          expect(await GenericSTREAMCache.readGroup(KEY_NAME, GROUP, 'first', { block: 30 }, client)).to.eql([])
+        })
+      })
+    })
+
+    context('when the group already exists', () => {
+      it('should not create it', async () => {
+        expect(await GenericSTREAMCache.createGroup(KEY_NAME, GROUP)).to.be.false
+      })
+    })
+  })
+})
\ No newline at end of file
@@ -273,6 +273,34 @@ describe('GenericSTRINGCache', () => {
     })
   })
 
+  describe('.store', () => {
+    const KEY_NAMES = [ STRINGKeySingleID.getKeyName('a'), STRINGKeySingleID.getKeyName('b') ]
+    const DESTINATION_KEY_NAME = STRINGKeySingleID.getKeyName('result')
+
+    before(async () => {
+      await GenericSTRINGCache.setCache(KEY_NAMES[0], [ 'a', 'b' ])
+      await GenericSTRINGCache.setCache(KEY_NAMES[1], [ 'b', 'c' ])
+    })
+
+    after(async () => {
+      await GenericSTRINGCache.delete([ ...KEY_NAMES, DESTINATION_KEY_NAME ])
+    })
+
+    context('when the `operation` is valid', () => {
+      it('should save the result on the destination key', async () => {
+        expect(await GenericSTRINGCache.store('difference', DESTINATION_KEY_NAME, KEY_NAMES)).to.eql(1)
+        expect(await GenericSTRINGCache.getCache(DESTINATION_KEY_NAME)).to.eql([ 'a' ])
+      })
+    })
+
+    context('when the `operation` is invalid', () => {
+      it('should throw an error', async () => {
+        await expect(GenericSTRINGCache.store('xor', DESTINATION_KEY_NAME, KEY_NAMES))
+          .to.be.rejectedWith('Invalid set operation: xor')
+      })
+    })
+  })
+
   describe('.isCached', () => {
     context('when `keyName` is cached', () => {
       const VALUE = 'string_value'
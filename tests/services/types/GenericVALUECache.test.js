@@ -0,0 +1,81 @@
+'use strict'
+
+const GenericVALUECache = require('../../../lib/services/types/GenericVALUECache')
+const VALUEKeySingleID = require('../../cache/VALUE/VALUEKeySingleID')
+
+describe('GenericVALUECache', () => {
+  const KEY_NAME = VALUEKeySingleID.getKeyName(1)
+  const VALUE = { id: 1, name: 'first', tags: [ 'a', 'b' ] }
+
+  beforeEach(async () => {
+    await GenericVALUECache.setCache(KEY_NAME, VALUE)
+  })
+
+  afterEach(async () => {
+    await GenericVALUECache.delete([ KEY_NAME, VALUEKeySingleID.getKeyName(2) ])
+  })
+
+  describe('.getCache', () => {
+    it('should return the parsed value', async () => {
+      const result = await GenericVALUECache.getCache(KEY_NAME)
+
+      expect(result).to.eql(VALUE)
+      expect(await redis.typeAsync(KEY_NAME)).to.eql('string')
+    })
+
+    context('when there is no value cached', () => {
+      it('should return null', async () => {
+        expect(await GenericVALUECache.getCache(VALUEKeySingleID.getKeyName(2))).to.be.null
+      })
+    })
+  })
+
+  describe('.getListCache', () => {
+    it('should return the values of the cached keys', async () => {
+      await GenericVALUECache.setCache(VALUEKeySingleID.getKeyName(2), 'second')
+
+      const result = await GenericVALUECache
+        .getListCache([ KEY_NAME, VALUEKeySingleID.getKeyName(3), VALUEKeySingleID.getKeyName(2) ])
+
+      expect(result).to.eql([ VALUE, 'second' ])
+    })
+  })
+
+  describe('.setCache', () => {
+    context('when `mode` is `NX`', () => {
+      it('should only set the keys that do not exist', async () => {
+        expect(await GenericVALUECache.setCache(KEY_NAME, 'new', { mode: 'NX' })).to.be.null
+        expect(await GenericVALUECache.setCache(VALUEKeySingleID.getKeyName(2), 'new', { mode: 'NX' })).to.eql('OK')
+        expect(await GenericVALUECache.getCache(KEY_NAME)).to.eql(VALUE)
+      })
+    })
+
+    context('when `mode` is `XX`', () => {
+      it('should only set the keys that exist', async () => {
+        expect(await GenericVALUECache.setCache(KEY_NAME, 'new', { mode: 'XX' })).to.eql('OK')
+        expect(await GenericVALUECache.setCache(VALUEKeySingleID.getKeyName(2), 'new', { mode: 'XX' })).to.be.null
+        expect(await GenericVALUECache.getCache(KEY_NAME)).to.eql('new')
+      })
+    })
+
+    context('when `mode` is invalid', () => {
+      it('should throw an error', () => {
+        expect(() => GenericVALUECache.setCache(KEY_NAME, 'new', { mode: 'invalid' })).to.throw('Invalid `SET` mode: invalid')
+      })
+    })
+  })
+
+  describe('.getSet', () => {
+    it('should set the value and return the old one', async () => {
+      expect(await GenericVALUECache.getSet(KEY_NAME, 'new')).to.eql(VALUE)
+      expect(await GenericVALUECache.getCache(KEY_NAME)).to.eql('new')
+    })
+  })
+
+  describe('.isCached', () => {
+    it('should return whether the key exists or not', async () => {
+      expect(await GenericVALUECache.isCached(KEY_NAME)).to.be.true
+      expect(await GenericVALUECache.isCached(VALUEKeySingleID.getKeyName(2))).to.be.false
+    })
+  })
+})
\ No newline at end of file
@@ -0,0 +1,119 @@
+'use strict'
+
+const GenericZSETCache = require('../../../lib/services/types/GenericZSETCache')
+const ZSETKeySingleID = require('../../cache/ZSET/ZSETKeySingleID')
+
+describe('GenericZSETCache', () => {
+  const KEY_NAME = ZSETKeySingleID.getKeyName(1)
+  const MEMBERS = [ { name: 'first', score: 30 }, { name: 'second', score: 10 }, { name: 'third', score: 20 } ]
+
+  beforeEach(async () => {
+    await GenericZSETCache.setCache(KEY_NAME, MEMBERS, member => member.score)
+  })
+
+  afterEach(async () => {
+    await GenericZSETCache.delete(KEY_NAME)
+  })
+
+  describe('.getCache', () => {
+    context('when no `params` are passed', () => {
+      it('should return all the members ordered by score', async () => {
+        const result = await GenericZSETCache.getCache(KEY_NAME)
+
+        expect(result).to.eql([ MEMBERS[1], MEMBERS[2], MEMBERS[0] ])
+      })
+    })
+
+    context('when `start`, `stop` and `reverse` are passed', () => {
+      it('should return the members of the ranks from the highest score', async () => {
+        const result = await GenericZSETCache.getCache(KEY_NAME, { start: 0, stop: 1, reverse: true })
+
+        expect(result).to.eql([ MEMBERS[0], MEMBERS[2] ])
+      })
+    })
+
+    context('when `min` and `max` are passed', () => {
+      it('should return the members with score between them', async () => {
+        const result = await GenericZSETCache.getCache(KEY_NAME, { min: '(10', max: 30, withScores: true })
+
+        expect(result).to.eql([ { member: MEMBERS[2], score: 20 }, { member: MEMBERS[0], score: 30 } ])
+      })
+    })
+
+    context('when the members are numeric strings and numbers', () => {
+      it('should return them with their types', async () => {
+        const keyName = ZSETKeySingleID.getKeyName(2)
+
+        await GenericZSETCache.setCache(keyName, [ '10', 20 ])
+
+        const result = await GenericZSETCache.getCache(keyName)
+
+        await GenericZSETCache.delete(keyName)
+
+        expect(result).to.eql([ '10', 20 ])
+      })
+    })
+
+    context('when there is no value cached', () => {
+      it('should return an empty list', async () => {
+        const result = await GenericZSETCache.getCache(ZSETKeySingleID.getKeyName(2))
+
+        expect(result).to.eql([])
+      })
+    })
+  })
+
+  describe('.rangeByScore', () => {
+    context('when `reverse`, `offset` and `count` are passed', () => {
+      it('should return the page of members from the highest score', async () => {
+        const result = await GenericZSETCache.rangeByScore(KEY_NAME, '-inf', '+inf', { reverse: true, offset: 1, count: 1 })
+
+        expect(result).to.eql([ MEMBERS[2] ])
+      })
+    })
+  })
+
+  describe('.rank', () => {
+    it('should return the rank of the member', async () => {
+      expect(await GenericZSETCache.rank(KEY_NAME, MEMBERS[0])).to.eql(2)
+      expect(await GenericZSETCache.rank(KEY_NAME, MEMBERS[0], true)).to.eql(0)
+    })
+
+    context('when the member does not exist', () => {
+      it('should return null', async () => {
+        expect(await GenericZSETCache.rank(KEY_NAME, 'invalid')).to.be.null
+      })
+    })
+  })
+
+  describe('.increment', () => {
+    it('should return the new score', async () => {
+      const result = await GenericZSETCache.increment(KEY_NAME, MEMBERS[1], 15)
+
+      expect(result).to.eql(25)
+      expect(await GenericZSETCache.rank(KEY_NAME, MEMBERS[1])).to.eql(1)
+    })
+  })
+
+  describe('.remove', () => {
+    it('should remove the members', async () => {
+      const result = await GenericZSETCache.remove(KEY_NAME, [ MEMBERS[0], MEMBERS[1] ])
+
+      expect(result).to.eql(2)
+      expect(await GenericZSETCache.getCache(KEY_NAME)).to.eql([ MEMBERS[2] ])
+    })
+  })
+
+  describe('.count', () => {
+    it('should return the count of members with score between `min` and `max`', async () => {
+      expect(await GenericZSETCache.count(KEY_NAME, 15, '+inf')).to.eql(2)
+    })
+  })
+
+  describe('.isCached', () => {
+    it('should return whether the key exists or not', async () => {
+      expect(await GenericZSETCache.isCached(KEY_NAME)).to.be.true
+      expect(await GenericZSETCache.isCached(ZSETKeySingleID.getKeyName(2))).to.be.false
+    })
+  })
+})
\ No newline at end of file
@@ -0,0 +1,221 @@
+'use strict'
+
+const GenericJSONArrayCache = require('../../../lib/services/types/GenericJSONArrayCache')
+const GenericJSONCache = require('../../../lib/services/types/GenericJSONCache')
+const jsonScripts = require('../../../lib/services/types/jsonScripts')
+const LuaScriptMock = require('../../mocks/LuaScriptMock')
+
+const KEY_NAME = 'test_json_scripts'
+
+const DOCUMENT = { name: 'Jon', views: 1, tags: [], owner: { name: 'Arya', items: [ 1, [], 2 ] }, text: 'a "quoted" \\ text' }
+
+describe('jsonScripts', () => {
+  [ true, false ]
+    .forEach(arrayMT => {
+      context(`when \`cjson\` ${arrayMT ? 'has' : 'has not'} \`array_mt\` (\`redis\` ${arrayMT ? '>=' : '<'} 7)`, () => {
+        let client, restore
+
+        before(() => {
+          client = redis.duplicate({ jsonModule: false })
+          restore = LuaScriptMock.mock(client, { arrayMT })
+
+          GenericJSONCache.setJSONModule(false, client)
+        })
+
+        after(() => {
+          restore()
+        })
+
+        beforeEach(async () => {
+          await GenericJSONCache.setCache(KEY_NAME, DOCUMENT, '.', client)
+        })
+
+        afterEach(async () => {
+          await client.delAsync(KEY_NAME, `${KEY_NAME}:2`)
+        })
+
+        describe('errors', () => {
+          const getError = async promise => {
+            let error = null
+
+            try {
+              await promise
+            }
+            catch (e) {
+              error = e
+            }
+
+            return error
+          }
+
+          it('should reply the script errors as plain errors', async () => {
+            const error = await getError(client.evalAsync(jsonScripts.set, 1, `${KEY_NAME}:2`, '.views', '1'))
+
+            expect(error.message).to.equal('ERR new objects must be created at the root')
+          })
+
+          it(`should reply the tables raised up to the top level ${arrayMT ? 'as plain errors' : 'as script errors'}`, async () => {
+            const error = await getError(client.evalAsync('error({ err = \'ERR raised\' })', 0))
+
+            if (arrayMT)
+              expect(error.message).to.equal('ERR raised')
+            else
+              expect(error.message).to.match(/^ERR Error running script \(call to f_[0-9a-f]{40}\): error in error handling$/)
+          })
+        })
+
+        describe('EVALSHA', () => {
+          it('should send the whole script only when the server has not it', async () => {
+            await client.scriptAsync('FLUSH')
+
+            const evalAsync = sinon.spy(client, 'evalAsync')
+
+            await GenericJSONCache.getCache(KEY_NAME, undefined, client)
+            await GenericJSONCache.getCache(KEY_NAME, undefined, client)
+
+            evalAsync.restore()
+
+            expect(evalAsync).to.have.been.calledOnce
+          })
+        })
+
+        describe('get', () => {
+          it('should return the document (keeping the empty arrays)', async () => {
+            expect(await GenericJSONCache.getCache(KEY_NAME, undefined, client)).to.deep.equal(DOCUMENT)
+          })
+
+          it('should return the `paths` values', async () => {
+            const value = await GenericJSONCache
+              .getCache(KEY_NAME, { paths: [ '.tags', '.owner.items' ] }, client)
+
+            expect(value).to.deep.equal({ '.tags': [], '.owner.items': DOCUMENT.owner.items })
+          })
+
+          it('should return the `JSONPath` matches', async () => {
+            expect(await GenericJSONCache.getCache(KEY_NAME, { paths: [ '$..name' ] }, client)).to.have.members([ 'Jon', 'Arya' ])
+          })
+        })
+
+        describe('mget', () => {
+          it('should return the documents (`null` when missing)', async () => {
+            await GenericJSONCache.setCache(`${KEY_NAME}:2`, { tags: [] }, '.', client)
+
+            const values = await GenericJSONCache
+              .getListCache([ KEY_NAME, `${KEY_NAME}:2`, `${KEY_NAME}:3` ], undefined, client.multi())
+
+            expect(values).to.deep.equal([ DOCUMENT, { tags: [] } ])
+          })
+        })
+
+        describe('set', () => {
+          it('should set the `path` value', async () => {
+            await GenericJSONCache.setCache(KEY_NAME, [], '.owner.items', client)
+
+            expect(await GenericJSONCache.getCache(KEY_NAME, [ '.owner' ], client)).to.deep.equal({ name: 'Arya', items: [] })
+          })
+
+          it('should set the `JSONPath` matches', async () => {
+            await GenericJSONCache.setCache(KEY_NAME, 'Sansa', '$..name', client)
+
+            expect(await GenericJSONCache.getCache(KEY_NAME, { paths: [ '$..name' ] }, client)).to.deep.equal([ 'Sansa', 'Sansa' ])
+          })
+
+          it('should only set the missing key on `NX` and the existing one on `XX`', async () => {
+            expect(await client.evalAsync(jsonScripts.set, 1, KEY_NAME, '.', '{}', 'NX')).to.be.null
+            expect(await client.evalAsync(jsonScripts.set, 1, `${KEY_NAME}:2`, '.', '[]', 'XX')).to.be.null
+            expect(await client.evalAsync(jsonScripts.set, 1, `${KEY_NAME}:2`, '.', '[]', 'NX')).to.equal('OK')
+            expect(await client.getAsync(`${KEY_NAME}:2`)).to.equal('[]')
+          })
+
+          it('should throw an error when the document is not at the root', async () => {
+            await expect(GenericJSONCache.setCache(`${KEY_NAME}:2`, 1, '.views', client)).to.be.rejectedWith('new objects must be created at the root')
+          })
+        })
+
+        describe('del', () => {
+          it('should delete the `path`', async () => {
+            expect(await client.evalAsync(jsonScripts.del, 1, KEY_NAME, '.owner.items[1]')).to.equal(1)
+            expect(await GenericJSONCache.getCache(KEY_NAME, [ '.owner.items' ], client)).to.deep.equal([ 1, 2 ])
+          })
+
+          it('should delete the key', async () => {
+            expect(await GenericJSONCache.delete(KEY_NAME, client)).to.equal(1)
+            expect(await client.existsAsync(KEY_NAME)).to.equal(0)
+          })
+        })
+
+        describe('objlen and arrlen', () => {
+          it('should return the object and array lengths', async () => {
+            expect(await GenericJSONCache._jsonCommand('objlen', KEY_NAME, [], client)).to.equal(Object.keys(DOCUMENT).length)
+            expect(await GenericJSONCache._jsonCommand('arrlen', KEY_NAME, [ '.tags' ], client)).to.equal(0)
+            expect(await GenericJSONCache._jsonCommand('arrlen', KEY_NAME, [ '.owner.items' ], client)).to.equal(3)
+          })
+        })
+
+        describe('update', () => {
+          it('should apply the operations', async () => {
+            const document = await GenericJSONCache
+              .update(KEY_NAME, [
+                { op: 'incr', path: '.views', value: 2 },
+                { op: 'strAppend', path: '.name', value: ' Snow' },
+                { op: 'merge', value: { owner: { age: 10 }, text: null } }
+              ], false, client)
+
+            expect(document).to.deep.equal({ name: 'Jon Snow', views: 3, tags: [], owner: { name: 'Arya', items: [ 1, [], 2 ], age: 10 } })
+            expect(await GenericJSONCache.getCache(KEY_NAME, undefined, client)).to.deep.equal(document)
+          })
+
+          it('should keep the array empty after popping its last item', async () => {
+            const document = await GenericJSONCache
+              .update(KEY_NAME, [
+                { op: 'arrAppend', path: '.tags', value: 'new' },
+                { op: 'arrPop', path: '.tags' }
+              ], false, client)
+
+            expect(document.tags).to.deep.equal([])
+            expect(await GenericJSONCache.getCache(KEY_NAME, [ '.tags' ], client)).to.deep.equal([])
+          })
+
+          it('should throw an error on a wrong type path', async () => {
+            await expect(GenericJSONCache.update(KEY_NAME, { op: 'incr', path: '.name' }, false, client)).to.be.rejectedWith('expected number but found string')
+          })
+        })
+
+        describe('push', () => {
+          it('should create the array, dedupe and trim the items', async () => {
+            await GenericJSONArrayCache.push(`${KEY_NAME}:2`, [ { id: 1 }, { id: 2 } ], {}, client)
+
+            const length = await GenericJSONArrayCache
+              .push(`${KEY_NAME}:2`, [ { id: 1, tags: [] }, { id: 3 } ], { dedupeBy: 'id', maxLength: 2 }, client)
+
+            expect(length).to.equal(2)
+            expect(await GenericJSONCache.getCache(`${KEY_NAME}:2`, undefined, client)).to.deep.equal([ { id: 1, tags: [] }, { id: 3 } ])
+          })
+
+          it('should push on an empty array', async () => {
+            expect(await GenericJSONArrayCache.push(KEY_NAME, 'new', { path: '.tags' }, client)).to.equal(1)
+            expect(await GenericJSONCache.getCache(KEY_NAME, [ '.tags' ], client)).to.deep.equal([ 'new' ])
+          })
+        })
+
+        describe('arrinsert and arrtrim', () => {
+          beforeEach(async () => {
+            await GenericJSONArrayCache.initArrayCache(`${KEY_NAME}:2`, [], '.', client)
+          })
+
+          it('should insert the items', async () => {
+            expect(await GenericJSONArrayCache._addCache(`${KEY_NAME}:2`, { id: 1 }, undefined, '.', client)).to.equal(1)
+            expect(await GenericJSONArrayCache._addCache(`${KEY_NAME}:2`, { id: 0 }, 0, '.', client)).to.equal(2)
+            expect(await GenericJSONCache.getCache(`${KEY_NAME}:2`, undefined, client)).to.deep.equal([ { id: 0 }, { id: 1 } ])
+          })
+
+          it('should keep the array empty after trimming all the items', async () => {
+            await GenericJSONArrayCache._addCache(`${KEY_NAME}:2`, { id: 1 }, undefined, '.', client)
+
+            expect(await GenericJSONArrayCache.slice(`${KEY_NAME}:2`, { start: 1 }, client)).to.equal(0)
+            expect(await client.getAsync(`${KEY_NAME}:2`)).to.equal('[]')
+          })
+        })
+      })
+    })
+})
\ No newline at end of file